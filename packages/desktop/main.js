@@ -20,6 +20,7 @@ let recrateService = null;  // Changed from serverProcess - now holds the servic
 let tailscaleServeProcess = null;
 let proxyClient = null;
 let serverPort = 3000;
+let serverBasePath = null;  // Server src folder, set when the server starts
 let serverStatus = 'stopped';
 let tailscaleServeURL = null;
 
@@ -294,6 +295,11 @@ function updateTrayMenu() {
         }
       }
     },
+    {
+      label: 'Export Rekordbox XML...',
+      enabled: serverStatus === 'running',
+      click: () => exportRekordboxXml()
+    },
     { type: 'separator' },
     {
       label: 'Settings',
@@ -461,7 +467,9 @@ async function startServer() {
   const userConfig = {
     seratoPath: store.get('seratoPath', detectSeratoPath()),
     musicPaths: [store.get('musicPath', path.join(os.homedir(), 'Music'))],
-    port: store.get('port', 3000)
+    port: store.get('port', 3000),
+    // Keep the saved library index next to the app's config file
+    dataPath: app.getPath('userData')
   };
 
   serverPort = userConfig.port;
@@ -475,7 +483,7 @@ async function startServer() {
 
   try {
     // Determine server paths
-    const serverBasePath = app.isPackaged
+    serverBasePath = app.isPackaged
       ? path.join(process.resourcesPath, 'server', 'src')
       : path.join(__dirname, '../server/src');
 
@@ -604,6 +612,41 @@ async function startServer() {
   }
 }
 
+// Export the whole library with its crates as a Rekordbox XML file
+async function exportRekordboxXml() {
+  if (!recrateService || !recrateService.parser) {
+    dialog.showErrorBox('Export Rekordbox XML', 'Start the server first.');
+    return;
+  }
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Rekordbox XML',
+    defaultPath: path.join(app.getPath('documents'), 'rekordbox.xml'),
+    filters: [{ name: 'Rekordbox XML', extensions: ['xml'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return;
+  }
+
+  try {
+    log.info('Exporting Rekordbox XML to', result.filePath);
+    const rekordboxExport = require(path.join(serverBasePath, 'serato', 'rekordboxExport.js'));
+    const { xml, tracks, playlists } = await rekordboxExport.exportRekordboxXml(recrateService.parser, {
+      version: app.getVersion()
+    });
+    await fs.promises.writeFile(result.filePath, xml);
+
+    dialog.showMessageBox(mainWindow, {
+      type: 'info',
+      message: 'Rekordbox XML exported',
+      detail: `${tracks} tracks and ${playlists} crates. In Rekordbox, choose this file under Preferences > Advanced > rekordbox xml.`
+    });
+  } catch (error) {
+    log.error('Rekordbox export failed:', error);
+    dialog.showErrorBox('Export Rekordbox XML', error.message);
+  }
+}
+
 // Stop server
 async function stopServer() {
   if (recrateService) {
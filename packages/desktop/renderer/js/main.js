@@ -241,12 +241,14 @@ async function loadStats() {
     const stats = await response.json();
 
     // Update stats display
+    const hours = stats.totals ? Math.round(stats.totals.duration / 3600) : 0;
     document.getElementById('stat-tracks').textContent =
-      `• ${stats.trackCount || 0} tracks`;
+      `• ${stats.trackCount || 0} tracks${stats.totals ? ` (${hours} h, ${formatBytes(stats.totals.size)})` : ''}`;
     document.getElementById('stat-crates').textContent =
-      `• ${stats.crateCount || 0} crates`;
-    document.getElementById('stat-updated').textContent =
-      `• Updated ${getTimeAgo(stats.lastUpdate)}`;
+      `• ${stats.crateCount || 0} crates${stats.orphanCount ? `, ${stats.orphanCount} tracks in none` : ''}`;
+    document.getElementById('stat-updated').textContent = stats.indexing
+      ? '• Indexing...'
+      : `• Updated ${getTimeAgo(stats.lastUpdate)}`;
 
   } catch (error) {
     console.error('Failed to load stats:', error);
@@ -256,6 +258,14 @@ async function loadStats() {
   }
 }
 
+// Helper: Format bytes as "12.3 GB"
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent > 0 ? 1 : 0)} ${units[exponent]}`;
+}
+
 // Helper: Format time ago
 function getTimeAgo(timestamp) {
   if (!timestamp) return 'just now';
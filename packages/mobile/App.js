@@ -18,8 +18,13 @@ import ConnectionScreen from './src/screens/ConnectionScreen';
 import LibraryScreen from './src/screens/LibraryScreen';
 import CratesScreen from './src/screens/CratesScreen';
 import CrateDetailScreen from './src/screens/CrateDetailScreen';
+import HistoryScreen from './src/screens/HistoryScreen';
+import HistorySessionScreen from './src/screens/HistorySessionScreen';
 import PlayerScreen from './src/screens/PlayerScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import StatsScreen from './src/screens/StatsScreen';
+import DuplicatesScreen from './src/screens/DuplicatesScreen';
+import MissingFilesScreen from './src/screens/MissingFilesScreen';
 import IdentifyTrackScreen from './src/screens/IdentifyTrackScreen';
 
 // Components
@@ -63,6 +68,34 @@ function CratesStack() {
   );
 }
 
+// Stack navigator for History (includes session detail)
+function HistoryStack() {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerShown: false,
+      }}
+    >
+      <Stack.Screen name="HistoryList" component={HistoryScreen} />
+      <Stack.Screen
+        name="HistorySession"
+        component={HistorySessionScreen}
+        options={{
+          headerShown: true,
+          title: '',
+          headerBackTitle: '',
+          headerBackTitleVisible: false,
+          headerTintColor: COLORS.text,
+          headerStyle: {
+            backgroundColor: COLORS.background,
+          },
+          headerShadowVisible: false,
+        }}
+      />
+    </Stack.Navigator>
+  );
+}
+
 // Main tab navigator
 function TabNavigator({ navigation }) {
   return (
@@ -109,6 +142,15 @@ function TabNavigator({ navigation }) {
           ),
         }}
       />
+      <Tab.Screen
+        name="History"
+        component={HistoryStack}
+        options={{
+          tabBarIcon: ({ color, size }) => (
+            <Ionicons name="time" size={size} color={color} />
+          ),
+        }}
+      />
       <Tab.Screen
         name="Settings"
         component={SettingsScreen}
@@ -146,6 +188,27 @@ function RootNavigator() {
           presentation: 'card',
         }}
       />
+      <RootStack.Screen
+        name="Stats"
+        component={StatsScreen}
+        options={{
+          presentation: 'card',
+        }}
+      />
+      <RootStack.Screen
+        name="Duplicates"
+        component={DuplicatesScreen}
+        options={{
+          presentation: 'card',
+        }}
+      />
+      <RootStack.Screen
+        name="MissingFiles"
+        component={MissingFilesScreen}
+        options={{
+          presentation: 'card',
+        }}
+      />
       <RootStack.Screen
         name="CrateDetailFromIdentify"
         component={CrateDetailScreen}
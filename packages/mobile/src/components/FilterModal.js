@@ -13,11 +13,13 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { COLORS, SPACING, BORDER_RADIUS } from '../constants/theme';
+import { keyId } from '@recrate/shared/keys';
 import useStore from '../store/useStore';
 
 import BPMRangeSlider from './BPMRangeSlider';
 import KeySelectionChips from './KeySelectionChips';
 import GenreChips from './GenreChips';
+import PlayHistoryChips, { matchesPlayHistory } from './PlayHistoryChips';
 
 const { height: SCREEN_HEIGHT, width: SCREEN_WIDTH } = Dimensions.get('window');
 const MODAL_WIDTH = Math.min(SCREEN_WIDTH * 0.9, 400);
@@ -104,6 +106,8 @@ const FilterModal = () => {
   const filteredCount = useMemo(() => {
     if (!localFilters) return tracks.length;
 
+    const selectedKeyIds = new Set(localFilters.selectedKeys.map(keyId));
+
     return tracks.filter((track) => {
       // BPM filter
       if (track.bpm) {
@@ -115,7 +119,7 @@ const FilterModal = () => {
 
       // Key filter
       if (localFilters.selectedKeys.length > 0 && track.key) {
-        if (!localFilters.selectedKeys.includes(track.key)) {
+        if (!selectedKeyIds.has(keyId(track.key))) {
           return false;
         }
       }
@@ -127,6 +131,11 @@ const FilterModal = () => {
         }
       }
 
+      // Play history filter
+      if (!matchesPlayHistory(track, localFilters.playHistory)) {
+        return false;
+      }
+
       return true;
     }).length;
   }, [tracks, localFilters]);
@@ -164,6 +173,7 @@ const FilterModal = () => {
       bpmRange: { min: 60, max: 180 },
       selectedKeys: [],
       selectedGenres: [],
+      playHistory: 'any',
     });
     resetFilters();
   };
@@ -245,6 +255,12 @@ const FilterModal = () => {
               availableGenres={availableGenres}
               onChange={(selectedGenres) => setLocalFilters({ ...localFilters, selectedGenres })}
             />
+
+            {/* Play History */}
+            <PlayHistoryChips
+              value={localFilters.playHistory}
+              onChange={(playHistory) => setLocalFilters({ ...localFilters, playHistory })}
+            />
           </ScrollView>
 
           {/* Footer */}
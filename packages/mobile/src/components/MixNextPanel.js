@@ -0,0 +1,347 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Switch,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import { apiService } from '../services/api';
+import useStore from '../store/useStore';
+
+const RELATION_LABELS = {
+  same: 'Same key',
+  adjacent: 'Adjacent',
+  relative: 'Relative',
+  energyBoost: 'Energy boost',
+  diagonal: 'Diagonal',
+};
+
+const formatTempo = (bpm) => {
+  if (!bpm) return null;
+  if (bpm.ratio === 2) return 'Double time';
+  if (bpm.ratio === 0.5) return 'Half time';
+  return bpm.difference > 0 ? `±${bpm.difference}%` : 'Same BPM';
+};
+
+/**
+ * "Mix next" - harmonically compatible tracks for the current track
+ * Suggestions can be queued after the current track or handed to onAddToCrate
+ */
+const MixNextPanel = ({ visible, track, onClose, onAddToCrate }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [camelot, setCamelot] = useState(null);
+  const [useGenre, setUseGenre] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [queuedIds, setQueuedIds] = useState([]);
+
+  const queueNext = useStore((state) => state.queueNext);
+
+  useEffect(() => {
+    if (!visible || !track?.id) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    setQueuedIds([]);
+
+    apiService.getTrackSuggestions(track.id, { limit: 30, genre: useGenre })
+      .then((data) => {
+        if (cancelled) return;
+        setSuggestions(data.suggestions || []);
+        setCamelot(data.track?.keyDisplay || data.track?.camelot || null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, track?.id, useGenre]);
+
+  const handleQueue = async (suggestion) => {
+    await queueNext([suggestion.track]);
+    setQueuedIds((ids) => [...ids, suggestion.track.id]);
+  };
+
+  const handleQueueAll = async () => {
+    const tracks = suggestions
+      .map((suggestion) => suggestion.track)
+      .filter((t) => !queuedIds.includes(t.id));
+    await queueNext(tracks);
+    setQueuedIds(suggestions.map((suggestion) => suggestion.track.id));
+  };
+
+  const renderSuggestion = ({ item }) => {
+    const isQueued = queuedIds.includes(item.track.id);
+
+    return (
+      <View style={styles.row}>
+        <View style={styles.keyBadge}>
+          <Text style={styles.keyBadgeText}>{item.track.keyDisplay || item.key?.camelot || item.track.key || '—'}</Text>
+        </View>
+        <View style={styles.rowInfo}>
+          <Text style={styles.rowTitle} numberOfLines={1}>{item.track.title}</Text>
+          <Text style={styles.rowArtist} numberOfLines={1}>{item.track.artist || 'Unknown Artist'}</Text>
+          <Text style={styles.rowMeta} numberOfLines={1}>
+            {[
+              item.track.bpm && `${Math.round(item.track.bpm)} BPM`,
+              item.key && RELATION_LABELS[item.key.relation],
+              formatTempo(item.bpm),
+              item.genreMatch && item.track.genre,
+            ].filter(Boolean).join(' · ')}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.queueButton}
+          onPress={() => handleQueue(item)}
+          disabled={isQueued}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        >
+          <Ionicons
+            name={isQueued ? 'checkmark-circle' : 'add-circle-outline'}
+            size={26}
+            color={isQueued ? COLORS.success : COLORS.primary}
+          />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      );
+    }
+
+    if (error || suggestions.length === 0) {
+      return (
+        <View style={styles.centered}>
+          <Ionicons name="musical-notes-outline" size={48} color={COLORS.textSecondary} />
+          <Text style={styles.emptyText}>{error || 'No compatible tracks found'}</Text>
+          {!error && (
+            <Text style={styles.emptySubtext}>Tracks need a BPM or key to be matched</Text>
+          )}
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={suggestions}
+        keyExtractor={(item) => item.track.id}
+        renderItem={renderSuggestion}
+        contentContainerStyle={styles.list}
+        ItemSeparatorComponent={() => <View style={styles.separator} />}
+      />
+    );
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <View style={styles.headerText}>
+              <Text style={styles.title}>Mix Next</Text>
+              <Text style={styles.subtitle} numberOfLines={1}>
+                Out of {track?.title}{camelot ? ` · ${camelot}` : ''}{track?.bpm ? ` · ${Math.round(track.bpm)} BPM` : ''}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={28} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.optionRow}>
+            <Text style={styles.optionLabel}>Prefer same genre</Text>
+            <Switch
+              value={useGenre}
+              onValueChange={setUseGenre}
+              trackColor={{ true: COLORS.primary }}
+            />
+          </View>
+
+          {renderContent()}
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.actionButton, suggestions.length === 0 && styles.actionButtonDisabled]}
+              onPress={() => onAddToCrate(suggestions.map((suggestion) => suggestion.track.id))}
+              disabled={suggestions.length === 0}
+            >
+              <Text style={styles.actionButtonText}>Add to Crate</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[
+                styles.actionButton,
+                styles.actionButtonPrimary,
+                suggestions.length === 0 && styles.actionButtonDisabled,
+              ]}
+              onPress={handleQueueAll}
+              disabled={suggestions.length === 0}
+            >
+              <Text style={styles.actionButtonTextPrimary}>Queue All</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    paddingTop: SPACING.xl,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: SPACING.lg,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerText: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  title: {
+    fontSize: FONT_SIZES.xl,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  subtitle: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.sm,
+  },
+  optionLabel: {
+    fontSize: FONT_SIZES.md,
+    color: COLORS.text,
+  },
+  list: {
+    paddingHorizontal: SPACING.lg,
+    paddingBottom: SPACING.md,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+  },
+  separator: {
+    height: 1,
+    backgroundColor: COLORS.border,
+  },
+  keyBadge: {
+    width: 44,
+    height: 44,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  keyBadgeText: {
+    fontSize: FONT_SIZES.sm,
+    fontWeight: 'bold',
+    color: COLORS.primary,
+  },
+  rowInfo: {
+    flex: 1,
+    marginLeft: SPACING.md,
+  },
+  rowTitle: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  rowArtist: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  rowMeta: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.primary,
+    marginTop: 2,
+  },
+  queueButton: {
+    paddingLeft: SPACING.md,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: SPACING.xl,
+  },
+  emptyText: {
+    fontSize: FONT_SIZES.lg,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginTop: SPACING.md,
+    textAlign: 'center',
+  },
+  emptySubtext: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+    textAlign: 'center',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: SPACING.md,
+    padding: SPACING.lg,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: SPACING.md,
+    borderRadius: BORDER_RADIUS.md,
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+  },
+  actionButtonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  actionButtonText: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+  },
+  actionButtonTextPrimary: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+});
+
+export default MixNextPanel;
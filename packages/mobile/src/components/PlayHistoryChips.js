@@ -0,0 +1,112 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { COLORS } from '../constants/theme';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filters on the play dates the server reads from Serato History
+export const PLAY_HISTORY_OPTIONS = [
+  { value: 'any', label: 'Any' },
+  { value: 'last30', label: 'Last 30 days', days: 30 },
+  { value: 'last90', label: 'Last 90 days', days: 90 },
+  { value: 'last365', label: 'Last year', days: 365 },
+  { value: 'notInYear', label: 'Not in a year' },
+  { value: 'never', label: 'Never played' },
+];
+
+/**
+ * Check a track against a play history filter value
+ * "never" means not played since the track was added to the library
+ */
+export const matchesPlayHistory = (track, filter, now = Date.now()) => {
+  if (!filter || filter === 'any') return true;
+
+  const lastPlayed = track.lastPlayedAt ? new Date(track.lastPlayedAt).getTime() : null;
+
+  if (filter === 'never') {
+    return !lastPlayed || (!!track.addedAt && lastPlayed < new Date(track.addedAt).getTime());
+  }
+  if (filter === 'notInYear') {
+    return !!lastPlayed && lastPlayed < now - 365 * DAY_MS;
+  }
+
+  const option = PLAY_HISTORY_OPTIONS.find((o) => o.value === filter);
+  return !!option && !!lastPlayed && lastPlayed >= now - option.days * DAY_MS;
+};
+
+const PlayHistoryChips = ({ value = 'any', onChange }) => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionLabel}>LAST PLAYED</Text>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+        style={styles.scrollView}
+      >
+        {PLAY_HISTORY_OPTIONS.map((option) => {
+          const isSelected = value === option.value;
+
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => onChange(option.value)}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 24,
+    marginBottom: 8,
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#64748B',
+    letterSpacing: 1.5,
+    textTransform: 'uppercase',
+    marginBottom: 16,
+  },
+  scrollView: {
+    marginHorizontal: -28,
+  },
+  scrollContent: {
+    paddingHorizontal: 28,
+    gap: 10,
+  },
+  chip: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipSelected: {
+    backgroundColor: 'rgba(139, 92, 246, 0.12)',
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#94A3B8',
+  },
+  chipTextSelected: {
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+});
+
+export default PlayHistoryChips;
@@ -0,0 +1,115 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { View, ScrollView, Animated, PanResponder, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import TrackRow from './TrackRow';
+
+/**
+ * Track list with a drag handle on every row
+ * Dropping a row calls onReorder(fromIndex, toIndex)
+ */
+const ReorderableTrackList = ({ tracks, onReorder, onPress }) => {
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const dragY = useRef(new Animated.Value(0)).current;
+  const rowHeights = useRef([]);
+  const onReorderRef = useRef(onReorder);
+  onReorderRef.current = onReorder;
+
+  // Work out where a row dragged by `dy` pixels lands
+  const targetIndex = (fromIndex, dy) => {
+    let index = fromIndex;
+    let remaining = dy;
+
+    if (dy > 0) {
+      while (index < tracks.length - 1 && remaining > (rowHeights.current[index + 1] || 0) / 2) {
+        remaining -= rowHeights.current[index + 1] || 0;
+        index++;
+      }
+    } else {
+      while (index > 0 && -remaining > (rowHeights.current[index - 1] || 0) / 2) {
+        remaining += rowHeights.current[index - 1] || 0;
+        index--;
+      }
+    }
+
+    return index;
+  };
+
+  const createPanResponder = (index) => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      dragY.setValue(0);
+      setDraggingIndex(index);
+    },
+    onPanResponderMove: (e, gesture) => {
+      dragY.setValue(gesture.dy);
+    },
+    onPanResponderRelease: (e, gesture) => {
+      const toIndex = targetIndex(index, gesture.dy);
+      setDraggingIndex(null);
+      dragY.setValue(0);
+      if (toIndex !== index) {
+        onReorderRef.current(index, toIndex);
+      }
+    },
+    onPanResponderTerminate: () => {
+      setDraggingIndex(null);
+      dragY.setValue(0);
+    },
+  });
+
+  // Responders must survive re-renders during a drag, so only rebuild them when the list changes
+  const panResponders = useMemo(
+    () => tracks.map((track, index) => createPanResponder(index)),
+    [tracks]
+  );
+
+  return (
+    <ScrollView scrollEnabled={draggingIndex === null}>
+      {tracks.map((track, index) => {
+        const isDragging = draggingIndex === index;
+        return (
+          <Animated.View
+            key={`${track.id}-${index}`}
+            onLayout={(e) => {
+              rowHeights.current[index] = e.nativeEvent.layout.height;
+            }}
+            style={[
+              styles.row,
+              isDragging && styles.rowDragging,
+              isDragging && { transform: [{ translateY: dragY }] },
+            ]}
+          >
+            <View style={styles.trackRow}>
+              <TrackRow track={track} onPress={onPress} />
+            </View>
+            <View style={styles.handle} {...panResponders[index].panHandlers}>
+              <Ionicons name="reorder-three" size={28} color="rgba(255, 255, 255, 0.6)" />
+            </View>
+          </Animated.View>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowDragging: {
+    zIndex: 10,
+    elevation: 10,
+    backgroundColor: 'rgba(139, 92, 246, 0.25)',
+  },
+  trackRow: {
+    flex: 1,
+  },
+  handle: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+});
+
+export default ReorderableTrackList;
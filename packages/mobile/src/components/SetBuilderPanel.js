@@ -0,0 +1,503 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import { apiService } from '../services/api';
+import useStore from '../store/useStore';
+
+const HARMONIC_OPTIONS = [
+  { value: 'strict', label: 'Strict' },
+  { value: 'relaxed', label: 'Relaxed' },
+  { value: 'off', label: 'Off' },
+];
+
+const RELATION_LABELS = {
+  same: 'Same key',
+  adjacent: 'Adjacent',
+  relative: 'Relative',
+  energyBoost: 'Energy boost',
+  diagonal: 'Diagonal',
+};
+
+const UNUSED_LABELS = {
+  noBpm: 'no BPM',
+  noTransition: 'no compatible transition',
+  duration: 'set full',
+};
+
+const formatMinutes = (seconds) => `${Math.round(seconds / 60)} min`;
+
+const formatTransition = (transition) => {
+  const parts = [`${Math.round(transition.score * 100)}%`];
+  if (transition.bpmJump !== null) {
+    parts.push(transition.bpmJump === 0 ? 'same BPM' : `±${transition.bpmJump} BPM`);
+  }
+  if (transition.key) {
+    parts.push(transition.key.relation ? RELATION_LABELS[transition.key.relation] : 'Key clash');
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * Set builder - orders a crate's tracks into a set following a BPM curve and harmonic rules
+ * The set can be previewed as the play queue (onPreview) or saved as a new crate
+ */
+const SetBuilderPanel = ({ visible, crate, onClose, onPreview }) => {
+  const [startBpm, setStartBpm] = useState('');
+  const [endBpm, setEndBpm] = useState('');
+  const [maxBpmJump, setMaxBpmJump] = useState('6');
+  const [duration, setDuration] = useState('');
+  const [harmonic, setHarmonic] = useState('strict');
+  const [set, setSet] = useState(null);
+  const [crateName, setCrateName] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveSetAsCrate = useStore((state) => state.saveSetAsCrate);
+
+  useEffect(() => {
+    if (visible) {
+      setSet(null);
+      setError(null);
+      setCrateName(crate ? `${crate.name} Set` : '');
+    }
+  }, [visible, crate?.id]);
+
+  const handleBuild = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await apiService.buildSet(crate.id, {
+        startBpm: startBpm || undefined,
+        endBpm: endBpm || undefined,
+        maxBpmJump: maxBpmJump || undefined,
+        duration: duration || undefined,
+        harmonic,
+      });
+      setSet(data.set);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!crateName.trim()) {
+      Alert.alert('Error', 'Please enter a crate name');
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await saveSetAsCrate(crate.id, set.tracks.map((track) => track.id), crateName.trim());
+    setIsSaving(false);
+
+    if (result) {
+      Alert.alert('Set Saved', `Created "${result.crate.name}" with ${result.added} tracks`);
+    } else {
+      Alert.alert('Error', useStore.getState().cratesError || 'Failed to save set');
+    }
+  };
+
+  const renderNumberInput = (label, value, onChange, placeholder) => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={onChange}
+        placeholder={placeholder}
+        placeholderTextColor={COLORS.textSecondary}
+        keyboardType="numeric"
+      />
+    </View>
+  );
+
+  const renderTrack = ({ item, index }) => {
+    const transition = index > 0 ? set.transitions[index - 1] : null;
+
+    return (
+      <View>
+        {transition && (
+          <View style={styles.transition}>
+            <Ionicons name="arrow-down" size={12} color={COLORS.textSecondary} />
+            <Text style={styles.transitionText}>{formatTransition(transition)}</Text>
+          </View>
+        )}
+        <View style={styles.row}>
+          <Text style={styles.position}>{index + 1}</Text>
+          <View style={styles.rowInfo}>
+            <Text style={styles.rowTitle} numberOfLines={1}>{item.title}</Text>
+            <Text style={styles.rowArtist} numberOfLines={1}>{item.artist || 'Unknown Artist'}</Text>
+          </View>
+          <View style={styles.rowMeta}>
+            {item.bpm ? <Text style={styles.rowBpm}>{Math.round(item.bpm)}</Text> : null}
+            {item.key ? <Text style={styles.rowKey}>{item.keyDisplay || item.key}</Text> : null}
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  const renderResult = () => {
+    if (isLoading) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      );
+    }
+
+    if (error) {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      );
+    }
+
+    if (!set) {
+      return (
+        <View style={styles.centered}>
+          <Ionicons name="git-network-outline" size={48} color={COLORS.textSecondary} />
+          <Text style={styles.emptySubtext}>
+            Leave fields empty to go from the slowest to the fastest track
+          </Text>
+        </View>
+      );
+    }
+
+    if (set.tracks.length === 0) {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.emptyText}>No set could be built</Text>
+          <Text style={styles.emptySubtext}>Tracks need a BPM to be placed in a set</Text>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.summary}>
+          {[
+            `${set.tracks.length} tracks`,
+            formatMinutes(set.duration),
+            set.score !== null && `${Math.round(set.score * 100)}% flow`,
+            set.unused.length > 0 && `${set.unused.length} left out`,
+          ].filter(Boolean).join(' · ')}
+        </Text>
+        <FlatList
+          data={set.tracks}
+          keyExtractor={(item) => item.id}
+          renderItem={renderTrack}
+          contentContainerStyle={styles.list}
+          ListFooterComponent={set.unused.length > 0 ? (
+            <Text style={styles.unusedText}>
+              Left out: {set.unused.slice(0, 5).map((track) => `${track.title} (${UNUSED_LABELS[track.reason]})`).join(', ')}
+              {set.unused.length > 5 ? ` and ${set.unused.length - 5} more` : ''}
+            </Text>
+          ) : null}
+        />
+      </>
+    );
+  };
+
+  const hasSet = !!set && set.tracks.length > 0;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.content}>
+        <View style={styles.header}>
+          <View style={styles.headerText}>
+            <Text style={styles.title}>Build a Set</Text>
+            <Text style={styles.subtitle} numberOfLines={1}>From {crate?.name}</Text>
+          </View>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={28} color={COLORS.textSecondary} />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.form}>
+          <View style={styles.inputRow}>
+            {renderNumberInput('Start BPM', startBpm, setStartBpm, 'Lowest')}
+            {renderNumberInput('End BPM', endBpm, setEndBpm, 'Highest')}
+            {renderNumberInput('Max jump', maxBpmJump, setMaxBpmJump, '6')}
+            {renderNumberInput('Minutes', duration, setDuration, 'All')}
+          </View>
+          <View style={styles.harmonicRow}>
+            <Text style={styles.inputLabel}>Harmonic</Text>
+            {HARMONIC_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.harmonicOption, harmonic === option.value && styles.harmonicOptionActive]}
+                onPress={() => setHarmonic(option.value)}
+              >
+                <Text
+                  style={[
+                    styles.harmonicOptionText,
+                    harmonic === option.value && styles.harmonicOptionTextActive,
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity style={styles.buildButton} onPress={handleBuild} disabled={isLoading}>
+            <Text style={styles.buildButtonText}>{set ? 'Rebuild' : 'Build Set'}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {renderResult()}
+
+        {hasSet && (
+          <View style={styles.actions}>
+            <TextInput
+              style={[styles.input, styles.nameInput]}
+              value={crateName}
+              onChangeText={setCrateName}
+              placeholder="Crate name"
+              placeholderTextColor={COLORS.textSecondary}
+            />
+            <View style={styles.actionButtons}>
+              <TouchableOpacity
+                style={[styles.actionButton, isSaving && styles.actionButtonDisabled]}
+                onPress={handleSave}
+                disabled={isSaving}
+              >
+                <Text style={styles.actionButtonText}>{isSaving ? 'Saving...' : 'Save as Crate'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.actionButtonPrimary]}
+                onPress={() => onPreview(set.tracks)}
+              >
+                <Text style={styles.actionButtonTextPrimary}>Preview</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    paddingTop: SPACING.xl,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: SPACING.lg,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerText: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  title: {
+    fontSize: FONT_SIZES.xl,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  subtitle: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+  },
+  form: {
+    padding: SPACING.lg,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+  },
+  inputGroup: {
+    flex: 1,
+  },
+  inputLabel: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.xs,
+  },
+  input: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.md,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.sm,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.text,
+  },
+  harmonicRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    marginTop: SPACING.md,
+  },
+  harmonicOption: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.xs,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+  },
+  harmonicOptionActive: {
+    backgroundColor: COLORS.primary,
+  },
+  harmonicOptionText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    fontWeight: '600',
+  },
+  harmonicOptionTextActive: {
+    color: COLORS.text,
+  },
+  buildButton: {
+    marginTop: SPACING.md,
+    paddingVertical: SPACING.md,
+    borderRadius: BORDER_RADIUS.md,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+  },
+  buildButtonText: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  summary: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.primary,
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.sm,
+  },
+  list: {
+    paddingHorizontal: SPACING.lg,
+    paddingBottom: SPACING.md,
+  },
+  transition: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: SPACING.xs,
+  },
+  transitionText: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginLeft: SPACING.xs,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+  },
+  position: {
+    width: 24,
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  rowInfo: {
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  rowTitle: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  rowArtist: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  rowMeta: {
+    alignItems: 'flex-end',
+  },
+  rowBpm: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.text,
+  },
+  rowKey: {
+    fontSize: FONT_SIZES.xs,
+    fontWeight: 'bold',
+    color: COLORS.primary,
+  },
+  unusedText: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.md,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: SPACING.xl,
+  },
+  errorText: {
+    fontSize: FONT_SIZES.md,
+    color: COLORS.error,
+    textAlign: 'center',
+  },
+  emptyText: {
+    fontSize: FONT_SIZES.lg,
+    fontWeight: '600',
+    color: COLORS.text,
+    textAlign: 'center',
+  },
+  emptySubtext: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+    textAlign: 'center',
+  },
+  actions: {
+    padding: SPACING.lg,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  nameInput: {
+    marginBottom: SPACING.md,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    gap: SPACING.md,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: SPACING.md,
+    borderRadius: BORDER_RADIUS.md,
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+  },
+  actionButtonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  actionButtonText: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+  },
+  actionButtonTextPrimary: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+});
+
+export default SetBuilderPanel;
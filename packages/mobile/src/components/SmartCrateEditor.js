@@ -0,0 +1,345 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+
+// Rule fields supported by the server, with the operators each type accepts
+const FIELDS = [
+  { value: 'genre', label: 'Genre', type: 'text' },
+  { value: 'bpm', label: 'BPM', type: 'number' },
+  { value: 'key', label: 'Key', type: 'text' },
+  { value: 'artist', label: 'Artist', type: 'text' },
+  { value: 'title', label: 'Title', type: 'text' },
+  { value: 'album', label: 'Album', type: 'text' },
+  { value: 'year', label: 'Year', type: 'number' },
+  { value: 'added', label: 'Added', type: 'date' },
+  { value: 'plays', label: 'Plays', type: 'number' },
+  { value: 'label', label: 'Label', type: 'text' },
+  { value: 'comment', label: 'Comment', type: 'text' },
+  { value: 'grouping', label: 'Grouping', type: 'text' },
+  { value: 'composer', label: 'Composer', type: 'text' },
+  { value: 'remixer', label: 'Remixer', type: 'text' },
+  { value: 'filename', label: 'Filename', type: 'text' },
+];
+
+const OPERATORS = {
+  text: [
+    { value: 'contains', label: 'contains' },
+    { value: 'notContains', label: 'does not contain' },
+    { value: 'is', label: 'is' },
+    { value: 'isNot', label: 'is not' },
+    { value: 'startsWith', label: 'starts with' },
+    { value: 'endsWith', label: 'ends with' },
+  ],
+  number: [
+    { value: 'greaterThan', label: 'greater than' },
+    { value: 'lessThan', label: 'less than' },
+    { value: 'is', label: 'is' },
+    { value: 'isNot', label: 'is not' },
+  ],
+  date: [
+    { value: 'after', label: 'after' },
+    { value: 'before', label: 'before' },
+  ],
+};
+
+const fieldType = (field) => FIELDS.find(f => f.value === field)?.type;
+
+// Rules are edited with string values; dates are shown as YYYY-MM-DD
+const toEditable = (rule) => {
+  if (!fieldType(rule.field)) {
+    return rule; // Sent back untouched
+  }
+  return {
+    ...rule,
+    value: rule.value === null || rule.value === undefined
+      ? ''
+      : fieldType(rule.field) === 'date' ? String(rule.value).slice(0, 10) : String(rule.value),
+  };
+};
+
+const EMPTY_RULE = { field: 'genre', operator: 'contains', value: '' };
+
+/**
+ * Modal for creating or editing a smart crate's name and rules
+ * onSave receives { name, matchAll, rules } - rules the app doesn't understand are passed back unchanged
+ */
+const SmartCrateEditor = ({ visible, title, initialCrate, onSave, onCancel }) => {
+  const [name, setName] = useState('');
+  const [matchAll, setMatchAll] = useState(true);
+  const [rules, setRules] = useState([EMPTY_RULE]);
+
+  useEffect(() => {
+    if (visible) {
+      setName(initialCrate?.name || '');
+      setMatchAll(initialCrate?.rules?.matchAll ?? true);
+      setRules(initialCrate?.rules?.rules?.length ? initialCrate.rules.rules.map(toEditable) : [EMPTY_RULE]);
+    }
+  }, [visible, initialCrate]);
+
+  const updateRule = (index, changes) => {
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const selectField = (index, field) => {
+    const rule = rules[index];
+    const type = fieldType(field);
+    // Keep the operator when the new field supports it
+    const operator = OPERATORS[type].some(op => op.value === rule.operator)
+      ? rule.operator
+      : OPERATORS[type][0].value;
+    updateRule(index, { field, operator, value: type === fieldType(rule.field) ? rule.value : '' });
+  };
+
+  const handleSave = () => {
+    onSave({
+      name: name.trim(),
+      matchAll,
+      rules: rules.map(rule => (
+        fieldType(rule.field) === 'number' && rule.value !== '' ? { ...rule, value: Number(rule.value) } : rule
+      )),
+    });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{title}</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Smart crate name"
+            placeholderTextColor={COLORS.textSecondary}
+            value={name}
+            onChangeText={setName}
+          />
+
+          <View style={styles.matchRow}>
+            <Text style={styles.label}>Match</Text>
+            {[true, false].map(option => (
+              <TouchableOpacity
+                key={String(option)}
+                style={[styles.chip, matchAll === option && styles.chipActive]}
+                onPress={() => setMatchAll(option)}
+              >
+                <Text style={[styles.chipText, matchAll === option && styles.chipTextActive]}>
+                  {option ? 'All rules' : 'Any rule'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <ScrollView style={styles.rules} nestedScrollEnabled>
+            {rules.map((rule, index) => (
+              <View key={index} style={styles.rule}>
+                {fieldType(rule.field) ? (
+                  <>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                      {FIELDS.map(field => (
+                        <TouchableOpacity
+                          key={field.value}
+                          style={[styles.chip, rule.field === field.value && styles.chipActive]}
+                          onPress={() => selectField(index, field.value)}
+                        >
+                          <Text style={[styles.chipText, rule.field === field.value && styles.chipTextActive]}>
+                            {field.label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </ScrollView>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                      {OPERATORS[fieldType(rule.field)].map(op => (
+                        <TouchableOpacity
+                          key={op.value}
+                          style={[styles.chip, rule.operator === op.value && styles.chipActive]}
+                          onPress={() => updateRule(index, { operator: op.value })}
+                        >
+                          <Text style={[styles.chipText, rule.operator === op.value && styles.chipTextActive]}>
+                            {op.label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </ScrollView>
+                    <View style={styles.valueRow}>
+                      <TextInput
+                        style={[styles.input, styles.valueInput]}
+                        placeholder={fieldType(rule.field) === 'date' ? 'YYYY-MM-DD' : 'Value'}
+                        placeholderTextColor={COLORS.textSecondary}
+                        keyboardType={fieldType(rule.field) === 'number' ? 'numeric' : 'default'}
+                        value={rule.value}
+                        onChangeText={(value) => updateRule(index, { value })}
+                      />
+                      <RemoveRuleButton onPress={() => setRules(rules.filter((_, i) => i !== index))} />
+                    </View>
+                  </>
+                ) : (
+                  <View style={styles.valueRow}>
+                    <Text style={styles.unsupportedText}>Rule set in Serato (kept as is)</Text>
+                    <RemoveRuleButton onPress={() => setRules(rules.filter((_, i) => i !== index))} />
+                  </View>
+                )}
+              </View>
+            ))}
+
+            <TouchableOpacity style={styles.addRule} onPress={() => setRules([...rules, EMPTY_RULE])}>
+              <Ionicons name="add-circle-outline" size={20} color={COLORS.primary} />
+              <Text style={styles.addRuleText}>Add rule</Text>
+            </TouchableOpacity>
+          </ScrollView>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.buttonCancel]} onPress={onCancel}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.buttonSave]} onPress={handleSave}>
+              <Text style={styles.buttonTextPrimary}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const RemoveRuleButton = ({ onPress }) => (
+  <TouchableOpacity onPress={onPress} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+    <Ionicons name="trash-outline" size={20} color={COLORS.error} />
+  </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.lg,
+  },
+  content: {
+    width: '100%',
+    maxHeight: '90%',
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.lg,
+  },
+  title: {
+    fontSize: FONT_SIZES.xl,
+    fontWeight: 'bold',
+    color: COLORS.text,
+    marginBottom: SPACING.md,
+  },
+  input: {
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    padding: SPACING.md,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.text,
+    marginBottom: SPACING.md,
+  },
+  label: {
+    fontSize: FONT_SIZES.sm,
+    fontWeight: '500',
+    color: COLORS.textSecondary,
+  },
+  matchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  rules: {
+    maxHeight: 360,
+    marginBottom: SPACING.md,
+  },
+  rule: {
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    padding: SPACING.sm,
+    marginBottom: SPACING.sm,
+  },
+  chipRow: {
+    marginBottom: SPACING.sm,
+  },
+  chip: {
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.xs,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    marginRight: SPACING.xs,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  chipTextActive: {
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+  valueRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  valueInput: {
+    flex: 1,
+    marginBottom: 0,
+    padding: SPACING.sm,
+    backgroundColor: COLORS.surface,
+  },
+  unsupportedText: {
+    flex: 1,
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    fontStyle: 'italic',
+  },
+  addRule: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+    paddingVertical: SPACING.sm,
+  },
+  addRuleText: {
+    fontSize: FONT_SIZES.sm,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: SPACING.md,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: SPACING.md,
+    borderRadius: BORDER_RADIUS.md,
+    alignItems: 'center',
+  },
+  buttonCancel: {
+    backgroundColor: COLORS.background,
+  },
+  buttonSave: {
+    backgroundColor: COLORS.primary,
+  },
+  buttonText: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+  },
+  buttonTextPrimary: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+});
+
+export default SmartCrateEditor;
@@ -28,7 +28,7 @@ const TrackItem = ({ track, onPress, onLongPress, isSelected }) => {
             <Text style={styles.metadataText}>{track.bpm} BPM</Text>
           )}
           {track.key && (
-            <Text style={styles.metadataText}>{track.key}</Text>
+            <Text style={styles.metadataText}>{track.keyDisplay || track.key}</Text>
           )}
           {track.duration > 0 && (
             <Text style={styles.metadataText}>
@@ -3,6 +3,28 @@ import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import BPMBadge from './BPMBadge';
 
+/**
+ * Render text with the server's search highlight spans ([start, end) pairs) emphasized
+ */
+const highlightText = (text, spans) => {
+  if (!text || !spans || spans.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+  spans.forEach(([start, end], index) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <Text key={index} style={styles.highlight}>
+        {text.slice(start, end)}
+      </Text>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return parts;
+};
+
 const TrackRow = ({ track, onPress, onLongPress, onMenuPress, isSelected }) => {
   // Format duration from seconds to MM:SS
   const formatDuration = (seconds) => {
@@ -25,14 +47,14 @@ const TrackRow = ({ track, onPress, onLongPress, onMenuPress, isSelected }) => {
       {/* Track Info */}
       <View style={styles.info}>
         <Text style={styles.title} numberOfLines={1}>
-          {track.title}
+          {highlightText(track.title, track.highlights?.title)}
         </Text>
         <Text style={styles.subtitle} numberOfLines={1}>
-          {track.artist || 'Unknown Artist'} · {formatDuration(track.duration)}
+          {track.artist ? highlightText(track.artist, track.highlights?.artist) : 'Unknown Artist'} · {formatDuration(track.duration)}
         </Text>
         {(track.key || track.playCount > 0) && (
           <Text style={styles.metadata}>
-            {track.key && `Key: ${track.key}`}
+            {track.key && `Key: ${track.keyDisplay || track.key}`}
             {track.key && track.playCount > 0 && ' · '}
             {track.playCount > 0 && `Plays: ${track.playCount}`}
           </Text>
@@ -90,6 +112,10 @@ const styles = StyleSheet.create({
     color: '#999999',
     marginBottom: 2,
   },
+  highlight: {
+    color: '#8B5CF6',
+    fontWeight: '700',
+  },
   metadata: {
     fontSize: 12,
     fontWeight: '400',
@@ -15,4 +15,6 @@ export const ENDPOINTS = {
   SEARCH: '/api/search',
   STREAM: '/api/stream',
   ARTWORK: '/api/artwork',
+  HISTORY: '/api/history',
+  STATS: '/api/stats',
 };
@@ -8,21 +8,33 @@ import {
   Alert,
   TouchableOpacity,
   TextInput,
+  Share,
 } from 'react-native';
 import { useActionSheet } from '@expo/react-native-action-sheet';
 import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import { keysEqual } from '@recrate/shared/keys';
 import useStore from '../store/useStore';
+import apiService from '../services/api';
 import TrackRow from '../components/TrackRow';
+import ReorderableTrackList from '../components/ReorderableTrackList';
+import SmartCrateEditor from '../components/SmartCrateEditor';
+import SetBuilderPanel from '../components/SetBuilderPanel';
 
 const CrateDetailScreen = ({ route, navigation }) => {
   const { showActionSheetWithOptions } = useActionSheet();
   const { crateId } = route.params;
-  const { selectedCrate, isLoadingCrates, loadCrate, removeTrackFromCrate } = useStore();
+  const { crates, selectedCrate, isLoadingCrates, loadCrate, removeTrackFromCrate, reorderCrateTracks, updateSmartCrate } = useStore();
   const [isEditMode, setIsEditMode] = useState(false);
+  const [isReorderMode, setIsReorderMode] = useState(false);
   const [selectedTrackIds, setSelectedTrackIds] = useState([]);
   const [sortBy, setSortBy] = useState('title');
   const [sortDirection, setSortDirection] = useState('asc'); // 'asc' or 'desc'
   const [searchQuery, setSearchQuery] = useState('');
+  const [showRulesEditor, setShowRulesEditor] = useState(false);
+  const [showSetBuilder, setShowSetBuilder] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const isSmart = !!selectedCrate?.smart;
+  const hasSubcrates = crates.some(crate => crate.parentId === crateId);
 
   useEffect(() => {
     loadCrate(crateId);
@@ -50,6 +62,8 @@ const CrateDetailScreen = ({ route, navigation }) => {
   };
 
   const handleTrackLongPress = (track) => {
+    // Smart crate tracks come from the rules, so there is nothing to select them for
+    if (isSmart) return;
     if (!isEditMode) {
       setIsEditMode(true);
     }
@@ -71,6 +85,49 @@ const CrateDetailScreen = ({ route, navigation }) => {
     }
   };
 
+  const handleReorderPress = () => {
+    if (!isReorderMode) {
+      // Reordering works on the crate's own order, so drop any search/sort
+      setSearchQuery('');
+      setSortBy('order');
+      setIsEditMode(false);
+      setSelectedTrackIds([]);
+    }
+    setIsReorderMode(!isReorderMode);
+  };
+
+  const handleSaveRules = async ({ name, matchAll, rules }) => {
+    if (!name) {
+      Alert.alert('Error', 'Please enter a crate name');
+      return;
+    }
+
+    const newId = await updateSmartCrate(crateId, { name, matchAll, rules });
+    if (!newId) {
+      Alert.alert('Error', useStore.getState().cratesError || 'Failed to save smart crate');
+      return;
+    }
+
+    setShowRulesEditor(false);
+    if (newId !== crateId) {
+      navigation.setParams({ crateId: newId });
+    }
+  };
+
+  const handlePreviewSet = async (tracks) => {
+    const { setQueue } = useStore.getState();
+    await setQueue(tracks, 0);
+    setShowSetBuilder(false);
+    navigation.navigate('Player', { track: tracks[0] });
+  };
+
+  const handleReorder = async (fromIndex, toIndex) => {
+    const success = await reorderCrateTracks(crateId, fromIndex, toIndex);
+    if (!success) {
+      Alert.alert('Error', 'Failed to reorder crate');
+    }
+  };
+
   const handleRemoveTracks = () => {
     const count = selectedTrackIds.length;
     Alert.alert(
@@ -123,9 +180,9 @@ const CrateDetailScreen = ({ route, navigation }) => {
   };
 
   const handleTrackMenu = (track) => {
-    const options = ['Play Now', 'Remove from Crate', 'Cancel'];
-    const destructiveButtonIndex = 1;
-    const cancelButtonIndex = 2;
+    const options = isSmart ? ['Play Now', 'Cancel'] : ['Play Now', 'Remove from Crate', 'Cancel'];
+    const destructiveButtonIndex = isSmart ? undefined : 1;
+    const cancelButtonIndex = options.length - 1;
 
     showActionSheetWithOptions(
       {
@@ -151,13 +208,58 @@ const CrateDetailScreen = ({ route, navigation }) => {
       (buttonIndex) => {
         if (buttonIndex === 0) {
           handleTrackPress(track);
-        } else if (buttonIndex === 1) {
+        } else if (buttonIndex === destructiveButtonIndex) {
           handleRemoveTrack(track);
         }
       }
     );
   };
 
+  const shareExport = async (options) => {
+    setIsExporting(true);
+    try {
+      const content = await apiService.exportCrate(crateId, options);
+      await Share.share({ title: selectedCrate.name, message: content });
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.error || 'Failed to export crate');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleSharePress = () => {
+    const exports = [
+      { label: 'M3U8 Playlist', options: { format: 'm3u8' } },
+      { label: 'PLS Playlist', options: { format: 'pls' } },
+      { label: 'CSV Track List', options: { format: 'csv' } },
+      ...(hasSubcrates ? [{ label: 'M3U8 with Subcrates', options: { format: 'm3u8', recursive: true } }] : []),
+    ];
+    const options = [...exports.map(item => item.label), 'Cancel'];
+
+    showActionSheetWithOptions(
+      {
+        options,
+        cancelButtonIndex: options.length - 1,
+        title: `Share ${selectedCrate.name}`,
+        containerStyle: {
+          backgroundColor: COLORS.surface,
+        },
+        textStyle: {
+          color: COLORS.text,
+        },
+        titleTextStyle: {
+          color: COLORS.text,
+          fontWeight: 'bold',
+        },
+      },
+      (buttonIndex) => {
+        if (buttonIndex !== undefined && buttonIndex < exports.length) {
+          shareExport(exports[buttonIndex].options);
+        }
+      }
+    );
+  };
+
   const handleSortPress = (field) => {
     if (sortBy === field) {
       // Toggle direction if same field
@@ -178,12 +280,13 @@ const CrateDetailScreen = ({ route, navigation }) => {
       const title = (track.title || '').toLowerCase();
       const artist = (track.artist || '').toLowerCase();
       const album = (track.album || '').toLowerCase();
-      const key = (track.key || '').toLowerCase();
+      const key = (track.keyDisplay || track.key || '').toLowerCase();
 
       return title.includes(query) ||
              artist.includes(query) ||
              album.includes(query) ||
-             key.includes(query);
+             key.includes(query) ||
+             keysEqual(track.key, searchQuery);
     });
   };
 
@@ -194,6 +297,8 @@ const CrateDetailScreen = ({ route, navigation }) => {
       let comparison = 0;
 
       switch (sortBy) {
+        case 'order':
+          return 0; // Crate order as stored by Serato
         case 'title':
           comparison = (a.title || '').localeCompare(b.title || '');
           break;
@@ -252,14 +357,55 @@ const CrateDetailScreen = ({ route, navigation }) => {
                 <Text style={styles.removeButtonText}>Remove</Text>
               </TouchableOpacity>
             )}
-            <TouchableOpacity
-              style={styles.headerButton}
-              onPress={handleEditPress}
-            >
-              <Text style={styles.headerButtonText}>
-                {isEditMode ? 'Cancel' : 'Edit'}
-              </Text>
-            </TouchableOpacity>
+            {!isEditMode && !isReorderMode && selectedCrate.tracks?.length > 1 && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={() => setShowSetBuilder(true)}
+              >
+                <Text style={styles.headerButtonText}>Set</Text>
+              </TouchableOpacity>
+            )}
+            {!isEditMode && !isReorderMode && selectedCrate.tracks?.length > 0 && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={handleSharePress}
+                disabled={isExporting}
+              >
+                {isExporting ? (
+                  <ActivityIndicator size="small" color={COLORS.primary} />
+                ) : (
+                  <Text style={styles.headerButtonText}>Share</Text>
+                )}
+              </TouchableOpacity>
+            )}
+            {isSmart && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={() => setShowRulesEditor(true)}
+              >
+                <Text style={styles.headerButtonText}>Rules</Text>
+              </TouchableOpacity>
+            )}
+            {!isSmart && !isEditMode && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={handleReorderPress}
+              >
+                <Text style={styles.headerButtonText}>
+                  {isReorderMode ? 'Done' : 'Reorder'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {!isSmart && !isReorderMode && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={handleEditPress}
+              >
+                <Text style={styles.headerButtonText}>
+                  {isEditMode ? 'Cancel' : 'Edit'}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
         </View>
       </View>
@@ -285,7 +431,7 @@ const CrateDetailScreen = ({ route, navigation }) => {
 
       {/* Sort Options */}
       <View style={styles.sortContainer}>
-        {['title', 'artist', 'bpm'].map((option) => (
+        {['order', 'title', 'artist', 'bpm'].map((option) => (
           <TouchableOpacity
             key={option}
             style={[
@@ -293,6 +439,7 @@ const CrateDetailScreen = ({ route, navigation }) => {
               sortBy === option && styles.sortButtonActive,
             ]}
             onPress={() => handleSortPress(option)}
+            disabled={isReorderMode}
           >
             <Text
               style={[
@@ -301,7 +448,7 @@ const CrateDetailScreen = ({ route, navigation }) => {
               ]}
             >
               {option.charAt(0).toUpperCase() + option.slice(1)}
-              {sortBy === option && (sortDirection === 'asc' ? ' ↑' : ' ↓')}
+              {sortBy === option && option !== 'order' && (sortDirection === 'asc' ? ' ↑' : ' ↓')}
             </Text>
           </TouchableOpacity>
         ))}
@@ -310,11 +457,19 @@ const CrateDetailScreen = ({ route, navigation }) => {
       {/* Tracks List */}
       {selectedCrate.tracks?.length === 0 ? (
         <View style={styles.emptyContainer}>
-          <Text style={styles.emptyText}>No tracks in this crate</Text>
+          <Text style={styles.emptyText}>
+            {isSmart ? 'No tracks match the rules' : 'No tracks in this crate'}
+          </Text>
           <Text style={styles.emptySubtext}>
-            Add tracks from the library
+            {isSmart ? 'Edit the rules to widen the selection' : 'Add tracks from the library'}
           </Text>
         </View>
+      ) : isReorderMode ? (
+        <ReorderableTrackList
+          tracks={selectedCrate.tracks}
+          onReorder={handleReorder}
+          onPress={() => {}}
+        />
       ) : (
         <FlatList
           data={sortedTracks}
@@ -332,6 +487,23 @@ const CrateDetailScreen = ({ route, navigation }) => {
           contentContainerStyle={styles.list}
         />
       )}
+
+      <SetBuilderPanel
+        visible={showSetBuilder}
+        crate={selectedCrate}
+        onClose={() => setShowSetBuilder(false)}
+        onPreview={handlePreviewSet}
+      />
+
+      {isSmart && (
+        <SmartCrateEditor
+          visible={showRulesEditor}
+          title="Edit Smart Crate"
+          initialCrate={selectedCrate}
+          onSave={handleSaveRules}
+          onCancel={() => setShowRulesEditor(false)}
+        />
+      )}
     </View>
   );
 };
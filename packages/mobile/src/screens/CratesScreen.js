@@ -14,6 +14,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
 import useStore from '../store/useStore';
+import SmartCrateEditor from '../components/SmartCrateEditor';
 
 // Recursive component for rendering crate tree items
 const CrateTreeItem = ({
@@ -57,7 +58,7 @@ const CrateTreeItem = ({
 
         <View style={styles.crateIcon}>
           <Ionicons
-            name={hasChildren ? 'folder' : 'folder-outline'}
+            name={crate.smart ? 'flash-outline' : hasChildren ? 'folder' : 'folder-outline'}
             size={24}
             color="#8B5CF6"
           />
@@ -65,7 +66,7 @@ const CrateTreeItem = ({
         <View style={styles.crateInfo}>
           <Text style={styles.crateName}>{crate.name}</Text>
           <Text style={styles.crateCount}>
-            {crate.trackCount || 0} tracks
+            {crate.smart ? 'Smart · ' : ''}{crate.trackCount || 0} tracks
             {hasChildren ? ` · ${crate.children.length} subcrate${crate.children.length > 1 ? 's' : ''}` : ''}
           </Text>
         </View>
@@ -102,8 +103,11 @@ const CratesScreen = ({ navigation, route }) => {
     isLoadingCrates,
     loadCrates,
     createCrate,
+    createSmartCrate,
+    updateSmartCrate,
     addTracksToCrate,
     deleteCrate,
+    renameCrate,
     toggleCrateExpanded,
     selectedTracks: storeSelectedTracks,
     clearSelection,
@@ -117,6 +121,10 @@ const CratesScreen = ({ navigation, route }) => {
   const [sortDirection, setSortDirection] = useState('asc');
   const [routeSelectedTracks, setRouteSelectedTracks] = useState([]);
   const [retryCount, setRetryCount] = useState(0);
+  const [editingCrate, setEditingCrate] = useState(null); // Crate being renamed/moved
+  const [editName, setEditName] = useState('');
+  const [editParentId, setEditParentId] = useState(null);
+  const [smartEditor, setSmartEditor] = useState(null); // { crate } when editing, {} when creating
 
   // Initial load on mount - handles case where server is still indexing
   useEffect(() => {
@@ -175,8 +183,40 @@ const CratesScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleCreatePress = () => {
+    Alert.alert(
+      'Create',
+      null,
+      [
+        { text: 'Crate', onPress: () => setShowCreateModal(true) },
+        { text: 'Smart Crate', onPress: () => setSmartEditor({}) },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const handleSaveSmartCrate = async ({ name, matchAll, rules }) => {
+    if (!name) {
+      Alert.alert('Error', 'Please enter a crate name');
+      return;
+    }
+
+    const editing = smartEditor.crate;
+    const success = editing
+      ? await updateSmartCrate(editing.id, { name, matchAll, rules })
+      : await createSmartCrate(name, { matchAll, rules });
+
+    if (success) {
+      setSmartEditor(null);
+    } else {
+      Alert.alert('Error', useStore.getState().cratesError || 'Failed to save smart crate');
+    }
+  };
+
   const handleCratePress = (crate) => {
-    if (selectedTracks.length > 0) {
+    if (selectedTracks.length > 0 && crate.smart) {
+      Alert.alert('Smart Crate', `"${crate.name}" fills itself from its rules, so tracks can't be added to it.`);
+    } else if (selectedTracks.length > 0) {
       Alert.alert(
         'Add to Crate',
         `Add ${selectedTracks.length} track(s) to "${crate.name}"?`,
@@ -206,6 +246,59 @@ const CratesScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleCrateLongPress = (crate) => {
+    Alert.alert(
+      crate.name,
+      null,
+      [
+        crate.smart
+          ? { text: 'Edit Rules', onPress: () => setSmartEditor({ crate }) }
+          : { text: 'Rename / Move', onPress: () => openEditModal(crate) },
+        { text: 'Delete', style: 'destructive', onPress: () => handleDeleteCrate(crate) },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const openEditModal = (crate) => {
+    setEditingCrate(crate);
+    setEditName(crate.name);
+    setEditParentId(crate.parentId || null);
+  };
+
+  const closeEditModal = () => {
+    setEditingCrate(null);
+    setEditName('');
+    setEditParentId(null);
+  };
+
+  const handleRenameCrate = async () => {
+    if (!editName.trim()) {
+      Alert.alert('Error', 'Please enter a crate name');
+      return;
+    }
+
+    const success = await renameCrate(editingCrate.id, {
+      name: editName.trim(),
+      parentId: editParentId,
+    });
+    if (success) {
+      closeEditModal();
+    } else {
+      Alert.alert('Error', useStore.getState().cratesError || 'Failed to update crate');
+    }
+  };
+
+  // A crate can't be moved into itself or its own subcrates
+  const moveTargets = useMemo(() => {
+    if (!editingCrate) return [];
+    return crates.filter(crate =>
+      !crate.smart &&
+      crate.fullPath !== editingCrate.fullPath &&
+      !crate.fullPath?.startsWith(`${editingCrate.fullPath}%%`)
+    );
+  }, [crates, editingCrate]);
+
   const handleDeleteCrate = (crate) => {
     Alert.alert(
       'Delete Crate',
@@ -309,7 +402,7 @@ const CratesScreen = ({ navigation, route }) => {
         </View>
         <TouchableOpacity
           style={styles.createButton}
-          onPress={() => setShowCreateModal(true)}
+          onPress={handleCreatePress}
         >
           <Text style={styles.createButtonText}>Create</Text>
         </TouchableOpacity>
@@ -404,7 +497,7 @@ const CratesScreen = ({ navigation, route }) => {
               isExpanded={expandedCrates[crate.id]}
               onToggle={toggleCrateExpanded}
               onPress={handleCratePress}
-              onLongPress={handleDeleteCrate}
+              onLongPress={handleCrateLongPress}
               expandedCrates={expandedCrates}
               selectedTracks={selectedTracks}
             />
@@ -458,7 +551,7 @@ const CratesScreen = ({ navigation, route }) => {
                   Root level (no parent)
                 </Text>
               </TouchableOpacity>
-              {crates.map((crate, index) => (
+              {crates.filter(crate => !crate.smart).map((crate, index) => (
                 <TouchableOpacity
                   key={`${crate.id}-${index}`}
                   style={[
@@ -506,6 +599,101 @@ const CratesScreen = ({ navigation, route }) => {
           </View>
         </View>
       </Modal>
+
+      {/* Rename / Move Crate Modal */}
+      <Modal
+        visible={!!editingCrate}
+        transparent
+        animationType="fade"
+        onRequestClose={closeEditModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Rename / Move Crate</Text>
+            <TextInput
+              style={styles.modalInput}
+              placeholder="Crate name"
+              placeholderTextColor={COLORS.textSecondary}
+              value={editName}
+              onChangeText={setEditName}
+              autoFocus
+            />
+
+            <Text style={styles.modalLabel}>Parent Crate</Text>
+            <ScrollView style={styles.parentPicker} nestedScrollEnabled>
+              <TouchableOpacity
+                style={[
+                  styles.parentPickerItem,
+                  editParentId === null && styles.parentPickerItemSelected,
+                ]}
+                onPress={() => setEditParentId(null)}
+              >
+                <Ionicons
+                  name="home-outline"
+                  size={18}
+                  color={editParentId === null ? COLORS.primary : COLORS.textSecondary}
+                />
+                <Text
+                  style={[
+                    styles.parentPickerText,
+                    editParentId === null && styles.parentPickerTextSelected,
+                  ]}
+                >
+                  Root level (no parent)
+                </Text>
+              </TouchableOpacity>
+              {moveTargets.map((crate, index) => (
+                <TouchableOpacity
+                  key={`${crate.id}-${index}`}
+                  style={[
+                    styles.parentPickerItem,
+                    { paddingLeft: 16 + (crate.depth || 0) * 16 },
+                    editParentId === crate.id && styles.parentPickerItemSelected,
+                  ]}
+                  onPress={() => setEditParentId(crate.id)}
+                >
+                  <Ionicons
+                    name="folder-outline"
+                    size={18}
+                    color={editParentId === crate.id ? COLORS.primary : COLORS.textSecondary}
+                  />
+                  <Text
+                    style={[
+                      styles.parentPickerText,
+                      editParentId === crate.id && styles.parentPickerTextSelected,
+                    ]}
+                  >
+                    {crate.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonCancel]}
+                onPress={closeEditModal}
+              >
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonCreate]}
+                onPress={handleRenameCrate}
+              >
+                <Text style={styles.modalButtonTextPrimary}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      <SmartCrateEditor
+        visible={!!smartEditor}
+        title={smartEditor?.crate ? 'Edit Smart Crate' : 'New Smart Crate'}
+        initialCrate={smartEditor?.crate}
+        onSave={handleSaveSmartCrate}
+        onCancel={() => setSmartEditor(null)}
+      />
     </View>
   );
 };
@@ -0,0 +1,317 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import apiService from '../services/api';
+import useStore from '../store/useStore';
+
+const fileName = (filePath) => filePath.split(/[\\/]/).pop();
+
+const copyDetails = (copy) => [
+  copy.format,
+  copy.bitrate ? `${Math.round(copy.bitrate / 1000)} kbps` : null,
+  copy.duration ? `${Math.floor(copy.duration / 60)}:${String(Math.round(copy.duration % 60)).padStart(2, '0')}` : null,
+].filter(Boolean).join(' · ');
+
+const DuplicateGroup = ({ group, keepPath, onSelect, onReplace, isReplacing }) => {
+  const referenced = group.copies.some(copy => copy.filePath !== keepPath && copy.crates.length > 0);
+
+  return (
+    <View style={styles.group}>
+      <View style={styles.groupHeader}>
+        <View style={styles.groupTitleContainer}>
+          <Text style={styles.groupTitle} numberOfLines={1}>{group.title}</Text>
+          <Text style={styles.groupArtist} numberOfLines={1}>{group.artist}</Text>
+        </View>
+        {group.matchedBy.includes('fingerprint') && (
+          <Ionicons name="finger-print" size={18} color={COLORS.textSecondary} />
+        )}
+      </View>
+
+      {group.copies.map(copy => {
+        const selected = copy.filePath === keepPath;
+        return (
+          <TouchableOpacity key={copy.filePath} style={styles.copyRow} onPress={() => onSelect(copy.filePath)}>
+            <Ionicons
+              name={selected ? 'radio-button-on' : 'radio-button-off'}
+              size={20}
+              color={selected ? COLORS.primary : COLORS.textSecondary}
+            />
+            <View style={styles.copyInfo}>
+              <Text style={styles.copyName} numberOfLines={1}>{fileName(copy.filePath)}</Text>
+              <Text style={styles.copyDetails} numberOfLines={1}>{copyDetails(copy)}</Text>
+              <Text style={styles.copyCrates} numberOfLines={2}>
+                {copy.crates.length > 0
+                  ? copy.crates.map(crate => crate.name.replace(/%%/g, ' / ')).join(', ')
+                  : 'Not in any crate'}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+
+      <TouchableOpacity
+        style={[styles.replaceButton, (!referenced || isReplacing) && styles.replaceButtonDisabled]}
+        onPress={() => onReplace(group)}
+        disabled={!referenced || isReplacing}
+      >
+        {isReplacing ? (
+          <ActivityIndicator size="small" color={COLORS.text} />
+        ) : (
+          <Text style={styles.replaceButtonText}>Use Selected Copy in Crates</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+/**
+ * Duplicate tracks from /api/library/duplicates, with a merge action that points
+ * crates at the chosen copy
+ */
+const DuplicatesScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const loadCrates = useStore(state => state.loadCrates);
+  const [groups, setGroups] = useState(null);
+  const [keepPaths, setKeepPaths] = useState({});
+  const [fingerprint, setFingerprint] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [replacingGroup, setReplacingGroup] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDuplicates = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await apiService.getDuplicates({ fingerprint });
+      setGroups(data.groups);
+      setKeepPaths(Object.fromEntries(data.groups.map(group => [group.copies[0].filePath, group.suggestedKeep])));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fingerprint]);
+
+  useEffect(() => {
+    loadDuplicates();
+  }, [loadDuplicates]);
+
+  const groupKey = (group) => group.copies[0].filePath;
+
+  const handleReplace = (group) => {
+    const keep = keepPaths[groupKey(group)];
+    const replace = group.copies.map(copy => copy.filePath).filter(filePath => filePath !== keep);
+
+    Alert.alert(
+      'Replace References',
+      `Crates holding the other ${replace.length === 1 ? 'copy' : `${replace.length} copies`} will use ${fileName(keep)} instead. The files themselves are not deleted.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Replace',
+          onPress: async () => {
+            setReplacingGroup(groupKey(group));
+            try {
+              const result = await apiService.replaceDuplicateReferences(keep, replace);
+              Alert.alert('Done', result.message);
+              loadCrates();
+              await loadDuplicates();
+            } catch (err) {
+              Alert.alert('Error', err.response?.data?.error || 'Failed to replace references');
+            } finally {
+              setReplacingGroup(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderContent = () => {
+    if (!groups) {
+      return (
+        <View style={styles.loadingContainer}>
+          {error ? (
+            <Text style={styles.loadingText}>{error}</Text>
+          ) : (
+            <>
+              <ActivityIndicator size="large" color={COLORS.primary} />
+              <Text style={styles.loadingText}>
+                {fingerprint ? 'Comparing audio files...' : 'Looking for duplicates...'}
+              </Text>
+            </>
+          )}
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={groups}
+        keyExtractor={groupKey}
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={isLoading} onRefresh={loadDuplicates} tintColor={COLORS.primary} />
+        }
+        ListHeaderComponent={
+          <Text style={styles.summaryText}>
+            {groups.length === 0
+              ? 'No duplicates found'
+              : `${groups.length} songs with ${groups.reduce((sum, group) => sum + group.copies.length, 0)} copies`}
+          </Text>
+        }
+        renderItem={({ item }) => (
+          <DuplicateGroup
+            group={item}
+            keepPath={keepPaths[groupKey(item)]}
+            onSelect={(filePath) => setKeepPaths(paths => ({ ...paths, [groupKey(item)]: filePath }))}
+            onReplace={handleReplace}
+            isReplacing={replacingGroup === groupKey(item)}
+          />
+        )}
+      />
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="chevron-back" size={28} color={COLORS.text} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Duplicates</Text>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => {
+            setGroups(null);
+            setFingerprint(value => !value);
+          }}
+          disabled={isLoading}
+        >
+          <Ionicons name="finger-print" size={24} color={fingerprint ? COLORS.primary : COLORS.textSecondary} />
+        </TouchableOpacity>
+      </View>
+
+      {renderContent()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.sm,
+  },
+  backButton: {
+    padding: SPACING.xs,
+  },
+  headerTitle: {
+    fontSize: FONT_SIZES.lg,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  content: {
+    padding: SPACING.md,
+    paddingBottom: SPACING.xl,
+  },
+  summaryText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.md,
+  },
+  group: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SPACING.sm,
+  },
+  groupTitleContainer: {
+    flex: 1,
+  },
+  groupTitle: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  groupArtist: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  copyRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: SPACING.sm,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: COLORS.border,
+  },
+  copyInfo: {
+    flex: 1,
+    marginLeft: SPACING.sm,
+  },
+  copyName: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.text,
+  },
+  copyDetails: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  copyCrates: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.primary,
+    marginTop: 2,
+  },
+  replaceButton: {
+    marginTop: SPACING.sm,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.primary,
+    alignItems: 'center',
+  },
+  replaceButtonDisabled: {
+    opacity: 0.4,
+  },
+  replaceButtonText: {
+    fontSize: FONT_SIZES.sm,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loadingText: {
+    marginTop: SPACING.md,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.textSecondary,
+  },
+});
+
+export default DuplicatesScreen;
@@ -0,0 +1,191 @@
+import React, { useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import useStore from '../store/useStore';
+
+// Format a session length in seconds as "1h 25m" or "42m"
+const formatSessionDuration = (seconds) => {
+  if (!seconds) return '0m';
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+};
+
+const formatSessionDate = (iso) => {
+  if (!iso) return 'Unknown date';
+  return new Date(iso).toLocaleDateString(undefined, {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatTime = (iso) => {
+  if (!iso) return '';
+  return new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+const HistoryScreen = ({ navigation }) => {
+  const { historySessions, isLoadingHistory, historyError, loadHistorySessions } = useStore();
+
+  // Refresh whenever the tab is opened - Serato adds sessions while the app is running
+  useFocusEffect(
+    useCallback(() => {
+      loadHistorySessions();
+    }, [])
+  );
+
+  const renderSession = ({ item }) => (
+    <TouchableOpacity
+      style={styles.sessionItem}
+      onPress={() => navigation.navigate('HistorySession', { sessionId: item.id })}
+      activeOpacity={0.6}
+    >
+      <View style={styles.sessionIcon}>
+        <Ionicons name="time" size={24} color={COLORS.primary} />
+      </View>
+      <View style={styles.sessionInfo}>
+        <Text style={styles.sessionDate}>{formatSessionDate(item.startTime)}</Text>
+        <Text style={styles.sessionMeta}>
+          {formatTime(item.startTime)} · {formatSessionDuration(item.duration)} · {item.trackCount} tracks
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.title}>History</Text>
+        <Text style={styles.subtitle}>{historySessions.length} sessions</Text>
+      </View>
+
+      {isLoadingHistory && historySessions.length === 0 ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+          <Text style={styles.loadingText}>Loading history...</Text>
+        </View>
+      ) : historySessions.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>
+            {historyError ? 'Could not load history' : 'No sessions yet'}
+          </Text>
+          <Text style={styles.emptySubtext}>
+            {historyError || 'Sets played in Serato show up here'}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={historySessions}
+          keyExtractor={(item) => item.id}
+          renderItem={renderSession}
+          contentContainerStyle={styles.list}
+          refreshControl={
+            <RefreshControl
+              refreshing={isLoadingHistory}
+              onRefresh={loadHistorySessions}
+              tintColor={COLORS.primary}
+            />
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    gap: SPACING.sm,
+    padding: SPACING.md,
+  },
+  title: {
+    fontSize: FONT_SIZES.xl,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  subtitle: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  list: {
+    paddingBottom: SPACING.xl,
+  },
+  sessionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.md,
+    paddingHorizontal: SPACING.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  sessionIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: SPACING.md,
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  sessionDate: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  sessionMeta: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loadingText: {
+    marginTop: SPACING.md,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.textSecondary,
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: SPACING.xl,
+  },
+  emptyText: {
+    fontSize: FONT_SIZES.lg,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SPACING.sm,
+  },
+  emptySubtext: {
+    fontSize: FONT_SIZES.md,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default HistoryScreen;
@@ -0,0 +1,431 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import useStore from '../store/useStore';
+
+const formatTime = (iso) => {
+  if (!iso) return '--:--';
+  return new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+const HistorySessionScreen = ({ route, navigation }) => {
+  const { sessionId } = route.params;
+  const { selectedSession, isLoadingHistory, historyError, loadHistorySession, crates, createCrateFromSession } = useStore();
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [crateName, setCrateName] = useState('');
+  const [parentId, setParentId] = useState(null);
+
+  useEffect(() => {
+    loadHistorySession(sessionId);
+  }, [sessionId]);
+
+  // Only entries that resolve to a library track can be played
+  const playableTracks = useMemo(
+    () => (selectedSession?.tracks || []).filter(entry => entry.resolved).map(entry => entry.track),
+    [selectedSession]
+  );
+
+  // Queue the set in played order, starting from the chosen entry
+  const playFrom = async (entry) => {
+    if (!entry.resolved) return;
+    const index = playableTracks.findIndex(track => track.id === entry.trackId);
+    const { setQueue } = useStore.getState();
+    await setQueue(playableTracks, Math.max(index, 0));
+    navigation.navigate('Player', { track: entry.track });
+  };
+
+  const handlePlaySet = () => {
+    const first = selectedSession.tracks.find(entry => entry.resolved);
+    if (first) {
+      playFrom(first);
+    }
+  };
+
+  const handleSaveAsCrate = async () => {
+    setShowSaveModal(false);
+    // Leaving the name empty lets the server name the crate after the session date
+    const result = await createCrateFromSession(sessionId, crateName.trim() || undefined, parentId);
+    if (!result) {
+      Alert.alert('Error', useStore.getState().historyError || 'Failed to create crate');
+      return;
+    }
+
+    const notes = [];
+    if (result.unresolved.length > 0) {
+      notes.push(`${result.unresolved.length} not in library:\n${result.unresolved.map(e => `• ${e.artist} - ${e.title}`).join('\n')}`);
+    }
+    if (result.repeated.length > 0) {
+      notes.push(`${result.repeated.length} repeat plays skipped`);
+    }
+    Alert.alert(
+      'Crate Created',
+      [`"${result.crate.name}" has ${result.added} tracks`, ...notes].join('\n\n')
+    );
+    setCrateName('');
+    setParentId(null);
+  };
+
+  if (isLoadingHistory || !selectedSession || selectedSession.id !== sessionId) {
+    return (
+      <View style={styles.loadingContainer}>
+        {historyError ? (
+          <Text style={styles.loadingText}>{historyError}</Text>
+        ) : (
+          <>
+            <ActivityIndicator size="large" color={COLORS.primary} />
+            <Text style={styles.loadingText}>Loading session...</Text>
+          </>
+        )}
+      </View>
+    );
+  }
+
+  const unresolvedCount = selectedSession.tracks.length - playableTracks.length;
+
+  const renderEntry = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.entry, !item.resolved && styles.entryUnresolved]}
+      onPress={() => playFrom(item)}
+      disabled={!item.resolved}
+      activeOpacity={0.6}
+    >
+      <Text style={styles.position}>{item.position + 1}</Text>
+      <View style={styles.entryInfo}>
+        <Text style={styles.entryTitle} numberOfLines={1}>
+          {item.title || item.filePath}
+        </Text>
+        <Text style={styles.entryArtist} numberOfLines={1}>
+          {item.artist || 'Unknown Artist'}
+        </Text>
+        <Text style={styles.entryMeta}>
+          {formatTime(item.startTime)} – {formatTime(item.endTime)}
+          {item.deck ? ` · Deck ${item.deck}` : ''}
+        </Text>
+      </View>
+      <Ionicons
+        name={item.resolved ? 'checkmark-circle' : 'alert-circle'}
+        size={20}
+        color={item.resolved ? COLORS.success : COLORS.warning}
+      />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <View style={styles.headerInfo}>
+          <Text style={styles.title}>
+            {new Date(selectedSession.startTime).toLocaleDateString(undefined, {
+              weekday: 'short',
+              month: 'short',
+              day: 'numeric',
+            })}
+          </Text>
+          <Text style={styles.subtitle}>
+            {selectedSession.tracks.length} tracks
+            {unresolvedCount > 0 ? ` · ${unresolvedCount} not in library` : ''}
+          </Text>
+        </View>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity
+            style={[styles.saveButton, playableTracks.length === 0 && styles.playButtonDisabled]}
+            onPress={() => setShowSaveModal(true)}
+            disabled={playableTracks.length === 0}
+          >
+            <Ionicons name="albums-outline" size={16} color={COLORS.text} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.playButton, playableTracks.length === 0 && styles.playButtonDisabled]}
+            onPress={handlePlaySet}
+            disabled={playableTracks.length === 0}
+          >
+            <Ionicons name="play" size={16} color={COLORS.text} />
+            <Text style={styles.playButtonText}>Play Set</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <FlatList
+        data={selectedSession.tracks}
+        keyExtractor={(item) => String(item.position)}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>No tracks were played in this session</Text>
+          </View>
+        }
+      />
+
+      {/* Save as Crate Modal */}
+      <Modal
+        visible={showSaveModal}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowSaveModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Save Set as Crate</Text>
+            <TextInput
+              style={styles.modalInput}
+              placeholder="Crate name (defaults to the date)"
+              placeholderTextColor={COLORS.textSecondary}
+              value={crateName}
+              onChangeText={setCrateName}
+            />
+
+            <Text style={styles.modalLabel}>Parent Crate (optional)</Text>
+            <ScrollView style={styles.parentPicker} nestedScrollEnabled>
+              {[{ id: null, name: 'Root level (no parent)', depth: 0 }, ...crates.filter(crate => !crate.smart)].map(crate => (
+                <TouchableOpacity
+                  key={crate.id || 'root'}
+                  style={[
+                    styles.parentPickerItem,
+                    { paddingLeft: 16 + (crate.depth || 0) * 16 },
+                    parentId === crate.id && styles.parentPickerItemSelected,
+                  ]}
+                  onPress={() => setParentId(crate.id)}
+                >
+                  <Ionicons
+                    name={crate.id ? 'folder-outline' : 'home-outline'}
+                    size={18}
+                    color={parentId === crate.id ? COLORS.primary : COLORS.textSecondary}
+                  />
+                  <Text style={[styles.parentPickerText, parentId === crate.id && styles.parentPickerTextSelected]}>
+                    {crate.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonCancel]}
+                onPress={() => setShowSaveModal(false)}
+              >
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonCreate]}
+                onPress={handleSaveAsCrate}
+              >
+                <Text style={styles.modalButtonTextPrimary}>Create</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: SPACING.md,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: FONT_SIZES.xl,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  subtitle: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  headerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  saveButton: {
+    padding: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+  },
+  playButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.primary,
+  },
+  playButtonDisabled: {
+    opacity: 0.4,
+  },
+  playButtonText: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  list: {
+    paddingBottom: SPACING.xl,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    paddingHorizontal: SPACING.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  entryUnresolved: {
+    opacity: 0.5,
+  },
+  position: {
+    width: 32,
+    fontSize: FONT_SIZES.sm,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+  },
+  entryInfo: {
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  entryTitle: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  entryArtist: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  entryMeta: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.background,
+  },
+  loadingText: {
+    marginTop: SPACING.md,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.textSecondary,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingTop: SPACING.xl,
+    paddingHorizontal: SPACING.xl,
+  },
+  emptyText: {
+    fontSize: FONT_SIZES.md,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xl,
+  },
+  modalContent: {
+    width: '100%',
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.lg,
+  },
+  modalTitle: {
+    fontSize: FONT_SIZES.xl,
+    fontWeight: 'bold',
+    color: COLORS.text,
+    marginBottom: SPACING.lg,
+  },
+  modalInput: {
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    padding: SPACING.md,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.text,
+    marginBottom: SPACING.lg,
+  },
+  modalLabel: {
+    fontSize: FONT_SIZES.sm,
+    fontWeight: '500',
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
+  parentPicker: {
+    maxHeight: 150,
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    marginBottom: SPACING.lg,
+  },
+  parentPickerItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    paddingHorizontal: SPACING.md,
+    gap: SPACING.sm,
+  },
+  parentPickerItemSelected: {
+    backgroundColor: 'rgba(139, 92, 246, 0.15)',
+  },
+  parentPickerText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  parentPickerTextSelected: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    gap: SPACING.md,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: SPACING.md,
+    borderRadius: BORDER_RADIUS.md,
+    alignItems: 'center',
+  },
+  modalButtonCancel: {
+    backgroundColor: COLORS.background,
+  },
+  modalButtonCreate: {
+    backgroundColor: COLORS.primary,
+  },
+  modalButtonText: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+  },
+  modalButtonTextPrimary: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+});
+
+export default HistorySessionScreen;
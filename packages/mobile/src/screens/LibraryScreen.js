@@ -13,6 +13,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useActionSheet } from '@expo/react-native-action-sheet';
 import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import { compareKeys } from '@recrate/shared/keys';
 import useStore from '../store/useStore';
 import TrackRow from '../components/TrackRow';
 import FilterModal from '../components/FilterModal';
@@ -35,11 +36,19 @@ const LibraryScreen = ({ navigation }) => {
     playTrack,
     searchQuery,
     searchResults,
+    isSearching,
+    searchError,
+    searchPagination,
     search,
+    loadMoreSearchResults,
     clearSearch,
     stopIndexingPoll,
     isFilterActive,
+    filterResults,
+    filterPagination,
+    isLoadingFiltered,
     getFilteredTracks,
+    loadMoreFilteredTracks,
     toggleFilterDrawer,
   } = useStore();
 
@@ -181,7 +190,8 @@ const LibraryScreen = ({ navigation }) => {
           comparison = (a.bpm || 0) - (b.bpm || 0);
           break;
         case 'key':
-          comparison = (a.key || '').localeCompare(b.key || '');
+          // Wheel order (1A, 1B, 2A...) whatever notation each key is tagged in
+          comparison = compareKeys(a.key, b.key);
           break;
         default:
           return 0;
@@ -289,8 +299,17 @@ const LibraryScreen = ({ navigation }) => {
       isLoadingLibrary,
     });
 
-    // Only trigger pagination for library view, not search results
-    if (!searchQuery && libraryPagination.hasMore && !isLoadingLibrary) {
+    // Search and server-side filter results page separately from the library
+    if (searchQuery) {
+      loadMoreSearchResults();
+      return;
+    }
+    if (isFilterActive && filterResults) {
+      loadMoreFilteredTracks();
+      return;
+    }
+
+    if (libraryPagination.hasMore && !isLoadingLibrary) {
       console.log('[handleEndReached] Calling loadMoreTracks');
       loadMoreTracks();
     }
@@ -298,7 +317,12 @@ const LibraryScreen = ({ navigation }) => {
 
   const renderFooter = () => {
     // Only show loading spinner when actually loading more tracks
-    if (!isLoadingLibrary || !libraryPagination.hasMore || searchQuery) {
+    const isLoadingMore = searchQuery
+      ? isSearching && searchResults.length > 0 && searchPagination.hasMore
+      : isFilterActive && filterResults
+        ? isLoadingFiltered
+        : isLoadingLibrary && libraryPagination.hasMore;
+    if (!isLoadingMore) {
       return null;
     }
 
@@ -317,8 +341,12 @@ const LibraryScreen = ({ navigation }) => {
         <View style={styles.headerTop}>
           <Text style={styles.title}>Library</Text>
           <Text style={styles.trackCount}>
-            {isFilterActive
-              ? `${displayTracks.length} of ${tracks.length} tracks`
+            {searchQuery && searchPagination.total > searchResults.length
+              ? `${searchResults.length} of ${searchPagination.total} results`
+              : isFilterActive
+              ? `${filterResults ? filterPagination.total : displayTracks.length} of ${
+                  libraryPagination.total || tracks.length
+                } tracks`
               : `${tracks.length}${
                   libraryPagination.total > 0 && libraryPagination.total !== tracks.length
                     ? ` of ${libraryPagination.total}`
@@ -326,6 +354,12 @@ const LibraryScreen = ({ navigation }) => {
                 } tracks`}
           </Text>
           <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.identifyButton}
+              onPress={() => navigation.navigate('Stats')}
+            >
+              <Ionicons name="stats-chart" size={20} color={COLORS.primary} />
+            </TouchableOpacity>
             <TouchableOpacity
               style={styles.identifyButton}
               onPress={() => navigation.navigate('IdentifyTrack')}
@@ -353,7 +387,9 @@ const LibraryScreen = ({ navigation }) => {
       <View style={styles.searchContainer}>
         <TextInput
           style={styles.searchInput}
-          placeholder="Search tracks..."
+          placeholder="Search, e.g. bpm:120-128 key:8A"
+          autoCapitalize="none"
+          autoCorrect={false}
           placeholderTextColor={COLORS.textSecondary}
           value={searchQuery}
           onChangeText={search}
@@ -367,6 +403,9 @@ const LibraryScreen = ({ navigation }) => {
           </TouchableOpacity>
         )}
       </View>
+      {searchError && searchQuery !== '' && (
+        <Text style={styles.searchError}>{searchError}</Text>
+      )}
 
       {/* Sort Options */}
       <View style={styles.sortContainer}>
@@ -626,6 +665,12 @@ const styles = StyleSheet.create({
     fontSize: FONT_SIZES.lg,
     color: COLORS.textSecondary,
   },
+  searchError: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.error,
+    paddingHorizontal: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
   sortContainer: {
     flexDirection: 'row',
     paddingHorizontal: SPACING.md,
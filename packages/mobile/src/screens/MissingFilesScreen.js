@@ -0,0 +1,292 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import apiService from '../services/api';
+import useStore from '../store/useStore';
+
+const fileName = (filePath) => filePath.split(/[\\/]/).pop();
+
+const confidenceColor = (confidence) => {
+  if (confidence >= 0.8) return COLORS.success;
+  if (confidence >= 0.5) return COLORS.warning;
+  return COLORS.textSecondary;
+};
+
+const MissingEntry = ({ entry, onRelink, isRelinking }) => (
+  <View style={styles.entry}>
+    <Text style={styles.entryTitle} numberOfLines={1}>
+      {entry.title ? `${entry.artist ? `${entry.artist} - ` : ''}${entry.title}` : fileName(entry.filePath)}
+    </Text>
+    <Text style={styles.entryPath} numberOfLines={2}>{entry.filePath}</Text>
+    <Text style={styles.entryCrates} numberOfLines={2}>
+      {entry.crates.length > 0
+        ? `In ${entry.crates.map(crate => crate.name.replace(/%%/g, ' / ')).join(', ')}`
+        : 'Only in the Serato database'}
+    </Text>
+    {entry.ambiguous && (
+      <Text style={styles.ambiguousText}>Several files match equally well - pick the right one</Text>
+    )}
+
+    {entry.candidates.length === 0 ? (
+      <Text style={styles.noCandidates}>No possible matches found</Text>
+    ) : (
+      entry.candidates.map(candidate => (
+        <TouchableOpacity
+          key={candidate.path}
+          style={styles.candidateRow}
+          onPress={() => onRelink(entry, candidate)}
+          disabled={isRelinking}
+        >
+          <Text style={[styles.confidence, { color: confidenceColor(candidate.confidence) }]}>
+            {Math.round(candidate.confidence * 100)}%
+          </Text>
+          <View style={styles.candidateInfo}>
+            <Text style={styles.candidateName} numberOfLines={1}>{fileName(candidate.path)}</Text>
+            <Text style={styles.candidatePath} numberOfLines={1}>{candidate.path}</Text>
+          </View>
+          {isRelinking ? (
+            <ActivityIndicator size="small" color={COLORS.primary} />
+          ) : (
+            <Ionicons name="link" size={18} color={COLORS.primary} />
+          )}
+        </TouchableOpacity>
+      ))
+    )}
+  </View>
+);
+
+/**
+ * Files the Serato database or crates refer to that are gone, from /api/library/missing,
+ * with candidate matches to relink them to
+ */
+const MissingFilesScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const loadCrates = useStore(state => state.loadCrates);
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [relinkingPath, setRelinkingPath] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadMissing = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setData(await apiService.getMissingTracks(500));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMissing();
+  }, [loadMissing]);
+
+  const handleRelink = (entry, candidate) => {
+    Alert.alert(
+      'Relink File',
+      `Use ${fileName(candidate.path)} for ${fileName(entry.filePath)}${entry.crates.length > 0 ? ` in ${entry.crates.length} ${entry.crates.length === 1 ? 'crate' : 'crates'}` : ''}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Relink',
+          onPress: async () => {
+            setRelinkingPath(entry.filePath);
+            try {
+              await apiService.relinkMissingTrack(entry.filePath, candidate.path);
+              loadCrates();
+              await loadMissing();
+            } catch (err) {
+              Alert.alert('Error', err.response?.data?.error || 'Failed to relink file');
+            } finally {
+              setRelinkingPath(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderContent = () => {
+    if (!data) {
+      return (
+        <View style={styles.loadingContainer}>
+          {error ? (
+            <Text style={styles.loadingText}>{error}</Text>
+          ) : (
+            <>
+              <ActivityIndicator size="large" color={COLORS.primary} />
+              <Text style={styles.loadingText}>Looking for missing files...</Text>
+            </>
+          )}
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={data.missing}
+        keyExtractor={entry => entry.filePath}
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={isLoading} onRefresh={loadMissing} tintColor={COLORS.primary} />
+        }
+        ListHeaderComponent={
+          <>
+            {data.indexing && (
+              <Text style={styles.indexingText}>Library is being indexed - the list may be incomplete</Text>
+            )}
+            <Text style={styles.summaryText}>
+              {data.pagination.total === 0
+                ? 'No missing files'
+                : `${data.pagination.total} missing files (${data.databaseEntries} in the database, ${data.crateEntries} crate entries)`}
+            </Text>
+          </>
+        }
+        renderItem={({ item }) => (
+          <MissingEntry
+            entry={item}
+            onRelink={handleRelink}
+            isRelinking={relinkingPath === item.filePath}
+          />
+        )}
+      />
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="chevron-back" size={28} color={COLORS.text} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Missing Files</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {renderContent()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.sm,
+  },
+  backButton: {
+    padding: SPACING.xs,
+  },
+  headerTitle: {
+    fontSize: FONT_SIZES.lg,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  headerSpacer: {
+    width: 44, // Same as back button for centering
+  },
+  content: {
+    padding: SPACING.md,
+    paddingBottom: SPACING.xl,
+  },
+  indexingText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.warning,
+    marginBottom: SPACING.sm,
+  },
+  summaryText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.md,
+  },
+  entry: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  entryTitle: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  entryPath: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  entryCrates: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.primary,
+    marginTop: SPACING.xs,
+  },
+  ambiguousText: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.warning,
+    marginTop: SPACING.xs,
+  },
+  noCandidates: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    fontStyle: 'italic',
+    marginTop: SPACING.sm,
+  },
+  candidateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    marginTop: SPACING.xs,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: COLORS.border,
+  },
+  confidence: {
+    width: 44,
+    fontSize: FONT_SIZES.sm,
+    fontWeight: '600',
+  },
+  candidateInfo: {
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  candidateName: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.text,
+  },
+  candidatePath: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loadingText: {
+    marginTop: SPACING.md,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.textSecondary,
+  },
+});
+
+export default MissingFilesScreen;
@@ -18,16 +18,23 @@ import { useProgress } from 'react-native-track-player';
 import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
 import useStore from '../store/useStore';
 import { apiService } from '../services/api';
+import MixNextPanel from '../components/MixNextPanel';
 
 const { width } = Dimensions.get('window');
+const CUE_MARKER_SIZE = 16;
 
 const PlayerScreen = ({ route, navigation }) => {
   const { track: initialTrack } = route.params || {};
   const [showCratesModal, setShowCratesModal] = useState(false);
   const [selectedCrates, setSelectedCrates] = useState([]);
   const [isAddingToCrates, setIsAddingToCrates] = useState(false);
+  const [crateTrackIds, setCrateTrackIds] = useState(null); // Tracks to add instead of the current one
+  const [showMixNext, setShowMixNext] = useState(false);
   const [isSeeking, setIsSeeking] = useState(false);
   const [seekPosition, setSeekPosition] = useState(0);
+  const [cues, setCues] = useState([]);
+  const [loops, setLoops] = useState([]);
+  const [scrubberWidth, setScrubberWidth] = useState(0);
 
   // Get real playback progress from TrackPlayer
   const { position, duration } = useProgress();
@@ -51,6 +58,9 @@ const PlayerScreen = ({ route, navigation }) => {
     toggleShuffle,
     repeatMode,
     shuffleEnabled,
+    activeLoop,
+    startLoop,
+    stopLoop,
   } = useStore();
 
   // Use currentTrack from store if available, otherwise use initial track from params
@@ -67,6 +77,8 @@ const PlayerScreen = ({ route, navigation }) => {
   useEffect(() => {
     if (showCratesModal) {
       loadCrates();
+    } else {
+      setCrateTrackIds(null);
     }
   }, [showCratesModal]);
 
@@ -80,6 +92,30 @@ const PlayerScreen = ({ route, navigation }) => {
     }
   }, [initialTrack?.id]);
 
+  // Load Serato hot cues and saved loops for the cue buttons and scrubber markers
+  useEffect(() => {
+    let cancelled = false;
+    setCues([]);
+    setLoops([]);
+
+    if (track?.id) {
+      apiService.getTrackCues(track.id)
+        .then((data) => {
+          if (!cancelled) {
+            setCues(data.cues || []);
+            setLoops(data.loops || []);
+          }
+        })
+        .catch((error) => {
+          console.warn('Failed to load cues:', error.message);
+        });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [track?.id]);
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
@@ -106,6 +142,28 @@ const PlayerScreen = ({ route, navigation }) => {
     setIsSeeking(false);
   };
 
+  const handleJumpToCue = async (cue) => {
+    if (!isCurrentTrack) {
+      await playTrack(track);
+    }
+    stopLoop();
+    await seekTo(cue.position);
+  };
+
+  const handleToggleLoop = async (loop) => {
+    if (activeLoop?.trackId === track.id && activeLoop.index === loop.index) {
+      stopLoop();
+      return;
+    }
+    if (!isCurrentTrack) {
+      await playTrack(track);
+    }
+    await startLoop(track.id, loop);
+  };
+
+  // Scrubber x-offset for a position in seconds
+  const markerOffset = (seconds) => (seconds / duration) * (scrubberWidth - CUE_MARKER_SIZE);
+
   const handlePrevious = () => {
     playPrevious();
   };
@@ -122,7 +180,7 @@ const PlayerScreen = ({ route, navigation }) => {
     setIsAddingToCrates(true);
 
     for (const crateId of selectedCrates) {
-      await addTracksToCrate(crateId, [track.id]);
+      await addTracksToCrate(crateId, crateTrackIds || [track.id]);
     }
 
     setIsAddingToCrates(false);
@@ -130,6 +188,13 @@ const PlayerScreen = ({ route, navigation }) => {
     setSelectedCrates([]);
   };
 
+  // Add Mix Next suggestions to crates with the regular crate picker
+  const handleAddSuggestionsToCrate = (trackIds) => {
+    setShowMixNext(false);
+    setShowCratesModal(true);
+    setCrateTrackIds(trackIds);
+  };
+
   const toggleCrateSelection = (crateId) => {
     if (selectedCrates.includes(crateId)) {
       setSelectedCrates(selectedCrates.filter(id => id !== crateId));
@@ -282,7 +347,7 @@ const PlayerScreen = ({ route, navigation }) => {
             {track.key && (
               <View style={styles.metadataItem}>
                 <Text style={[styles.metadataValue, { color: '#EC4899' }]}>
-                  {track.key}
+                  {track.keyDisplay || track.key}
                 </Text>
               </View>
             )}
@@ -292,6 +357,45 @@ const PlayerScreen = ({ route, navigation }) => {
 
       {/* Progress Bar */}
       <View style={styles.progressContainer}>
+        {/* Hot cue and saved loop markers */}
+        <View
+          style={styles.cueMarkers}
+          onLayout={(e) => setScrubberWidth(e.nativeEvent.layout.width)}
+        >
+          {scrubberWidth > 0 && duration > 0 && loops
+            .filter(loop => loop.start < duration)
+            .map(loop => (
+              <View
+                key={`loop-${loop.index}`}
+                style={[
+                  styles.loopMarker,
+                  {
+                    left: markerOffset(loop.start) + CUE_MARKER_SIZE / 2,
+                    width: Math.max(2, markerOffset(Math.min(loop.end, duration)) - markerOffset(loop.start)),
+                    backgroundColor: loop.color || COLORS.primary,
+                  },
+                ]}
+              />
+            ))}
+          {scrubberWidth > 0 && duration > 0 && cues
+            .filter(cue => cue.position <= duration)
+            .map(cue => (
+              <TouchableOpacity
+                key={cue.index}
+                style={[
+                  styles.cueMarker,
+                  {
+                    left: markerOffset(cue.position),
+                    backgroundColor: cue.color || COLORS.primary,
+                  },
+                ]}
+                onPress={() => handleJumpToCue(cue)}
+                hitSlop={{ top: 8, bottom: 8, left: 4, right: 4 }}
+              >
+                <Text style={styles.cueMarkerText}>{cue.index + 1}</Text>
+              </TouchableOpacity>
+            ))}
+        </View>
         <Slider
           style={styles.slider}
           minimumValue={0}
@@ -309,6 +413,45 @@ const PlayerScreen = ({ route, navigation }) => {
         </View>
       </View>
 
+      {/* Hot cue and saved loop buttons */}
+      {(cues.length > 0 || loops.length > 0) && (
+        <View style={styles.cueButtons}>
+          {cues.map(cue => (
+            <TouchableOpacity
+              key={`cue-${cue.index}`}
+              style={[styles.cueButton, { borderColor: cue.color || COLORS.primary }]}
+              onPress={() => handleJumpToCue(cue)}
+            >
+              <View style={[styles.cueButtonSwatch, { backgroundColor: cue.color || COLORS.primary }]}>
+                <Text style={styles.cueMarkerText}>{cue.index + 1}</Text>
+              </View>
+              <Text style={styles.cueButtonLabel} numberOfLines={1}>
+                {cue.name || formatTime(cue.position)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {loops.map(loop => {
+            const isActive = activeLoop?.trackId === track.id && activeLoop.index === loop.index;
+            return (
+              <TouchableOpacity
+                key={`loop-${loop.index}`}
+                style={[
+                  styles.cueButton,
+                  { borderColor: loop.color || COLORS.primary },
+                  isActive && { backgroundColor: loop.color || COLORS.primary },
+                ]}
+                onPress={() => handleToggleLoop(loop)}
+              >
+                <Ionicons name="repeat" size={14} color="#FFFFFF" />
+                <Text style={styles.cueButtonLabel} numberOfLines={1}>
+                  {loop.name || `${formatTime(loop.start)}–${formatTime(loop.end)}`}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
       {/* Playback Controls */}
       <View style={styles.controls}>
         <TouchableOpacity
@@ -360,6 +503,22 @@ const PlayerScreen = ({ route, navigation }) => {
         </TouchableOpacity>
       </View>
 
+      {/* Mix Next */}
+      <TouchableOpacity
+        style={styles.mixNextButton}
+        onPress={() => setShowMixNext(true)}
+      >
+        <Ionicons name="git-branch-outline" size={18} color="#FFFFFF" />
+        <Text style={styles.mixNextButtonText}>Mix Next</Text>
+      </TouchableOpacity>
+
+      <MixNextPanel
+        visible={showMixNext}
+        track={track}
+        onClose={() => setShowMixNext(false)}
+        onAddToCrate={handleAddSuggestionsToCrate}
+      />
+
       {/* Crates Selection Modal */}
       <Modal
         visible={showCratesModal}
@@ -379,7 +538,9 @@ const PlayerScreen = ({ route, navigation }) => {
             </View>
 
             <Text style={styles.modalSubtitle}>
-              Select one or more crates
+              {crateTrackIds
+                ? `Add ${crateTrackIds.length} suggested track${crateTrackIds.length !== 1 ? 's' : ''} to one or more crates`
+                : 'Select one or more crates'}
             </Text>
 
             <View style={styles.cratesListContainer}>
@@ -545,6 +706,62 @@ const styles = StyleSheet.create({
     width: '100%',
     height: 40,
   },
+  cueMarkers: {
+    height: CUE_MARKER_SIZE,
+    marginHorizontal: SPACING.md,
+  },
+  cueMarker: {
+    position: 'absolute',
+    top: 0,
+    width: CUE_MARKER_SIZE,
+    height: CUE_MARKER_SIZE,
+    borderRadius: 3,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loopMarker: {
+    position: 'absolute',
+    top: CUE_MARKER_SIZE / 2 - 2,
+    height: 4,
+    borderRadius: 2,
+    opacity: 0.6,
+  },
+  cueButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    paddingHorizontal: SPACING.xl,
+    marginBottom: SPACING.md,
+    gap: SPACING.xs,
+  },
+  cueButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: (width - SPACING.xl * 2) / 2 - SPACING.xs,
+    paddingVertical: SPACING.xs,
+    paddingHorizontal: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    gap: SPACING.xs,
+  },
+  cueButtonSwatch: {
+    width: CUE_MARKER_SIZE,
+    height: CUE_MARKER_SIZE,
+    borderRadius: 3,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cueButtonLabel: {
+    flexShrink: 1,
+    fontSize: FONT_SIZES.sm,
+    color: '#FFFFFF',
+  },
+  cueMarkerText: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
   timeContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -562,6 +779,22 @@ const styles = StyleSheet.create({
     marginBottom: SPACING.xl,
     gap: SPACING.lg,
   },
+  mixNextButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    gap: SPACING.xs,
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.sm,
+    borderRadius: 20,
+    backgroundColor: 'rgba(139, 92, 246, 0.2)',
+    marginBottom: SPACING.lg,
+  },
+  mixNextButtonText: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
   controlButton: {
     width: 44,
     height: 44,
@@ -15,6 +15,13 @@ import apiService from '../services/api';
 import useStore from '../store/useStore';
 import ACRCloudService from '../services/ACRCloudService';
 
+const KEY_NOTATION_OPTIONS = [
+  { value: 'original', label: 'As tagged' },
+  { value: 'camelot', label: 'Camelot', example: '8A' },
+  { value: 'openKey', label: 'Open Key', example: '1m' },
+  { value: 'musical', label: 'Musical', example: 'Am' },
+];
+
 const SettingsScreen = ({ navigation }) => {
   const [installations, setInstallations] = useState([]);
   const [currentSeratoPath, setCurrentSeratoPath] = useState('');
@@ -30,6 +37,9 @@ const SettingsScreen = ({ navigation }) => {
   // ACRCloud settings (now server-side)
   const [hasACRCredentials, setHasACRCredentials] = useState(false);
 
+  // How the server shows track keys
+  const [keyNotation, setKeyNotation] = useState('original');
+
   const { resetLibrary, loadLibrary } = useStore();
 
   useEffect(() => {
@@ -62,6 +72,7 @@ const SettingsScreen = ({ navigation }) => {
       const config = await apiService.getConfig();
       setCurrentSeratoPath(config.seratoPath || '');
       setManualSeratoPath(config.seratoPath || '');
+      setKeyNotation(config.keyNotation || 'original');
       setManualMusicPath(
         config.musicPaths && config.musicPaths.length > 0
           ? config.musicPaths[0]
@@ -72,6 +83,23 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  const changeKeyNotation = async (notation) => {
+    if (notation === keyNotation) return;
+
+    const previous = keyNotation;
+    setKeyNotation(notation);
+    try {
+      await apiService.updateConfig({ keyNotation: notation });
+      // Reload so tracks come back with keys in the new notation
+      resetLibrary();
+      await loadLibrary();
+    } catch (error) {
+      console.error('Error updating key notation:', error);
+      setKeyNotation(previous);
+      Alert.alert('Error', 'Could not change the key notation. Check server connection.');
+    }
+  };
+
   const scanForLibraries = async () => {
     try {
       setIsScanning(true);
@@ -339,6 +367,36 @@ const SettingsScreen = ({ navigation }) => {
           )}
         </View>
 
+        {/* Key Notation */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Key Notation</Text>
+          <Text style={styles.notationHint}>
+            How keys are shown. Filters and sorting match keys in any notation.
+          </Text>
+          <View style={styles.notationOptions}>
+            {KEY_NOTATION_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[
+                  styles.notationOption,
+                  keyNotation === option.value && styles.notationOptionActive,
+                ]}
+                onPress={() => changeKeyNotation(option.value)}
+              >
+                <Text
+                  style={[
+                    styles.notationOptionText,
+                    keyNotation === option.value && styles.notationOptionTextActive,
+                  ]}
+                >
+                  {option.label}
+                  {option.example ? ` (${option.example})` : ''}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
         {/* ACRCloud Settings */}
         <View style={styles.section}>
           <View style={styles.acrStatusSection}>
@@ -670,6 +728,37 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     marginTop: SPACING.sm,
   },
+  notationHint: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+  notationOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+  },
+  notationOption: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  notationOptionActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  notationOptionText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    fontWeight: '600',
+  },
+  notationOptionTextActive: {
+    color: COLORS.text,
+  },
 });
 
 export default SettingsScreen;
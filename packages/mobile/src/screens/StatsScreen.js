@@ -0,0 +1,319 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { COLORS, SPACING, FONT_SIZES, BORDER_RADIUS } from '../constants/theme';
+import apiService from '../services/api';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent > 0 ? 1 : 0)} ${units[exponent]}`;
+};
+
+// Largest counts first; "unknown" always goes last
+const topEntries = (counts = {}, limit) => {
+  const entries = Object.entries(counts)
+    .filter(([label]) => label !== 'unknown')
+    .sort((a, b) => b[1] - a[1]);
+  const limited = limit ? entries.slice(0, limit) : entries;
+  return counts.unknown ? [...limited, ['unknown', counts.unknown]] : limited;
+};
+
+// BPM buckets in tempo order ("60-69", "70-79", ...)
+const bpmEntries = (counts = {}) => {
+  const entries = Object.entries(counts)
+    .filter(([label]) => label !== 'unknown')
+    .sort((a, b) => parseInt(a[0], 10) - parseInt(b[0], 10));
+  return counts.unknown ? [...entries, ['unknown', counts.unknown]] : entries;
+};
+
+const SummaryCard = ({ icon, label, value }) => (
+  <View style={styles.summaryCard}>
+    <Ionicons name={icon} size={20} color={COLORS.primary} />
+    <Text style={styles.summaryValue}>{value}</Text>
+    <Text style={styles.summaryLabel}>{label}</Text>
+  </View>
+);
+
+const BarList = ({ title, entries }) => {
+  const max = Math.max(1, ...entries.map(([, count]) => count));
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {entries.length === 0 ? (
+        <Text style={styles.emptyText}>No data</Text>
+      ) : (
+        entries.map(([label, count]) => (
+          <View key={label} style={styles.barRow}>
+            <Text style={styles.barLabel} numberOfLines={1}>
+              {label === 'unknown' ? 'Unknown' : label}
+            </Text>
+            <View style={styles.barTrack}>
+              <View style={[styles.barFill, { width: `${(count / max) * 100}%` }]} />
+            </View>
+            <Text style={styles.barCount}>{count.toLocaleString()}</Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+};
+
+/**
+ * Library dashboard - analytics from /api/stats
+ */
+const StatsScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [stats, setStats] = useState(null);
+  const [neverPlayedCount, setNeverPlayedCount] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const [data, neverPlayed] = await Promise.all([
+        apiService.getStats(),
+        apiService.getNeverPlayedTracks(1),
+      ]);
+      setStats(data);
+      setNeverPlayedCount(neverPlayed.pagination.total);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  const renderContent = () => {
+    if (!stats) {
+      return (
+        <View style={styles.loadingContainer}>
+          {error ? (
+            <Text style={styles.loadingText}>{error}</Text>
+          ) : (
+            <>
+              <ActivityIndicator size="large" color={COLORS.primary} />
+              <Text style={styles.loadingText}>Loading stats...</Text>
+            </>
+          )}
+        </View>
+      );
+    }
+
+    const missingCount = stats.missing ? stats.missing.databaseEntries + stats.missing.crateEntries : 0;
+
+    return (
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={isLoading} onRefresh={loadStats} tintColor={COLORS.primary} />
+        }
+      >
+        {stats.indexing && (
+          <Text style={styles.indexingText}>Library is being indexed - showing the last results</Text>
+        )}
+
+        <View style={styles.summaryGrid}>
+          <SummaryCard icon="musical-notes" label="Tracks" value={(stats.trackCount || 0).toLocaleString()} />
+          <SummaryCard icon="albums" label="Crates" value={(stats.crateCount || 0).toLocaleString()} />
+          <SummaryCard
+            icon="time"
+            label="Hours"
+            value={Math.round((stats.totals?.duration || 0) / 3600).toLocaleString()}
+          />
+          <SummaryCard icon="server" label="Size" value={formatBytes(stats.totals?.size)} />
+          <SummaryCard icon="alert-circle" label="Missing Files" value={missingCount.toLocaleString()} />
+          <SummaryCard icon="file-tray" label="Not in a Crate" value={(stats.orphanCount || 0).toLocaleString()} />
+          {neverPlayedCount !== null && (
+            <SummaryCard icon="moon" label="Never Played" value={neverPlayedCount.toLocaleString()} />
+          )}
+        </View>
+
+        <TouchableOpacity style={styles.linkRow} onPress={() => navigation.navigate('MissingFiles')}>
+          <Ionicons name="unlink" size={20} color={COLORS.primary} />
+          <Text style={styles.linkText}>Relink Missing Files</Text>
+          <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.linkRow} onPress={() => navigation.navigate('Duplicates')}>
+          <Ionicons name="copy" size={20} color={COLORS.primary} />
+          <Text style={styles.linkText}>Find Duplicates</Text>
+          <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+        </TouchableOpacity>
+
+        <BarList title="BPM" entries={bpmEntries(stats.byBpm)} />
+        <BarList title="Key" entries={topEntries(stats.byKey)} />
+        <BarList title="Top Genres" entries={topEntries(stats.byGenre, 10)} />
+        <BarList title="Formats" entries={topEntries(stats.byFormat)} />
+        <BarList
+          title="Largest Crates"
+          entries={(stats.crates || []).slice(0, 10).map(crate => [crate.name, crate.trackCount || 0])}
+        />
+      </ScrollView>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="chevron-back" size={28} color={COLORS.text} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Library Stats</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {renderContent()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.sm,
+  },
+  backButton: {
+    padding: SPACING.xs,
+  },
+  headerTitle: {
+    fontSize: FONT_SIZES.lg,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  headerSpacer: {
+    width: 44, // Same as back button for centering
+  },
+  content: {
+    padding: SPACING.md,
+    paddingBottom: SPACING.xl,
+  },
+  indexingText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.warning,
+    marginBottom: SPACING.md,
+  },
+  summaryGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+    marginBottom: SPACING.lg,
+  },
+  summaryCard: {
+    width: '31%',
+    flexGrow: 1,
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.md,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: FONT_SIZES.lg,
+    fontWeight: 'bold',
+    color: COLORS.text,
+    marginTop: SPACING.xs,
+  },
+  summaryLabel: {
+    fontSize: FONT_SIZES.xs,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+    textAlign: 'center',
+  },
+  linkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  linkText: {
+    flex: 1,
+    marginLeft: SPACING.sm,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.text,
+  },
+  section: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  sectionTitle: {
+    fontSize: FONT_SIZES.md,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SPACING.sm,
+  },
+  barRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.xs,
+  },
+  barLabel: {
+    width: 96,
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: BORDER_RADIUS.sm,
+    backgroundColor: COLORS.background,
+    marginHorizontal: SPACING.sm,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+    borderRadius: BORDER_RADIUS.sm,
+    backgroundColor: COLORS.primary,
+  },
+  barCount: {
+    minWidth: 48,
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.text,
+    textAlign: 'right',
+  },
+  emptyText: {
+    fontSize: FONT_SIZES.sm,
+    color: COLORS.textSecondary,
+    fontStyle: 'italic',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loadingText: {
+    marginTop: SPACING.md,
+    fontSize: FONT_SIZES.md,
+    color: COLORS.textSecondary,
+  },
+});
+
+export default StatsScreen;
@@ -7,6 +7,9 @@ import TrackPlayer, {
 } from 'react-native-track-player';
 import apiService from './api';
 
+// Seconds outside a saved loop that count as the user seeking away from it
+const LOOP_EXIT_MARGIN = 2;
+
 /**
  * Setup TrackPlayer with capabilities and configuration
  */
@@ -69,8 +72,8 @@ export async function setupPlayer() {
         Capability.SkipToNext,
         Capability.SkipToPrevious,
       ],
-      // Progressive download - don't wait for entire file
-      progressUpdateEventInterval: 1,
+      // Progress events drive saved-loop preview, so keep them frequent enough to loop tightly
+      progressUpdateEventInterval: 0.25,
     });
 
     console.log('TrackPlayer setup complete with optimized buffering');
@@ -95,6 +98,7 @@ export function formatTrackForPlayer(track) {
     id: track.id,
     bpm: track.bpm,
     key: track.key,
+    keyDisplay: track.keyDisplay,
     album: track.album,
   };
 }
@@ -115,6 +119,19 @@ export async function addTracksToQueue(tracks) {
   await TrackPlayer.add(formattedTracks);
 }
 
+/**
+ * Insert tracks into the queue before the given index (appends when it's past the end)
+ */
+export async function insertTracksInQueue(tracks, insertBeforeIndex) {
+  const formattedTracks = tracks.map(formatTrackForPlayer);
+  const queue = await TrackPlayer.getQueue();
+  if (insertBeforeIndex >= queue.length) {
+    await TrackPlayer.add(formattedTracks);
+  } else {
+    await TrackPlayer.add(formattedTracks, insertBeforeIndex);
+  }
+}
+
 /**
  * Preload a track by fetching initial bytes to warm up the connection
  * This significantly reduces playback start delay
@@ -224,6 +241,7 @@ export function setupEventHandlers(store) {
               artist: track.artist,
               bpm: track.bpm,
               key: track.key,
+              keyDisplay: track.keyDisplay,
               album: track.album,
               duration: track.duration,
               hasArtwork: !!track.artwork,
@@ -235,6 +253,27 @@ export function setupEventHandlers(store) {
     }
   });
 
+  // Saved-loop preview: jump back to the loop start once playback reaches the loop end
+  TrackPlayer.addEventListener(Event.PlaybackProgressUpdated, async ({ position }) => {
+    const { activeLoop, currentTrack } = store.getState();
+
+    if (!activeLoop) {
+      return;
+    }
+
+    if (currentTrack?.id !== activeLoop.trackId) {
+      store.setState({ activeLoop: null });
+      return;
+    }
+
+    if (position > activeLoop.end + LOOP_EXIT_MARGIN || position < activeLoop.start - LOOP_EXIT_MARGIN) {
+      // The user seeked away from the loop - leave loop mode instead of snapping back
+      store.setState({ activeLoop: null });
+    } else if (position >= activeLoop.end) {
+      await TrackPlayer.seekTo(activeLoop.start);
+    }
+  });
+
   // Playback error
   TrackPlayer.addEventListener(Event.PlaybackError, ({ error }) => {
     console.error('Playback error:', error);
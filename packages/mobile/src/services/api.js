@@ -64,6 +64,16 @@ export const apiService = {
     return response.data.track;
   },
 
+  getTrackCues: async (trackId) => {
+    const response = await api.get(`${ENDPOINTS.LIBRARY}/${trackId}/cues`);
+    return response.data;
+  },
+
+  getTrackSuggestions: async (trackId, params = {}) => {
+    const response = await api.get(`${ENDPOINTS.LIBRARY}/${trackId}/suggestions`, { params });
+    return response.data;
+  },
+
   // Crates endpoints
   getCrates: async () => {
     const response = await api.get(ENDPOINTS.CRATES);
@@ -80,6 +90,11 @@ export const apiService = {
     return response.data;
   },
 
+  createSmartCrate: async (name, { matchAll, rules }, parentId = null) => {
+    const response = await api.post(ENDPOINTS.CRATES, { name, smart: true, matchAll, rules, parentId });
+    return response.data;
+  },
+
   addTracksToCrate: async (crateId, trackIds) => {
     const response = await api.post(`${ENDPOINTS.CRATES}/${crateId}/tracks`, {
       trackIds,
@@ -94,15 +109,96 @@ export const apiService = {
     return response.data;
   },
 
+  updateCrate: async (crateId, changes) => {
+    const response = await api.patch(`${ENDPOINTS.CRATES}/${crateId}`, changes);
+    return response.data;
+  },
+
+  reorderCrate: async (crateId, trackIds) => {
+    const response = await api.put(`${ENDPOINTS.CRATES}/${crateId}/order`, { trackIds });
+    return response.data;
+  },
+
+  buildSet: async (crateId, constraints = {}) => {
+    const response = await api.get(`${ENDPOINTS.CRATES}/${crateId}/set`, { params: constraints });
+    return response.data;
+  },
+
+  saveSetAsCrate: async (crateId, trackIds, name, parentId = null) => {
+    const response = await api.post(`${ENDPOINTS.CRATES}/${crateId}/set/to-crate`, { trackIds, name, parentId });
+    return response.data;
+  },
+
+  // Playlist file contents as text; options: { format, paths, base, extinf, recursive }
+  exportCrate: async (crateId, options = {}) => {
+    const response = await api.get(`${ENDPOINTS.CRATES}/${crateId}/export`, {
+      params: options,
+      responseType: 'text',
+      transformResponse: [data => data],
+    });
+    return response.data;
+  },
+
   deleteCrate: async (crateId) => {
     const response = await api.delete(`${ENDPOINTS.CRATES}/${crateId}`);
     return response.data;
   },
 
-  // Search endpoint
-  searchTracks: async (query, field = 'all', limit = 100) => {
+  // History endpoints
+  getHistorySessions: async (limit = 100, offset = 0) => {
+    const response = await api.get(ENDPOINTS.HISTORY, { params: { limit, offset } });
+    return response.data;
+  },
+
+  getHistorySession: async (sessionId) => {
+    const response = await api.get(`${ENDPOINTS.HISTORY}/${sessionId}`);
+    return response.data.session;
+  },
+
+  createCrateFromSession: async (sessionId, name, parentId = null) => {
+    const response = await api.post(`${ENDPOINTS.HISTORY}/${sessionId}/to-crate`, { name, parentId });
+    return response.data;
+  },
+
+  // Duplicates - copies are identified by filePath (copies with identical tags share a track ID)
+  getDuplicates: async ({ fingerprint = false } = {}) => {
+    const response = await api.get(`${ENDPOINTS.LIBRARY}/duplicates`, {
+      params: fingerprint ? { fingerprint: 'true' } : {},
+    });
+    return response.data;
+  },
+
+  replaceDuplicateReferences: async (keep, replace) => {
+    const response = await api.post(`${ENDPOINTS.LIBRARY}/duplicates/replace`, { keep, replace });
+    return response.data;
+  },
+
+  // Missing files - entries whose file isn't in the library, with candidate matches
+  getMissingTracks: async (limit = 100, offset = 0) => {
+    const response = await api.get(`${ENDPOINTS.LIBRARY}/missing`, { params: { limit, offset } });
+    return response.data;
+  },
+
+  relinkMissingTrack: async (filePath, newPath) => {
+    const response = await api.post(`${ENDPOINTS.LIBRARY}/missing/relink`, { filePath, newPath });
+    return response.data;
+  },
+
+  // Stats endpoints
+  getStats: async () => {
+    const response = await api.get(ENDPOINTS.STATS);
+    return response.data;
+  },
+
+  getNeverPlayedTracks: async (limit = 100, offset = 0) => {
+    const response = await api.get(`${ENDPOINTS.STATS}/never-played`, { params: { limit, offset } });
+    return response.data;
+  },
+
+  // Search endpoint - query can use the server query language, e.g. 'bpm:120-128 key:8A,9A'
+  searchTracks: async (query, { field = 'all', limit = 100, offset = 0 } = {}) => {
     const response = await api.get(ENDPOINTS.SEARCH, {
-      params: { q: query, field, limit },
+      params: { q: query, field, limit, offset },
     });
     return response.data;
   },
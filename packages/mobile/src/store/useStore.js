@@ -1,10 +1,12 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { keyId } from '@recrate/shared/keys';
 import TrackPlayer, { RepeatMode } from 'react-native-track-player';
 import apiService from '../services/api';
 import * as TrackPlayerService from '../services/TrackPlayerService';
 import { normalizeTitle, normalizeArtist } from '../services/TrackMatchingService';
+import { matchesPlayHistory } from '../components/PlayHistoryChips';
 
 /**
  * Pre-normalize tracks for faster search matching
@@ -18,6 +20,46 @@ const preNormalizeTracks = (tracks) => {
   }));
 };
 
+const SEARCH_PAGE_SIZE = 200;
+const SEARCH_DEBOUNCE_MS = 300;
+let searchTimer = null;
+
+// Queries using the server query language (field:value, "phrases", -negation) can't be matched locally
+const isStructuredQuery = (query) => /(^|\s)(-|"|[a-z]+:\S)/i.test(query);
+
+const PLAY_HISTORY_QUERIES = {
+  last30: 'played:<30d',
+  last90: 'played:<90d',
+  last365: 'played:<365d',
+  notInYear: 'played:>365d',
+  never: 'played:never',
+};
+
+const quoteValue = (value) => (/[\s,"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+
+/**
+ * Build a server search query (see /api/search) from the filter settings
+ * so filters cover the whole library, not just the loaded pages
+ */
+export const buildFilterQuery = (filters) => {
+  const parts = [];
+
+  if (filters.bpmRange.min !== 60 || filters.bpmRange.max !== 180) {
+    parts.push(`bpm:${filters.bpmRange.min}-${filters.bpmRange.max}`);
+  }
+  if (filters.selectedKeys.length > 0) {
+    parts.push(`key:${filters.selectedKeys.map(quoteValue).join(',')}`);
+  }
+  if (filters.selectedGenres.length > 0) {
+    parts.push(`genre:${filters.selectedGenres.map(quoteValue).join(',')}`);
+  }
+  if (PLAY_HISTORY_QUERIES[filters.playHistory]) {
+    parts.push(PLAY_HISTORY_QUERIES[filters.playHistory]);
+  }
+
+  return parts.join(' ');
+};
+
 const useStore = create(
   persist(
     (set, get) => ({
@@ -49,6 +91,12 @@ const useStore = create(
   isLoadingCrates: false,
   cratesError: null,
 
+  // History state
+  historySessions: [],
+  selectedSession: null,
+  isLoadingHistory: false,
+  historyError: null,
+
   // Player state
   currentTrack: null,
   isPlaying: false,
@@ -60,20 +108,27 @@ const useStore = create(
   shuffleEnabled: false,
   originalQueue: null, // For restoring queue order when shuffle is disabled
   originalQueueIndex: null,
+  activeLoop: null, // Saved loop being previewed { trackId, index, start, end }
 
   // Search state
   searchQuery: '',
   searchResults: [],
   isSearching: false,
+  searchError: null,
+  searchPagination: { total: 0, offset: 0, hasMore: false },
 
   // Filter state
   filters: {
     bpmRange: { min: 60, max: 180 },
     selectedKeys: [],
     selectedGenres: [],
+    playHistory: 'any', // See PLAY_HISTORY_OPTIONS
   },
   isFilterDrawerOpen: false,
   isFilterActive: false,
+  filterResults: null, // Server results while not all library pages are loaded, else null
+  filterPagination: { total: 0, offset: 0, hasMore: false },
+  isLoadingFiltered: false,
 
   // Track identification state
   isIdentifyModalVisible: false,
@@ -387,6 +442,33 @@ const useStore = create(
     }
   },
 
+  createSmartCrate: async (name, definition, parentId = null) => {
+    try {
+      await apiService.createSmartCrate(name, definition, parentId);
+      await get().loadCrates();
+      return true;
+    } catch (error) {
+      set({ cratesError: error.response?.data?.error || error.message });
+      return false;
+    }
+  },
+
+  // Change a smart crate's name and/or rules, then refresh its live track list
+  updateSmartCrate: async (crateId, changes) => {
+    try {
+      const data = await apiService.updateCrate(crateId, changes);
+      const newId = data.crate?.id || crateId;
+      await get().loadCrates();
+      if (get().selectedCrate?.id === crateId) {
+        await get().loadCrate(newId);
+      }
+      return newId;
+    } catch (error) {
+      set({ cratesError: error.response?.data?.error || error.message });
+      return null;
+    }
+  },
+
   toggleCrateExpanded: (crateId) => {
     const { expandedCrates } = get();
     set({
@@ -431,6 +513,102 @@ const useStore = create(
     }
   },
 
+  // Move a track within the open crate (optimistic - reloads the crate if the server rejects it)
+  reorderCrateTracks: async (crateId, fromIndex, toIndex) => {
+    const { selectedCrate } = get();
+    if (!selectedCrate || selectedCrate.id !== crateId) {
+      return false;
+    }
+
+    const tracks = [...selectedCrate.tracks];
+    const [moved] = tracks.splice(fromIndex, 1);
+    tracks.splice(toIndex, 0, moved);
+    set({ selectedCrate: { ...selectedCrate, tracks } });
+
+    try {
+      await apiService.reorderCrate(crateId, tracks.map(t => t.id));
+      return true;
+    } catch (error) {
+      set({ cratesError: error.message });
+      await get().loadCrate(crateId);
+      return false;
+    }
+  },
+
+  // Rename and/or move a crate (subcrates move with it)
+  renameCrate: async (crateId, changes) => {
+    try {
+      const data = await apiService.updateCrate(crateId, changes);
+      get().applyCrateRename(data.renamed || []);
+      return true;
+    } catch (error) {
+      set({ cratesError: error.response?.data?.error || error.message });
+      return false;
+    }
+  },
+
+  // Apply a crate:renamed payload ([{ oldId, newId, oldFullPath, newFullPath }]) without refetching
+  applyCrateRename: (renamed) => {
+    if (renamed.length === 0) {
+      return;
+    }
+
+    const { crates, expandedCrates, selectedCrate } = get();
+    const byOldId = new Map(renamed.map(r => [r.oldId, r]));
+
+    if (!renamed.every(r => crates.some(c => c.id === r.oldId))) {
+      // Our list is out of date - fall back to a full reload
+      get().loadCrates();
+      return;
+    }
+
+    const updated = crates.map(crate => {
+      const rename = byOldId.get(crate.id);
+      if (!rename) {
+        return crate;
+      }
+      const parts = rename.newFullPath.split('%%');
+      return {
+        ...crate,
+        id: rename.newId,
+        name: parts[parts.length - 1],
+        fullPath: rename.newFullPath,
+        parentPath: parts.length > 1 ? parts.slice(0, -1).join('%%') : null,
+        depth: parts.length - 1,
+      };
+    });
+
+    // Re-link renamed crates to their parents by path (crates outside the subtree keep theirs)
+    const idByPath = new Map(updated.map(c => [c.fullPath, c.id]));
+    const newIds = new Set(renamed.map(r => r.newId));
+    const relinked = updated.map(crate => (newIds.has(crate.id) ? {
+      ...crate,
+      parentId: crate.parentPath ? idByPath.get(crate.parentPath) || null : null,
+    } : crate));
+
+    if (relinked.some(c => newIds.has(c.id) && c.parentPath && !c.parentId)) {
+      // A parent without its own crate file - only the server knows its ID
+      get().loadCrates();
+      return;
+    }
+
+    const remappedExpanded = {};
+    Object.entries(expandedCrates).forEach(([id, expanded]) => {
+      remappedExpanded[byOldId.get(id)?.newId || id] = expanded;
+    });
+
+    const renamedSelected = selectedCrate && byOldId.get(selectedCrate.id);
+
+    set({
+      crates: relinked,
+      crateTree: get().buildCrateTree(relinked),
+      expandedCrates: remappedExpanded,
+      selectedCrate: renamedSelected
+        ? { ...selectedCrate, ...relinked.find(c => c.id === renamedSelected.newId) }
+        : selectedCrate,
+    });
+  },
+
   deleteCrate: async (crateId) => {
     try {
       await apiService.deleteCrate(crateId);
@@ -442,6 +620,51 @@ const useStore = create(
     }
   },
 
+  // History actions
+  loadHistorySessions: async () => {
+    set({ isLoadingHistory: true, historyError: null });
+    try {
+      const data = await apiService.getHistorySessions();
+      set({ historySessions: data.sessions, isLoadingHistory: false });
+    } catch (error) {
+      set({ historyError: error.message, isLoadingHistory: false });
+    }
+  },
+
+  loadHistorySession: async (sessionId) => {
+    set({ isLoadingHistory: true, historyError: null, selectedSession: null });
+    try {
+      const session = await apiService.getHistorySession(sessionId);
+      set({ selectedSession: session, isLoadingHistory: false });
+    } catch (error) {
+      set({ historyError: error.message, isLoadingHistory: false });
+    }
+  },
+
+  // Returns { crate, added, unresolved, repeated } or null on failure
+  createCrateFromSession: async (sessionId, name, parentId = null) => {
+    try {
+      const result = await apiService.createCrateFromSession(sessionId, name, parentId);
+      await get().loadCrates();
+      return result;
+    } catch (error) {
+      set({ historyError: error.response?.data?.error || error.message });
+      return null;
+    }
+  },
+
+  // Save a set from the set builder as a new crate
+  saveSetAsCrate: async (crateId, trackIds, name) => {
+    try {
+      const result = await apiService.saveSetAsCrate(crateId, trackIds, name);
+      await get().loadCrates();
+      return result;
+    } catch (error) {
+      set({ cratesError: error.response?.data?.error || error.message });
+      return null;
+    }
+  },
+
   // Selection actions
   toggleTrackSelection: (trackId) => {
     const { selectedTracks } = get();
@@ -461,35 +684,86 @@ const useStore = create(
     set({ selectedTracks: tracks.map((t) => t.id) });
   },
 
-  // Search actions - filter locally from loaded tracks
+  // Search actions
+  // Plain text is matched locally right away, then replaced by the server's ranked,
+  // typo tolerant results over the whole library (local results stay if it's unreachable)
   search: (query) => {
-    set({ searchQuery: query });
+    set({ searchQuery: query, searchError: null });
+    clearTimeout(searchTimer);
 
     if (!query.trim()) {
-      set({ searchResults: [] });
+      set({ searchResults: [], isSearching: false, searchPagination: { total: 0, offset: 0, hasMore: false } });
       return;
     }
 
     const { tracks } = get();
-    const lowerQuery = query.toLowerCase();
 
-    const results = tracks.filter(track =>
-      track.title?.toLowerCase().includes(lowerQuery) ||
-      track.artist?.toLowerCase().includes(lowerQuery) ||
-      track.album?.toLowerCase().includes(lowerQuery)
-    );
+    if (!isStructuredQuery(query)) {
+      const lowerQuery = query.toLowerCase();
+      const results = tracks.filter(track =>
+        track.title?.toLowerCase().includes(lowerQuery) ||
+        track.artist?.toLowerCase().includes(lowerQuery) ||
+        track.album?.toLowerCase().includes(lowerQuery)
+      );
+
+      set({ searchResults: results, searchPagination: { total: results.length, offset: 0, hasMore: false } });
+    }
+
+    set({ isSearching: true });
+    searchTimer = setTimeout(() => get().loadSearchResults(query), SEARCH_DEBOUNCE_MS);
+  },
+
+  loadSearchResults: async (query, append = false) => {
+    const { searchResults } = get();
+
+    try {
+      const data = await apiService.searchTracks(query, {
+        limit: SEARCH_PAGE_SIZE,
+        offset: append ? searchResults.length : 0,
+      });
+
+      // The user has typed on since this request was sent
+      if (get().searchQuery !== query) return;
 
-    set({ searchResults: results });
+      set({
+        searchResults: append ? [...searchResults, ...data.results] : data.results,
+        searchPagination: data.pagination,
+        isSearching: false,
+      });
+    } catch (error) {
+      if (get().searchQuery !== query) return;
+      console.error('Error searching tracks:', error);
+      // Plain text keeps its local results; only structured queries need the server
+      set({
+        searchError: isStructuredQuery(query) ? error.response?.data?.error || error.message : null,
+        isSearching: false,
+      });
+    }
+  },
+
+  loadMoreSearchResults: async () => {
+    const { searchQuery, searchPagination, isSearching } = get();
+    if (!searchQuery.trim() || isSearching || !searchPagination.hasMore) return;
+
+    set({ isSearching: true });
+    await get().loadSearchResults(searchQuery, true);
   },
 
   clearSearch: () => {
-    set({ searchQuery: '', searchResults: [] });
+    clearTimeout(searchTimer);
+    set({
+      searchQuery: '',
+      searchResults: [],
+      isSearching: false,
+      searchError: null,
+      searchPagination: { total: 0, offset: 0, hasMore: false },
+    });
   },
 
   // Player actions
   playTrack: async (track) => {
     try {
-      set({ playerError: null, isBuffering: true });
+      set({ playerError: null, isBuffering: true, activeLoop: null });
 
       const { queue } = get();
 
@@ -576,6 +850,25 @@ const useStore = create(
     }
   },
 
+  // Repeat a saved loop of the current track (TrackPlayerService jumps back to start at the loop end)
+  startLoop: async (trackId, loop) => {
+    try {
+      // Seek before activating so a stale progress event can't cancel the loop
+      await TrackPlayer.seekTo(loop.start);
+      await TrackPlayer.play();
+      set({
+        activeLoop: { trackId, index: loop.index, start: loop.start, end: loop.end },
+        isPlaying: true,
+      });
+    } catch (error) {
+      console.error('Error starting loop:', error);
+    }
+  },
+
+  stopLoop: () => {
+    set({ activeLoop: null });
+  },
+
   playNext: async () => {
     try {
       const { queue, currentQueueIndex, repeatMode } = get();
@@ -736,6 +1029,27 @@ const useStore = create(
     }
   },
 
+  // Insert tracks right after the current one (starts playback when nothing is queued)
+  queueNext: async (tracks) => {
+    if (tracks.length === 0) return;
+
+    const { queue, currentQueueIndex } = get();
+    if (queue.length === 0) {
+      await get().setQueue(tracks, 0);
+      return;
+    }
+
+    try {
+      const insertIndex = currentQueueIndex + 1;
+      await TrackPlayerService.insertTracksInQueue(tracks, insertIndex);
+      set({
+        queue: [...queue.slice(0, insertIndex), ...tracks, ...queue.slice(insertIndex)],
+      });
+    } catch (error) {
+      console.error('Error queueing tracks:', error);
+    }
+  },
+
   // Filter actions
   setFilters: (filters) => {
     set({ filters });
@@ -747,8 +1061,10 @@ const useStore = create(
         bpmRange: { min: 60, max: 180 },
         selectedKeys: [],
         selectedGenres: [],
+        playHistory: 'any',
       },
       isFilterActive: false,
+      filterResults: null,
     });
   },
 
@@ -767,21 +1083,68 @@ const useStore = create(
       filters.bpmRange.min !== 60 ||
       filters.bpmRange.max !== 180 ||
       filters.selectedKeys.length > 0 ||
-      filters.selectedGenres.length > 0;
+      filters.selectedGenres.length > 0 ||
+      (!!filters.playHistory && filters.playHistory !== 'any');
 
     set({
       isFilterActive: hasActiveFilters,
       isFilterDrawerOpen: false,
+      filterResults: null,
     });
+
+    // Filtering the loaded pages would miss tracks that aren't on the phone yet
+    if (hasActiveFilters && get().libraryPagination.hasMore) {
+      get().loadFilteredTracks();
+    }
+  },
+
+  loadFilteredTracks: async (append = false) => {
+    const { filters, filterResults, libraryPagination } = get();
+    const query = buildFilterQuery(filters);
+
+    set({ isLoadingFiltered: true });
+    try {
+      const data = await apiService.searchTracks(query, {
+        limit: libraryPagination.limit,
+        offset: append && filterResults ? filterResults.length : 0,
+      });
+
+      // Filters changed while loading
+      if (!get().isFilterActive || buildFilterQuery(get().filters) !== query) return;
+
+      set({
+        filterResults: append && filterResults ? [...filterResults, ...data.results] : data.results,
+        filterPagination: data.pagination,
+        isLoadingFiltered: false,
+      });
+    } catch (error) {
+      // Fall back to filtering the loaded pages
+      console.error('Error loading filtered tracks:', error);
+      set({ filterResults: null, isLoadingFiltered: false });
+    }
+  },
+
+  loadMoreFilteredTracks: async () => {
+    const { filterResults, filterPagination, isLoadingFiltered } = get();
+    if (!filterResults || isLoadingFiltered || !filterPagination.hasMore) return;
+
+    await get().loadFilteredTracks(true);
   },
 
   getFilteredTracks: () => {
-    const { tracks, filters, isFilterActive } = get();
+    const { tracks, filters, isFilterActive, filterResults } = get();
 
     if (!isFilterActive) {
       return tracks;
     }
 
+    if (filterResults) {
+      return filterResults;
+    }
+
+    // Keys are compared in canonical form so "Am", "8A" and "1m" all match each other
+    const selectedKeyIds = new Set(filters.selectedKeys.map(keyId));
+
     return tracks.filter((track) => {
       // BPM filter
       if (track.bpm) {
@@ -793,7 +1156,7 @@ const useStore = create(
 
       // Key filter
       if (filters.selectedKeys.length > 0 && track.key) {
-        if (!filters.selectedKeys.includes(track.key)) {
+        if (!selectedKeyIds.has(keyId(track.key))) {
           return false;
         }
       }
@@ -805,6 +1168,11 @@ const useStore = create(
         }
       }
 
+      // Play history filter
+      if (!matchesPlayHistory(track, filters.playHistory)) {
+        return false;
+      }
+
       return true;
     });
   },
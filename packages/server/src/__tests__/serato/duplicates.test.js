@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeArtist,
+  normalizeTitle,
+  audioFingerprint,
+  computeFingerprints,
+  findDuplicates,
+} = require('../../serato/duplicates');
+
+describe('duplicates', () => {
+  const track = (filePath, fields = {}) => ({
+    id: filePath,
+    filePath,
+    artist: 'Artist',
+    title: 'Song',
+    duration: 300,
+    ...fields,
+  });
+
+  describe('normalization', () => {
+    it('should ignore featured artists, artist order and accents', () => {
+      expect(normalizeArtist('The Artist feat. Béa')).toBe(normalizeArtist('Bea & Artist'));
+      expect(normalizeTitle('Song (feat. Bea)')).toBe('song');
+      expect(normalizeTitle('Song ft. Bea')).toBe('song');
+      expect(normalizeTitle('Song (Original Mix)')).toBe('song');
+    });
+
+    it('should keep remix names apart', () => {
+      expect(normalizeTitle('Song (Dub Remix)')).not.toBe(normalizeTitle('Song'));
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should group copies with matching tags and close lengths', () => {
+      const tracks = [
+        track('/Music/song.mp3', { bitrate: 320000, format: 'MP3' }),
+        track('/Music/Lossless/song.flac', { artist: 'ARTIST', title: 'Song (Original Mix)', duration: 301.5, format: 'FLAC' }),
+        track('/Music/song (Dub Remix).mp3', { title: 'Song (Dub Remix)' }),
+        track('/Music/other.mp3', { title: 'Other' }),
+      ];
+
+      const groups = findDuplicates(tracks, []);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].matchedBy).toEqual(['metadata']);
+      expect(groups[0].copies.map(c => c.filePath)).toEqual(['/Music/song.mp3', '/Music/Lossless/song.flac']);
+      expect(groups[0].suggestedKeep).toBe('/Music/Lossless/song.flac');
+    });
+
+    it('should not group copies whose lengths differ more than the tolerance', () => {
+      const tracks = [track('/a.mp3'), track('/b.mp3', { duration: 360 })];
+
+      expect(findDuplicates(tracks, [])).toEqual([]);
+      expect(findDuplicates(tracks, [], { durationTolerance: 60 })).toHaveLength(1);
+    });
+
+    it('should list the crates referencing each copy', () => {
+      const tracks = [track('/a.mp3'), track('/b.mp3')];
+      const crates = [
+        { id: 'house', name: 'House', fullPath: 'House', filePaths: ['/a.mp3', '/x.mp3', '/a.mp3'] },
+        { id: 'house-deep', name: 'Deep', fullPath: 'House%%Deep', filePaths: ['/b.mp3'] },
+      ];
+
+      const [group] = findDuplicates(tracks, crates);
+
+      expect(group.copies[0].crates).toEqual([{ id: 'house', name: 'House', count: 2 }]);
+      expect(group.copies[1].crates).toEqual([{ id: 'house-deep', name: 'House%%Deep', count: 1 }]);
+      expect(group.suggestedKeep).toBe('/a.mp3');
+    });
+
+    it('should group files with the same fingerprint whatever their tags', () => {
+      const tracks = [track('/a.mp3'), track('/renamed.mp3', { artist: 'Unknown', title: 'Track 01' })];
+
+      const groups = findDuplicates(tracks, [], {
+        fingerprints: new Map([['/a.mp3', 'f1'], ['/renamed.mp3', 'f1']]),
+      });
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].matchedBy).toEqual(['fingerprint']);
+    });
+  });
+
+  describe('fingerprints', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-duplicates-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const id3v2 = (text) => {
+      const body = Buffer.from(text);
+      return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, body.length]), body]);
+    };
+    const id3v1 = (title) => Buffer.concat([Buffer.from('TAG'), Buffer.alloc(125, title)]);
+    const write = (name, ...parts) => {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, Buffer.concat(parts));
+      return filePath;
+    };
+
+    it('should hash the audio data without the tags', async () => {
+      const audio = Buffer.alloc(4096, 7);
+      const tagged = write('a.mp3', id3v2('artist and title'), audio, id3v1('a'));
+      const retagged = write('b.mp3', id3v2('other tags, longer than before'), audio);
+      const different = write('c.mp3', id3v2('artist and title'), Buffer.alloc(4096, 8));
+
+      expect(await audioFingerprint(tagged)).toBe(await audioFingerprint(retagged));
+      expect(await audioFingerprint(tagged)).not.toBe(await audioFingerprint(different));
+    });
+
+    it('should only hash files that have audio data of the same length', async () => {
+      const audio = Buffer.alloc(2048, 1);
+      const a = write('a.mp3', audio);
+      const b = write('b.mp3', id3v2('tags'), audio);
+      const c = write('c.mp3', Buffer.alloc(1000, 1));
+      const onError = jest.fn();
+
+      const fingerprints = await computeFingerprints(
+        [{ filePath: a }, { filePath: b }, { filePath: c }, { filePath: path.join(dir, 'gone.mp3') }],
+        { onError }
+      );
+
+      expect([...fingerprints.keys()].sort()).toEqual([a, b]);
+      expect(fingerprints.get(a)).toBe(fingerprints.get(b));
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+  });
+});
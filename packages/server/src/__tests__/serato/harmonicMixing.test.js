@@ -0,0 +1,92 @@
+const {
+  parseKey,
+  formatCamelot,
+  keyRelation,
+  bpmMatch,
+  suggestNextTracks,
+} = require('../../serato/harmonicMixing');
+
+describe('harmonicMixing', () => {
+  describe('parseKey', () => {
+    it('should read Camelot, Open Key and musical notation as the same key', () => {
+      for (const key of ['8A', '8a', '1m', 'Am', 'A minor', 'amin']) {
+        expect(formatCamelot(parseKey(key))).toBe('8A');
+      }
+      expect(formatCamelot(parseKey('C'))).toBe('8B');
+      expect(formatCamelot(parseKey('1d'))).toBe('8B');
+      expect(formatCamelot(parseKey('F#m'))).toBe('11A');
+      expect(formatCamelot(parseKey('Gbm'))).toBe('11A');
+      expect(formatCamelot(parseKey('Bb'))).toBe('6B');
+      expect(formatCamelot(parseKey('Dm'))).toBe('7A');
+      expect(formatCamelot(parseKey('12m'))).toBe('7A');
+    });
+
+    it('should return null for unknown keys', () => {
+      expect(parseKey('')).toBeNull();
+      expect(parseKey('13A')).toBeNull();
+      expect(parseKey('H')).toBeNull();
+      expect(parseKey(null)).toBeNull();
+    });
+  });
+
+  describe('keyRelation', () => {
+    it('should name compatible moves on the wheel', () => {
+      const from = parseKey('8A');
+      expect(keyRelation(from, parseKey('8A'))).toBe('same');
+      expect(keyRelation(from, parseKey('9A'))).toBe('adjacent');
+      expect(keyRelation(from, parseKey('7A'))).toBe('adjacent');
+      expect(keyRelation(from, parseKey('8B'))).toBe('relative');
+      expect(keyRelation(from, parseKey('3A'))).toBe('energyBoost');
+      expect(keyRelation(from, parseKey('9B'))).toBe('diagonal');
+      expect(keyRelation(from, parseKey('12A'))).toBeNull();
+      // Wraps around 12 -> 1
+      expect(keyRelation(parseKey('12B'), parseKey('1B'))).toBe('adjacent');
+    });
+  });
+
+  describe('bpmMatch', () => {
+    it('should match straight, half and double time within the tolerance', () => {
+      expect(bpmMatch(124, 124, 6)).toMatchObject({ ratio: 1, difference: 0 });
+      expect(bpmMatch(140, 70, 6)).toMatchObject({ ratio: 2, difference: 0 });
+      expect(bpmMatch(87, 174, 6)).toMatchObject({ ratio: 0.5 });
+      expect(bpmMatch(124, 140, 6)).toBeNull();
+    });
+  });
+
+  describe('suggestNextTracks', () => {
+    const source = { id: 's', key: 'Am', bpm: 124, genre: 'House' };
+    const tracks = [
+      source,
+      { id: 'same', key: '8A', bpm: 125, genre: 'House' },
+      { id: 'adjacent', key: '9A', bpm: 124, genre: 'Techno' },
+      { id: 'double', key: 'C', bpm: 62, genre: 'House' },
+      { id: 'clash', key: '2A', bpm: 124, genre: 'House' },
+      { id: 'tooFast', key: '8A', bpm: 140, genre: 'House' },
+      { id: 'noKey', bpm: 124, genre: 'House' },
+    ];
+
+    it('should rank compatible tracks and skip clashing keys and tempos', () => {
+      const suggestions = suggestNextTracks(source, tracks);
+
+      // The relative key in the same genre beats an adjacent key in another genre
+      expect(suggestions.map(s => s.track.id)).toEqual(['same', 'double', 'adjacent']);
+      expect(suggestions[0]).toMatchObject({
+        key: { camelot: '8A', relation: 'same' },
+        bpm: { ratio: 1 },
+        genreMatch: true,
+      });
+      expect(suggestions[1].bpm.ratio).toBe(2);
+    });
+
+    it('should use only the BPM when the track has no key', () => {
+      const suggestions = suggestNextTracks({ id: 'x', bpm: 124 }, tracks, { genre: false });
+
+      expect(suggestions.map(s => s.track.id)).toEqual(expect.arrayContaining(['s', 'clash', 'noKey']));
+      expect(suggestions.every(s => s.key === null)).toBe(true);
+    });
+
+    it('should return nothing without a key or BPM', () => {
+      expect(suggestNextTracks({ id: 'x' }, tracks)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { bpmBucket, trackFormat, computeLibraryStats } = require('../../serato/libraryStats');
+
+describe('libraryStats', () => {
+  const tracks = [
+    { id: 'a', filePath: '/Music/a.mp3', genre: 'House', key: '8A', bpm: 124.6, duration: 300.4, fileSize: 1000 },
+    { id: 'b', filePath: '/Music/b.FLAC', genre: ' House ', key: '9A', bpm: 128, duration: 200, fileSize: 3000 },
+    { id: 'c', filePath: '/Music/c.mp3', genre: '', key: null, bpm: 0, duration: 100 },
+  ];
+
+  describe('bpmBucket', () => {
+    it('should group BPMs in buckets of ten', () => {
+      expect(bpmBucket(124.6)).toBe('120-129');
+      expect(bpmBucket('90')).toBe('90-99');
+      expect(bpmBucket(0)).toBe('unknown');
+      expect(bpmBucket(undefined)).toBe('unknown');
+    });
+  });
+
+  describe('trackFormat', () => {
+    it('should use the lowercased file extension', () => {
+      expect(trackFormat({ filePath: '/Music/b.FLAC' })).toBe('flac');
+      expect(trackFormat({ filePath: '/Music/noext' })).toBe('unknown');
+    });
+  });
+
+  describe('computeLibraryStats', () => {
+    const crates = [
+      { id: 'set', name: 'Set', fullPath: 'Set', trackIds: ['a'], missingCount: 2 },
+      { id: 'gigs-club', name: 'Club', fullPath: 'Gigs%%Club', trackIds: ['a', 'b'], missingCount: 1 },
+      { id: 'smart--all', name: 'All', fullPath: 'All', smart: true, trackCount: 3 },
+    ];
+
+    it('should count tracks by format, genre, key and BPM bucket with totals', () => {
+      const stats = computeLibraryStats(tracks, crates, { tracksNotFound: 4 });
+
+      expect(stats).toMatchObject({
+        trackCount: 3,
+        crateCount: 3,
+        totals: { duration: 600, size: 4000 },
+        byFormat: { mp3: 2, flac: 1 },
+        byGenre: { House: 2, unknown: 1 },
+        byKey: { '8A': 1, '9A': 1, unknown: 1 },
+        byBpm: { '120-129': 2, unknown: 1 },
+        missing: { databaseEntries: 4, crateEntries: 3 },
+      });
+    });
+
+    it('should count every notation of a key in one bucket labelled in the chosen notation', () => {
+      const keyed = ['Am', '8A', '1m', 'A minor', 'C', '', 'weird'].map((key, i) => ({ id: String(i), filePath: `/Music/${i}.mp3`, key }));
+
+      expect(computeLibraryStats(keyed, []).byKey).toEqual({ '8A': 4, '8B': 1, unknown: 1, weird: 1 });
+      expect(computeLibraryStats(keyed, [], { keyNotation: 'musical' }).byKey).toEqual({ Am: 4, C: 1, unknown: 1, weird: 1 });
+      expect(computeLibraryStats(keyed, [], { keyNotation: 'original' }).byKey).toEqual({ '8A': 4, '8B': 1, unknown: 1, weird: 1 });
+    });
+
+    it('should list crates by size and find tracks in no regular crate', () => {
+      const stats = computeLibraryStats(tracks, crates);
+
+      expect(stats.crates.map(c => [c.id, c.trackCount])).toEqual([['smart--all', 3], ['gigs-club', 2], ['set', 1]]);
+      expect(stats.orphanCount).toBe(1);
+      expect(stats.orphans.map(t => t.id)).toEqual(['c']);
+    });
+  });
+});
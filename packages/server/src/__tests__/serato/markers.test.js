@@ -0,0 +1,138 @@
+const {
+  MarkersError,
+  unwrapEnvelope,
+  decodeMarkers2,
+  decodeBeatGrid,
+  decodeAutotags,
+  decodeSeratoTags,
+} = require('../../serato/markers');
+
+/**
+ * Build a Markers2 entry: NUL-terminated type name + u32 BE length + data
+ */
+function entry(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  return Buffer.concat([Buffer.from(type + '\0', 'latin1'), length, data]);
+}
+
+function cue(index, positionMs, rgb, name) {
+  const data = Buffer.alloc(12);
+  data.writeUInt8(index, 1);
+  data.writeUInt32BE(positionMs, 2);
+  Buffer.from(rgb, 'hex').copy(data, 7);
+  return entry('CUE', Buffer.concat([data, Buffer.from(name + '\0', 'utf8')]));
+}
+
+function loop(index, startMs, endMs, rgb, locked, name) {
+  const data = Buffer.alloc(20);
+  data.writeUInt8(index, 1);
+  data.writeUInt32BE(startMs, 2);
+  data.writeUInt32BE(endMs, 6);
+  data.writeUInt32BE(0xFFFFFFFF, 10);
+  Buffer.from(rgb, 'hex').copy(data, 15);
+  data.writeUInt8(locked ? 1 : 0, 19);
+  return entry('LOOP', Buffer.concat([data, Buffer.from(name + '\0', 'utf8')]));
+}
+
+/**
+ * Wrap Markers2 entries the way Serato writes them: 0x01 0x01 + base64 with line breaks
+ */
+function markers2(...entries) {
+  const content = Buffer.concat([Buffer.from([1, 1]), ...entries, Buffer.from([0])]);
+  const base64 = content.toString('base64').replace(/=+$/, '').replace(/(.{72})/g, '$1\n');
+  return Buffer.concat([Buffer.from([1, 1]), Buffer.from(base64, 'latin1'), Buffer.from([0, 0])]);
+}
+
+describe('markers', () => {
+  describe('decodeMarkers2', () => {
+    it('should decode cues, loops, color and BPM lock', () => {
+      const payload = markers2(
+        entry('COLOR', Buffer.from('00FF99FF', 'hex')),
+        cue(1, 30500, 'F8821A', 'Drop'),
+        cue(0, 1000, 'CC0000', ''),
+        loop(0, 60000, 68000, '27AAE1', true, 'Break'),
+        entry('BPMLOCK', Buffer.from([1])),
+        entry('FLIP', Buffer.from([0, 0, 0])),
+      );
+
+      expect(decodeMarkers2(payload)).toEqual({
+        color: '#FF99FF',
+        bpmLock: true,
+        cues: [
+          { index: 0, position: 1, color: '#CC0000', name: '' },
+          { index: 1, position: 30.5, color: '#F8821A', name: 'Drop' },
+        ],
+        loops: [
+          { index: 0, start: 60, end: 68, color: '#27AAE1', locked: true, name: 'Break' },
+        ],
+      });
+    });
+
+    it('should reject unknown versions and truncated entries', () => {
+      expect(() => decodeMarkers2(Buffer.from([2, 1]))).toThrow(MarkersError);
+
+      const truncated = entry('CUE', Buffer.alloc(12)).subarray(0, 10);
+      expect(() => decodeMarkers2(markers2(truncated))).toThrow("'CUE' entry length 12 exceeds payload");
+    });
+  });
+
+  describe('decodeBeatGrid', () => {
+    it('should decode non-terminal and terminal markers', () => {
+      const payload = Buffer.alloc(6 + 16 + 1);
+      payload.writeUInt8(1, 0);
+      payload.writeUInt32BE(2, 2);
+      payload.writeFloatBE(0.05, 6);
+      payload.writeUInt32BE(64, 10);
+      payload.writeFloatBE(30.5, 14);
+      payload.writeFloatBE(124, 18);
+
+      const markers = decodeBeatGrid(payload);
+
+      expect(markers).toHaveLength(2);
+      expect(markers[0].position).toBeCloseTo(0.05);
+      expect(markers[0].beatsUntilNextMarker).toBe(64);
+      expect(markers[1]).toEqual({ position: 30.5, bpm: 124 });
+    });
+
+    it('should reject a marker count larger than the payload', () => {
+      const payload = Buffer.from([1, 0, 0, 0, 0, 5, 0, 0]);
+      expect(() => decodeBeatGrid(payload)).toThrow(MarkersError);
+    });
+  });
+
+  describe('decodeAutotags', () => {
+    it('should decode BPM and gain values', () => {
+      const payload = Buffer.concat([Buffer.from([1, 1]), Buffer.from('115.00\0-3.257\0' + '0.000\0', 'latin1')]);
+      expect(decodeAutotags(payload)).toEqual({ bpm: 115, autoGain: -3.257, gainDb: 0 });
+    });
+  });
+
+  describe('unwrapEnvelope', () => {
+    it('should unwrap the base64 envelope used in FLAC and M4A tags', () => {
+      const inner = markers2(cue(0, 2000, 'CC0000', 'Intro'));
+      const envelope = Buffer.concat([
+        Buffer.from('application/octet-stream\0\0Serato Markers2\0', 'latin1'),
+        inner,
+      ]).toString('base64');
+
+      const { description, data } = unwrapEnvelope(envelope);
+
+      expect(description).toBe('Serato Markers2');
+      expect(decodeMarkers2(data).cues[0]).toMatchObject({ position: 2, name: 'Intro' });
+    });
+  });
+
+  describe('decodeSeratoTags', () => {
+    it('should keep decoded tags when another tag is malformed', () => {
+      const result = decodeSeratoTags({
+        markers2: markers2(cue(0, 1000, 'CC0000', '')),
+        beatgrid: Buffer.from([9, 9]),
+      });
+
+      expect(result.cues).toHaveLength(1);
+      expect(result.beatgrid).toEqual([]);
+      expect(result.errors).toEqual(['Serato BeatGrid: Unsupported BeatGrid version']);
+    });
+  });
+});
@@ -1,4 +1,6 @@
-const { SeratoParser, SeratoNotFoundError, ParseError, CrateNotFoundError } = require('../../serato/parser');
+const {
+  SeratoParser, SeratoNotFoundError, ParseError, CrateNotFoundError, SessionNotFoundError, PathResolutionError,
+} = require('../../serato/parser');
 const path = require('path');
 
 // Mock dependencies
@@ -27,9 +29,48 @@ jest.mock('../../utils/pathResolver', () => ({
   getStats: jest.fn().mockReturnValue({ filenameIndexSize: 0 }),
   resolvePath: jest.fn(),
   generateTrackId: jest.fn().mockReturnValue('mock-track-id'),
+  loadEntries: jest.fn(),
+  exportEntries: jest.fn().mockReturnValue([]),
+  updateFile: jest.fn().mockResolvedValue(),
+  removeFile: jest.fn(),
+  getResolution: jest.fn().mockReturnValue(null),
+  findCandidates: jest.fn().mockReturnValue([]),
+  listResolutions: jest.fn().mockReturnValue({ resolutions: [], ambiguous: [] }),
+  setResolution: jest.fn(),
+  removeResolution: jest.fn(),
 }));
 
 const fs = require('fs').promises;
+const pathResolver = require('../../utils/pathResolver');
+
+/**
+ * Build a Serato tag: 4-byte ASCII name + u32 BE length + data
+ */
+function tag(name, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  return Buffer.concat([Buffer.from(name, 'ascii'), length, data]);
+}
+
+/**
+ * Encode a string as UTF-16BE
+ */
+function utf16(str) {
+  const buf = Buffer.alloc(str.length * 2);
+  for (let i = 0; i < str.length; i++) {
+    buf.writeUInt16BE(str.charCodeAt(i), i * 2);
+  }
+  return buf;
+}
+
+/**
+ * Encode a u32 BE value
+ */
+function u32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value, 0);
+  return buf;
+}
 
 describe('SeratoParser', () => {
   let parser;
@@ -122,6 +163,29 @@ describe('SeratoParser', () => {
     });
   });
 
+  describe('setKeyNotation', () => {
+    it('should show library keys in the chosen notation and keep the tagged key', () => {
+      const tracks = [{ id: 'a', key: 'Am' }, { id: 'b', key: '1d' }, { id: 'c', key: 'weird' }, { id: 'd', key: null }];
+      const entries = new Map([['library', tracks]]);
+      parser.cache = {
+        get: (key) => entries.get(key) || null,
+        delete: (key) => entries.delete(key),
+        keys: () => Array.from(entries.keys()),
+      };
+
+      parser.setKeyNotation('camelot');
+      expect(tracks.map(t => t.keyDisplay)).toEqual(['8A', '8B', 'weird', null]);
+      expect(tracks[0].key).toBe('Am');
+
+      parser.setKeyNotation('musical');
+      expect(tracks.map(t => t.keyDisplay)).toEqual(['Am', 'C', 'weird', null]);
+    });
+
+    it('should reject unknown notations', () => {
+      expect(() => parser.setKeyNotation('solfege')).toThrow('Unknown key notation');
+    });
+  });
+
   describe('getIndexingStatus', () => {
     it('should return indexing status with null duration when not started', () => {
       const status = parser.getIndexingStatus();
@@ -180,12 +244,421 @@ describe('SeratoParser', () => {
     });
   });
 
+  describe('getMissingTracks', () => {
+    beforeEach(() => {
+      parser.parseLibrary = jest.fn().mockResolvedValue([{ id: 'new-id', filePath: '/New/gone.mp3' }]);
+      parser.getAllCrates = jest.fn().mockResolvedValue([
+        { id: 'house', name: 'House', fullPath: 'House' },
+        { id: 'smart-recent', name: 'Recent', smart: true },
+      ]);
+      parser.parseCrate = jest.fn().mockResolvedValue({
+        tracks: [],
+        missingTracks: [
+          { position: 0, filePath: '/Music/lost.mp3', seratoPath: 'Music/lost.mp3' },
+          { position: 3, filePath: '/Music/gone.mp3', seratoPath: 'Music/gone.mp3' },
+        ],
+      });
+      parser.missingDatabaseEntries = [
+        { filePath: '/Music/gone.mp3', rawSeratoPath: 'Music/gone.mp3', title: 'Gone', artist: 'Artist', duration: 200 },
+        { filePath: '/Music/relinked.mp3', rawSeratoPath: 'Music/relinked.mp3', title: 'Relinked' },
+      ];
+      pathResolver.getResolution.mockImplementation(filePath => (filePath === '/Music/relinked.mp3' ? '/New/relinked.mp3' : null));
+      pathResolver.findCandidates.mockImplementation(filePath => (filePath === '/Music/gone.mp3'
+        ? [{ path: '/New/gone.mp3', confidence: 0.9, matchedBy: ['metadata'] }]
+        : []));
+      pathResolver.listResolutions.mockReturnValue({ resolutions: [], ambiguous: [{ originalPath: '/Music/gone.mp3' }] });
+    });
+
+    afterEach(() => {
+      pathResolver.getResolution.mockReturnValue(null);
+      pathResolver.findCandidates.mockReturnValue([]);
+      pathResolver.listResolutions.mockReturnValue({ resolutions: [], ambiguous: [] });
+    });
+
+    it('should merge database and crate entries with their crates and candidates', async () => {
+      const missing = await parser.getMissingTracks();
+
+      expect(parser.parseCrate).toHaveBeenCalledTimes(1);
+      expect(missing).toEqual([
+        expect.objectContaining({
+          filePath: '/Music/gone.mp3',
+          seratoPath: 'Music/gone.mp3',
+          title: 'Gone',
+          inDatabase: true,
+          ambiguous: true,
+          crates: [{ id: 'house', name: 'House', position: 3 }],
+          candidates: [{ path: '/New/gone.mp3', confidence: 0.9, matchedBy: ['metadata'], trackId: 'new-id' }],
+        }),
+        expect.objectContaining({
+          filePath: '/Music/lost.mp3',
+          title: null,
+          inDatabase: false,
+          ambiguous: false,
+          crates: [{ id: 'house', name: 'House', position: 0 }],
+          candidates: [],
+        }),
+      ]);
+      expect(pathResolver.findCandidates).toHaveBeenCalledWith('/Music/gone.mp3', expect.objectContaining({ artist: 'Artist' }), { limit: 5 });
+      expect(pathResolver.findCandidates).toHaveBeenCalledWith('/Music/lost.mp3', null, { limit: 5 });
+    });
+  });
+
+  describe('setPathResolution / removePathResolution', () => {
+    const libraryTrack = { id: 'new-id', title: 'Gone', filePath: '/New/gone.mp3' };
+    const goneEntry = { filePath: '/Music/gone.mp3', rawSeratoPath: 'Music/gone.mp3', title: 'Gone', bpm: 126 };
+    const crate = (id, fields) => ({ id, smart: false, tracks: [], missingTracks: [], ...fields });
+
+    beforeEach(() => {
+      const entries = new Map();
+      parser.cache = {
+        get: (key) => (entries.has(key) ? entries.get(key) : null),
+        set: (key, value) => entries.set(key, value),
+        delete: (key) => entries.delete(key),
+        keys: () => Array.from(entries.keys()),
+      };
+      parser.cache.set('library', [libraryTrack]);
+      parser.cache.set('crate-lost', crate('lost', { missingTracks: [{ position: 0, filePath: '/Music/gone.mp3' }] }));
+      parser.cache.set('crate-other', crate('other', { missingTracks: [{ position: 0, filePath: '/Music/other.mp3' }] }));
+      parser.indexingStatus.isComplete = true;
+      parser.parseLibrary = jest.fn(async () => parser.cache.get('library'));
+      parser.reconcileLibrary = jest.fn();
+      parser.missingDatabaseEntries = [goneEntry];
+      fs.stat.mockImplementation(async (filePath) => {
+        if (filePath !== '/New/gone.mp3') throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+        return { size: 100, mtimeMs: 1700000000000, birthtime: new Date() };
+      });
+    });
+
+    it('should only re-resolve the crates referring to the path', async () => {
+      parser.missingDatabaseEntries = [];
+
+      await parser.setPathResolution('/Music/gone.mp3', '/New/gone.mp3');
+
+      expect(pathResolver.setResolution).toHaveBeenCalledWith('/Music/gone.mp3', '/New/gone.mp3');
+      expect(parser.cache.get('crate-lost')).toBeNull();
+      expect(parser.cache.get('crate-other')).not.toBeNull();
+      expect(parser.reconcileLibrary).not.toHaveBeenCalled();
+    });
+
+    it('should patch the database entry referring to the path into the library', async () => {
+      pathResolver.resolvePath.mockResolvedValue('/New/gone.mp3');
+
+      await parser.setPathResolution('/Music/gone.mp3', '/New/gone.mp3');
+
+      expect(parser.missingDatabaseEntries).toEqual([]);
+      expect(parser.databaseEntries.get('/New/gone.mp3')).toBe(goneEntry);
+      expect(parser.cache.get('library')[0].bpm).toBe(126);
+      expect(parser.reconcileLibrary).not.toHaveBeenCalled();
+    });
+
+    it('should wait for a running reconcile before patching the database entry', async () => {
+      let finishReconcile;
+      parser.reconcilePromise = new Promise(resolve => { finishReconcile = resolve; });
+      pathResolver.resolvePath.mockResolvedValue('/New/gone.mp3');
+
+      await parser.setPathResolution('/Music/gone.mp3', '/New/gone.mp3');
+      expect(parser.missingDatabaseEntries).toEqual([goneEntry]);
+
+      parser.reconcilePromise = null;
+      finishReconcile();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(parser.databaseEntries.get('/New/gone.mp3')).toBe(goneEntry);
+    });
+
+    it('should resolve the path again after its mapping is removed', async () => {
+      parser.missingDatabaseEntries = [];
+      parser.databaseEntries.set('/New/gone.mp3', goneEntry);
+      parser.cache.set('crate-mapped', crate('mapped', { tracks: [libraryTrack] }));
+      pathResolver.getResolution.mockReturnValueOnce('/New/gone.mp3');
+      pathResolver.removeResolution.mockReturnValueOnce(true);
+      pathResolver.resolvePath.mockResolvedValue(null);
+
+      expect(await parser.removePathResolution('/Music/gone.mp3')).toBe(true);
+
+      expect(parser.cache.get('crate-mapped')).toBeNull();
+      expect(parser.missingDatabaseEntries).toEqual([goneEntry]);
+      expect(parser.databaseEntries.has('/New/gone.mp3')).toBe(false);
+    });
+
+    it('should reject files outside the library', async () => {
+      await expect(parser.setPathResolution('/Music/gone.mp3', '/Elsewhere/gone.mp3'))
+        .rejects.toThrow(PathResolutionError);
+    });
+  });
+
+  describe('loadPersistedIndex', () => {
+    const savedTracks = [
+      { id: 'track-1', title: 'One', filePath: '/Users/test/Music/one.mp3' },
+      { id: 'track-2', title: 'Two', filePath: '/Users/test/Music/two.mp3' },
+    ];
+
+    it('should return false without an index store', async () => {
+      expect(await parser.loadPersistedIndex()).toBe(false);
+    });
+
+    it('should serve saved tracks immediately', async () => {
+      const files = [{ path: '/Users/test/Music/one.mp3', metadata: {} }];
+      parser.indexStore = {
+        load: jest.fn().mockResolvedValue({ tracks: savedTracks, files, savedAt: Date.now() }),
+      };
+      parser.cache.set = jest.fn();
+
+      const restored = await parser.loadPersistedIndex();
+
+      expect(restored).toBe(true);
+      expect(parser.indexStore.load).toHaveBeenCalledWith(mockSeratoPath);
+      expect(parser.cache.set).toHaveBeenCalledWith('library', savedTracks);
+      expect(parser.trackCache.get('track-2')).toBe(savedTracks[1]);
+      expect(pathResolver.loadEntries).toHaveBeenCalledWith(files);
+      expect(parser.getIndexingStatus().isComplete).toBe(true);
+      expect(parser.getIndexingStatus().isIndexing).toBe(false);
+    });
+
+    it('should return false when the saved index is empty', async () => {
+      parser.indexStore = {
+        load: jest.fn().mockResolvedValue({ tracks: [], files: [] }),
+      };
+
+      expect(await parser.loadPersistedIndex()).toBe(false);
+      expect(parser.getIndexingStatus().isComplete).toBe(false);
+    });
+  });
+
+  describe('_getOrCreateTrackObject', () => {
+    const filePath = '/Users/test/Music/song.mp3';
+    const previousTrack = {
+      id: 'saved-id',
+      title: 'Saved Title',
+      filePath,
+      fileSize: 5000,
+      fileModifiedAt: 1700000000000,
+      playCount: 4,
+    };
+
+    it('should reuse the saved track when mtime and size are unchanged', async () => {
+      fs.stat.mockResolvedValue({ size: 5000, mtimeMs: 1700000000000 });
+      parser._createTrackObject = jest.fn();
+
+      const track = await parser._getOrCreateTrackObject(filePath, true, new Map([[filePath, previousTrack]]));
+
+      expect(parser._createTrackObject).not.toHaveBeenCalled();
+      expect(track.id).toBe('saved-id');
+      expect(track.title).toBe('Saved Title');
+      expect(track.playCount).toBe(0);
+      expect(track).not.toBe(previousTrack);
+    });
+
+    it('should rebuild the track when the file changed', async () => {
+      fs.stat.mockResolvedValue({ size: 6000, mtimeMs: 1700000001000 });
+      const freshTrack = { id: 'fresh-id', filePath };
+      parser._createTrackObject = jest.fn().mockResolvedValue(freshTrack);
+
+      const track = await parser._getOrCreateTrackObject(filePath, false, new Map([[filePath, previousTrack]]));
+
+      expect(parser._createTrackObject).toHaveBeenCalledWith(filePath, false);
+      expect(track).toBe(freshTrack);
+    });
+
+    it('should create a new track when there is no saved entry', async () => {
+      parser._createTrackObject = jest.fn().mockResolvedValue({ id: 'new-id' });
+
+      const track = await parser._getOrCreateTrackObject(filePath, true, null);
+
+      expect(parser._createTrackObject).toHaveBeenCalledWith(filePath, true);
+      expect(track.id).toBe('new-id');
+    });
+  });
+
+  describe('incremental library updates', () => {
+    const existingTrack = {
+      id: 'existing-id',
+      title: 'Existing',
+      filePath: '/Users/test/Music/existing.mp3',
+      seratoPath: 'Users/test/Music/existing.mp3',
+      playCount: 3,
+      hasBeenPlayed: true,
+    };
+
+    beforeEach(() => {
+      // Simple Map-backed cache so library updates can be observed
+      const entries = new Map();
+      parser.cache = {
+        get: (key) => (entries.has(key) ? entries.get(key) : null),
+        set: (key, value) => entries.set(key, value),
+        delete: (key) => entries.delete(key),
+        keys: () => Array.from(entries.keys()),
+      };
+      parser.cache.set('library', [existingTrack]);
+      parser.cache.set('crate-my-crate', { id: 'my-crate', tracks: [existingTrack] });
+      parser.trackCache.set(existingTrack.id, existingTrack);
+      parser.indexingStatus.isComplete = true;
+      fs.stat.mockResolvedValue({ size: 100, mtimeMs: 1700000000000, birthtime: new Date() });
+    });
+
+    it('should add a new audio file to the library', async () => {
+      pathResolver.generateTrackId.mockReturnValueOnce('new-id');
+
+      const change = await parser.upsertTrackFile('/Users/test/Music/new.mp3');
+
+      expect(change.type).toBe('added');
+      expect(change.track.id).toBe('new-id');
+      expect(change.track.seratoPath).toBe('Users/test/Music/new.mp3');
+      expect(parser.cache.get('library')).toHaveLength(2);
+      expect(parser.trackCache.get('new-id')).toBe(change.track);
+      expect(pathResolver.updateFile).toHaveBeenCalledWith('/Users/test/Music/new.mp3');
+      expect(parser.cache.get('crate-my-crate')).toBeNull();
+    });
+
+    it('should update an existing file in place and keep its play count', async () => {
+      pathResolver.generateTrackId.mockReturnValueOnce('changed-id');
+
+      const change = await parser.upsertTrackFile(existingTrack.filePath);
+
+      expect(change.type).toBe('updated');
+      expect(change.previousId).toBe('existing-id');
+      expect(change.track.playCount).toBe(3);
+      expect(parser.cache.get('library')).toEqual([change.track]);
+      expect(parser.trackCache.has('existing-id')).toBe(false);
+      expect(parser.trackCache.get('changed-id')).toBe(change.track);
+    });
+
+    it('should merge database metadata for files known to Serato', async () => {
+      parser.databaseEntries.set('/Users/test/Music/db.mp3', {
+        filePath: '/Users/test/Music/db.mp3',
+        rawSeratoPath: 'Users/test/Music/db.mp3',
+        title: 'Serato Title',
+        bpm: 124,
+      });
+
+      const change = await parser.upsertTrackFile('/Users/test/Music/db.mp3');
+
+      expect(change.track.title).toBe('Serato Title');
+      expect(change.track.bpm).toBe(124);
+      expect(parser.metadataExtractor.extractMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should ignore non-audio files', async () => {
+      expect(await parser.upsertTrackFile('/Users/test/Music/cover.jpg')).toBeNull();
+    });
+
+    it('should ignore changes while the library is not indexed', async () => {
+      parser.indexingStatus.isComplete = false;
+      expect(await parser.upsertTrackFile('/Users/test/Music/new.mp3')).toBeNull();
+    });
+
+    it('should remove a deleted file from the library', () => {
+      const change = parser.removeTrackFile(existingTrack.filePath);
+
+      expect(change).toEqual({ type: 'removed', track: existingTrack });
+      expect(parser.cache.get('library')).toEqual([]);
+      expect(parser.trackCache.has('existing-id')).toBe(false);
+      expect(pathResolver.removeFile).toHaveBeenCalledWith(existingTrack.filePath);
+    });
+
+    it('should save a pending index change when flushed', async () => {
+      parser.indexStore = { save: jest.fn().mockResolvedValue() };
+      parser.removeTrackFile(existingTrack.filePath);
+
+      await parser.flushIndex();
+      await parser.flushIndex();
+
+      expect(parser.persistTimer).toBeNull();
+      expect(parser.indexStore.save).toHaveBeenCalledTimes(1);
+      expect(parser.indexStore.save).toHaveBeenCalledWith(expect.objectContaining({ tracks: [] }));
+    });
+
+    it('should return null when removing a file that is not indexed', () => {
+      expect(parser.removeTrackFile('/Users/test/Music/unknown.mp3')).toBeNull();
+    });
+
+    describe('refreshFromDatabase', () => {
+      const existingEntry = {
+        filePath: existingTrack.filePath, rawSeratoPath: existingTrack.seratoPath, title: 'Existing', bpm: 120,
+      };
+      const addedEntry = { filePath: '/Users/test/Music/added.mp3', rawSeratoPath: 'Users/test/Music/added.mp3', title: 'Added' };
+
+      beforeEach(() => {
+        parser.databaseEntries.set(existingTrack.filePath, existingEntry);
+        parser.reconcileLibrary = jest.fn();
+      });
+
+      it('should patch only the entries that changed', async () => {
+        pathResolver.generateTrackId.mockReturnValueOnce('added-id');
+        parser._parseDatabaseV2 = jest.fn().mockResolvedValue([{ ...existingEntry }, addedEntry]);
+
+        const changes = await parser.refreshFromDatabase();
+
+        expect(changes).toEqual([{ type: 'added', track: expect.objectContaining({ id: 'added-id', title: 'Added' }), previousId: null }]);
+        expect(parser.cache.get('library')).toEqual([existingTrack, changes[0].track]);
+        expect(parser.databaseEntries.get(addedEntry.filePath)).toBe(addedEntry);
+        expect(parser.reconcileLibrary).not.toHaveBeenCalled();
+      });
+
+      it('should merge changed database metadata into the track', async () => {
+        parser._parseDatabaseV2 = jest.fn().mockResolvedValue([{ ...existingEntry, bpm: 128 }]);
+
+        const changes = await parser.refreshFromDatabase();
+
+        expect(changes).toEqual([expect.objectContaining({ type: 'updated', previousId: 'existing-id' })]);
+        expect(changes[0].track.bpm).toBe(128);
+        expect(changes[0].track.playCount).toBe(3);
+      });
+
+      it('should remove tracks dropped from the database that are not in a music folder', async () => {
+        parser.musicPaths = ['/Volumes/Other'];
+        parser._parseDatabaseV2 = jest.fn().mockResolvedValue([]);
+
+        const changes = await parser.refreshFromDatabase();
+
+        expect(changes).toEqual([{ type: 'removed', track: existingTrack }]);
+        expect(parser.databaseEntries.size).toBe(0);
+      });
+
+      it('should list entries whose file is gone as missing', async () => {
+        fs.stat.mockRejectedValue(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+        pathResolver.resolvePath.mockResolvedValue(null);
+        parser._parseDatabaseV2 = jest.fn().mockResolvedValue([existingEntry, addedEntry]);
+
+        expect(await parser.refreshFromDatabase()).toEqual([]);
+        expect(parser.missingDatabaseEntries).toEqual([addedEntry]);
+      });
+
+      it('should keep the library when the database cannot be read', async () => {
+        parser._parseDatabaseV2 = jest.fn().mockResolvedValue(null);
+
+        expect(await parser.refreshFromDatabase()).toEqual([]);
+        expect(parser.cache.get('library')).toEqual([existingTrack]);
+      });
+    });
+  });
+
+  describe('reconcileLibrary', () => {
+    it('should run once more after a running reconcile instead of returning the old library', async () => {
+      let finishFirst;
+      parser._reconcile = jest.fn()
+        .mockReturnValueOnce(new Promise(resolve => { finishFirst = resolve; }))
+        .mockResolvedValueOnce(['second']);
+
+      const first = parser.reconcileLibrary();
+      const queued = [parser.reconcileLibrary(), parser.reconcileLibrary()];
+      expect(parser._reconcile).toHaveBeenCalledTimes(1);
+
+      finishFirst(['first']);
+
+      expect(await first).toEqual(['first']);
+      expect(await Promise.all(queued)).toEqual([['second'], ['second']]);
+      expect(parser._reconcile).toHaveBeenCalledTimes(2);
+      expect(parser.isReconciling).toBe(false);
+    });
+  });
+
   describe('searchTracks', () => {
     beforeEach(() => {
       const mockLibrary = [
-        { id: '1', title: 'Test Song', artist: 'Test Artist', album: 'Test Album' },
-        { id: '2', title: 'Another Track', artist: 'Other Artist', album: 'Other Album' },
-        { id: '3', title: 'Hello World', artist: 'Test Artist', album: 'Best Hits' },
+        { id: '1', title: 'Test Song', artist: 'Test Artist', album: 'Test Album', filePath: '/Music/1.mp3' },
+        { id: '2', title: 'Another Track', artist: 'Other Artist', album: 'Other Album', filePath: '/Music/2.mp3' },
+        { id: '3', title: 'Hello World', artist: 'Test Artist', album: 'Best Hits', filePath: '/Music/3.mp3' },
       ];
       parser.cache.get = jest.fn().mockReturnValue(mockLibrary);
       parser.indexingStatus.isComplete = true;
@@ -218,6 +691,313 @@ describe('SeratoParser', () => {
       const results = await parser.searchTracks('TEST');
       expect(results.length).toBe(2);
     });
+
+    it('should resolve crates named in the query', async () => {
+      parser.getAllCrates = jest.fn().mockResolvedValue([
+        { id: 'gigs-played', name: 'Played', fullPath: 'Gigs%%Played' },
+        { id: 'other', name: 'Other', fullPath: 'Other' },
+      ]);
+      parser.parseCrate = jest.fn().mockResolvedValue({ tracks: [{ id: '1' }] });
+
+      const results = await parser.searchTracks('artist:test -crate:gigs/played');
+
+      expect(results.map(t => t.id)).toEqual(['3']);
+      expect(parser.parseCrate).toHaveBeenCalledTimes(1);
+      expect(parser.parseCrate).toHaveBeenCalledWith('gigs-played');
+    });
+
+    it('should rank free text with the search index and apply field filters', async () => {
+      const results = await parser.searchTracksRanked('tset -hello');
+
+      expect(results.map(r => r.track.id)).toEqual(['1']);
+      expect(results[0].highlights).toEqual({ title: [[0, 4]], artist: [[0, 4]], album: [[0, 4]] });
+    });
+
+    it('should rebuild the search index when the library is replaced', async () => {
+      await parser.searchTracks('test');
+      parser.cache.get = jest.fn().mockReturnValue([{ id: '9', title: 'Fresh Test' }]);
+
+      const results = await parser.searchTracks('test');
+
+      expect(results.map(t => t.id)).toEqual(['9']);
+    });
+  });
+
+  describe('_parseDatabaseV2', () => {
+    it('should extract all database columns from otrk chunks', async () => {
+      const database = Buffer.concat([
+        tag('vrsn', utf16('2.0/Serato Scratch LIVE Database')),
+        tag('otrk', Buffer.concat([
+          tag('ttyp', utf16('mp3')),
+          tag('pfil', utf16('Users/test/Music/song.mp3')),
+          tag('tsng', utf16('Song')),
+          tag('tart', utf16('Artist')),
+          tag('talb', utf16('Album')),
+          tag('tgen', utf16('House')),
+          tag('tlen', utf16('05:30.00')),
+          tag('tbit', utf16('320.0kbps')),
+          tag('tsmp', utf16('44.1k')),
+          tag('tbpm', utf16('124.00')),
+          tag('tcom', utf16('Peak time')),
+          tag('tgrp', utf16('Warmup')),
+          tag('tlbl', utf16('Defected')),
+          tag('tcmp', utf16('Composer')),
+          tag('ttyr', utf16('2015')),
+          tag('tkey', utf16('8A')),
+          tag('uadd', u32(1700000000)),
+          tag('ulbl', u32(0xFF0000)),
+          tag('bply', Buffer.from([0x01])),
+        ])),
+      ]);
+      fs.readFile.mockResolvedValue(database);
+
+      const tracks = await parser._parseDatabaseV2();
+
+      expect(tracks).toHaveLength(1);
+      expect(tracks[0]).toMatchObject({
+        filePath: '/Users/test/Music/song.mp3',
+        rawSeratoPath: 'Users/test/Music/song.mp3',
+        title: 'Song',
+        artist: 'Artist',
+        album: 'Album',
+        genre: 'House',
+        comment: 'Peak time',
+        grouping: 'Warmup',
+        label: 'Defected',
+        composer: 'Composer',
+        year: 2015,
+        bitrate: 320000,
+        sampleRate: 44100,
+        bpm: 124,
+        key: '8A',
+        duration: 330,
+        color: '#FF0000',
+        hasBeenPlayed: true,
+      });
+      expect(tracks[0].addedAt).toEqual(new Date(1700000000 * 1000));
+    });
+
+    it('should leave optional columns empty and treat white as no color', async () => {
+      const database = tag('otrk', Buffer.concat([
+        tag('pfil', utf16('Users/test/Music/plain.mp3')),
+        tag('tadd', utf16('1600000000')),
+        tag('ulbl', u32(0xFFFFFF)),
+      ]));
+      fs.readFile.mockResolvedValue(database);
+
+      const [track] = await parser._parseDatabaseV2();
+
+      expect(track.album).toBeNull();
+      expect(track.year).toBeNull();
+      expect(track.color).toBeNull();
+      expect(track.addedAt).toEqual(new Date(1600000000 * 1000));
+    });
+
+    it('should keep tracks read before a corrupt entry', async () => {
+      const good = tag('otrk', tag('pfil', utf16('Users/test/Music/good.mp3')));
+      const corrupt = tag('otrk', Buffer.concat([tag('pfil', utf16('Users/test/Music/bad.mp3')), Buffer.from('xx')]));
+      const truncated = tag('otrk', tag('pfil', utf16('Users/test/Music/cut.mp3'))).subarray(0, 20);
+      fs.readFile.mockResolvedValue(Buffer.concat([good, corrupt, good, truncated]));
+
+      const tracks = await parser._parseDatabaseV2();
+
+      expect(tracks.map(t => t.filePath)).toEqual([
+        '/Users/test/Music/good.mp3',
+        '/Users/test/Music/good.mp3',
+      ]);
+    });
+
+    it('should not match column names inside other values', async () => {
+      // A title spelling out "tbpm" must not be read as the BPM column
+      fs.readFile.mockResolvedValue(tag('otrk', Buffer.concat([
+        tag('pfil', utf16('Users/test/Music/song.mp3')),
+        tag('tsng', Buffer.concat([Buffer.from('tbpm'), u32(4), utf16('99')])),
+      ])));
+
+      const [track] = await parser._parseDatabaseV2();
+
+      expect(track.bpm).toBeNull();
+    });
+  });
+
+  describe('History sessions', () => {
+    function adatField(id, data) {
+      const header = Buffer.alloc(8);
+      header.writeUInt32BE(id, 0);
+      header.writeUInt32BE(data.length, 4);
+      return Buffer.concat([header, data]);
+    }
+
+    function historyEntry(filePath, fields = {}) {
+      return tag('oent', tag('adat', Buffer.concat([
+        adatField(1, u32(fields.row || 1)),
+        adatField(2, utf16(filePath)),
+        ...(fields.title ? [adatField(6, utf16(fields.title))] : []),
+        ...(fields.startTime ? [adatField(28, u32(fields.startTime))] : []),
+        ...(fields.endTime ? [adatField(29, u32(fields.endTime))] : []),
+        ...(fields.deck ? [adatField(31, u32(fields.deck))] : []),
+        ...(fields.played !== undefined ? [adatField(50, Buffer.from([fields.played]))] : []),
+      ])));
+    }
+
+    beforeEach(() => {
+      fs.stat.mockResolvedValue({ mtimeMs: 1 });
+    });
+
+    it('should count plays per file path across sessions', async () => {
+      fs.readdir.mockResolvedValue(['1.session', '2.session', 'notes.txt']);
+      fs.readFile
+        .mockResolvedValueOnce(Buffer.concat([
+          tag('vrsn', utf16('1.0/Serato Scratch LIVE Review')),
+          historyEntry('/Music/a.mp3'),
+          historyEntry('/Music/b.mp3'),
+        ]))
+        .mockResolvedValueOnce(historyEntry('\\Music\\a.mp3'));
+
+      const history = await parser._collectPlayHistory();
+
+      expect(history.get('Music/a.mp3').count).toBe(2);
+      expect(history.get('Music/b.mp3').count).toBe(1);
+    });
+
+    it('should compute first/last played and plays per period for library tracks', async () => {
+      const day = 24 * 60 * 60;
+      const now = 1000 * day * 1000;
+      const tracks = [
+        { id: 'a', seratoPath: 'Music/a.mp3', filePath: '/Music/a.mp3' },
+        { id: 'moved', seratoPath: 'Elsewhere/b.mp3', filePath: '/Elsewhere/b.mp3' },
+        { id: 'never', seratoPath: 'Music/c.mp3', filePath: '/Music/c.mp3' },
+      ];
+      parser.parseLibrary = jest.fn().mockResolvedValue(tracks);
+      fs.readdir.mockResolvedValue(['1.session']);
+      fs.readFile.mockResolvedValue(Buffer.concat([
+        historyEntry('Music/a.mp3', { startTime: 1000 * day - 10 * day }),
+        historyEntry('Music/a.mp3', { startTime: 1000 * day - 60 * day }),
+        historyEntry('Music/a.mp3', { startTime: 1000 * day - 400 * day }),
+        historyEntry('Music/b.mp3', { startTime: 1000 * day - 200 * day }),
+      ]));
+
+      const statistics = await parser.getPlayStatistics(now);
+
+      expect(statistics.get('a')).toEqual({
+        playCount: 3,
+        firstPlayedAt: new Date((1000 - 400) * day * 1000),
+        lastPlayedAt: new Date((1000 - 10) * day * 1000),
+        playsLast30: 1,
+        playsLast90: 2,
+        playsLast365: 2,
+      });
+      expect(statistics.get('moved')).toMatchObject({ playCount: 1, playsLast90: 0, playsLast365: 1 });
+      expect(statistics.get('never')).toMatchObject({ playCount: 0, lastPlayedAt: null, playsLast365: 0 });
+    });
+
+    it('should reuse the statistics until History or the day changes', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      parser.parseLibrary = jest.fn().mockResolvedValue([{ id: 'a', seratoPath: 'Music/a.mp3', filePath: '/Music/a.mp3' }]);
+      fs.readdir.mockResolvedValue(['1.session']);
+      fs.readFile.mockResolvedValue(historyEntry('Music/a.mp3', { startTime: 100 }));
+
+      const first = await parser.getPlayStatistics(1000 * day);
+      expect(await parser.getPlayStatistics(1000 * day + 60000)).toBe(first);
+      expect(await parser.getPlayStatistics(1001 * day)).not.toBe(first);
+
+      const nextDay = await parser.getPlayStatistics(1001 * day);
+      fs.stat.mockResolvedValue({ mtimeMs: 2 });
+      expect(await parser.getPlayStatistics(1001 * day)).not.toBe(nextDay);
+    });
+
+    it('should report tracks not played since they were added', async () => {
+      parser.parseLibrary = jest.fn().mockResolvedValue([
+        { id: 'played', seratoPath: 'Music/a.mp3', filePath: '/Music/a.mp3', addedAt: new Date(1000 * 1000) },
+        { id: 'readded', seratoPath: 'Music/b.mp3', filePath: '/Music/b.mp3', addedAt: new Date(3000 * 1000) },
+        { id: 'unplayed', seratoPath: 'Music/c.mp3', filePath: '/Music/c.mp3', addedAt: new Date(500 * 1000) },
+        { id: 'undated', seratoPath: 'Music/d.mp3', filePath: '/Music/d.mp3' },
+      ]);
+      fs.readdir.mockResolvedValue(['1.session']);
+      fs.readFile.mockResolvedValue(Buffer.concat([
+        historyEntry('Music/a.mp3', { startTime: 2000 }),
+        historyEntry('Music/b.mp3', { startTime: 2000 }),
+      ]));
+
+      const tracks = await parser.getNeverPlayedTracks();
+
+      expect(tracks.map(t => t.id)).toEqual(['unplayed', 'readded', 'undated']);
+    });
+
+    it('should list sessions newest first with duration and track count', async () => {
+      fs.readdir.mockResolvedValue(['1.session', '2.session']);
+      fs.readFile
+        .mockResolvedValueOnce(historyEntry('Music/a.mp3', { startTime: 1000, endTime: 1300 }))
+        .mockResolvedValueOnce(Buffer.concat([
+          tag('oses', tag('adat', Buffer.concat([adatField(28, u32(5000)), adatField(29, u32(9000))]))),
+          historyEntry('Music/b.mp3', { startTime: 5100 }),
+          historyEntry('Music/c.mp3', { startTime: 5400, played: 0 }),
+        ]));
+
+      const sessions = await parser.getHistorySessions();
+
+      expect(sessions).toEqual([
+        { id: '2', startTime: new Date(5000000), endTime: new Date(9000000), duration: 4000, trackCount: 1 },
+        { id: '1', startTime: new Date(1000000), endTime: new Date(1300000), duration: 300, trackCount: 1 },
+      ]);
+    });
+
+    it('should only re-read session files that changed', async () => {
+      fs.readdir.mockResolvedValue(['1.session']);
+      fs.readFile.mockResolvedValue(historyEntry('Music/a.mp3'));
+
+      await parser.getHistorySessions();
+      await parser.getHistorySessions();
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+
+      fs.stat.mockResolvedValue({ mtimeMs: 2 });
+      await parser.getHistorySessions();
+      expect(fs.readFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return session tracks in play order resolved against the library', async () => {
+      const track = { id: 't1', filePath: '/Music/a.mp3', seratoPath: 'Music/a.mp3' };
+      parser.parseLibrary = jest.fn().mockResolvedValue([track]);
+      pathResolver.resolvePath.mockResolvedValue(null);
+      fs.readdir.mockResolvedValue(['7.session']);
+      fs.readFile.mockResolvedValue(Buffer.concat([
+        historyEntry('Music/gone.mp3', { row: 2, title: 'Gone', startTime: 2000, deck: 2 }),
+        historyEntry('Music\\a.mp3', { row: 1, title: 'A', startTime: 1000, endTime: 1500, deck: 1 }),
+      ]));
+
+      const session = await parser.getHistorySession('7');
+
+      expect(session.tracks).toEqual([
+        expect.objectContaining({ position: 0, title: 'A', deck: 1, startTime: new Date(1000000), resolved: true, trackId: 't1', track }),
+        expect.objectContaining({ position: 1, title: 'Gone', deck: 2, filePath: '/Music/gone.mp3', resolved: false, trackId: null }),
+      ]);
+      await expect(parser.getHistorySession('8')).rejects.toThrow(SessionNotFoundError);
+    });
+  });
+
+  describe('_mergeDatabaseMetadata', () => {
+    it('should prefer database columns over file defaults', () => {
+      const track = { title: 'file', album: 'Unknown Album', genre: '', comment: '', year: 1999 };
+
+      parser._mergeDatabaseMetadata(track, {
+        filePath: '/a.mp3',
+        rawSeratoPath: 'a.mp3',
+        title: 'Serato',
+        album: 'Serato Album',
+        genre: 'Techno',
+        comment: null,
+        year: 2020,
+      });
+
+      expect(track).toMatchObject({
+        seratoPath: 'a.mp3',
+        title: 'Serato',
+        album: 'Serato Album',
+        genre: 'Techno',
+        comment: '',
+        year: 2020,
+      });
+    });
   });
 
   describe('_parseCrateFile', () => {
@@ -241,6 +1021,20 @@ describe('SeratoParser', () => {
       expect(paths).toContain('/test.mp3');
     });
 
+    it('should extract ptrk paths nested in otrk entries in order', () => {
+      const crateBuffer = Buffer.concat([
+        tag('vrsn', utf16('1.0/Serato ScratchLive Crate')),
+        tag('osrt', Buffer.concat([tag('tvcn', utf16('bpm')), tag('brev', Buffer.from([0]))])),
+        tag('otrk', tag('ptrk', utf16('Users/dj/Music/b.mp3'))),
+        tag('otrk', tag('ptrk', utf16('C:/Music/a.flac'))),
+        tag('otrk', tag('ptrk', utf16('Users/dj/Music/cover.jpg'))),
+      ]);
+
+      const paths = parser._parseCrateFile(crateBuffer);
+
+      expect(paths).toEqual(['/Users/dj/Music/b.mp3', 'C:/Music/a.flac']);
+    });
+
     it('should handle empty crate file', () => {
       const emptyBuffer = Buffer.from([]);
       const paths = parser._parseCrateFile(emptyBuffer);
@@ -249,16 +1043,39 @@ describe('SeratoParser', () => {
   });
 
   describe('_countTracksInCrate', () => {
-    it('should count ptrk markers in buffer', () => {
-      const marker = Buffer.from('ptrk');
-      const data = Buffer.from('some data');
-      const buffer = Buffer.concat([marker, data, marker, data, marker, data]);
+    it('should count otrk entries with a ptrk path', () => {
+      const buffer = Buffer.concat([
+        tag('vrsn', utf16('1.0/Serato ScratchLive Crate')),
+        tag('otrk', tag('ptrk', utf16('Music/a.mp3'))),
+        tag('otrk', tag('ptrk', utf16('Music/b.mp3'))),
+        tag('otrk', tag('ptrk', utf16('Music/c.mp3'))),
+      ]);
 
       const count = parser._countTracksInCrate(buffer);
 
       expect(count).toBe(3);
     });
 
+    it('should ignore "ptrk" bytes that are not a tag', () => {
+      // A title containing "ptrk" must not be counted as a track
+      const buffer = Buffer.concat([
+        tag('tvcn', Buffer.from('ptrk ptrk')),
+        tag('otrk', tag('ptrk', utf16('Music/a.mp3'))),
+      ]);
+
+      expect(parser._countTracksInCrate(buffer)).toBe(1);
+    });
+
+    it('should count entries read before a truncated tag', () => {
+      const truncated = tag('otrk', tag('ptrk', utf16('Music/b.mp3'))).subarray(0, 12);
+      const buffer = Buffer.concat([
+        tag('otrk', tag('ptrk', utf16('Music/a.mp3'))),
+        truncated,
+      ]);
+
+      expect(parser._countTracksInCrate(buffer)).toBe(1);
+    });
+
     it('should return 0 for buffer without markers', () => {
       const buffer = Buffer.from('no markers here');
       const count = parser._countTracksInCrate(buffer);
@@ -316,5 +1133,11 @@ describe('SeratoParser', () => {
       expect(error.name).toBe('CrateNotFoundError');
       expect(error.message).toBe('test');
     });
+
+    it('should create PathResolutionError with correct name', () => {
+      const error = new PathResolutionError('test');
+      expect(error.name).toBe('PathResolutionError');
+      expect(error.message).toBe('test');
+    });
   });
 });
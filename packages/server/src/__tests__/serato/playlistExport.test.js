@@ -0,0 +1,96 @@
+const { exportPlaylist, commonDirectory, PlaylistExportError } = require('../../serato/playlistExport');
+
+describe('playlistExport', () => {
+  const tracks = [
+    {
+      id: 'a', artist: 'Artist', title: 'First', album: 'Album', genre: 'House', year: 2020,
+      bpm: 124, key: '8A', duration: 301.6, filePath: '/Music/House/First.mp3',
+    },
+    {
+      id: 'b', artist: 'Other, Artist', title: 'Say "Hi"', album: 'Album', genre: 'House', year: null,
+      bpm: 126, key: '9A', keyDisplay: 'Em', duration: 0, filePath: '/Music/Disco/Second.flac',
+    },
+  ];
+
+  describe('exportPlaylist', () => {
+    it('should write M3U8 with #EXTINF lines and absolute paths', () => {
+      const { content, extension } = exportPlaylist('Warm Up', tracks);
+
+      expect(extension).toBe('m3u8');
+      expect(content).toBe([
+        '#EXTM3U',
+        '#PLAYLIST:Warm Up',
+        '#EXTINF:302,Artist - First',
+        '/Music/House/First.mp3',
+        '#EXTINF:-1,Other, Artist - Say "Hi"',
+        '/Music/Disco/Second.flac',
+        '',
+      ].join('\n'));
+    });
+
+    it('should write paths relative to the folder the tracks share', () => {
+      const { content } = exportPlaylist('Warm Up', tracks, { paths: 'relative', extinf: false });
+
+      expect(content).toBe('#EXTM3U\nHouse/First.mp3\nDisco/Second.flac\n');
+    });
+
+    it('should write paths relative to a given folder', () => {
+      const { content } = exportPlaylist('Warm Up', tracks, { paths: 'relative', basePath: '/Music/House', extinf: false });
+
+      expect(content).toBe('#EXTM3U\nFirst.mp3\n../Disco/Second.flac\n');
+    });
+
+    it('should write PLS entries', () => {
+      const { content } = exportPlaylist('Warm Up', tracks, { format: 'pls' });
+
+      expect(content.split('\n')).toEqual([
+        '[playlist]',
+        'File1=/Music/House/First.mp3',
+        'Title1=Artist - First',
+        'Length1=302',
+        'File2=/Music/Disco/Second.flac',
+        'Title2=Other, Artist - Say "Hi"',
+        'Length2=-1',
+        'NumberOfEntries=2',
+        'Version=2',
+        '',
+      ]);
+    });
+
+    it('should quote CSV fields and use the display key', () => {
+      const { content, contentType } = exportPlaylist('Warm Up', tracks, { format: 'csv' });
+
+      expect(contentType).toMatch(/^text\/csv/);
+      expect(content.split('\r\n')).toEqual([
+        'position,artist,title,album,genre,year,bpm,key,duration,path',
+        '1,Artist,First,Album,House,2020,124,8A,302,/Music/House/First.mp3',
+        '2,"Other, Artist","Say ""Hi""",Album,House,,126,Em,,/Music/Disco/Second.flac',
+        '',
+      ]);
+    });
+
+    it('should list tracks with positions in JSON', () => {
+      const data = JSON.parse(exportPlaylist('Warm Up', tracks, { format: 'json', paths: 'relative' }).content);
+
+      expect(data).toMatchObject({ name: 'Warm Up', basePath: '/Music' });
+      expect(data.tracks.map(track => [track.position, track.id, track.path])).toEqual([
+        [1, 'a', 'House/First.mp3'],
+        [2, 'b', 'Disco/Second.flac'],
+      ]);
+    });
+
+    it('should reject unknown formats and relative bases', () => {
+      expect(() => exportPlaylist('Warm Up', tracks, { format: 'xspf' })).toThrow(PlaylistExportError);
+      expect(() => exportPlaylist('Warm Up', tracks, { paths: 'relative', basePath: 'Music' })).toThrow(PlaylistExportError);
+    });
+  });
+
+  describe('commonDirectory', () => {
+    it('should find the deepest shared folder', () => {
+      expect(commonDirectory(['/Music/A/1.mp3', '/Music/A/B/2.mp3'])).toBe('/Music/A');
+      expect(commonDirectory(['/Music/1.mp3', '/Volumes/USB/2.mp3'])).toBe('/');
+      expect(commonDirectory(['C:\\Music\\A\\1.mp3', 'C:\\Music\\B\\2.mp3'])).toBe('C:/Music');
+      expect(commonDirectory([])).toBeNull();
+    });
+  });
+});
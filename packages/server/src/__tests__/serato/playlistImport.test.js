@@ -0,0 +1,118 @@
+const { parsePlaylist, matchPlaylistEntries, PlaylistImportError } = require('../../serato/playlistImport');
+const { exportPlaylist } = require('../../serato/playlistExport');
+
+describe('playlistImport', () => {
+  describe('parsePlaylist', () => {
+    it('should read M3U8 entries with #EXTINF tags and the playlist name', () => {
+      const playlist = parsePlaylist([
+        '#EXTM3U',
+        '#PLAYLIST:Promo Pack',
+        '#EXTINF:302,Artist - First',
+        '/Music/First.mp3',
+        '',
+        'file:///Music/Some%20Artist%20-%20Second.mp3',
+        'http://example.com/stream.mp3',
+      ].join('\r\n'));
+
+      expect(playlist).toEqual({
+        format: 'm3u',
+        name: 'Promo Pack',
+        entries: [
+          { line: 4, path: '/Music/First.mp3', artist: 'Artist', title: 'First', duration: 302 },
+          { line: 6, path: '/Music/Some Artist - Second.mp3', artist: 'Some Artist', title: 'Second', duration: null },
+        ],
+      });
+    });
+
+    it('should read PLS entries in number order', () => {
+      const playlist = parsePlaylist([
+        '[playlist]',
+        'File2=/Music/Second.mp3',
+        'File1=/Music/First.mp3',
+        'Title1=Artist - First',
+        'Length1=-1',
+        'NumberOfEntries=2',
+      ].join('\n'));
+
+      expect(playlist.format).toBe('pls');
+      expect(playlist.entries).toEqual([
+        { line: 3, path: '/Music/First.mp3', artist: 'Artist', title: 'First', duration: null },
+        { line: 2, path: '/Music/Second.mp3', artist: null, title: 'Second', duration: null },
+      ]);
+    });
+
+    it('should read CSV rows by their headers', () => {
+      const playlist = parsePlaylist('Artist,Title,Time\n"Other, Artist","Say ""Hi""",4:05\n');
+
+      expect(playlist.format).toBe('csv');
+      expect(playlist.entries).toEqual([
+        { line: 2, path: null, artist: 'Other, Artist', title: 'Say "Hi"', duration: 245 },
+      ]);
+    });
+
+    it('should detect a single column CSV', () => {
+      expect(parsePlaylist('Title\nFirst\n').entries).toEqual([
+        { line: 2, path: null, artist: null, title: 'First', duration: null },
+      ]);
+    });
+
+    it('should read its own exports', () => {
+      const tracks = [{ artist: 'Artist', title: 'First', duration: 300, filePath: '/Music/First.mp3' }];
+
+      for (const format of ['m3u8', 'pls', 'csv']) {
+        const { entries } = parsePlaylist(exportPlaylist('Set', tracks, { format }).content);
+        expect(entries).toEqual([expect.objectContaining({ path: '/Music/First.mp3', artist: 'Artist', title: 'First', duration: 300 })]);
+      }
+    });
+
+    it('should reject empty playlists and unusable CSVs', () => {
+      expect(() => parsePlaylist('#EXTM3U\n')).toThrow(PlaylistImportError);
+      expect(() => parsePlaylist('bpm,key\n120,8A', { format: 'csv' })).toThrow('CSV needs a title or path column');
+      expect(() => parsePlaylist('x', { format: 'xspf' })).toThrow(PlaylistImportError);
+    });
+  });
+
+  describe('matchPlaylistEntries', () => {
+    const library = [
+      { id: 'first', artist: 'Artist', title: 'First', duration: 300, filePath: '/Music/First.mp3' },
+      { id: 'moved', artist: 'Artist', title: 'Moved', duration: 200, filePath: '/New/Moved.mp3' },
+      { id: 'feat', artist: 'Singer feat. Rapper', title: 'Big Tune (Original Mix)', duration: 400, filePath: '/Music/tune.mp3' },
+      { id: 'remix', artist: 'Singer', title: 'Big Tune (Dub Remix)', duration: 420, filePath: '/Music/tune-dub.mp3' },
+    ];
+    const entry = (line, fields) => ({ line, path: null, artist: null, title: null, duration: null, ...fields });
+
+    it('should report matched, fuzzy and missing entries', async () => {
+      const resolvePath = jest.fn(async filePath => (filePath === '/Old/Moved.mp3' ? '/New/Moved.mp3' : null));
+
+      const report = await matchPlaylistEntries([
+        entry(1, { path: 'First.mp3', artist: 'Artist', title: 'First' }),
+        entry(2, { path: '/Old/Moved.mp3', artist: 'Artist', title: 'Moved' }),
+        entry(3, { path: '/Promo/big_tune.mp3', artist: 'Rapper & Singer', title: 'Big Tune', duration: 398 }),
+        entry(4, { path: '/Promo/Unknown.mp3', artist: 'Nobody', title: 'Unknown' }),
+      ], library, { resolvePath, basePath: '/Music' });
+
+      expect(report.map(item => [item.line, item.status, item.matchedBy, item.confidence, item.trackId])).toEqual([
+        [1, 'matched', 'path', 1, 'first'],
+        [2, 'matched', 'resolved', 1, 'moved'],
+        [3, 'fuzzy', 'tags', 1, 'feat'],
+        [4, 'missing', null, 0, null],
+      ]);
+      expect(resolvePath).toHaveBeenCalledWith('/Old/Moved.mp3', { artist: 'Artist', title: 'Moved', duration: null });
+    });
+
+    it('should not fuzzy match across a large duration difference', async () => {
+      const [item] = await matchPlaylistEntries([entry(1, { artist: 'Singer', title: 'Big Tune', duration: 200 })], library);
+
+      expect(item.status).toBe('missing');
+    });
+
+    it('should only match a title without an artist when it is unique', async () => {
+      const report = await matchPlaylistEntries([
+        entry(1, { title: 'Moved' }),
+        entry(2, { title: 'Big Tune (Dub Remix)' }),
+      ], [...library, { id: 'moved-2', artist: 'Other', title: 'Moved', filePath: '/Music/Moved.mp3' }]);
+
+      expect(report.map(item => item.trackId)).toEqual([null, 'remix']);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+}));
+
+jest.mock('../../audio/metadata');
+
+const { buildCrateTree, exportRekordboxXml, trackLocation } = require('../../serato/rekordboxExport');
+
+describe('rekordboxExport', () => {
+  const crates = [
+    { id: 'house', name: 'House', fullPath: 'House', smart: false },
+    { id: 'house-deep', name: 'Deep', fullPath: 'House%%Deep', smart: false },
+    { id: 'disco-edits', name: 'Edits', fullPath: 'Disco%%Edits', smart: false },
+    { id: 'smart-new', name: 'New', fullPath: 'New', smart: true },
+  ];
+
+  describe('buildCrateTree', () => {
+    it('should nest subcrates and add folders for missing parents', () => {
+      expect(buildCrateTree(crates)).toEqual([
+        { name: 'Disco', crateId: null, children: [{ name: 'Edits', crateId: 'disco-edits', children: [] }] },
+        { name: 'House', crateId: 'house', children: [{ name: 'Deep', crateId: 'house-deep', children: [] }] },
+        { name: 'Smart Crates', crateId: null, children: [{ name: 'New', crateId: 'smart-new', children: [] }] },
+      ]);
+    });
+
+    it('should keep selected crates with their subcrates', () => {
+      expect(buildCrateTree(crates, ['house'])).toEqual([
+        { name: 'House', crateId: 'house', children: [{ name: 'Deep', crateId: 'house-deep', children: [] }] },
+      ]);
+      expect(buildCrateTree(crates, ['house-deep'])).toEqual([
+        { name: 'House', crateId: null, children: [{ name: 'Deep', crateId: 'house-deep', children: [] }] },
+      ]);
+    });
+  });
+
+  describe('trackLocation', () => {
+    it('should write file://localhost URLs', () => {
+      expect(trackLocation('/Users/dj/Music/A & B #1.mp3')).toBe('file://localhost/Users/dj/Music/A%20%26%20B%20%231.mp3');
+      expect(trackLocation('C:\\Music\\Track.mp3')).toBe('file://localhost/C:/Music/Track.mp3');
+    });
+  });
+
+  describe('exportRekordboxXml', () => {
+    const first = {
+      id: '1', title: 'First <Edit>', artist: 'Artist', album: 'Album', genre: 'House', bpm: 124, key: '8A',
+      duration: 300.4, bitrate: 320000, sampleRate: 44100, fileSize: 1000, format: 'MP3', year: 2020,
+      color: '#FF0000', addedAt: new Date('2024-03-01T12:00:00Z'), filePath: '/Music/first.mp3',
+    };
+    const second = { id: '2', title: 'Second', artist: 'Artist', filePath: '/Music/second.mp3' };
+    const third = { id: '3', title: 'Third', artist: 'Other', filePath: '/Music/third.mp3' };
+
+    let parser;
+    let metadataExtractor;
+
+    beforeEach(() => {
+      const tracks = { house: [first, second], 'house-deep': [second], 'disco-edits': [third], 'smart-new': [] };
+      parser = {
+        getAllCrates: jest.fn().mockResolvedValue(crates),
+        parseCrate: jest.fn(async (id) => {
+          if (!tracks[id]) {
+            const error = new Error(`Crate not found: ${id}`);
+            error.name = 'CrateNotFoundError';
+            throw error;
+          }
+          return { id, tracks: tracks[id] };
+        }),
+        parseLibrary: jest.fn().mockResolvedValue([first, second, third]),
+      };
+      metadataExtractor = {
+        extractSeratoMarkers: jest.fn(async filePath => (filePath === first.filePath
+          ? {
+            cues: [
+              { index: 0, position: 12.3456, color: '#CC0000', name: 'Drop' },
+              { index: 9, position: 50, color: '#00CC00', name: '' },
+            ],
+            loops: [{ index: 0, start: 60, end: 67.5, name: 'Loop' }],
+            beatgrid: [{ position: 0.025, bpm: 124 }],
+          }
+          : null)),
+      };
+    });
+
+    it('should write tracks with tags, cues and the crate tree', async () => {
+      const { xml, tracks, playlists } = await exportRekordboxXml(parser, { metadataExtractor });
+
+      expect(tracks).toBe(3);
+      expect(playlists).toBe(4);
+      expect(xml).toContain('<COLLECTION Entries="3">');
+      expect(xml).toContain('<TRACK TrackID="1" Name="First &lt;Edit&gt;" Artist="Artist" Composer="" Album="Album" Grouping="" Genre="House" Kind="MP3 File" Size="1000" TotalTime="300" Year="2020" AverageBpm="124.00" DateAdded="2024-03-01" BitRate="320" SampleRate="44100" Comments="" PlayCount="0" Location="file://localhost/Music/first.mp3" Tonality="Am" Label="" Colour="0xFF0000">');
+      expect(xml).toContain('<TEMPO Inizio="0.025" Bpm="124.00" Metro="4/4" Battito="1"/>');
+      expect(xml).toContain('<POSITION_MARK Name="Drop" Type="0" Start="12.346" Num="0" Red="204" Green="0" Blue="0"/>');
+      expect(xml).toContain('<POSITION_MARK Name="Loop" Type="4" Start="60.000" End="67.500" Num="-1"/>');
+      expect(xml).not.toContain('Start="50.000"');
+
+      const playlistsXml = xml.slice(xml.indexOf('<PLAYLISTS>'));
+      expect(playlistsXml.match(/<NODE [^>]*[^/]>/g)).toEqual([
+        '<NODE Type="0" Name="ROOT" Count="3">',
+        '<NODE Name="Disco" Type="0" Count="1">',
+        '<NODE Name="Edits" Type="1" KeyType="0" Entries="1">',
+        '<NODE Name="House" Type="0" Count="2">',
+        '<NODE Name="House" Type="1" KeyType="0" Entries="2">',
+        '<NODE Name="Deep" Type="1" KeyType="0" Entries="1">',
+        '<NODE Name="Smart Crates" Type="0" Count="1">',
+      ]);
+      expect(playlistsXml).toContain('<NODE Name="New" Type="1" KeyType="0" Entries="0"/>');
+    });
+
+    it('should only export the tracks of the selected crates', async () => {
+      const { xml, tracks } = await exportRekordboxXml(parser, { crateIds: ['house'], cues: false, metadataExtractor });
+
+      expect(tracks).toBe(2);
+      expect(xml).toContain('<COLLECTION Entries="2">');
+      expect(xml).not.toContain('third.mp3');
+      expect(xml).not.toContain('POSITION_MARK');
+      expect(metadataExtractor.extractSeratoMarkers).not.toHaveBeenCalled();
+      expect(parser.parseLibrary).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown crates', async () => {
+      await expect(exportRekordboxXml(parser, { crateIds: ['nope'], metadataExtractor }))
+        .rejects.toMatchObject({ name: 'CrateNotFoundError' });
+    });
+  });
+});
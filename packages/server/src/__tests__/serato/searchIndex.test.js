@@ -0,0 +1,86 @@
+const { SearchIndex, tokenize, boundedDistance } = require('../../serato/searchIndex');
+
+describe('searchIndex', () => {
+  const tracks = [
+    { id: 'a', filePath: '/Music/a.mp3', title: 'Around the World', artist: 'Daft Punk', album: 'Homework', genre: 'House' },
+    { id: 'b', filePath: '/Music/b.mp3', title: 'Crazy in Love', artist: 'Beyoncé', album: 'Dangerously in Love', label: 'Columbia' },
+    { id: 'c', filePath: '/Music/c.mp3', title: 'Eple', artist: 'Røyksopp', album: 'Melody A.M.', comment: 'around 8am' },
+    { id: 'd', filePath: '/Music/d.mp3', title: "Don't Stop", artist: 'Daft Punk Tribute', album: 'World Tour', genre: 'Disco' },
+  ];
+
+  let index;
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.build(tracks);
+  });
+
+  const ids = (results) => results.map(result => result.track.id);
+
+  describe('tokenize', () => {
+    it('should fold case and diacritics and keep positions in the original text', () => {
+      expect(tokenize('Beyoncé & Røyksopp')).toEqual([
+        { term: 'beyonce', start: 0, end: 7 },
+        { term: 'royksopp', start: 10, end: 18 },
+      ]);
+      expect(tokenize("Don't Stop").map(t => t.term)).toEqual(['dont', 'stop']);
+    });
+  });
+
+  describe('boundedDistance', () => {
+    it('should stop counting past the limit', () => {
+      expect(boundedDistance('around', 'aroudn', 2)).toBe(1);
+      expect(boundedDistance('punk', 'pink', 1)).toBe(1);
+      expect(boundedDistance('house', 'disco', 1)).toBe(2);
+    });
+  });
+
+  describe('search', () => {
+    it('should require every word and rank by field weight', () => {
+      expect(ids(index.search(['daft', 'punk']))).toEqual(['a', 'd']);
+      // Title beats comment
+      expect(ids(index.search(['around']))).toEqual(['a', 'c']);
+    });
+
+    it('should match prefixes, folded text and typos', () => {
+      expect(ids(index.search(['dangerous']))).toEqual(['b']);
+      expect(ids(index.search(['beyonce']))).toEqual(['b']);
+      expect(ids(index.search(['ROYKSOPP']))).toEqual(['c']);
+      expect(ids(index.search(['aroudn']))).toEqual(['a', 'c']);
+      expect(ids(index.search(['xyz']))).toEqual([]);
+    });
+
+    it('should match phrases as consecutive words', () => {
+      expect(ids(index.search(['in love']))).toEqual(['b']);
+      expect(ids(index.search(['punk daft']))).toEqual([]);
+    });
+
+    it('should limit the searched fields', () => {
+      expect(ids(index.search(['world'], { fields: ['album'] }))).toEqual(['d']);
+    });
+
+    it('should return highlight spans of matched words', () => {
+      const [result] = index.search(['beyonce', 'crazy']);
+      expect(result.highlights).toEqual({ title: [[0, 5]], artist: [[0, 7]] });
+    });
+
+    it('should update incrementally', () => {
+      index.add({ id: 'b', filePath: '/Music/b.mp3', title: 'Halo', artist: 'Beyoncé' });
+      index.remove('/Music/c.mp3');
+
+      expect(ids(index.search(['crazy']))).toEqual([]);
+      expect(ids(index.search(['halo']))).toEqual(['b']);
+      expect(ids(index.search(['eple']))).toEqual([]);
+      expect(index.size).toBe(3);
+    });
+
+    it('should keep copies with the same ID apart', () => {
+      const copy = { ...tracks[0], filePath: '/Backup/a.mp3' };
+      index.build([tracks[0], copy]);
+
+      expect(index.search(['around']).map(result => result.track)).toEqual([tracks[0], copy]);
+
+      index.remove('/Music/a.mp3');
+      expect(index.search(['around']).map(result => result.track)).toEqual([copy]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const {
+  QuerySyntaxError,
+  tokenize,
+  parseSearchQuery,
+  crateNames,
+  matchesQuery,
+} = require('../../serato/searchQuery');
+
+describe('searchQuery', () => {
+  const NOW = Date.parse('2024-06-01T00:00:00Z');
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const tracks = [
+    {
+      id: 'a', title: 'Around the World', artist: 'Daft Punk', album: 'Homework', genre: 'French House',
+      key: '8A', bpm: 121.3, year: 1997, filePath: '/Music/a.mp3', playCount: 3,
+      addedAt: '2020-01-01T00:00:00Z', lastPlayedAt: new Date(NOW - 10 * DAY_MS).toISOString(),
+    },
+    {
+      id: 'b', title: 'Music Sounds Better', artist: 'Stardust', album: 'Single', genre: 'House',
+      key: '9a', bpm: 124, year: 2016, filePath: '/Music/b.flac', playCount: 0,
+      addedAt: '2023-01-01T00:00:00Z', lastPlayedAt: null,
+    },
+    {
+      id: 'c', title: 'Intro: Part 1', artist: 'Various', album: '', genre: 'Techno',
+      key: '5A', bpm: 135, year: 2019, filePath: '/Music/c.mp3', playCount: 1,
+      addedAt: '2024-01-01T00:00:00Z', lastPlayedAt: '2023-01-01T00:00:00Z',
+    },
+  ];
+
+  const search = (query, context = {}) => {
+    const parsed = parseSearchQuery(query);
+    return tracks
+      .filter(track => matchesQuery(track, parsed, { now: NOW, ...context }))
+      .map(track => track.id);
+  };
+
+  describe('parseSearchQuery', () => {
+    it('should split on whitespace outside quotes', () => {
+      expect(tokenize('artist:"daft punk"  bpm:120-128')).toEqual(['artist:"daft punk"', 'bpm:120-128']);
+    });
+
+    it('should parse fields, value lists, ranges and negation', () => {
+      const parsed = parseSearchQuery('bpm:120-128 key:8A,9A -crate:Played year:>2015 remix');
+
+      expect(parsed.terms).toEqual([{ text: 'remix', negate: false }]);
+      expect(parsed.filters).toEqual([
+        { field: 'bpm', negate: false, conditions: [{ op: 'range', min: 120, max: 128 }] },
+        { field: 'key', negate: false, conditions: ['9:minor', '4:minor'] },
+        { field: 'crate', negate: true, conditions: ['played'] },
+        { field: 'year', negate: false, conditions: [{ op: '>', value: 2015 }] },
+      ]);
+    });
+
+    it('should treat unknown field prefixes as text', () => {
+      expect(parseSearchQuery('intro: part').terms.map(t => t.text)).toEqual(['intro:', 'part']);
+      expect(parseSearchQuery('feat:someone').filters).toEqual([]);
+      // Tracks have no remixer, so it isn't offered as a field
+      expect(parseSearchQuery('-remixer:someone').filters).toEqual([]);
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => parseSearchQuery('bpm:fast')).toThrow(QuerySyntaxError);
+      expect(() => parseSearchQuery('played:sometimes')).toThrow(QuerySyntaxError);
+    });
+  });
+
+  describe('matchesQuery', () => {
+    it('should match every word of free text in title, artist or album', () => {
+      expect(search('daft world')).toEqual(['a']);
+      expect(search('"sounds better"')).toEqual(['b']);
+      expect(search('-daft')).toEqual(['b', 'c']);
+    });
+
+    it('should limit free text to the requested field', () => {
+      expect(search('music', { field: 'title' })).toEqual(['b']);
+      expect(search('music', { field: 'artist' })).toEqual([]);
+    });
+
+    it('should match text fields as substrings and keys exactly', () => {
+      expect(search('genre:house')).toEqual(['a', 'b']);
+      expect(search('artist:"daft punk"')).toEqual(['a']);
+      expect(search('key:8A,9A')).toEqual(['a', 'b']);
+      expect(search('key:8')).toEqual([]);
+    });
+
+    it('should match keys in any notation', () => {
+      expect(search('key:Am')).toEqual(['a']);
+      expect(search('key:1m,"E minor"')).toEqual(['a', 'b']);
+      expect(search('-key:8A')).toEqual(['b', 'c']);
+      expect(search('format:flac')).toEqual(['b']);
+    });
+
+    it('should compare numbers', () => {
+      expect(search('bpm:120-124')).toEqual(['a', 'b']);
+      expect(search('bpm:121')).toEqual(['a']);
+      expect(search('bpm:>=124')).toEqual(['b', 'c']);
+      expect(search('year:>2015')).toEqual(['b', 'c']);
+      expect(search('plays:0')).toEqual(['b']);
+    });
+
+    it('should filter on play history', () => {
+      expect(search('played:never')).toEqual(['b', 'c']);
+      expect(search('played:<30d')).toEqual(['a']);
+      expect(search('played:>365d')).toEqual(['c']);
+    });
+
+    it('should filter on crate membership', () => {
+      const crates = new Map([['played', new Set(['a', 'c'])]]);
+
+      expect(search('crate:Played', { crates })).toEqual(['a', 'c']);
+      expect(search('-crate:Played genre:house', { crates })).toEqual(['b']);
+      expect(search('crate:Unknown', { crates })).toEqual([]);
+    });
+
+    it('should name crates by name and by path', () => {
+      expect(crateNames({ name: 'Club', fullPath: 'Gigs%%Club' })).toEqual(['club', 'gigs/club']);
+    });
+  });
+});
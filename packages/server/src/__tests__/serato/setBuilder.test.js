@@ -0,0 +1,88 @@
+const { SetBuilderError, normalizeConstraints, buildSet } = require('../../serato/setBuilder');
+
+describe('setBuilder', () => {
+  const track = (id, bpm, key, duration = 300) => ({ id, title: id.toUpperCase(), artist: 'Artist', bpm, key, duration });
+
+  describe('normalizeConstraints', () => {
+    it('should parse numbers and fill in defaults', () => {
+      expect(normalizeConstraints({ startBpm: '120', targetDuration: 3600 })).toEqual({
+        startBpm: 120,
+        endBpm: null,
+        maxBpmJump: 6,
+        harmonic: 'strict',
+        targetDuration: 3600,
+      });
+    });
+
+    it('should reject invalid constraints', () => {
+      expect(() => normalizeConstraints({ startBpm: 'fast' })).toThrow(SetBuilderError);
+      expect(() => normalizeConstraints({ maxBpmJump: -2 })).toThrow('maxBpmJump must be a positive number');
+      expect(() => normalizeConstraints({ harmonic: 'loose' })).toThrow('harmonic must be one of');
+    });
+  });
+
+  describe('buildSet', () => {
+    it('should follow the BPM curve from start to end', () => {
+      const tracks = [track('c', 126, '8A'), track('a', 120, '8A'), track('d', 130, '9A'), track('b', 123, '8A')];
+
+      const set = buildSet(tracks, { harmonic: 'off' });
+
+      expect(set.tracks.map(t => t.id)).toEqual(['a', 'b', 'c', 'd']);
+      expect(set.constraints).toMatchObject({ startBpm: 120, endBpm: 130 });
+      expect(set.duration).toBe(1200);
+      expect(set.unused).toEqual([]);
+    });
+
+    it('should run the curve backwards for a falling set', () => {
+      const tracks = [track('a', 120, null), track('b', 124, null), track('c', 128, null)];
+
+      const set = buildSet(tracks, { startBpm: 128, endBpm: 120, harmonic: 'off' });
+
+      expect(set.tracks.map(t => t.id)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should score every transition', () => {
+      const set = buildSet([track('a', 124, '8A'), track('b', 124, '9A')]);
+
+      expect(set.transitions).toEqual([
+        { from: 'a', to: 'b', score: 0.94, bpmJump: 0, key: { from: '8A', to: '9A', relation: 'adjacent' } },
+      ]);
+      expect(set.score).toBe(0.94);
+    });
+
+    it('should keep clashing keys apart with strict harmonic rules', () => {
+      const tracks = [track('a', 124, '8A'), track('b', 124, '2B'), track('c', 125, '9A')];
+
+      const strict = buildSet(tracks, { startBpm: 124 });
+      expect(strict.tracks.map(t => t.id)).toEqual(['a', 'c']);
+      expect(strict.unused).toEqual([{ id: 'b', title: 'B', artist: 'Artist', reason: 'noTransition' }]);
+
+      const relaxed = buildSet(tracks, { startBpm: 124, harmonic: 'relaxed' });
+      expect(relaxed.tracks).toHaveLength(3);
+    });
+
+    it('should not jump further than maxBpmJump', () => {
+      const set = buildSet([track('a', 120, null), track('b', 140, null)], { maxBpmJump: 4 });
+
+      expect(set.tracks.map(t => t.id)).toEqual(['a']);
+      expect(set.unused.map(u => u.reason)).toEqual(['noTransition']);
+    });
+
+    it('should stop at the target duration', () => {
+      const tracks = [track('a', 120, null), track('b', 121, null), track('c', 122, null), track('d', 123, null)];
+
+      const set = buildSet(tracks, { targetDuration: 500, harmonic: 'off' });
+
+      expect(set.tracks).toHaveLength(2);
+      expect(set.unused.map(u => u.reason)).toEqual(['duration', 'duration']);
+    });
+
+    it('should leave out tracks without a BPM', () => {
+      const set = buildSet([track('a', 120, '8A'), track('b', null, '8A')]);
+
+      expect(set.tracks.map(t => t.id)).toEqual(['a']);
+      expect(set.unused).toEqual([{ id: 'b', title: 'B', artist: 'Artist', reason: 'noBpm' }]);
+      expect(set.score).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const tlv = require('../../serato/tlv');
+const smartCrates = require('../../serato/smartCrates');
+
+function u32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value, 0);
+  return buf;
+}
+
+function rule(comparison, fieldId, valueTag, value) {
+  return tlv.encodeTag('rurt', Buffer.concat([
+    tlv.encodeTag('trft', tlv.encodeUTF16BE(comparison)),
+    tlv.encodeTag('urkt', u32(fieldId)),
+    tlv.encodeTag(valueTag, valueTag === 'urpt' ? u32(value) : tlv.encodeUTF16BE(value)),
+  ]));
+}
+
+describe('smartCrates', () => {
+  const library = [
+    { id: '1', title: 'Around the World', artist: 'Daft Punk', genre: 'French House', bpm: 121, addedAt: '2020-05-01T00:00:00.000Z' },
+    { id: '2', title: 'Strings of Life', artist: 'Derrick May', genre: 'Techno', bpm: 124.6, playCount: 3 },
+    { id: '3', title: 'Finally', artist: 'Kings of Tomorrow', genre: 'House', bpm: 127 },
+    { id: '4', title: 'No BPM', artist: 'Unknown', genre: 'House' },
+  ];
+
+  describe('decodeSmartCrate', () => {
+    it('should decode match mode, live update and rules', () => {
+      const buffer = Buffer.concat([
+        tlv.encodeTag('vrsn', tlv.encodeUTF16BE(smartCrates.SMART_CRATE_VERSION)),
+        tlv.encodeTag('rlut', Buffer.from([0])),
+        tlv.encodeTag('rart', Buffer.from([1])),
+        rule('cond_gt_int', 15, 'urpt', 119),
+        rule('cond_con_str', 9, 'trpt', 'House'),
+        rule('cond_aft_date', 25, 'urpt', 1577836800),
+        rule('cond_new_thing', 99, 'trpt', 'x'),
+      ]);
+
+      expect(smartCrates.decodeSmartCrate(buffer)).toEqual({
+        matchAll: true,
+        liveUpdate: false,
+        rules: [
+          { field: 'bpm', operator: 'greaterThan', value: 119, fieldId: 15, comparison: 'cond_gt_int' },
+          { field: 'genre', operator: 'contains', value: 'House', fieldId: 9, comparison: 'cond_con_str' },
+          { field: 'added', operator: 'after', value: '2020-01-01T00:00:00.000Z', fieldId: 25, comparison: 'cond_aft_date' },
+          { field: null, operator: null, value: 'x', fieldId: 99, comparison: 'cond_new_thing' },
+        ],
+      });
+    });
+
+    it('should throw on a truncated file', () => {
+      const buffer = rule('cond_gt_int', 15, 'urpt', 119);
+      expect(() => smartCrates.decodeSmartCrate(buffer.subarray(0, buffer.length - 2))).toThrow(tlv.TLVError);
+    });
+  });
+
+  describe('encodeSmartCrateRules', () => {
+    it('should round-trip through the decoder, unknown rules included', () => {
+      const definition = smartCrates.normalizeDefinition({
+        matchAll: false,
+        rules: [
+          { field: 'bpm', operator: 'lessThan', value: '129' },
+          { field: 'artist', operator: 'startsWith', value: 'Daft' },
+          { field: 'added', operator: 'before', value: '2021-01-01' },
+          { fieldId: 99, comparison: 'cond_new_thing', value: 'x' },
+        ],
+      });
+
+      const decoded = smartCrates.decodeSmartCrate(smartCrates.encodeSmartCrateRules(definition));
+
+      expect(decoded).toEqual(definition);
+      expect(decoded.rules[0].value).toBe(129);
+      expect(decoded.rules[2].value).toBe('2021-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('normalizeDefinition', () => {
+    it('should reject unknown fields, mismatched operators and bad values', () => {
+      const attempt = (rules) => () => smartCrates.normalizeDefinition({ rules });
+
+      expect(attempt([])).toThrow(smartCrates.SmartCrateError);
+      expect(attempt([{ field: 'mood', operator: 'is', value: 'happy' }])).toThrow('unknown field "mood"');
+      expect(attempt([{ field: 'bpm', operator: 'contains', value: '12' }])).toThrow("can't be used with bpm");
+      expect(attempt([{ field: 'bpm', operator: 'greaterThan', value: 'fast' }])).toThrow('non-negative number');
+      expect(attempt([{ field: 'bpm', operator: 'greaterThan', value: null }])).toThrow('non-negative number');
+      expect(attempt([{ field: 'added', operator: 'after', value: 'someday' }])).toThrow('needs a date');
+      expect(attempt([{ field: 'genre', operator: 'is', value: '' }])).toThrow('needs a text value');
+    });
+
+    it('should keep current settings that are not being changed', () => {
+      const current = { matchAll: false, liveUpdate: false, rules: [{ field: 'genre', operator: 'is', value: 'House' }] };
+
+      expect(smartCrates.normalizeDefinition({ matchAll: true }, current)).toMatchObject({
+        matchAll: true,
+        liveUpdate: false,
+        rules: [{ field: 'genre', operator: 'is', value: 'House', fieldId: 9, comparison: 'cond_is_str' }],
+      });
+    });
+  });
+
+  describe('evaluateSmartCrate', () => {
+    const ids = (definition) => smartCrates.evaluateSmartCrate(definition, library).map(t => t.id);
+
+    it('should require every rule when matching all', () => {
+      expect(ids({
+        matchAll: true,
+        rules: [
+          { field: 'bpm', operator: 'greaterThan', value: 119 },
+          { field: 'bpm', operator: 'lessThan', value: 128 },
+          { field: 'genre', operator: 'contains', value: 'house' },
+        ],
+      })).toEqual(['1', '3']);
+    });
+
+    it('should accept any rule when matching any', () => {
+      expect(ids({
+        matchAll: false,
+        rules: [
+          { field: 'artist', operator: 'is', value: 'derrick may' },
+          { field: 'title', operator: 'endsWith', value: 'ly' },
+        ],
+      })).toEqual(['2', '3']);
+    });
+
+    it('should compare whole BPMs, play counts and dates', () => {
+      expect(ids({ matchAll: true, rules: [{ field: 'bpm', operator: 'is', value: 124 }] })).toEqual(['2']);
+      expect(ids({ matchAll: true, rules: [{ field: 'bpm', operator: 'isNot', value: 124 }] })).toEqual(['1', '3', '4']);
+      expect(ids({ matchAll: true, rules: [{ field: 'plays', operator: 'is', value: 0 }] })).toEqual(['1', '3', '4']);
+      expect(ids({ matchAll: true, rules: [{ field: 'added', operator: 'after', value: '2020-01-01' }] })).toEqual(['1']);
+    });
+
+    it('should never match rules it does not understand', () => {
+      expect(ids({ matchAll: false, rules: [{ field: null, operator: null, fieldId: 99, comparison: 'cond_x', value: 'x' }] })).toEqual([]);
+    });
+
+    it('should keep remixer rules as unknown rules', () => {
+      const [remixer] = smartCrates.decodeSmartCrate(rule('cond_dnc_str', 20, 'trpt', 'Someone')).rules;
+
+      expect(remixer).toEqual({ field: null, operator: 'notContains', value: 'Someone', fieldId: 20, comparison: 'cond_dnc_str' });
+      expect(ids({ matchAll: true, rules: [remixer] })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const tlv = require('../../serato/tlv');
+
+/**
+ * Build a Serato tag: 4-byte ASCII name + u32 BE length + data
+ */
+function tag(name, data) {
+  return tlv.encodeTag(name, data);
+}
+
+function adatField(id, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(id, 0);
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, data]);
+}
+
+function u32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value, 0);
+  return buf;
+}
+
+describe('tlv', () => {
+  describe('readTags', () => {
+    it('should walk tags with absolute offsets', () => {
+      const buffer = Buffer.concat([
+        tag('vrsn', tlv.encodeUTF16BE('1.0')),
+        tag('otrk', tag('ptrk', tlv.encodeUTF16BE('a.mp3'))),
+      ]);
+
+      const entries = [...tlv.readTags(buffer)];
+
+      expect(entries.map(e => e.tag)).toEqual(['vrsn', 'otrk']);
+      expect(entries[0]).toMatchObject({ offset: 0, dataOffset: 8, length: 6 });
+      expect(entries[1]).toMatchObject({ offset: 14, dataOffset: 22, length: 18 });
+    });
+
+    it('should report the offset of a length running past the end', () => {
+      const good = tag('vrsn', tlv.encodeUTF16BE('1.0'));
+      const bad = Buffer.concat([Buffer.from('otrk'), u32(100), Buffer.from('xx')]);
+
+      expect(() => [...tlv.readTags(Buffer.concat([good, bad]))])
+        .toThrow(new tlv.TLVError("Tag 'otrk' length 100 exceeds available 2 bytes", good.length));
+    });
+
+    it('should reject truncated headers and non-ASCII tag names', () => {
+      expect(() => [...tlv.readTags(Buffer.from('otr'))]).toThrow(tlv.TLVError);
+      expect(() => [...tlv.readTags(Buffer.from([0, 1, 2, 3, 0, 0, 0, 0]))]).toThrow('Invalid tag name at offset 0');
+    });
+  });
+
+  describe('decode', () => {
+    it('should decode values by tag type', () => {
+      const buffer = Buffer.concat([
+        tag('vrsn', tlv.encodeUTF16BE('2.0/Serato Scratch LIVE Database')),
+        tag('otrk', Buffer.concat([
+          tag('pfil', tlv.encodeUTF16BE('Music/a.mp3')),
+          tag('tbpm', tlv.encodeUTF16BE('128.00')),
+          tag('uadd', u32(1700000000)),
+          tag('bply', Buffer.from([1])),
+          tag('xunk', Buffer.from([9, 9])),
+        ])),
+      ]);
+
+      const nodes = tlv.decode(buffer);
+
+      expect(nodes[0].value).toBe('2.0/Serato Scratch LIVE Database');
+      expect(tlv.toObject(nodes[1].value)).toEqual({
+        pfil: 'Music/a.mp3',
+        tbpm: '128.00',
+        uadd: 1700000000,
+        bply: 1,
+        xunk: Buffer.from([9, 9]),
+      });
+    });
+
+    it('should keep integers with an unexpected width as raw bytes', () => {
+      const [node] = tlv.decode(tag('uadd', Buffer.from([1, 2])));
+      expect(node.value).toEqual(Buffer.from([1, 2]));
+    });
+
+    it('should report errors inside nested objects with absolute offsets', () => {
+      const nested = Buffer.concat([tag('ptrk', tlv.encodeUTF16BE('a.mp3')), Buffer.from('zz')]);
+      const buffer = Buffer.concat([tag('vrsn', Buffer.alloc(2)), tag('otrk', nested)]);
+
+      // vrsn (10 bytes) + otrk header (8) + ptrk (18) = 36
+      expect(() => tlv.decode(buffer)).toThrow('Truncated tag header (2 trailing bytes) at offset 36');
+    });
+  });
+
+  describe('decodeAdat', () => {
+    it('should decode History fields by numeric ID', () => {
+      const adat = Buffer.concat([
+        adatField(1, u32(7)),
+        adatField(2, tlv.encodeUTF16BE('/Music/a.mp3')),
+        adatField(31, u32(2)),
+        adatField(50, Buffer.from([1])),
+        adatField(999, Buffer.from([5])),
+      ]);
+      const [node] = tlv.decode(tag('oent', tag('adat', adat)));
+
+      const fields = tlv.adatToObject(node.value[0].value);
+
+      expect(fields).toEqual({
+        row: 7,
+        filePath: '/Music/a.mp3',
+        deck: 2,
+        played: 1,
+        999: Buffer.from([5]),
+      });
+    });
+  });
+
+  describe('UTF-16BE', () => {
+    it('should round-trip strings and drop NUL characters', () => {
+      expect(tlv.decodeUTF16BE(tlv.encodeUTF16BE('Déjà vu'))).toBe('Déjà vu');
+      expect(tlv.decodeUTF16BE(Buffer.from([0, 0x48, 0, 0, 0, 0x69]))).toBe('Hi');
+    });
+  });
+});
@@ -0,0 +1,665 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SeratoWriter,
+  CrateExistsError,
+  TrackNotFoundError,
+  InvalidCrateMoveError,
+  InvalidTrackOrderError,
+} = require('../../serato/writer');
+const tlv = require('../../serato/tlv');
+const { SeratoParser } = require('../../serato/parser');
+const { SmartCrateError } = require('../../serato/smartCrates');
+const pathResolver = require('../../utils/pathResolver');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+}));
+
+describe('SeratoWriter', () => {
+  let writer;
+
+  beforeEach(() => {
+    writer = new SeratoWriter('/Users/test/Music/_Serato_', null);
+  });
+
+  describe('buildCrateBinary', () => {
+    it('should produce a crate the TLV decoder reads back', () => {
+      const binary = writer.buildCrateBinary('House', [
+        { seratoPath: 'Users/test/Music/a.mp3', filePath: '/Users/test/Music/a.mp3', bpm: 124, key: '8A' },
+        { filePath: '/Users/test/Music/b.flac' },
+      ]);
+
+      const nodes = tlv.decode(binary);
+
+      expect(nodes[0]).toMatchObject({ tag: 'vrsn', value: '1.0/Serato ScratchLive Crate' });
+      expect(tlv.toObject(nodes[1].value)).toEqual({ tvcn: 'bpm', brev: 1 });
+
+      const columns = nodes.filter(n => n.tag === 'ovct').map(n => tlv.toObject(n.value).tvcn);
+      expect(columns).toEqual(['bpm', 'year', 'song', 'playCount', 'artist', 'genre', 'length']);
+
+      const tracks = nodes.filter(n => n.tag === 'otrk').map(n => tlv.toObject(n.value));
+      expect(tracks).toEqual([
+        { ptrk: 'Users/test/Music/a.mp3', tbpm: '124', tkey: '8A' },
+        { ptrk: '/Users/test/Music/b.flac' },
+      ]);
+    });
+
+    it('should write an empty crate with only the header sections', () => {
+      const nodes = tlv.decode(writer.buildCrateBinary('Empty'));
+
+      expect(nodes.map(n => n.tag)).toEqual(['vrsn', 'osrt', 'ovct', 'ovct', 'ovct', 'ovct', 'ovct', 'ovct', 'ovct']);
+    });
+  });
+
+  describe('buildCrateBinary with an existing crate', () => {
+    const tag = (name, ...children) => tlv.encodeTag(name, Buffer.concat(children));
+    const text = (name, value) => tlv.encodeTag(name, tlv.encodeUTF16BE(value));
+
+    const header = Buffer.concat([
+      text('vrsn', '1.0/Serato ScratchLive Crate (custom build)'),
+      tag('osrt', text('tvcn', 'key'), tlv.encodeTag('brev', Buffer.from([0]))),
+      tag('ovct', text('tvcn', 'key'), text('tvcw', '42')),
+      tlv.encodeTag('uxyz', Buffer.from([0xde, 0xad, 0xbe, 0xef])),
+    ]);
+    const trackA = tag('otrk', text('ptrk', 'Music/a.mp3'), tlv.encodeTag('bxyz', Buffer.from([7])));
+    const trackB = tag('otrk', text('ptrk', 'Music/b.mp3'));
+    const footer = tlv.encodeTag('uend', Buffer.from([0, 0, 0, 1]));
+    const existing = Buffer.concat([header, trackA, trackB, footer]);
+
+    const a = { id: 'a', seratoPath: 'Music/a.mp3', filePath: '/Music/a.mp3' };
+    const b = { id: 'b', seratoPath: 'Music/b.mp3', filePath: '/Music/b.mp3' };
+    const c = { id: 'c', seratoPath: 'Music/c.mp3', filePath: '/Music/c.mp3', bpm: 128 };
+
+    it('should reproduce an unchanged crate byte for byte', () => {
+      expect(writer.buildCrateBinary('Set', [a, b], existing).equals(existing)).toBe(true);
+    });
+
+    it('should keep every other section and untouched track entries when tracks change', () => {
+      const binary = writer.buildCrateBinary('Set', [b, c, a], existing);
+
+      expect(binary.equals(Buffer.concat([
+        header,
+        trackB,
+        tag('otrk', text('ptrk', 'Music/c.mp3'), text('tbpm', '128')),
+        trackA,
+        footer,
+      ]))).toBe(true);
+    });
+
+    it('should match entries regardless of leading slashes and separators', () => {
+      const binary = writer.buildCrateBinary('Set', [{ filePath: '/Music/a.mp3' }, { seratoPath: 'Music\\b.mp3' }], existing);
+
+      expect(binary.equals(existing)).toBe(true);
+    });
+
+    it('should append tracks after the header when the crate had none', () => {
+      const binary = writer.buildCrateBinary('Set', [b], header);
+
+      expect(binary.equals(Buffer.concat([header, trackB]))).toBe(true);
+    });
+
+    it('should fall back to a fresh crate when the existing file is corrupt', () => {
+      const corrupt = Buffer.concat([header, trackA.subarray(0, trackA.length - 3)]);
+      const nodes = tlv.decode(writer.buildCrateBinary('Set', [a], corrupt));
+
+      expect(nodes[0]).toMatchObject({ tag: 'vrsn', value: '1.0/Serato ScratchLive Crate' });
+      expect(nodes.filter(n => n.tag === 'otrk').map(n => tlv.toObject(n.value).ptrk)).toEqual(['Music/a.mp3']);
+    });
+
+    it('should keep entries the parser does not list in place', () => {
+      const aif = tag('otrk', text('ptrk', 'Music/live.aif'));
+      const video = tag('otrk', text('ptrk', 'Music/clip.mp4'));
+      const withOthers = Buffer.concat([header, aif, trackA, video, trackB, footer]);
+
+      expect(new SeratoParser('/Music/_Serato_', [])._parseCrateEntries(withOthers).map(e => e.seratoPath))
+        .toEqual(['Music/a.mp3', 'Music/b.mp3']);
+      expect(writer.buildCrateBinary('Set', [a, b], withOthers).equals(withOthers)).toBe(true);
+      expect(writer.buildCrateBinary('Set', [b, a], withOthers).equals(Buffer.concat([header, aif, trackB, video, trackA, footer]))).toBe(true);
+      expect(writer.buildCrateBinary('Set', [b], withOthers).equals(Buffer.concat([header, aif, trackB, video, footer]))).toBe(true);
+    });
+
+    it('should only change otrk entries when a track is removed from a crate on disk', async () => {
+      const seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      try {
+        const cratePath = path.join(seratoPath, 'Subcrates', 'Set.crate');
+        fs.mkdirSync(path.dirname(cratePath));
+        fs.writeFileSync(cratePath, existing);
+
+        writer = new SeratoWriter(seratoPath, {
+          parseCrate: jest.fn().mockResolvedValue({ id: 'set', name: 'Set', fullPath: 'Set', tracks: [a, b], missingTracks: [] }),
+          invalidateCache: jest.fn(),
+        });
+
+        const result = await writer.removeTrackFromCrate('set', 'a');
+
+        expect(result.removed).toBe(true);
+        expect(fs.readFileSync(cratePath).equals(Buffer.concat([header, trackB, footer]))).toBe(true);
+      } finally {
+        fs.rmSync(seratoPath, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('renameCrate', () => {
+    let seratoPath;
+    let cratesDir;
+
+    // Minimal parser: crates come straight from the Subcrates folder
+    function createParser() {
+      const slugify = (str) => str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+      const getAllCrates = async () => fs.readdirSync(cratesDir)
+        .filter(f => f.endsWith('.crate'))
+        .map((file) => {
+          const fullPath = path.basename(file, '.crate');
+          const parts = fullPath.split('%%');
+          const parentPath = parts.length > 1 ? parts.slice(0, -1).join('%%') : null;
+          return {
+            id: slugify(fullPath),
+            name: parts[parts.length - 1],
+            fullPath,
+            parentPath,
+            parentId: parentPath ? slugify(parentPath) : null,
+            depth: parts.length - 1,
+          };
+        });
+
+      return {
+        slugify,
+        getAllCrates,
+        getCrateById: async (id) => (await getAllCrates()).find(c => c.id === id) || null,
+        invalidateCache: jest.fn(),
+      };
+    }
+
+    function writeCrate(fullPath) {
+      fs.writeFileSync(path.join(cratesDir, `${fullPath}.crate`), writer.buildCrateBinary(fullPath, []));
+    }
+
+    function crateFiles() {
+      return fs.readdirSync(cratesDir).filter(f => f.endsWith('.crate')).sort();
+    }
+
+    function writeOrder(...fullPaths) {
+      const text = fullPaths.map(p => `[begin record]\n[crate]${p}\n[end record]`).join('\n');
+      fs.writeFileSync(path.join(seratoPath, 'neworder.pref'), tlv.encodeUTF16BE(text));
+    }
+
+    function readOrder() {
+      return tlv.decodeUTF16BE(fs.readFileSync(path.join(seratoPath, 'neworder.pref')))
+        .split('\n')
+        .filter(line => line.startsWith('[crate]'))
+        .map(line => line.slice('[crate]'.length));
+    }
+
+    beforeEach(() => {
+      seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      cratesDir = path.join(seratoPath, 'Subcrates');
+      fs.mkdirSync(cratesDir);
+      writer = new SeratoWriter(seratoPath, createParser());
+
+      writeCrate('House');
+      writeCrate('House%%Deep');
+      writeCrate('House%%Deep%%Late');
+      writeCrate('Techno');
+      writeOrder('House', 'House%%Deep', 'House%%Deep%%Late', 'Techno');
+    });
+
+    afterEach(() => {
+      fs.rmSync(seratoPath, { recursive: true, force: true });
+    });
+
+    it('should rename a crate together with its subtree and crate order', async () => {
+      const result = await writer.renameCrate('house', { name: 'Disco' });
+
+      expect(crateFiles()).toEqual([
+        'Disco%%Deep%%Late.crate',
+        'Disco%%Deep.crate',
+        'Disco.crate',
+        'Techno.crate',
+      ]);
+      expect(readOrder()).toEqual(['Disco', 'Disco%%Deep', 'Disco%%Deep%%Late', 'Techno']);
+      expect(result.renamed).toEqual(expect.arrayContaining([
+        { oldId: 'house', newId: 'disco', oldFullPath: 'House', newFullPath: 'Disco' },
+        { oldId: 'house-deep-late', newId: 'disco-deep-late', oldFullPath: 'House%%Deep%%Late', newFullPath: 'Disco%%Deep%%Late' },
+      ]));
+      expect(result.crate).toMatchObject({ id: 'disco', name: 'Disco' });
+
+      // Old files and the order file are backed up
+      const backups = fs.readdirSync(cratesDir).filter(f => f.includes('.backup-'));
+      expect(backups).toHaveLength(3);
+      expect(fs.readdirSync(seratoPath).some(f => f.startsWith('neworder.pref.backup-'))).toBe(true);
+    });
+
+    it('should move a crate under another parent and back to the root', async () => {
+      await writer.renameCrate('house-deep', { parentId: 'techno' });
+
+      expect(crateFiles()).toEqual([
+        'House.crate',
+        'Techno%%Deep%%Late.crate',
+        'Techno%%Deep.crate',
+        'Techno.crate',
+      ]);
+
+      await writer.renameCrate('techno-deep', { parentId: null });
+
+      expect(crateFiles()).toContain('Deep%%Late.crate');
+      expect(readOrder()).toEqual(['House', 'Deep', 'Deep%%Late', 'Techno']);
+    });
+
+    it('should refuse to move a crate into its own subtree', async () => {
+      await expect(writer.renameCrate('house', { parentId: 'house-deep' }))
+        .rejects.toThrow(InvalidCrateMoveError);
+      expect(crateFiles()).toHaveLength(4);
+    });
+
+    it('should refuse to overwrite an existing crate', async () => {
+      await expect(writer.renameCrate('techno', { name: 'House' }))
+        .rejects.toThrow(CrateExistsError);
+      expect(crateFiles()).toContain('Techno.crate');
+    });
+  });
+
+  describe('reorderCrate', () => {
+    let seratoPath;
+    const tracks = [
+      { id: 'a', seratoPath: 'Music/a.mp3', filePath: '/Music/a.mp3' },
+      { id: 'b', seratoPath: 'Music/b.mp3', filePath: '/Music/b.mp3' },
+      { id: 'c', seratoPath: 'Music/c.mp3', filePath: '/Music/c.mp3' },
+    ];
+
+    function writtenPaths() {
+      const binary = fs.readFileSync(path.join(seratoPath, 'Subcrates', 'Set.crate'));
+      return tlv.decode(binary)
+        .filter(n => n.tag === 'otrk')
+        .map(n => tlv.toObject(n.value).ptrk);
+    }
+
+    beforeEach(() => {
+      seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      fs.mkdirSync(path.join(seratoPath, 'Subcrates'));
+      writer = new SeratoWriter(seratoPath, {
+        parseCrate: jest.fn().mockResolvedValue({
+          id: 'set',
+          name: 'Set',
+          fullPath: 'Set',
+          tracks,
+          // Second entry in the file is a track that isn't in the library
+          missingTracks: [{ position: 1, seratoPath: 'Music/gone.mp3', filePath: '/Music/gone.mp3' }],
+        }),
+        invalidateCache: jest.fn(),
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(seratoPath, { recursive: true, force: true });
+    });
+
+    it('should write tracks in the given order and keep missing tracks in place', async () => {
+      const result = await writer.reorderCrate('set', { trackIds: ['c', 'a', 'b'] });
+
+      expect(result.trackIds).toEqual(['c', 'a', 'b']);
+      expect(writtenPaths()).toEqual(['Music/c.mp3', 'Music/gone.mp3', 'Music/a.mp3', 'Music/b.mp3']);
+    });
+
+    it('should apply move operations in sequence', async () => {
+      const result = await writer.reorderCrate('set', { moves: [{ from: 0, to: 2 }, { from: 0, to: 1 }] });
+
+      expect(result.trackIds).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should reject orders that add or drop tracks', async () => {
+      await expect(writer.reorderCrate('set', { trackIds: ['a', 'b'] })).rejects.toThrow(InvalidTrackOrderError);
+      await expect(writer.reorderCrate('set', { trackIds: ['a', 'a', 'b'] })).rejects.toThrow(InvalidTrackOrderError);
+      await expect(writer.reorderCrate('set', { moves: [{ from: 0, to: 3 }] })).rejects.toThrow(InvalidTrackOrderError);
+      expect(fs.existsSync(path.join(seratoPath, 'Subcrates', 'Set.crate'))).toBe(false);
+    });
+  });
+  describe('smart crates', () => {
+    let seratoPath;
+    let parser;
+    const rules = [
+      { field: 'bpm', operator: 'greaterThan', value: 119 },
+      { field: 'genre', operator: 'contains', value: 'House' },
+    ];
+
+    beforeEach(() => {
+      seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      fs.mkdirSync(path.join(seratoPath, 'Subcrates'));
+      parser = new SeratoParser(seratoPath, []);
+      writer = new SeratoWriter(seratoPath, parser);
+    });
+
+    afterEach(() => {
+      fs.rmSync(seratoPath, { recursive: true, force: true });
+    });
+
+    it('should create a smart crate the parser lists with its rules', async () => {
+      const created = await writer.createSmartCrate('Warm Up', { rules, matchAll: true });
+
+      expect(created).toMatchObject({ id: 'smart--warm-up', fullPath: 'Warm Up', smart: true });
+
+      const crates = await parser.getAllCrates();
+      expect(crates).toHaveLength(1);
+      expect(crates[0]).toMatchObject({ id: 'smart--warm-up', name: 'Warm Up', smart: true });
+      expect(crates[0].rules).toEqual(created.rules);
+    });
+
+    it('should replace only the rule sections when editing rules', async () => {
+      await writer.createSmartCrate('Warm Up', { rules });
+      const cratePath = path.join(seratoPath, 'SmartCrates', 'Warm Up.scrate');
+
+      // Sections Serato may add that we don't know about must survive
+      const extra = tlv.encodeTag('uxyz', Buffer.from([1, 2, 3, 4]));
+      fs.writeFileSync(cratePath, Buffer.concat([fs.readFileSync(cratePath), extra]));
+      const before = tlv.decode(fs.readFileSync(cratePath)).filter(n => !['rlut', 'rart', 'rurt'].includes(n.tag));
+
+      await writer.updateSmartCrate('smart--warm-up', { matchAll: false, rules: [rules[1]] });
+
+      const nodes = tlv.decode(fs.readFileSync(cratePath));
+      expect(nodes.filter(n => !['rlut', 'rart', 'rurt'].includes(n.tag)).map(n => n.data)).toEqual(before.map(n => n.data));
+      expect((await parser.getCrateById('smart--warm-up')).rules).toMatchObject({
+        matchAll: false,
+        rules: [{ field: 'genre', operator: 'contains', value: 'House' }],
+      });
+    });
+
+    it('should rename smart subcrates with their parent and leave regular crates alone', async () => {
+      fs.writeFileSync(path.join(seratoPath, 'Subcrates', 'Warm Up%%Deep.crate'), writer.buildCrateBinary('Deep'));
+      await writer.createSmartCrate('Warm Up', { rules });
+      await writer.createSmartCrate('Deep', { rules }, 'smart--warm-up');
+
+      const result = await writer.renameCrate('smart--warm-up', { name: 'Opening' });
+
+      expect(result.renamed.map(r => r.newId)).toEqual(['smart--opening', 'smart--opening-deep']);
+      expect(fs.readdirSync(path.join(seratoPath, 'SmartCrates')).sort()).toEqual(['Opening%%Deep.scrate', 'Opening.scrate']);
+      expect(fs.existsSync(path.join(seratoPath, 'Subcrates', 'Warm Up%%Deep.crate'))).toBe(true);
+    });
+
+    it('should refuse track edits and invalid rules', async () => {
+      await writer.createSmartCrate('Warm Up', { rules });
+      parser.parseLibrary = jest.fn().mockResolvedValue([]);
+
+      await expect(writer.addTracksToCrate('smart--warm-up', ['a'])).rejects.toThrow(SmartCrateError);
+      await expect(writer.reorderCrate('smart--warm-up', { trackIds: [] })).rejects.toThrow(SmartCrateError);
+      await expect(writer.createSmartCrate('Empty', { rules: [] })).rejects.toThrow(SmartCrateError);
+      await expect(writer.updateSmartCrate('smart--warm-up', { rules: [{ field: 'bpm', operator: 'is', value: 'x' }] }))
+        .rejects.toThrow(SmartCrateError);
+    });
+  });
+
+  describe('createCrateFromHistorySession', () => {
+    let seratoPath;
+    let parser;
+    const library = [
+      { id: 'a', title: 'A', seratoPath: 'Music/a.mp3', filePath: '/Music/a.mp3' },
+      { id: 'b', title: 'B', seratoPath: 'Music/b.mp3', filePath: '/Music/b.mp3' },
+    ];
+    const entry = (position, track, extra = {}) => ({
+      position,
+      resolved: !!track,
+      trackId: track ? track.id : null,
+      track,
+      title: track ? track.title : 'Gone',
+      artist: 'Artist',
+      filePath: track ? track.filePath : '/Music/gone.mp3',
+      ...extra,
+    });
+
+    beforeEach(() => {
+      seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      fs.mkdirSync(path.join(seratoPath, 'Subcrates'));
+      parser = new SeratoParser(seratoPath, []);
+      parser.parseLibrary = jest.fn().mockResolvedValue(library);
+      parser.getHistorySession = jest.fn().mockResolvedValue({
+        id: 'session-1',
+        startTime: new Date(2026, 9, 17, 22, 0).toISOString(),
+        tracks: [entry(0, library[1]), entry(1, null), entry(2, library[0]), entry(3, library[1])],
+      });
+      writer = new SeratoWriter(seratoPath, parser);
+    });
+
+    afterEach(() => {
+      fs.rmSync(seratoPath, { recursive: true, force: true });
+    });
+
+    it('should add resolved tracks in played order and report the rest', async () => {
+      const result = await writer.createCrateFromHistorySession('session-1');
+
+      expect(result.crate).toMatchObject({ id: 'set-2026-10-17', name: 'Set 2026-10-17', trackCount: 2 });
+      expect(result.added).toBe(2);
+      expect(result.unresolved).toEqual([{ position: 1, title: 'Gone', artist: 'Artist', filePath: '/Music/gone.mp3' }]);
+      expect(result.repeated).toEqual([{ position: 3, trackId: 'b' }]);
+
+      const binary = fs.readFileSync(path.join(seratoPath, 'Subcrates', 'Set 2026-10-17.crate'));
+      expect(tlv.decode(binary).filter(n => n.tag === 'otrk').map(n => tlv.toObject(n.value).ptrk))
+        .toEqual(['Music/b.mp3', 'Music/a.mp3']);
+    });
+
+    it('should create the crate under a parent with the given name', async () => {
+      await writer.createCrate('Gigs');
+
+      const result = await writer.createCrateFromHistorySession('session-1', { name: 'Club Night', parentId: 'gigs' });
+
+      expect(result.crate).toMatchObject({ id: 'gigs-club-night', fullPath: 'Gigs%%Club Night' });
+      expect(fs.existsSync(path.join(seratoPath, 'Subcrates', 'Gigs%%Club Night.crate'))).toBe(true);
+    });
+
+    it('should number the default name when a set from that day already has a crate', async () => {
+      await writer.createCrateFromHistorySession('session-1');
+      await writer.createCrateFromHistorySession('session-1');
+      const result = await writer.createCrateFromHistorySession('session-1');
+
+      expect(result.crate).toMatchObject({ id: 'set-2026-10-17-3', name: 'Set 2026-10-17 (3)' });
+      await expect(writer.createCrateFromHistorySession('session-1', { name: 'Set 2026-10-17' }))
+        .rejects.toThrow(CrateExistsError);
+    });
+
+    it('should keep the indexed library cached', async () => {
+      const indexed = new SeratoParser(seratoPath, []);
+      indexed.cache.set('library', library);
+      indexed.indexingStatus.isComplete = true;
+      library.forEach(track => indexed.trackCache.set(track.id, track));
+      indexed.getHistorySession = parser.getHistorySession;
+      indexed._indexLibrary = jest.fn();
+      writer = new SeratoWriter(seratoPath, indexed);
+
+      await writer.createCrateFromHistorySession('session-1');
+
+      expect(indexed._indexLibrary).not.toHaveBeenCalled();
+      expect(indexed.cache.get('library')).toBe(library);
+      expect(indexed.trackCache.size).toBe(2);
+    });
+
+    it('should name the crate after the session ID without a start time', async () => {
+      parser.getHistorySession.mockResolvedValue({ id: '42', startTime: null, tracks: [entry(0, library[0])] });
+
+      const result = await writer.createCrateFromHistorySession('42');
+
+      expect(result.crate).toMatchObject({ name: 'Set 42', trackCount: 1 });
+    });
+  });
+
+  describe('createCrateFromTracks', () => {
+    let seratoPath;
+    let parser;
+    const library = [
+      { id: 'a', title: 'A', seratoPath: 'Music/a.mp3', filePath: '/Music/a.mp3' },
+      { id: 'b', title: 'B', seratoPath: 'Music/b.mp3', filePath: '/Music/b.mp3' },
+    ];
+
+    beforeEach(() => {
+      seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      fs.mkdirSync(path.join(seratoPath, 'Subcrates'));
+      parser = new SeratoParser(seratoPath, []);
+      parser.parseLibrary = jest.fn().mockResolvedValue(library);
+      writer = new SeratoWriter(seratoPath, parser);
+    });
+
+    afterEach(() => {
+      fs.rmSync(seratoPath, { recursive: true, force: true });
+    });
+
+    it('should add the tracks in the given order', async () => {
+      const result = await writer.createCrateFromTracks(['b', 'a', 'b'], { name: 'Warm Up Set' });
+
+      expect(result.crate).toMatchObject({ id: 'warm-up-set', trackCount: 2 });
+      expect(result.added).toBe(2);
+
+      const binary = fs.readFileSync(path.join(seratoPath, 'Subcrates', 'Warm Up Set.crate'));
+      expect(tlv.decode(binary).filter(n => n.tag === 'otrk').map(n => tlv.toObject(n.value).ptrk))
+        .toEqual(['Music/b.mp3', 'Music/a.mp3']);
+    });
+
+    it('should add the tracks without re-indexing the library', async () => {
+      parser = new SeratoParser(seratoPath, []);
+      parser.cache.set('library', library);
+      parser.indexingStatus.isComplete = true;
+      library.forEach(track => parser.trackCache.set(track.id, track));
+      parser._indexLibrary = jest.fn();
+      writer = new SeratoWriter(seratoPath, parser);
+
+      const result = await writer.createCrateFromTracks(['a', 'b'], { name: 'Peak Time' });
+
+      expect(result.added).toBe(2);
+      expect(parser._indexLibrary).not.toHaveBeenCalled();
+      expect(parser.cache.get('library')).toBe(library);
+    });
+
+    it('should not create the crate when a track is unknown', async () => {
+      await expect(writer.createCrateFromTracks(['a', 'gone'], { name: 'Broken' })).rejects.toThrow(TrackNotFoundError);
+      expect(fs.existsSync(path.join(seratoPath, 'Subcrates', 'Broken.crate'))).toBe(false);
+    });
+  });
+
+  describe('replaceTrackReferences', () => {
+    let seratoPath;
+    let parser;
+    const library = [
+      { id: 'song', title: 'Song', seratoPath: 'Music/song.flac', filePath: '/Music/song.flac' },
+      { id: 'song', title: 'Song', seratoPath: 'Music/song.mp3', filePath: '/Music/song.mp3' },
+      { id: 'other', title: 'Other', seratoPath: 'Music/other.mp3', filePath: '/Music/other.mp3' },
+    ];
+    const [flac, mp3, other] = library;
+    const gone = { seratoPath: 'Music/gone.mp3', filePath: '/Music/gone.mp3' };
+
+    const writeCrate = (name, tracks) => {
+      fs.writeFileSync(path.join(seratoPath, 'Subcrates', `${name}.crate`), writer.buildCrateBinary(name, tracks));
+    };
+    const cratePaths = (name) => {
+      const binary = fs.readFileSync(path.join(seratoPath, 'Subcrates', `${name}.crate`));
+      return tlv.decode(binary).filter(n => n.tag === 'otrk').map(n => tlv.toObject(n.value).ptrk);
+    };
+
+    beforeEach(() => {
+      seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      fs.mkdirSync(path.join(seratoPath, 'Subcrates'));
+      parser = new SeratoParser(seratoPath, []);
+      parser.parseLibrary = jest.fn().mockResolvedValue(library);
+      writer = new SeratoWriter(seratoPath, parser);
+    });
+
+    afterEach(() => {
+      fs.rmSync(seratoPath, { recursive: true, force: true });
+    });
+
+    it('should point entries at the kept copy in place', async () => {
+      writeCrate('House', [other, mp3, gone]);
+      writeCrate('Untouched', [other]);
+
+      const result = await writer.replaceTrackReferences('/Music/song.flac', ['/Music/song.mp3']);
+
+      expect(result).toEqual({ crates: [{ id: 'house', name: 'House', replaced: 1, removed: 0 }], replaced: 1 });
+      expect(cratePaths('House')).toEqual(['Music/other.mp3', 'Music/song.flac', 'Music/gone.mp3']);
+      expect(cratePaths('Untouched')).toEqual(['Music/other.mp3']);
+    });
+
+    it('should drop replaced entries from crates that already hold the kept copy', async () => {
+      writeCrate('Mix', [mp3, flac, other]);
+
+      const result = await writer.replaceTrackReferences('/Music/song.flac', ['/Music/song.mp3']);
+
+      expect(result.crates).toEqual([{ id: 'mix', name: 'Mix', replaced: 0, removed: 1 }]);
+      expect(cratePaths('Mix')).toEqual(['Music/song.flac', 'Music/other.mp3']);
+    });
+
+    it('should reject files that are not in the library', async () => {
+      writeCrate('House', [mp3]);
+
+      await expect(writer.replaceTrackReferences('/Music/gone.mp3', ['/Music/song.mp3'])).rejects.toThrow(TrackNotFoundError);
+      expect(cratePaths('House')).toEqual(['Music/song.mp3']);
+    });
+  });
+
+  describe('relinkTrack', () => {
+    let seratoPath;
+    let parser;
+    const library = [
+      { id: 'moved', title: 'Moved', seratoPath: 'New/moved.mp3', filePath: '/New/moved.mp3' },
+      { id: 'other', title: 'Other', seratoPath: 'Music/other.mp3', filePath: '/Music/other.mp3' },
+    ];
+    const [moved, other] = library;
+    const gone = { seratoPath: 'Music/moved.mp3', filePath: '/Music/moved.mp3' };
+
+    const writeCrate = (name, tracks) => {
+      fs.writeFileSync(path.join(seratoPath, 'Subcrates', `${name}.crate`), writer.buildCrateBinary(name, tracks));
+    };
+    const cratePaths = (name) => {
+      const binary = fs.readFileSync(path.join(seratoPath, 'Subcrates', `${name}.crate`));
+      return tlv.decode(binary).filter(n => n.tag === 'otrk').map(n => tlv.toObject(n.value).ptrk);
+    };
+
+    beforeEach(() => {
+      seratoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-writer-'));
+      fs.mkdirSync(path.join(seratoPath, 'Subcrates'));
+      parser = new SeratoParser(seratoPath, []);
+      parser.parseLibrary = jest.fn().mockResolvedValue(library);
+      writer = new SeratoWriter(seratoPath, parser);
+    });
+
+    afterEach(() => {
+      fs.rmSync(seratoPath, { recursive: true, force: true });
+      pathResolver.clearCache();
+    });
+
+    it('should point missing entries at the chosen file in place', async () => {
+      writeCrate('House', [gone, other]);
+      writeCrate('Both', [moved, gone]);
+
+      const result = await writer.relinkTrack('/Music/moved.mp3', '/New/moved.mp3');
+
+      expect(result).toEqual({
+        crates: [
+          { id: 'both', name: 'Both', relinked: 0, removed: 1 },
+          { id: 'house', name: 'House', relinked: 1, removed: 0 },
+        ],
+        relinked: 1,
+      });
+      expect(cratePaths('House')).toEqual(['New/moved.mp3', 'Music/other.mp3']);
+      expect(cratePaths('Both')).toEqual(['New/moved.mp3']);
+      expect(pathResolver.getResolution('/Music/moved.mp3')).toBe('/New/moved.mp3');
+    });
+
+    it('should re-resolve the database entry for the missing file', async () => {
+      const databaseEntry = { filePath: '/Music/moved.mp3', title: 'Moved', bpm: 124 };
+      parser.cache.set('library', library);
+      parser.indexingStatus.isComplete = true;
+      parser.missingDatabaseEntries = [databaseEntry];
+      parser._patchDatabaseEntry = jest.fn().mockResolvedValue([]);
+      writeCrate('House', [gone]);
+
+      await writer.relinkTrack('/Music/moved.mp3', '/New/moved.mp3');
+
+      expect(parser._patchDatabaseEntry).toHaveBeenCalledWith(databaseEntry, null);
+    });
+
+    it('should reject a file that is not in the library', async () => {
+      await expect(writer.relinkTrack('/Music/moved.mp3', '/Music/unknown.mp3')).rejects.toThrow(TrackNotFoundError);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const {
+  parseKey,
+  toCamelot,
+  formatKey,
+  keyId,
+  keysEqual,
+  compareKeys,
+} = require('@recrate/shared/keys');
+
+describe('shared keys', () => {
+  describe('parseKey', () => {
+    it('should parse every notation into a pitch class and mode', () => {
+      for (const key of ['8A', '8a', '1m', 'Am', 'A minor', 'amin', 'A min']) {
+        expect(parseKey(key)).toEqual({ pitchClass: 9, mode: 'minor' });
+      }
+      for (const key of ['8B', '1d', 'C', 'C major', 'Cmaj']) {
+        expect(parseKey(key)).toEqual({ pitchClass: 0, mode: 'major' });
+      }
+      expect(parseKey('F#m')).toEqual({ pitchClass: 6, mode: 'minor' });
+      expect(parseKey('Gb♭')).toBeNull();
+      expect(parseKey('B♭')).toEqual({ pitchClass: 10, mode: 'major' });
+    });
+
+    it('should return null for unknown keys', () => {
+      expect(parseKey('')).toBeNull();
+      expect(parseKey('13A')).toBeNull();
+      expect(parseKey('0m')).toBeNull();
+      expect(parseKey('H')).toBeNull();
+      expect(parseKey(null)).toBeNull();
+    });
+  });
+
+  describe('toCamelot', () => {
+    it('should place keys on the wheel', () => {
+      expect(toCamelot('Abm')).toEqual({ number: 1, letter: 'A' });
+      expect(toCamelot('E')).toEqual({ number: 12, letter: 'B' });
+      expect(toCamelot('12m')).toEqual({ number: 7, letter: 'A' });
+    });
+
+    it('should round trip every wheel position through the other notations', () => {
+      for (let number = 1; number <= 12; number++) {
+        for (const letter of ['A', 'B']) {
+          const camelot = `${number}${letter}`;
+          expect(formatKey(formatKey(camelot, 'musical'), 'camelot')).toBe(camelot);
+          expect(formatKey(formatKey(camelot, 'openKey'), 'camelot')).toBe(camelot);
+        }
+      }
+    });
+  });
+
+  describe('formatKey', () => {
+    it('should write a key in each notation', () => {
+      expect(formatKey('A minor', 'camelot')).toBe('8A');
+      expect(formatKey('8A', 'openKey')).toBe('1m');
+      expect(formatKey('11A', 'musical')).toBe('Gbm');
+      expect(formatKey('A minor', 'original')).toBe('A minor');
+    });
+
+    it('should leave keys it can not parse as they are', () => {
+      expect(formatKey('weird', 'camelot')).toBe('weird');
+      expect(formatKey('', 'camelot')).toBeNull();
+      expect(formatKey(undefined, 'musical')).toBeNull();
+    });
+  });
+
+  describe('comparing keys', () => {
+    it('should treat notations of the same key as equal', () => {
+      expect(keyId('Am')).toBe(keyId('8A'));
+      expect(keysEqual('F#m', 'Gbm')).toBe(true);
+      expect(keysEqual('Am', 'C')).toBe(false);
+      expect(keysEqual('weird', 'weird')).toBe(false);
+    });
+
+    it('should sort in wheel order with unknown keys last', () => {
+      const keys = ['weird', '9A', 'C', 'Abm', '12B', 'Am', null];
+      expect([...keys].sort(compareKeys)).toEqual(['Abm', 'Am', 'C', '9A', '12B', 'weird', null]);
+    });
+  });
+});
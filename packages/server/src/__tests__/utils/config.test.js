@@ -80,6 +80,20 @@ describe('config', () => {
     });
   });
 
+  describe('storage defaults', () => {
+    it('should have data path as absolute path', () => {
+      expect(path.isAbsolute(config.storage.dataPath)).toBe(true);
+    });
+
+    it('should name the library index file', () => {
+      expect(config.storage.libraryIndexFile).toBe('library-index.json');
+    });
+
+    it('should name the path resolutions file', () => {
+      expect(config.storage.resolutionsFile).toBe('path-resolutions.json');
+    });
+  });
+
   describe('environment consistency', () => {
     it('isDevelopment and isProduction should be mutually exclusive', () => {
       expect(config.isDevelopment !== config.isProduction ||
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IndexStore = require('../../utils/indexStore');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+}));
+
+describe('IndexStore', () => {
+  let tempDir;
+  let indexPath;
+  let store;
+
+  const seratoPath = '/Users/test/Music/_Serato_';
+  const tracks = [
+    { id: 'abc123', filePath: '/Users/test/Music/a.mp3', fileSize: 1000, fileModifiedAt: 1700000000000 },
+  ];
+  const files = [
+    { path: '/Users/test/Music/a.mp3', metadata: { title: 'A' }, mtimeMs: 1700000000000, size: 1000 },
+  ];
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recrate-index-'));
+    indexPath = path.join(tempDir, 'nested', 'library-index.json');
+    store = new IndexStore(indexPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return null when no index has been saved', async () => {
+    expect(await store.load(seratoPath)).toBeNull();
+  });
+
+  it('should round-trip tracks and files', async () => {
+    await store.save({ seratoPath, musicPaths: ['/Users/test/Music'], tracks, files });
+
+    const loaded = await store.load(seratoPath);
+
+    expect(loaded.tracks).toEqual(tracks);
+    expect(loaded.files).toEqual(files);
+    expect(loaded.musicPaths).toEqual(['/Users/test/Music']);
+    expect(typeof loaded.savedAt).toBe('number');
+  });
+
+  it('should not leave a temp file behind', async () => {
+    await store.save({ seratoPath, musicPaths: [], tracks, files });
+    expect(fs.existsSync(`${indexPath}.tmp`)).toBe(false);
+  });
+
+  it('should ignore an index saved for a different Serato path', async () => {
+    await store.save({ seratoPath: '/Volumes/USB/_Serato_', musicPaths: [], tracks, files });
+    expect(await store.load(seratoPath)).toBeNull();
+  });
+
+  it('should ignore an index with a different format version', async () => {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, JSON.stringify({
+      version: IndexStore.INDEX_FORMAT_VERSION + 1,
+      seratoPath,
+      tracks,
+    }));
+
+    expect(await store.load(seratoPath)).toBeNull();
+  });
+
+  it('should ignore a corrupt index file', async () => {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, '{"version": 1, "tracks": [');
+
+    expect(await store.load(seratoPath)).toBeNull();
+  });
+
+  it('should delete the saved index on clear', async () => {
+    await store.save({ seratoPath, musicPaths: [], tracks, files });
+    await store.clear();
+
+    expect(fs.existsSync(indexPath)).toBe(false);
+    await expect(store.clear()).resolves.toBeUndefined();
+  });
+});
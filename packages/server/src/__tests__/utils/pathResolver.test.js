@@ -0,0 +1,240 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+}));
+
+jest.mock('../../audio/metadata');
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const pathResolver = require('../../utils/pathResolver');
+
+describe('pathResolver', () => {
+  const entry = (filePath, metadata) => ({ path: filePath, metadata, mtimeMs: 1, size: 1 });
+  const song = { artist: 'Artist', title: 'Song', duration: 300 };
+
+  beforeEach(() => {
+    pathResolver.clearCache();
+    pathResolver.loadEntries([
+      entry('/New/Artist - Song.mp3', song),
+      entry('/New/artist - song.MP3', { artist: 'Someone', title: 'Else', duration: 120 }),
+      entry('/Lossless/Artist - Song.flac', { ...song, duration: 301 }),
+      entry('/Renamed/01.mp3', song),
+      entry('/Other/Unrelated.mp3', { artist: 'Other', title: 'Tune', duration: 200 }),
+    ]);
+  });
+
+  describe('buildIndex', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'recrate-index-'));
+      await fs.writeFile(path.join(tempDir, 'Fresh.mp3'), '');
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep resolving against the previous index until the new one is built', async () => {
+      let resolvedDuringBuild;
+      pathResolver.metadataExtractor.extractMetadata.mockImplementation(async () => {
+        resolvedDuringBuild = await pathResolver.resolvePath('/Old/Artist - Song.mp3', song);
+        return {};
+      });
+
+      await pathResolver.buildIndex([tempDir]);
+
+      expect(resolvedDuringBuild).toBe('/New/Artist - Song.mp3');
+      expect(pathResolver.exportEntries().map(e => e.path)).toEqual([path.join(tempDir, 'Fresh.mp3')]);
+    });
+  });
+
+  describe('findCandidates', () => {
+    it('should rank files by name and tags', () => {
+      const candidates = pathResolver.findCandidates('/Old/Artist - Song.mp3', song);
+
+      expect(candidates).toEqual([
+        { path: '/New/Artist - Song.mp3', confidence: 1, matchedBy: ['filename', 'metadata'] },
+        { path: '/Lossless/Artist - Song.flac', confidence: 0.9, matchedBy: ['filename', 'metadata'] },
+        { path: '/Renamed/01.mp3', confidence: 0.9, matchedBy: ['metadata'] },
+        { path: '/New/artist - song.MP3', confidence: 0.32, matchedBy: ['filename'] },
+      ]);
+    });
+
+    it('should score on the file name alone without metadata', () => {
+      const candidates = pathResolver.findCandidates('/Old/Artist - Song.mp3', null, { limit: 2 });
+
+      expect(candidates).toEqual([
+        { path: '/New/Artist - Song.mp3', confidence: 0.7, matchedBy: ['filename'] },
+        { path: '/New/artist - song.MP3', confidence: 0.56, matchedBy: ['filename'] },
+      ]);
+    });
+
+    it('should pick up files added after the first search', () => {
+      expect(pathResolver.findCandidates('/Old/Fresh.mp3')).toEqual([]);
+
+      pathResolver.loadEntries([...pathResolver.exportEntries(), entry('/New/Fresh.mp3', {})]);
+
+      expect(pathResolver.findCandidates('/Old/Fresh.mp3').map(c => c.path)).toEqual(['/New/Fresh.mp3']);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should accept a filename match backed by tags', async () => {
+      const resolution = await pathResolver.resolve('/Old/Artist - Song.mp3', song);
+
+      expect(resolution).toMatchObject({
+        path: '/New/Artist - Song.mp3', confidence: 1, strategy: 'filename', ambiguous: false,
+      });
+    });
+
+    it('should fall back to the tags when the name is gone', async () => {
+      pathResolver.loadEntries([entry('/Renamed/01.mp3', song)]);
+
+      const resolution = await pathResolver.resolve('/Old/Artist - Song.mp3', song);
+
+      expect(resolution).toMatchObject({ path: '/Renamed/01.mp3', confidence: 0.9, strategy: 'metadata' });
+    });
+
+    it('should report equally likely files as ambiguous instead of picking the first', async () => {
+      pathResolver.loadEntries([entry('/Album A/Intro.mp3', {}), entry('/Album B/Intro.mp3', {})]);
+
+      const resolution = await pathResolver.resolve('/Old/Intro.mp3');
+
+      expect(resolution).toMatchObject({ path: null, ambiguous: true, confidence: 0.7 });
+      expect(resolution.candidates.map(c => c.path)).toEqual(['/Album A/Intro.mp3', '/Album B/Intro.mp3']);
+      expect(await pathResolver.resolvePath('/Old/Intro.mp3')).toBeNull();
+      expect(pathResolver.listResolutions().ambiguous).toEqual([
+        expect.objectContaining({ originalPath: '/Old/Intro.mp3', ambiguous: true }),
+      ]);
+    });
+
+    it('should not match untagged files with the same name by their empty tags', async () => {
+      pathResolver.loadEntries(['a', 'b', 'c'].map(folder => entry(`/m/${folder}/Intro.mp3`, {})));
+
+      const resolution = await pathResolver.resolve('/old/x/Intro.mp3', { artist: '', title: '', duration: 0 });
+
+      expect(resolution).toMatchObject({ path: null, strategy: 'filename', ambiguous: true });
+      expect(resolution.candidates).toHaveLength(3);
+    });
+
+    it('should report files sharing the tags as ambiguous', async () => {
+      pathResolver.loadEntries([entry('/Renamed/01.mp3', song), entry('/Copy/02.mp3', song)]);
+
+      const resolution = await pathResolver.resolve('/Old/Artist - Song.mp3', song);
+
+      expect(resolution).toMatchObject({ path: null, strategy: 'metadata', ambiguous: true });
+      expect(resolution.candidates.map(c => c.path).sort()).toEqual(['/Copy/02.mp3', '/Renamed/01.mp3']);
+    });
+
+    it('should not accept a hash match it has no confidence in', async () => {
+      const albumTrack = { album: 'Album', trackNumber: 1 };
+      pathResolver.loadEntries([entry('/Renamed/01.mp3', albumTrack)]);
+
+      const resolution = await pathResolver.resolve('/Old/Intro.mp3', albumTrack);
+
+      expect(resolution).toMatchObject({ path: null, strategy: 'metadata', ambiguous: true, confidence: 0 });
+    });
+
+    it('should leave the resolutions alone when asked not to remember', async () => {
+      pathResolver.loadEntries([...pathResolver.exportEntries(), entry('/Album A/Intro.mp3', {}), entry('/Album B/Intro.mp3', {})]);
+
+      expect(await pathResolver.resolvePath('/Promo/Artist - Song.mp3', song, { remember: false })).toBe('/New/Artist - Song.mp3');
+      expect(await pathResolver.resolve('/Promo/Intro.mp3', null, { remember: false })).toMatchObject({ ambiguous: true });
+      expect(pathResolver.listResolutions()).toEqual({ resolutions: [], ambiguous: [] });
+    });
+
+    it('should prefer the file in the same folder', async () => {
+      pathResolver.loadEntries([entry('/Music/Album A/Intro.mp3', {}), entry('/Music/Album B/Intro.mp3', {})]);
+
+      const resolution = await pathResolver.resolve('/Volumes/Old/Album B/Intro.mp3');
+
+      expect(resolution).toMatchObject({ path: '/Music/Album B/Intro.mp3', confidence: 0.8, strategy: 'filename' });
+    });
+
+    it('should drop a cached match once its file leaves the index', async () => {
+      await pathResolver.resolve('/Old/Artist - Song.mp3', song);
+      pathResolver.removeFile('/New/Artist - Song.mp3');
+
+      expect(pathResolver.getResolution('/Old/Artist - Song.mp3')).toBeNull();
+    });
+  });
+
+  describe('setResolution', () => {
+    it('should resolve the original path to the chosen file', async () => {
+      pathResolver.setResolution('/Old/Artist - Song.mp3', '/Renamed/01.mp3');
+
+      expect(pathResolver.getResolution('/Old/Artist - Song.mp3')).toBe('/Renamed/01.mp3');
+      expect(await pathResolver.resolvePath('/Old/Artist - Song.mp3')).toBe('/Renamed/01.mp3');
+    });
+
+    it('should win over a better automatic match and clear the ambiguous record', async () => {
+      pathResolver.loadEntries([entry('/Album A/Intro.mp3', {}), entry('/Album B/Intro.mp3', {})]);
+      await pathResolver.resolve('/Old/Intro.mp3');
+
+      pathResolver.setResolution('/Old/Intro.mp3', '/Album B/Intro.mp3');
+
+      expect(await pathResolver.resolve('/Old/Intro.mp3')).toMatchObject({
+        path: '/Album B/Intro.mp3', strategy: 'confirmed', confirmed: true, ambiguous: false,
+      });
+      expect(pathResolver.listResolutions().ambiguous).toEqual([]);
+    });
+  });
+
+  describe('confirmResolution / removeResolution', () => {
+    it('should confirm and forget automatic matches', async () => {
+      expect(pathResolver.confirmResolution('/Old/Artist - Song.mp3')).toBe(false);
+      await pathResolver.resolve('/Old/Artist - Song.mp3', song);
+
+      expect(pathResolver.confirmResolution('/Old/Artist - Song.mp3')).toBe(true);
+      expect(pathResolver.listResolutions().resolutions).toEqual([
+        { originalPath: '/Old/Artist - Song.mp3', path: '/New/Artist - Song.mp3', confidence: 1, strategy: 'confirmed', confirmed: true },
+      ]);
+
+      expect(pathResolver.removeResolution('/Old/Artist - Song.mp3')).toBe(true);
+      expect(pathResolver.removeResolution('/Old/Artist - Song.mp3')).toBe(false);
+      expect(pathResolver.listResolutions().resolutions).toEqual([]);
+    });
+  });
+
+  describe('saveResolutions / loadResolutions', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'recrate-resolutions-'));
+    });
+
+    afterEach(async () => {
+      pathResolver.storePath = null;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should restore saved resolutions', async () => {
+      const storePath = path.join(tempDir, 'path-resolutions.json');
+      expect(await pathResolver.loadResolutions(storePath)).toBe(0);
+
+      await pathResolver.resolve('/Old/Artist - Song.mp3', song);
+      pathResolver.setResolution('/Old/Intro.mp3', '/Other/Unrelated.mp3');
+      await pathResolver.saveResolutions();
+
+      pathResolver.clearCache();
+      expect(await pathResolver.loadResolutions(storePath)).toBe(2);
+      expect(pathResolver.listResolutions().resolutions).toEqual([
+        { originalPath: '/Old/Artist - Song.mp3', path: '/New/Artist - Song.mp3', confidence: 1, strategy: 'filename', confirmed: false },
+        { originalPath: '/Old/Intro.mp3', path: '/Other/Unrelated.mp3', confidence: 1, strategy: 'confirmed', confirmed: true },
+      ]);
+    });
+
+    it('should ignore a corrupt file', async () => {
+      const storePath = path.join(tempDir, 'path-resolutions.json');
+      await fs.writeFile(storePath, '{not json');
+
+      expect(await pathResolver.loadResolutions(storePath)).toBe(0);
+    });
+  });
+});
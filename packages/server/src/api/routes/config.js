@@ -4,6 +4,7 @@ const config = require('../../utils/config');
 const volumeDiscovery = require('../../utils/volumeDiscovery');
 const fs = require('fs');
 const path = require('path');
+const { KEY_NOTATIONS } = require('@recrate/shared/keys');
 
 /**
  * Create config routes
@@ -24,6 +25,8 @@ function createConfigRoutes(parser) {
           seratoPath: config.serato.path,
           port: config.server.port,
           host: config.server.host,
+          keyNotation: parser.keyNotation,
+          keyNotations: KEY_NOTATIONS,
         },
       });
     } catch (error) {
@@ -35,11 +38,17 @@ function createConfigRoutes(parser) {
   /**
    * POST /api/config
    * Update configuration and reload library
-   * Note: Requires server restart to fully apply changes
+   * Note: Requires server restart to fully apply path changes; keyNotation applies right away
    */
   router.post('/', async (req, res) => {
     try {
-      const { musicPath, musicPaths, seratoPath } = req.body;
+      const { musicPath, musicPaths, seratoPath, keyNotation } = req.body;
+
+      if (keyNotation !== undefined && !KEY_NOTATIONS.includes(keyNotation)) {
+        return res.status(400).json({
+          error: `Invalid keyNotation. Must be one of: ${KEY_NOTATIONS.join(', ')}`,
+        });
+      }
 
       // Validate and update music paths
       if (musicPaths) {
@@ -68,6 +77,22 @@ function createConfigRoutes(parser) {
         logger.info(`Serato path updated to: ${seratoPath}`);
       }
 
+      if (keyNotation) {
+        parser.setKeyNotation(keyNotation);
+      }
+
+      // Only the display setting changed - nothing to reload
+      if (!musicPaths && !musicPath && !seratoPath) {
+        return res.json({
+          success: true,
+          message: 'Configuration updated successfully.',
+          requiresRestart: false,
+          config: {
+            keyNotation: parser.keyNotation,
+          },
+        });
+      }
+
       // Clear cache to force reload
       parser.cache.clear();
       logger.success('Library cache cleared - will reload on next request');
@@ -80,6 +105,7 @@ function createConfigRoutes(parser) {
         config: {
           musicPaths: config.serato.musicPaths,
           seratoPath: config.serato.path,
+          keyNotation: parser.keyNotation,
         },
       });
     } catch (error) {
@@ -1,10 +1,57 @@
 const express = require('express');
 const logger = require('../../utils/logger');
+const { buildSet } = require('../../serato/setBuilder');
+const pathResolver = require('../../utils/pathResolver');
+const { exportPlaylist } = require('../../serato/playlistExport');
+const { parsePlaylist, matchPlaylistEntries } = require('../../serato/playlistImport');
+
+// Playlist files posted as they are (everything else is read as JSON by the server)
+const playlistBody = express.text({
+  type: ['text/*', 'audio/x-mpegurl', 'audio/mpegurl', 'audio/x-scpls', 'application/vnd.apple.mpegurl', 'application/x-mpegurl'],
+  limit: '5mb',
+});
+
+/**
+ * Tracks of a crate, followed by those of its subcrates (depth first, alphabetical) when
+ * recursive - each file only once, at its first position
+ * @param {SeratoParser} parser
+ * @param {Object} crate - Parsed crate
+ * @param {boolean} recursive
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectExportTracks(parser, crate, recursive) {
+  if (!recursive) {
+    return crate.tracks || [];
+  }
+
+  const crates = await parser.getAllCrates();
+  const tracks = [];
+  const seen = new Set();
+  const visit = async (current) => {
+    for (const track of current.tracks || []) {
+      if (!seen.has(track.filePath)) {
+        seen.add(track.filePath);
+        tracks.push(track);
+      }
+    }
+    const children = crates
+      .filter(child => child.parentId === current.id)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const child of children) {
+      await visit(await parser.parseCrate(child.id));
+    }
+  };
+  await visit(crate);
+  return tracks;
+}
 
 /**
  * Create crate routes
+ * @param {SeratoParser} parser
+ * @param {SeratoWriter|null} writer - null in read-only mode
+ * @param {Function} broadcast - (event, data) => void, sends a Socket.IO event to all clients
  */
-function createCrateRoutes(parser, writer = null) {
+function createCrateRoutes(parser, writer = null, broadcast = () => {}) {
   const router = express.Router();
 
   /**
@@ -36,7 +83,7 @@ function createCrateRoutes(parser, writer = null) {
 
   /**
    * GET /api/crates
-   * List all crates (metadata only)
+   * List all crates (metadata only), smart crates included with smart: true
    */
   router.get('/', async (req, res) => {
     try {
@@ -73,10 +120,156 @@ function createCrateRoutes(parser, writer = null) {
     }
   });
 
+  /**
+   * GET /api/crates/:crateId/set
+   * Propose an ordered set from a crate's tracks (smart crates too)
+   * Query params (all optional):
+   *   - startBpm, endBpm: tempo curve to follow (default: slowest to fastest track)
+   *   - maxBpmJump: largest BPM change between two tracks (default 6)
+   *   - harmonic: strict, relaxed or off (default strict)
+   *   - duration: target set length in minutes (default: as many tracks as fit)
+   * Every transition comes with a compatibility score; tracks left out are listed in `unused`
+   */
+  router.get('/:crateId/set', async (req, res) => {
+    try {
+      const { crateId } = req.params;
+      const { startBpm, endBpm, maxBpmJump, harmonic, duration } = req.query;
+
+      const minutes = duration === undefined || duration === '' ? null : parseFloat(duration);
+      if (minutes !== null && !(minutes > 0)) {
+        return res.status(400).json({ error: 'duration must be a positive number of minutes' });
+      }
+
+      const crate = await parser.parseCrate(crateId);
+      const set = buildSet(crate.tracks || [], {
+        startBpm,
+        endBpm,
+        maxBpmJump,
+        harmonic,
+        targetDuration: minutes && minutes * 60,
+      });
+
+      res.json({
+        crate: { id: crate.id, name: crate.name },
+        set,
+      });
+    } catch (error) {
+      if (error.name === 'CrateNotFoundError') {
+        return res.status(404).json({ error: 'Crate not found' });
+      }
+      if (error.name === 'SetBuilderError') {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error building set:', error);
+      res.status(500).json({ error: 'Failed to build set' });
+    }
+  });
+
+  /**
+   * GET /api/crates/:crateId/export
+   * Download a crate as a playlist file
+   * Query params (all optional):
+   *   - format: m3u8, pls, csv or json (default m3u8)
+   *   - paths: absolute or relative (default absolute)
+   *   - base: folder relative paths start from (default: the folder all tracks share)
+   *   - extinf: false to leave out #EXTINF lines (m3u8)
+   *   - recursive: true to add the tracks of all subcrates
+   * Tracks whose files are missing are left out
+   */
+  router.get('/:crateId/export', async (req, res) => {
+    try {
+      const { crateId } = req.params;
+      const { format, paths, base, extinf, recursive } = req.query;
+
+      const crate = await parser.parseCrate(crateId);
+      const tracks = await collectExportTracks(parser, crate, recursive === 'true');
+      const name = crate.name.replace(/%%/g, ' - ');
+      const playlist = exportPlaylist(name, tracks, {
+        format: format || undefined,
+        paths: paths || undefined,
+        basePath: base || null,
+        extinf: extinf !== 'false',
+      });
+
+      const filename = `${name.replace(/[\\/:*?"<>|]/g, '_')}.${playlist.extension}`;
+      res.set('Content-Type', playlist.contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+      res.send(playlist.content);
+    } catch (error) {
+      if (error.name === 'CrateNotFoundError') {
+        return res.status(404).json({ error: 'Crate not found' });
+      }
+      if (error.name === 'PlaylistExportError') {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error exporting crate:', error);
+      res.status(500).json({ error: 'Failed to export crate' });
+    }
+  });
+
+  /**
+   * POST /api/crates/:crateId/set/to-crate
+   * Save a set as a new crate, tracks in set order
+   * Body: { trackIds: string[], name?: string, parentId?: string, color?: string }
+   * name defaults to "<crate name> Set"
+   */
+  router.post('/:crateId/set/to-crate', async (req, res) => {
+    try {
+      if (!writer) {
+        return res.status(501).json({
+          error: 'Crate creation not supported (read-only mode)',
+        });
+      }
+
+      const { trackIds, name, parentId = null, color = null } = req.body || {};
+      if (!Array.isArray(trackIds) || trackIds.length === 0) {
+        return res.status(400).json({ error: 'trackIds array is required' });
+      }
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: 'Crate name must be a non-empty string' });
+      }
+
+      const source = await parser.getCrateById(req.params.crateId);
+      if (!source) {
+        return res.status(404).json({ error: 'Crate not found' });
+      }
+
+      const result = await writer.createCrateFromTracks(trackIds, {
+        name: name ? name.trim() : `${source.name} Set`,
+        parentId,
+        color,
+      });
+
+      res.status(201).json({
+        message: 'Crate created from set',
+        ...result,
+      });
+    } catch (error) {
+      if (error.name === 'TrackNotFoundError') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.name === 'ParentCrateNotFoundError') {
+        return res.status(404).json({ error: 'Parent crate not found' });
+      }
+      if (error.name === 'CrateExistsError') {
+        return res.status(409).json({ error: 'Crate already exists' });
+      }
+      if (/^Crate name/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error saving set as crate:', error);
+      res.status(500).json({ error: 'Failed to save set' });
+    }
+  });
+
   /**
    * POST /api/crates
    * Create a new crate (optionally as a subcrate)
    * Body: { name: string, color?: string, parentId?: string }
+   * Smart crate: { name, smart: true, rules: [{ field, operator, value }], matchAll?, liveUpdate?, parentId? }
    */
   router.post('/', async (req, res) => {
     try {
@@ -86,13 +279,15 @@ function createCrateRoutes(parser, writer = null) {
         });
       }
 
-      const { name, color = '#FF0000', parentId = null } = req.body;
+      const { name, color = '#FF0000', parentId = null, smart = false, rules, matchAll, liveUpdate } = req.body;
 
       if (!name) {
         return res.status(400).json({ error: 'Crate name is required' });
       }
 
-      const crate = await writer.createCrate(name, color, parentId);
+      const crate = smart
+        ? await writer.createSmartCrate(name, { rules, matchAll, liveUpdate }, parentId)
+        : await writer.createCrate(name, color, parentId);
       parser.invalidateCache(); // Clear cache
 
       res.status(201).json({
@@ -106,12 +301,169 @@ function createCrateRoutes(parser, writer = null) {
       if (error.name === 'ParentCrateNotFoundError') {
         return res.status(404).json({ error: 'Parent crate not found' });
       }
+      if (error.name === 'SmartCrateError' || /^Crate name/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
 
       logger.error('Error creating crate:', error);
       res.status(500).json({ error: 'Failed to create crate' });
     }
   });
 
+  /**
+   * POST /api/crates/import
+   * Create a crate from an M3U/M3U8, PLS or CSV playlist
+   * Body: the playlist file (text/plain, audio/x-mpegurl, text/csv...) with options as query
+   * params, or JSON { content, ...options }
+   * Options (all optional):
+   *   - name: crate name (default: #PLAYLIST name, then "Imported Playlist")
+   *   - format: m3u, m3u8, pls or csv (detected when left out)
+   *   - base: folder relative playlist paths start from
+   *   - parentId, color: as for POST /api/crates
+   *   - dryRun: true to only return the report
+   * Returns a report line per entry: matched (by path or path resolution), fuzzy (by artist
+   * and title) or missing. Matched and fuzzy entries are added in playlist order.
+   */
+  router.post('/import', playlistBody, async (req, res) => {
+    try {
+      const options = typeof req.body === 'string' ? { ...req.query, content: req.body } : { ...req.query, ...req.body };
+      const { content, name, format, base, parentId = null, color = null } = options;
+      const dryRun = options.dryRun === true || options.dryRun === 'true';
+
+      if (!writer && !dryRun) {
+        return res.status(501).json({
+          error: 'Crate creation not supported (read-only mode)',
+        });
+      }
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'Playlist content is required' });
+      }
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: 'Crate name must be a non-empty string' });
+      }
+
+      const playlist = parsePlaylist(content, { format: format || undefined });
+      const library = await parser.parseLibrary();
+      const entries = await matchPlaylistEntries(playlist.entries, library, {
+        // Playlist paths come from other machines - match them without saving them as resolutions
+        resolvePath: (filePath, metadata) => pathResolver.resolvePath(filePath, metadata, { remember: false }),
+        basePath: base || null,
+      });
+
+      const summary = {
+        total: entries.length,
+        matched: entries.filter(entry => entry.status === 'matched').length,
+        fuzzy: entries.filter(entry => entry.status === 'fuzzy').length,
+        missing: entries.filter(entry => entry.status === 'missing').length,
+      };
+      const trackIds = entries.filter(entry => entry.trackId).map(entry => entry.trackId);
+      const crateName = name ? name.trim() : playlist.name || 'Imported Playlist';
+
+      if (dryRun) {
+        return res.json({ name: crateName, format: playlist.format, crate: null, added: 0, summary, entries });
+      }
+      if (trackIds.length === 0) {
+        return res.status(422).json({
+          error: 'No playlist entries were found in the library',
+          format: playlist.format,
+          summary,
+          entries,
+        });
+      }
+
+      const result = await writer.createCrateFromTracks(trackIds, { name: crateName, parentId, color });
+
+      res.status(201).json({
+        message: `Imported ${result.added} of ${entries.length} tracks`,
+        name: crateName,
+        format: playlist.format,
+        ...result,
+        summary,
+        entries,
+      });
+    } catch (error) {
+      if (error.name === 'PlaylistImportError') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.name === 'ParentCrateNotFoundError') {
+        return res.status(404).json({ error: 'Parent crate not found' });
+      }
+      if (error.name === 'CrateExistsError') {
+        return res.status(409).json({ error: 'Crate already exists' });
+      }
+      if (/^Crate name/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error importing playlist:', error);
+      res.status(500).json({ error: 'Failed to import playlist' });
+    }
+  });
+
+  /**
+   * PATCH /api/crates/:crateId
+   * Rename a crate and/or move it under another parent (subcrates move with it)
+   * Body: { name?: string, parentId?: string|null } - parentId null moves the crate to the root
+   * Smart crates also accept { rules?, matchAll?, liveUpdate? } and can't be moved
+   */
+  router.patch('/:crateId', async (req, res) => {
+    try {
+      if (!writer) {
+        return res.status(501).json({
+          error: 'Crate modification not supported (read-only mode)',
+        });
+      }
+
+      const { crateId } = req.params;
+      const { name, parentId, rules, matchAll, liveUpdate } = req.body || {};
+      const changesRules = rules !== undefined || matchAll !== undefined || liveUpdate !== undefined;
+
+      if (name === undefined && parentId === undefined && !changesRules) {
+        return res.status(400).json({ error: 'name, parentId or rules is required' });
+      }
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: 'Crate name must be a non-empty string' });
+      }
+
+      const trimmedName = name === undefined ? undefined : name.trim();
+      const result = changesRules && parentId === undefined
+        ? await writer.updateSmartCrate(crateId, { name: trimmedName, rules, matchAll, liveUpdate })
+        : await writer.renameCrate(crateId, { name: trimmedName, parentId });
+
+      if (result.renamed.length > 0) {
+        broadcast('crate:renamed', { renamed: result.renamed, crate: result.crate });
+      }
+
+      res.json({
+        message: 'Crate updated successfully',
+        crate: result.crate,
+        renamed: result.renamed,
+      });
+    } catch (error) {
+      if (error.name === 'CrateNotFoundError') {
+        return res.status(404).json({ error: 'Crate not found' });
+      }
+      if (error.name === 'ParentCrateNotFoundError') {
+        return res.status(404).json({ error: 'Parent crate not found' });
+      }
+      if (error.name === 'CrateExistsError') {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.name === 'InvalidCrateMoveError' || error.name === 'SmartCrateError') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.name === 'ReadOnlyError') {
+        return res.status(403).json({ error: error.message });
+      }
+      if (/^Crate name/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error renaming crate:', error);
+      res.status(500).json({ error: 'Failed to update crate' });
+    }
+  });
+
   /**
    * POST /api/crates/:crateId/tracks
    * Add tracks to a crate
@@ -143,12 +495,55 @@ function createCrateRoutes(parser, writer = null) {
       if (error.name === 'CrateNotFoundError') {
         return res.status(404).json({ error: 'Crate not found' });
       }
+      if (error.name === 'SmartCrateError') {
+        return res.status(400).json({ error: error.message });
+      }
 
       logger.error('Error adding tracks to crate:', error);
       res.status(500).json({ error: 'Failed to add tracks' });
     }
   });
 
+  /**
+   * PUT /api/crates/:crateId/order
+   * Reorder the tracks of a crate
+   * Body: { trackIds: string[] } (full new order) or { moves: [{ from, to }] }
+   */
+  router.put('/:crateId/order', async (req, res) => {
+    try {
+      if (!writer) {
+        return res.status(501).json({
+          error: 'Crate modification not supported (read-only mode)',
+        });
+      }
+
+      const { crateId } = req.params;
+      const { trackIds, moves } = req.body || {};
+
+      if (!Array.isArray(trackIds) && !Array.isArray(moves)) {
+        return res.status(400).json({ error: 'trackIds or moves array is required' });
+      }
+
+      const result = await writer.reorderCrate(crateId, { trackIds, moves });
+
+      res.json({
+        message: 'Crate reordered successfully',
+        crateId,
+        trackIds: result.trackIds,
+      });
+    } catch (error) {
+      if (error.name === 'CrateNotFoundError') {
+        return res.status(404).json({ error: 'Crate not found' });
+      }
+      if (error.name === 'InvalidTrackOrderError' || error.name === 'SmartCrateError') {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error reordering crate:', error);
+      res.status(500).json({ error: 'Failed to reorder crate' });
+    }
+  });
+
   /**
    * DELETE /api/crates/:crateId/tracks/:trackId
    * Remove a track from a crate
@@ -175,6 +570,9 @@ function createCrateRoutes(parser, writer = null) {
       if (error.name === 'CrateNotFoundError') {
         return res.status(404).json({ error: 'Crate not found' });
       }
+      if (error.name === 'SmartCrateError') {
+        return res.status(400).json({ error: error.message });
+      }
 
       logger.error('Error removing track from crate:', error);
       res.status(500).json({ error: 'Failed to remove track' });
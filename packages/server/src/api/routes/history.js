@@ -0,0 +1,109 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+
+/**
+ * Create History routes (Serato History/Sessions)
+ */
+function createHistoryRoutes(parser, writer) {
+  const router = express.Router();
+
+  /**
+   * GET /api/history
+   * List sessions, newest first
+   * Query params:
+   *   - limit (optional): max sessions to return (default 100)
+   *   - offset (optional): sessions to skip
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 100;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const sessions = await parser.getHistorySessions();
+
+      res.json({
+        sessions: sessions.slice(offset, offset + limit),
+        pagination: {
+          total: sessions.length,
+          limit,
+          offset,
+          hasMore: offset + limit < sessions.length,
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching history sessions:', error);
+      res.status(500).json({ error: 'Failed to fetch history' });
+    }
+  });
+
+  /**
+   * GET /api/history/:sessionId
+   * Get a session's played tracks in order, with start/end times, deck and
+   * the matching library track (resolved: false when the file isn't in the library)
+   */
+  router.get('/:sessionId', async (req, res) => {
+    try {
+      const session = await parser.getHistorySession(req.params.sessionId);
+      res.json({ session });
+    } catch (error) {
+      if (error.name === 'SessionNotFoundError') {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      logger.error('Error fetching history session:', error);
+      res.status(500).json({ error: 'Failed to fetch history session' });
+    }
+  });
+
+  /**
+   * POST /api/history/:sessionId/to-crate
+   * Create a crate with the session's tracks in played order
+   * Body: { name?: string, parentId?: string, color?: string }
+   * Entries that aren't in the library are returned in `unresolved`, and repeat plays in `repeated`
+   */
+  router.post('/:sessionId/to-crate', async (req, res) => {
+    try {
+      if (!writer) {
+        return res.status(501).json({
+          error: 'Crate creation not supported (read-only mode)',
+        });
+      }
+
+      const { name, parentId = null, color = null } = req.body || {};
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: 'Crate name must be a non-empty string' });
+      }
+
+      const result = await writer.createCrateFromHistorySession(req.params.sessionId, {
+        name: name && name.trim(),
+        parentId,
+        color,
+      });
+
+      res.status(201).json({
+        message: 'Crate created from session',
+        ...result,
+      });
+    } catch (error) {
+      if (error.name === 'SessionNotFoundError') {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (error.name === 'ParentCrateNotFoundError') {
+        return res.status(404).json({ error: 'Parent crate not found' });
+      }
+      if (error.name === 'CrateExistsError') {
+        return res.status(409).json({ error: 'Crate already exists' });
+      }
+      if (/^Crate name/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error creating crate from history session:', error);
+      res.status(500).json({ error: 'Failed to create crate from session' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createHistoryRoutes;
@@ -1,11 +1,15 @@
 const express = require('express');
 const logger = require('../../utils/logger');
 const MetadataExtractor = require('../../audio/metadata');
+const { compareKeys } = require('@recrate/shared/keys');
+const { parseKey, formatCamelot, suggestNextTracks } = require('../../serato/harmonicMixing');
+const { computeFingerprints, findDuplicates } = require('../../serato/duplicates');
+const { exportRekordboxXml } = require('../../serato/rekordboxExport');
 
 /**
  * Create library routes
  */
-function createLibraryRoutes(parser) {
+function createLibraryRoutes(parser, writer) {
   const router = express.Router();
   const metadataExtractor = new MetadataExtractor();
 
@@ -26,6 +30,10 @@ function createLibraryRoutes(parser) {
   /**
    * GET /api/library
    * List all tracks with optional search, sorting, and pagination
+   * search uses the same query language as /api/search; sortBy=relevance keeps the best matches first
+   * sortBy: title, artist, album, key, addedAt, duration, playCount, lastPlayed, firstPlayed,
+   *         playsLast30, playsLast90 or playsLast365 (play counts come from Serato History)
+   *         key sorts in Camelot wheel order whatever notation the keys are tagged in
    */
   router.get('/', async (req, res) => {
     try {
@@ -59,8 +67,13 @@ function createLibraryRoutes(parser) {
         tracks = await parser.searchTracks(search);
       }
 
-      // Apply sorting
-      tracks = sortTracks(tracks, sortBy);
+      // Reused by the parser until History, the library or the date changes
+      const playStatistics = await parser.getPlayStatistics();
+
+      // Apply sorting (search results already come back by relevance)
+      if (!(search && sortBy === 'relevance')) {
+        tracks = sortTracks(tracks, sortBy, playStatistics);
+      }
 
       // Get total count before pagination
       const total = tracks.length;
@@ -69,7 +82,7 @@ function createLibraryRoutes(parser) {
       const paginatedTracks = tracks.slice(
         parseInt(offset, 10),
         parseInt(offset, 10) + parseInt(limit, 10)
-      );
+      ).map(track => withPeriodPlays(track, playStatistics));
 
       // Enhance tracks with metadata (for first batch only to avoid slowdown)
       const enhancedTracks = await enhanceTracksWithMetadata(
@@ -90,11 +103,280 @@ function createLibraryRoutes(parser) {
         },
       });
     } catch (error) {
+      if (error.name === 'QuerySyntaxError') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Error fetching library:', error);
       res.status(500).json({ error: 'Failed to fetch library' });
     }
   });
 
+  /**
+   * GET /api/library/duplicates
+   * Copies of the same song at different paths, with the crates referencing each copy
+   * (see serato/duplicates.js). Copies are identified by filePath - copies with identical
+   * tags share a track ID.
+   * Query params:
+   *   - tolerance (optional): seconds two copies may differ in length, default 2
+   *   - fingerprint (optional): 'true' to also match files by their audio data (reads the files)
+   */
+  router.get('/duplicates', async (req, res) => {
+    try {
+      const tolerance = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : undefined;
+      if (tolerance !== undefined && !(tolerance >= 0 && tolerance <= 30)) {
+        return res.status(400).json({ error: 'tolerance must be between 0 and 30 (seconds)' });
+      }
+
+      const library = await parser.parseLibrary();
+      const crates = [];
+      for (const crate of await parser.getAllCrates()) {
+        if (crate.smart) continue;
+        try {
+          const parsed = await parser.parseCrate(crate.id);
+          crates.push({ ...crate, filePaths: parsed.tracks.map(track => track.filePath) });
+        } catch (error) {
+          logger.warn(`Skipping crate ${crate.id} in duplicates: ${error.message}`);
+        }
+      }
+
+      let fingerprints = null;
+      if (req.query.fingerprint === 'true') {
+        fingerprints = await computeFingerprints(library, {
+          onError: (track, error) => logger.warn(`Could not fingerprint ${track.filePath}: ${error.message}`),
+        });
+      }
+
+      const groups = findDuplicates(library, crates, { durationTolerance: tolerance, fingerprints });
+
+      res.json({
+        groups,
+        total: groups.length,
+        copies: groups.reduce((sum, group) => sum + group.copies.length, 0),
+      });
+    } catch (error) {
+      logger.error('Error finding duplicates:', error);
+      res.status(500).json({ error: 'Failed to find duplicates' });
+    }
+  });
+
+  /**
+   * POST /api/library/duplicates/replace
+   * Rewrite crates so entries for the replaced copies point at the kept one
+   * Body: { keep: filePath, replace: [filePath] }
+   */
+  router.post('/duplicates/replace', async (req, res) => {
+    try {
+      if (!writer) {
+        return res.status(501).json({
+          error: 'Crate editing not supported (read-only mode)',
+        });
+      }
+
+      const { keep, replace } = req.body || {};
+      if (typeof keep !== 'string' || !keep) {
+        return res.status(400).json({ error: 'keep must be a file path' });
+      }
+      if (!Array.isArray(replace) || replace.length === 0 || !replace.every(p => typeof p === 'string' && p)) {
+        return res.status(400).json({ error: 'replace must be a non-empty array of file paths' });
+      }
+
+      const result = await writer.replaceTrackReferences(keep, replace);
+
+      res.json({
+        message: `Updated ${result.crates.length} crates`,
+        ...result,
+      });
+    } catch (error) {
+      if (error.name === 'TrackNotFoundError') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.name === 'ReadOnlyError') {
+        return res.status(403).json({ error: error.message });
+      }
+
+      logger.error('Error replacing duplicate references:', error);
+      res.status(500).json({ error: 'Failed to replace references' });
+    }
+  });
+
+  /**
+   * GET /api/library/missing
+   * Serato database and crate entries whose file isn't in the library, with the crates that
+   * reference each one and candidate matches from the path index (confidence 0-1, best first)
+   * Query params:
+   *   - limit (optional): max entries to return (default 100)
+   *   - offset (optional): entries to skip
+   *   - candidates (optional): max candidates per entry (default 5)
+   */
+  router.get('/missing', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 100;
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const candidates = Math.max(1, parseInt(req.query.candidates, 10) || 5);
+
+      const missing = await parser.getMissingTracks({ candidates });
+      const status = parser.getIndexingStatus();
+
+      res.json({
+        missing: missing.slice(offset, offset + limit),
+        databaseEntries: missing.filter(entry => entry.inDatabase).length,
+        crateEntries: missing.reduce((sum, entry) => sum + entry.crates.length, 0),
+        indexing: status.isIndexing || status.progress.phase === 'reconciling',
+        pagination: {
+          total: missing.length,
+          limit,
+          offset,
+          hasMore: offset + limit < missing.length,
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing missing files:', error);
+      res.status(500).json({ error: 'Failed to list missing files' });
+    }
+  });
+
+  /**
+   * POST /api/library/missing/relink
+   * Point crate entries for a missing file at a library file (and resolve the old path to it)
+   * Body: { filePath: missing path, newPath: library file path }
+   */
+  router.post('/missing/relink', async (req, res) => {
+    try {
+      if (!writer) {
+        return res.status(501).json({
+          error: 'Crate editing not supported (read-only mode)',
+        });
+      }
+
+      const { filePath, newPath } = req.body || {};
+      if (typeof filePath !== 'string' || !filePath || typeof newPath !== 'string' || !newPath) {
+        return res.status(400).json({ error: 'filePath and newPath must be file paths' });
+      }
+
+      const result = await writer.relinkTrack(filePath, newPath);
+
+      res.json({
+        message: `Relinked in ${result.crates.length} crates`,
+        ...result,
+      });
+    } catch (error) {
+      if (error.name === 'TrackNotFoundError') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.name === 'ReadOnlyError') {
+        return res.status(403).json({ error: error.message });
+      }
+
+      logger.error('Error relinking missing file:', error);
+      res.status(500).json({ error: 'Failed to relink file' });
+    }
+  });
+
+  /**
+   * GET /api/library/resolutions
+   * Stored path mappings (with confidence and strategy) and paths that matched several files equally
+   */
+  router.get('/resolutions', (req, res) => {
+    try {
+      res.json(parser.getPathResolutions());
+    } catch (error) {
+      logger.error('Error listing path resolutions:', error);
+      res.status(500).json({ error: 'Failed to list path resolutions' });
+    }
+  });
+
+  /**
+   * PUT /api/library/resolutions
+   * Confirm the current mapping for a path, or override it
+   * Body: { originalPath, path (optional): library file to map it to }
+   */
+  router.put('/resolutions', async (req, res) => {
+    try {
+      const { originalPath, path: resolvedPath } = req.body || {};
+      if (typeof originalPath !== 'string' || !originalPath) {
+        return res.status(400).json({ error: 'originalPath must be a file path' });
+      }
+      if (resolvedPath !== undefined && (typeof resolvedPath !== 'string' || !resolvedPath)) {
+        return res.status(400).json({ error: 'path must be a file path' });
+      }
+
+      if (resolvedPath) {
+        await parser.setPathResolution(originalPath, resolvedPath);
+      } else if (!parser.confirmPathResolution(originalPath)) {
+        return res.status(404).json({ error: 'No resolution to confirm for this path' });
+      }
+
+      res.json({
+        message: resolvedPath ? 'Resolution saved' : 'Resolution confirmed',
+        originalPath,
+        path: resolvedPath || null,
+      });
+    } catch (error) {
+      if (error.name === 'PathResolutionError') {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error('Error saving path resolution:', error);
+      res.status(500).json({ error: 'Failed to save path resolution' });
+    }
+  });
+
+  /**
+   * DELETE /api/library/resolutions?originalPath=
+   * Forget the mapping for a path so it's resolved again
+   */
+  router.delete('/resolutions', async (req, res) => {
+    try {
+      const { originalPath } = req.query;
+      if (typeof originalPath !== 'string' || !originalPath) {
+        return res.status(400).json({ error: 'originalPath must be a file path' });
+      }
+
+      const removed = await parser.removePathResolution(originalPath);
+      if (!removed) {
+        return res.status(404).json({ error: 'No resolution for this path' });
+      }
+
+      res.json({ message: 'Resolution removed', originalPath });
+    } catch (error) {
+      logger.error('Error removing path resolution:', error);
+      res.status(500).json({ error: 'Failed to remove path resolution' });
+    }
+  });
+
+  /**
+   * GET /api/library/export/rekordbox
+   * Download the library, or some crates, as Rekordbox XML (DJ_PLAYLISTS) with hot cues and
+   * the crate tree as playlist folders
+   * Query params (all optional):
+   *   - crates: comma-separated crate IDs, exported with their subcrates (default: whole library)
+   *   - cues: false to skip reading hot cues, loops and beatgrids from the files
+   */
+  router.get('/export/rekordbox', async (req, res) => {
+    try {
+      const crateIds = req.query.crates
+        ? String(req.query.crates).split(',').map(id => id.trim()).filter(Boolean)
+        : null;
+
+      const { xml } = await exportRekordboxXml(parser, {
+        crateIds: crateIds && crateIds.length > 0 ? crateIds : null,
+        cues: req.query.cues !== 'false',
+        metadataExtractor,
+      });
+
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="rekordbox.xml"');
+      res.send(xml);
+    } catch (error) {
+      if (error.name === 'CrateNotFoundError') {
+        return res.status(404).json({ error: error.message });
+      }
+
+      logger.error('Error exporting Rekordbox XML:', error);
+      res.status(500).json({ error: 'Failed to export Rekordbox XML' });
+    }
+  });
+
   /**
    * GET /api/library/:trackId
    * Get details for a specific track
@@ -109,9 +391,9 @@ function createLibraryRoutes(parser) {
         return res.status(404).json({ error: 'Track not found' });
       }
 
-      // Enhance with full metadata
+      // Enhance with full metadata (Serato database values take precedence over file tags)
       const metadata = await metadataExtractor.extractMetadata(track.filePath);
-      const enhancedTrack = { ...track, ...metadata };
+      const enhancedTrack = mergeFileMetadata(track, metadata);
 
       res.json({ track: enhancedTrack });
     } catch (error) {
@@ -120,25 +402,158 @@ function createLibraryRoutes(parser) {
     }
   });
 
+  /**
+   * GET /api/library/:trackId/cues
+   * Get Serato hot cues, saved loops, track color and beatgrid stored in the file's tags
+   * Positions are in seconds
+   */
+  router.get('/:trackId/cues', async (req, res) => {
+    try {
+      const { trackId } = req.params;
+
+      const track = await parser.getTrackById(trackId);
+
+      if (!track) {
+        return res.status(404).json({ error: 'Track not found' });
+      }
+
+      const markers = await metadataExtractor.extractSeratoMarkers(track.filePath);
+
+      res.json({
+        trackId,
+        hasSeratoTags: !!markers,
+        cues: markers ? markers.cues : [],
+        loops: markers ? markers.loops : [],
+        color: markers ? markers.color : null,
+        bpmLock: markers ? markers.bpmLock : false,
+        beatgrid: markers ? markers.beatgrid : [],
+        autotags: markers ? markers.autotags : null,
+      });
+    } catch (error) {
+      logger.error('Error fetching cues:', error);
+      res.status(500).json({ error: 'Failed to fetch cues' });
+    }
+  });
+
+  /**
+   * GET /api/library/:trackId/suggestions
+   * Tracks that mix well out of this one, best first (see serato/harmonicMixing.js)
+   * Query params:
+   *   - limit (optional): max suggestions, default 25
+   *   - bpmTolerance (optional): max tempo difference in percent, default 6
+   *   - genre (optional): 'false' to ignore genre
+   */
+  router.get('/:trackId/suggestions', async (req, res) => {
+    try {
+      const { trackId } = req.params;
+      const limit = Math.max(1, parseInt(req.query.limit, 10) || 25);
+      const bpmTolerance = parseFloat(req.query.bpmTolerance) || undefined;
+      const genre = req.query.genre !== 'false';
+
+      if (bpmTolerance !== undefined && (bpmTolerance <= 0 || bpmTolerance > 50)) {
+        return res.status(400).json({ error: 'bpmTolerance must be between 0 and 50 (percent)' });
+      }
+
+      const track = await parser.getTrackById(trackId);
+
+      if (!track) {
+        return res.status(404).json({ error: 'Track not found' });
+      }
+
+      const library = await parser.parseLibrary();
+      const suggestions = suggestNextTracks(track, library, { limit, bpmTolerance, genre });
+
+      res.json({
+        track: {
+          id: track.id,
+          title: track.title,
+          artist: track.artist,
+          bpm: track.bpm,
+          key: track.key,
+          keyDisplay: track.keyDisplay,
+          camelot: formatCamelot(parseKey(track.key)),
+          genre: track.genre,
+        },
+        suggestions,
+      });
+    } catch (error) {
+      logger.error('Error fetching suggestions:', error);
+      res.status(500).json({ error: 'Failed to fetch suggestions' });
+    }
+  });
+
   return router;
 }
 
 /**
  * Sort tracks by field
+ * Play-based sorts put the most played / most recently played first; never played tracks go last
  */
-function sortTracks(tracks, sortBy) {
+function sortTracks(tracks, sortBy, playStatistics = new Map()) {
+  const time = (date) => (date ? new Date(date).getTime() : -Infinity);
+  const plays = (track, period) => (playStatistics.get(track.id) || {})[period] || 0;
+
   const sortFunctions = {
     title: (a, b) => (a.title || '').localeCompare(b.title || ''),
     artist: (a, b) => (a.artist || '').localeCompare(b.artist || ''),
     album: (a, b) => (a.album || '').localeCompare(b.album || ''),
+    key: (a, b) => compareKeys(a.key, b.key) || (a.title || '').localeCompare(b.title || ''),
     addedAt: (a, b) => new Date(b.addedAt) - new Date(a.addedAt),
     duration: (a, b) => (b.duration || 0) - (a.duration || 0),
+    playCount: (a, b) => (b.playCount || 0) - (a.playCount || 0),
+    lastPlayed: (a, b) => compareTimes(time(b.lastPlayedAt), time(a.lastPlayedAt)),
+    firstPlayed: (a, b) => compareTimes(time(b.firstPlayedAt), time(a.firstPlayedAt)),
+    playsLast30: (a, b) => plays(b, 'playsLast30') - plays(a, 'playsLast30'),
+    playsLast90: (a, b) => plays(b, 'playsLast90') - plays(a, 'playsLast90'),
+    playsLast365: (a, b) => plays(b, 'playsLast365') - plays(a, 'playsLast365'),
   };
 
   const sortFn = sortFunctions[sortBy] || sortFunctions.title;
   return [...tracks].sort(sortFn);
 }
 
+/**
+ * Compare timestamps that may be -Infinity (never played) without producing NaN
+ */
+function compareTimes(a, b) {
+  if (a === b) return 0;
+  return a > b ? 1 : -1;
+}
+
+/**
+ * Add the History play counts per period to a track
+ */
+function withPeriodPlays(track, playStatistics) {
+  const stats = playStatistics.get(track.id);
+  return {
+    ...track,
+    playsLast30: stats ? stats.playsLast30 : 0,
+    playsLast90: stats ? stats.playsLast90 : 0,
+    playsLast365: stats ? stats.playsLast365 : 0,
+  };
+}
+
+/**
+ * Placeholder values used when neither Serato nor the file provided a field
+ */
+const PLACEHOLDER_VALUES = new Set([null, undefined, '', 0, 'Unknown Artist', 'Unknown Album']);
+
+/**
+ * Merge file tag metadata into a track
+ * Track values (from the Serato database) win; file tags only fill in missing fields
+ */
+function mergeFileMetadata(track, metadata) {
+  const merged = { ...track };
+
+  for (const [field, value] of Object.entries(metadata || {})) {
+    if (PLACEHOLDER_VALUES.has(merged[field]) && !PLACEHOLDER_VALUES.has(value)) {
+      merged[field] = value;
+    }
+  }
+
+  return merged;
+}
+
 /**
  * Enhance tracks with full metadata
  */
@@ -147,7 +562,7 @@ async function enhanceTracksWithMetadata(tracks, metadataExtractor) {
     tracks.map(async (track) => {
       try {
         const metadata = await metadataExtractor.extractMetadata(track.filePath);
-        return { ...track, ...metadata };
+        return mergeFileMetadata(track, metadata);
       } catch (error) {
         logger.warn(`Failed to enhance track ${track.id}:`, error.message);
         return track;
@@ -9,15 +9,22 @@ function createSearchRoutes(parser) {
 
   /**
    * GET /api/search
-   * Search tracks by query
+   * Search tracks over the full library
+   * Free text is typo tolerant and results come back best match first, each with a relevance
+   * `score` and `highlights` ({ field: [[start, end], ...] } spans of matched words)
    * Query params:
-   *   - q (required): search query
-   *   - field (optional): specific field to search (title, artist, album, all)
+   *   - q (required): search query, plain text or structured, e.g.
+   *       bpm:120-128 key:8A,9A genre:house artist:"daft punk" -crate:Played year:>2015 played:never
+   *     (see serato/searchQuery.js for the syntax)
+   *   - field (optional): fields plain text is searched in (title, artist, album, all)
    *   - limit (optional): max results to return
+   *   - offset (optional): results to skip, for paging
    */
   router.get('/', async (req, res) => {
     try {
-      const { q, field = 'all', limit = 100 } = req.query;
+      const { q, field = 'all' } = req.query;
+      const limit = Math.max(1, parseInt(req.query.limit, 10) || 100);
+      const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
 
       // Validate query parameter
       if (!q) {
@@ -35,19 +42,30 @@ function createSearchRoutes(parser) {
       }
 
       // Perform search
-      const results = await parser.searchTracks(q, field);
+      const results = await parser.searchTracksRanked(q, field);
 
-      // Apply limit
-      const limitedResults = results.slice(0, parseInt(limit, 10));
+      // Apply pagination
+      const pageResults = results
+        .slice(offset, offset + limit)
+        .map(({ track, score, highlights }) => ({ ...track, score, highlights }));
 
       res.json({
         query: q,
         field,
-        results: limitedResults,
+        results: pageResults,
         total: results.length,
-        returned: limitedResults.length,
+        returned: pageResults.length,
+        pagination: {
+          total: results.length,
+          limit,
+          offset,
+          hasMore: offset + limit < results.length,
+        },
       });
     } catch (error) {
+      if (error.name === 'QuerySyntaxError') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Error searching tracks:', error);
       res.status(500).json({ error: 'Failed to search tracks' });
     }
@@ -1,33 +1,95 @@
 const express = require('express');
 const logger = require('../../utils/logger');
+const { computeLibraryStats } = require('../../serato/libraryStats');
+
+const time = (date) => (date ? new Date(date).getTime() : 0);
+
+/**
+ * Sort orders for /plays - most recent / most played first
+ */
+const PLAY_SORTS = {
+  lastPlayed: (a, b) => time(b.lastPlayedAt) - time(a.lastPlayedAt),
+  firstPlayed: (a, b) => time(b.firstPlayedAt) - time(a.firstPlayedAt),
+  playCount: (a, b) => b.playCount - a.playCount,
+  playsLast30: (a, b) => b.playsLast30 - a.playsLast30,
+  playsLast90: (a, b) => b.playsLast90 - a.playsLast90,
+  playsLast365: (a, b) => b.playsLast365 - a.playsLast365,
+};
 
 /**
- * Stats Routes - Provide library statistics for the desktop app
+ * Load every crate with the library tracks it holds (smart crates are passed through as listed)
+ */
+async function loadCrateContents(parser) {
+  const crates = await parser.getAllCrates();
+  const contents = [];
+
+  for (const crate of crates) {
+    if (crate.smart) {
+      contents.push(crate);
+      continue;
+    }
+
+    try {
+      const parsed = await parser.parseCrate(crate.id);
+      contents.push({
+        ...crate,
+        trackIds: parsed.tracks.map(track => track.id),
+        missingCount: parsed.missingTracks.length,
+      });
+    } catch (error) {
+      logger.warn(`Skipping crate ${crate.id} in stats: ${error.message}`);
+      contents.push({ ...crate, trackIds: [], missingCount: 0 });
+    }
+  }
+
+  return contents;
+}
+
+/**
+ * Stats Routes - Library analytics for the desktop app and the mobile dashboard
  */
 function createStatsRoutes(parser) {
   const router = express.Router();
 
-  // Cache stats to avoid recalculating on every request
+  // Last good stats, served if a later calculation fails
   let cachedStats = {
     trackCount: 0,
     crateCount: 0,
     lastUpdate: Date.now()
   };
 
+  /**
+   * Compute library analytics from the indexed library and crates
+   */
+  async function getLibraryStats() {
+    const library = await parser.parseLibrary();
+    const crates = await loadCrateContents(parser);
+    const { progress } = parser.getIndexingStatus();
+
+    return computeLibraryStats(library, crates, {
+      tracksNotFound: progress.tracksNotFound || 0,
+      keyNotation: parser.keyNotation,
+    });
+  }
+
   /**
    * GET /api/stats
-   * Get library statistics (track count, crate count, last update)
+   * Library analytics: track and crate counts, counts by format, genre, key and BPM bucket,
+   * total duration (seconds) and size (bytes), missing files, crate sizes and the number of
+   * tracks that are in no crate
    */
   router.get('/', async (req, res) => {
     try {
-      // Get current library data
-      const library = await parser.getLibrary();
-      const crates = await parser.getCrates();
+      // Don't hold the request for a full index; the desktop app polls while indexing
+      const status = parser.getIndexingStatus();
+      if (status.isIndexing && !status.isComplete) {
+        return res.json({ ...cachedStats, indexing: true });
+      }
+
+      const { orphans, ...stats } = await getLibraryStats();
 
-      // Update cache
       cachedStats = {
-        trackCount: library.length,
-        crateCount: crates.length,
+        ...stats,
         lastUpdate: Date.now()
       };
 
@@ -40,6 +102,113 @@ function createStatsRoutes(parser) {
     }
   });
 
+  /**
+   * GET /api/stats/orphans
+   * Tracks that are in no (regular) crate
+   * Query params:
+   *   - limit (optional): max tracks to return (default 100)
+   *   - offset (optional): tracks to skip
+   */
+  router.get('/orphans', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 100;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const { orphans } = await getLibraryStats();
+
+      res.json({
+        tracks: orphans.slice(offset, offset + limit),
+        pagination: {
+          total: orphans.length,
+          limit,
+          offset,
+          hasMore: offset + limit < orphans.length,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get orphan tracks:', error);
+      res.status(500).json({ error: 'Failed to get orphan tracks' });
+    }
+  });
+
+  /**
+   * GET /api/stats/plays
+   * Play statistics from Serato History for every track played at least once
+   * Query params:
+   *   - sortBy (optional): lastPlayed (default), firstPlayed, playCount, playsLast30, playsLast90, playsLast365
+   *   - limit (optional): max tracks to return (default 100)
+   *   - offset (optional): tracks to skip
+   */
+  router.get('/plays', async (req, res) => {
+    try {
+      const { sortBy = 'lastPlayed' } = req.query;
+      const limit = parseInt(req.query.limit, 10) || 100;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      if (!PLAY_SORTS[sortBy]) {
+        return res.status(400).json({ error: `sortBy must be one of: ${Object.keys(PLAY_SORTS).join(', ')}` });
+      }
+
+      const library = await parser.parseLibrary();
+      const statistics = await parser.getPlayStatistics();
+
+      const played = library
+        .map(track => ({ ...track, ...statistics.get(track.id) }))
+        .filter(track => track.playCount > 0)
+        .sort(PLAY_SORTS[sortBy]);
+
+      const totals = { tracksPlayed: played.length, playsLast30: 0, playsLast90: 0, playsLast365: 0 };
+      for (const track of played) {
+        totals.playsLast30 += track.playsLast30;
+        totals.playsLast90 += track.playsLast90;
+        totals.playsLast365 += track.playsLast365;
+      }
+
+      res.json({
+        tracks: played.slice(offset, offset + limit),
+        totals,
+        pagination: {
+          total: played.length,
+          limit,
+          offset,
+          hasMore: offset + limit < played.length,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get play stats:', error);
+      res.status(500).json({ error: 'Failed to get play statistics' });
+    }
+  });
+
+  /**
+   * GET /api/stats/never-played
+   * Tracks not played (per Serato History) since they were added, oldest additions first
+   * Query params:
+   *   - limit (optional): max tracks to return (default 100)
+   *   - offset (optional): tracks to skip
+   */
+  router.get('/never-played', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 100;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const tracks = await parser.getNeverPlayedTracks();
+
+      res.json({
+        tracks: tracks.slice(offset, offset + limit),
+        pagination: {
+          total: tracks.length,
+          limit,
+          offset,
+          hasMore: offset + limit < tracks.length,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get never played tracks:', error);
+      res.status(500).json({ error: 'Failed to get never played tracks' });
+    }
+  });
+
   return router;
 }
 
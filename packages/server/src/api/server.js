@@ -12,6 +12,8 @@ const { createStreamingRoutes, createArtworkRoutes } = require('./routes/streami
 const createSearchRoutes = require('./routes/search');
 const createConfigRoutes = require('./routes/config');
 const createIdentifyRoutes = require('./routes/identify');
+const createHistoryRoutes = require('./routes/history');
+const createStatsRoutes = require('./routes/stats');
 const AudioWebSocketServer = require('./websocket-server');
 
 /**
@@ -48,13 +50,15 @@ class APIServer {
     this.app.get('/health', this.healthCheck.bind(this));
 
     // API routes
-    this.app.use('/api/library', createLibraryRoutes(this.parser));
-    this.app.use('/api/crates', createCrateRoutes(this.parser, this.writer));
+    this.app.use('/api/library', createLibraryRoutes(this.parser, this.writer));
+    this.app.use('/api/crates', createCrateRoutes(this.parser, this.writer, this.broadcastUpdate.bind(this)));
     this.app.use('/api/stream', createStreamingRoutes(this.streamer));
     this.app.use('/api/artwork', createArtworkRoutes(this.streamer));
     this.app.use('/api/search', createSearchRoutes(this.parser));
     this.app.use('/api/config', createConfigRoutes(this.parser));
     this.app.use('/api/identify', createIdentifyRoutes());
+    this.app.use('/api/history', createHistoryRoutes(this.parser, this.writer));
+    this.app.use('/api/stats', createStatsRoutes(this.parser));
 
     // 404 handler
     this.app.use((req, res) => {
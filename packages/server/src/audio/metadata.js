@@ -12,6 +12,121 @@ async function getParseFile() {
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { SERATO_TAGS, MarkersError, unwrapEnvelope, decodeSeratoTags } = require('../serato/markers');
+
+// Only the start of a file is read when looking for ID3 tags
+const ID3_HEADER_SIZE = 10;
+const MAX_ID3_TAG_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Read `length` bytes at `position` from an open file handle
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Read an ID3v2 syncsafe integer (4 bytes, 7 bits each)
+ */
+function readSyncsafe(buffer, offset) {
+  return ((buffer[offset] & 0x7f) << 21) | ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
+}
+
+/**
+ * Read the ID3v2 tag starting at `position`, or null if there is none
+ */
+async function readId3Tag(handle, position) {
+  const header = await readAt(handle, position, ID3_HEADER_SIZE);
+  if (header.length < ID3_HEADER_SIZE || header.toString('latin1', 0, 3) !== 'ID3') {
+    return null;
+  }
+
+  const size = readSyncsafe(header, 6);
+  if (size > MAX_ID3_TAG_SIZE) {
+    return null;
+  }
+
+  return {
+    version: header[3],
+    flags: header[5],
+    body: await readAt(handle, position + ID3_HEADER_SIZE, size),
+  };
+}
+
+/**
+ * Find the ID3 chunk of an AIFF file and return its offset, or null
+ */
+async function findAiffId3Offset(handle) {
+  const form = await readAt(handle, 0, 12);
+  if (form.length < 12 || form.toString('latin1', 0, 4) !== 'FORM') {
+    return null;
+  }
+
+  const end = 8 + form.readUInt32BE(4);
+  let position = 12;
+
+  while (position + 8 <= end) {
+    const chunk = await readAt(handle, position, 8);
+    if (chunk.length < 8) break;
+
+    const id = chunk.toString('latin1', 0, 4);
+    const size = chunk.readUInt32BE(4);
+    if (id === 'ID3 ' || id === 'id3 ') {
+      return position + 8;
+    }
+
+    // Chunks are padded to an even length
+    position += 8 + size + (size % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Extract Serato GEOB frames from an ID3v2.3/2.4 tag body
+ * @returns {Object} { markers2?: Buffer, beatgrid?: Buffer, autotags?: Buffer }
+ */
+function readSeratoGeobFrames(tag) {
+  const payloads = {};
+  const { body, version } = tag;
+  if (version < 3) {
+    return payloads; // ID3v2.2 uses 3-character frame IDs and Serato never writes it
+  }
+
+  let offset = 0;
+  if (tag.flags & 0x40) {
+    // Skip extended header (v2.4 size includes itself, v2.3 doesn't)
+    offset = version === 4 ? readSyncsafe(body, 0) : body.readUInt32BE(0) + 4;
+  }
+
+  const descriptions = Object.entries(SERATO_TAGS).map(([name, info]) => [info.description, name]);
+
+  while (offset + 10 <= body.length && body[offset] !== 0) {
+    const id = body.toString('latin1', offset, offset + 4);
+    const size = version === 4 ? readSyncsafe(body, offset + 4) : body.readUInt32BE(offset + 4);
+    const frame = body.subarray(offset + 10, Math.min(offset + 10 + size, body.length));
+    offset += 10 + size;
+
+    // Serato writes GEOB frames with ISO-8859-1 encoding: mime \0 filename \0 description \0 data
+    if (id !== 'GEOB' || frame[0] !== 0) continue;
+
+    const mimeEnd = frame.indexOf(0, 1);
+    const filenameEnd = mimeEnd === -1 ? -1 : frame.indexOf(0, mimeEnd + 1);
+    const descriptionEnd = filenameEnd === -1 ? -1 : frame.indexOf(0, filenameEnd + 1);
+    if (descriptionEnd === -1) continue;
+
+    const description = frame.toString('latin1', filenameEnd + 1, descriptionEnd);
+    const match = descriptions.find(([desc]) => desc === description);
+    if (match) {
+      payloads[match[1]] = frame.subarray(descriptionEnd + 1);
+    }
+  }
+
+  return payloads;
+}
 
 /**
  * Audio metadata extractor using music-metadata library
@@ -64,6 +179,88 @@ class MetadataExtractor {
     }
   }
 
+  /**
+   * Extract Serato hot cues, saved loops, track color and beatgrid from file tags
+   * Returns null when the file has no Serato tags
+   */
+  async extractSeratoMarkers(filePath) {
+    try {
+      const ext = path.extname(filePath).toLowerCase();
+      let payloads;
+      let errors = [];
+
+      if (ext === '.mp3' || ext === '.aiff' || ext === '.aif') {
+        payloads = await this._readId3SeratoPayloads(filePath, ext);
+      } else {
+        ({ payloads, errors } = await this._readNativeSeratoPayloads(filePath));
+      }
+
+      if (Object.keys(payloads).length === 0 && errors.length === 0) {
+        return null;
+      }
+
+      const markers = decodeSeratoTags(payloads);
+      markers.errors.unshift(...errors);
+      for (const error of markers.errors) {
+        logger.warn(`Could not decode Serato tag in ${filePath}: ${error}`);
+      }
+      return markers;
+    } catch (error) {
+      logger.warn(`Failed to extract Serato markers for ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read Serato GEOB payloads from an MP3 or AIFF file's ID3 tag
+   * @private
+   */
+  async _readId3SeratoPayloads(filePath, ext) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const position = ext === '.mp3' ? 0 : await findAiffId3Offset(handle);
+      if (position === null) {
+        return {};
+      }
+
+      const tag = await readId3Tag(handle, position);
+      return tag ? readSeratoGeobFrames(tag) : {};
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read Serato payloads from FLAC vorbis comments or M4A freeform atoms
+   * A malformed envelope is reported in `errors` (like decodeSeratoTags) instead of failing the others
+   * @returns {Promise<{payloads: Object, errors: Array<string>}>}
+   * @private
+   */
+  async _readNativeSeratoPayloads(filePath) {
+    const parse = await getParseFile();
+    const metadata = await parse(filePath, { skipCovers: true, duration: false });
+    const payloads = {};
+    const errors = [];
+
+    for (const tags of Object.values(metadata.native || {})) {
+      for (const { id, value } of tags) {
+        const name = Object.keys(SERATO_TAGS).find(
+          key => id === SERATO_TAGS[key].vorbis || id === SERATO_TAGS[key].mp4
+        );
+        if (!name || payloads[name]) continue;
+
+        try {
+          payloads[name] = unwrapEnvelope(value).data;
+        } catch (error) {
+          if (!(error instanceof MarkersError) && !(error instanceof RangeError)) throw error;
+          errors.push(`${SERATO_TAGS[name].description}: ${error.message}`);
+        }
+      }
+    }
+
+    return { payloads, errors };
+  }
+
   /**
    * Extract artwork from an audio file
    * Returns buffer of image data
@@ -3,6 +3,7 @@ const logger = require("./utils/logger");
 const { SeratoParser } = require("./serato/parser");
 const { SeratoWriter } = require("./serato/writer");
 const AudioStreamer = require("./audio/streamer");
+const pathResolver = require("./utils/pathResolver");
 const APIServer = require("./api/server");
 const chokidar = require("chokidar");
 const path = require("path");
@@ -17,6 +18,8 @@ class RecrateService {
     this.streamer = null;
     this.apiServer = null;
     this.watcher = null;
+    this.libraryWatcher = null;
+    this.databaseWatcher = null;
     this.discovery = null;
   }
 
@@ -37,7 +40,11 @@ class RecrateService {
           logger.info(`  [${i + 1}] ${p}`);
         });
       }
-      this.parser = new SeratoParser(config.serato.path, config.serato.musicPaths, config.cache);
+      const indexPath = path.join(config.storage.dataPath, config.storage.libraryIndexFile);
+      logger.info(`Library index: ${indexPath}`);
+      this.parser = new SeratoParser(config.serato.path, config.serato.musicPaths, config.cache, indexPath);
+      this.parser.setKeyNotation(config.display.keyNotation);
+      await pathResolver.loadResolutions(path.join(config.storage.dataPath, config.storage.resolutionsFile));
       await this.parser.verifySeratoPath();
       logger.success("Serato parser initialized");
 
@@ -95,6 +102,9 @@ class RecrateService {
 
       // Start file watcher for Subcrates folder
       this._startCrateWatcher();
+
+      // Start file watchers for music folders and database V2
+      this._startLibraryWatcher();
     } catch (error) {
       logger.error("Failed to start service:", error);
       throw error;
@@ -166,6 +176,114 @@ class RecrateService {
     logger.success("Crate file watcher started");
   }
 
+  /**
+   * Start watching music folders and database V2 for changes
+   * Patches individual tracks in the parser instead of re-indexing the whole library
+   */
+  _startLibraryWatcher() {
+    const musicPaths = config.serato.musicPaths || [];
+    const seratoPath = path.resolve(config.serato.path);
+    const databasePath = path.join(config.serato.path, config.serato.databaseFile);
+
+    const watchOptions = {
+      persistent: true,
+      ignoreInitial: true,
+      awaitWriteFinish: {
+        stabilityThreshold: 2000,
+        pollInterval: 100,
+      },
+    };
+
+    if (musicPaths.length > 0) {
+      logger.info(`Starting music folder watcher on ${musicPaths.length} location(s)`);
+
+      this.libraryWatcher = chokidar.watch(musicPaths, {
+        ...watchOptions,
+        // Skip hidden files and the _Serato_ folder (handled by the other watchers)
+        ignored: (watchedPath) => {
+          const resolved = path.resolve(watchedPath);
+          return (
+            path.basename(watchedPath).startsWith(".") ||
+            resolved === seratoPath ||
+            resolved.startsWith(seratoPath + path.sep)
+          );
+        },
+      });
+
+      const upsert = async (filePath) => {
+        try {
+          const change = await this.parser.upsertTrackFile(filePath);
+          if (change) {
+            this._broadcastTrackChange(change);
+          }
+        } catch (error) {
+          logger.error(`[WATCHER] Failed to update track ${filePath}:`, error.message);
+        }
+      };
+
+      this.libraryWatcher.on("add", upsert);
+      this.libraryWatcher.on("change", upsert);
+
+      this.libraryWatcher.on("unlink", (filePath) => {
+        const change = this.parser.removeTrackFile(filePath);
+        if (change) {
+          this._broadcastTrackChange(change);
+        }
+      });
+
+      this.libraryWatcher.on("error", (error) => {
+        logger.error("[WATCHER] Music folder error:", error);
+      });
+    }
+
+    logger.info(`Starting database watcher on: ${databasePath}`);
+
+    this.databaseWatcher = chokidar.watch(databasePath, watchOptions);
+
+    const refresh = async () => {
+      logger.info("[WATCHER] database V2 changed, refreshing tracks");
+      try {
+        const changes = await this.parser.refreshFromDatabase();
+        changes.forEach((change) => this._broadcastTrackChange(change));
+      } catch (error) {
+        logger.error("[WATCHER] Failed to refresh from database V2:", error.message);
+      }
+    };
+
+    this.databaseWatcher.on("add", refresh);
+    this.databaseWatcher.on("change", refresh);
+
+    this.databaseWatcher.on("error", (error) => {
+      logger.error("[WATCHER] Database error:", error);
+    });
+
+    logger.success("Library watchers started");
+  }
+
+  /**
+   * Broadcast a single track change to connected clients
+   * Events: track:added { track }, track:updated { track, previousId }, track:removed { trackId, filePath }
+   */
+  _broadcastTrackChange(change) {
+    if (!this.apiServer || !this.apiServer.io) {
+      return;
+    }
+
+    if (change.type === "removed") {
+      this.apiServer.io.emit("track:removed", {
+        trackId: change.track.id,
+        filePath: change.track.filePath,
+      });
+    } else if (change.type === "updated") {
+      this.apiServer.io.emit("track:updated", {
+        track: change.track,
+        previousId: change.previousId,
+      });
+    } else {
+      this.apiServer.io.emit("track:added", { track: change.track });
+    }
+  }
+
   /**
    * Convert name to URL-friendly slug (matches parser.slugify)
    */
@@ -188,17 +306,32 @@ class RecrateService {
         await this.apiServer.stop();
       }
 
-      // Stop file watcher
+      // Stop file watchers
       if (this.watcher) {
         await this.watcher.close();
         logger.info("Crate file watcher stopped");
       }
+      if (this.libraryWatcher) {
+        await this.libraryWatcher.close();
+      }
+      if (this.databaseWatcher) {
+        await this.databaseWatcher.close();
+      }
+      if (this.libraryWatcher || this.databaseWatcher) {
+        logger.info("Library watchers stopped");
+      }
 
       // Stop service discovery
       if (this.discovery) {
         await this.discovery.stop();
       }
 
+      // Save the index and path resolutions that are still waiting on their debounce timers
+      if (this.parser) {
+        await this.parser.flushIndex();
+      }
+      await pathResolver.saveResolutions();
+
       logger.success("Recrate Service stopped gracefully");
       // Note: Don't call process.exit() here - let the caller decide
       // This allows the service to be used in-process (e.g., Electron main process)
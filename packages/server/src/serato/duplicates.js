@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+/**
+ * Duplicate track detection for /api/library/duplicates
+ *
+ * Copies of a song are grouped when their normalized artist and title match and their lengths
+ * are within a couple of seconds (a 320 kbps MP3 and the FLAC it was ripped from). Normalization
+ * follows the app's TrackMatchingService, except that remix and edit names stay part of the
+ * title - a remix is a different track, not a copy.
+ *
+ * Optionally copies are also grouped by audio fingerprint: a hash of the audio data with the
+ * ID3 tags cut off, which finds the same file under another name or with different tags.
+ */
+
+// Largest length difference (seconds) between two copies of a song
+const DEFAULT_DURATION_TOLERANCE = 2;
+
+// Lossless copies are preferred when suggesting which one to keep
+const LOSSLESS_FORMATS = ['flac', 'wav', 'aiff', 'aif', 'alac'];
+
+// Files hashed at the same time when fingerprinting
+const FINGERPRINT_CONCURRENCY = 4;
+
+const ID3V1_SIZE = 128;
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+function normalizeString(str) {
+  if (!str) return '';
+  return String(str)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[/&,]/g, ' ')
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize an artist so "The Artist feat. B", "Artist & B" and "B, Artist" compare equal
+ */
+function normalizeArtist(artist) {
+  const words = normalizeString(artist)
+    .split(' ')
+    .filter(word => word && !['the', 'and', 'ft', 'feat', 'featuring', 'vs', 'x'].includes(word));
+  return [...new Set(words)].sort().join(' ');
+}
+
+/**
+ * Normalize a title, dropping featured artists and "Original Mix" (but keeping remix names)
+ */
+function normalizeTitle(title) {
+  return normalizeString(String(title || '')
+    .replace(/[([]\s*(?:feat|ft|featuring)\.?\s[^)\]]*[)\]]/gi, ' ')
+    .replace(/\s(?:feat|ft|featuring)\.?\s.*$/i, '')
+    .replace(/[([]\s*original(?:\s+mix)?\s*[)\]]/gi, ' '));
+}
+
+/**
+ * Grouping key of a track (normalized artist and title), or null without a title
+ */
+function duplicateKey(track) {
+  const title = normalizeTitle(track.title);
+  return title ? `${normalizeArtist(track.artist)}|${title}` : null;
+}
+
+/**
+ * Byte range of the audio data: the file without a leading ID3v2 and a trailing ID3v1 tag
+ * @param {string} filePath
+ * @returns {Promise<{start: number, end: number}>} end is inclusive, -1 for an empty file
+ */
+async function audioRange(filePath) {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    let start = 0;
+    let end = size - 1;
+
+    const header = Buffer.alloc(10);
+    await handle.read(header, 0, 10, 0);
+    if (size >= 10 && header.toString('latin1', 0, 3) === 'ID3') {
+      // Syncsafe size, plus the header and an optional footer
+      const tagSize = ((header[6] & 0x7f) << 21) | ((header[7] & 0x7f) << 14) | ((header[8] & 0x7f) << 7) | (header[9] & 0x7f);
+      start = Math.min(size, 10 + tagSize + (header[5] & 0x10 ? 10 : 0));
+    }
+
+    if (size - start >= ID3V1_SIZE) {
+      const trailer = Buffer.alloc(3);
+      await handle.read(trailer, 0, 3, size - ID3V1_SIZE);
+      if (trailer.toString('latin1') === 'TAG') {
+        end = size - ID3V1_SIZE - 1;
+      }
+    }
+
+    return { start, end };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Fingerprint of a file's audio data (SHA-1 of the bytes between the tags)
+ * @param {string} filePath
+ * @param {{start: number, end: number}} [range] - From audioRange, read when omitted
+ * @returns {Promise<string>}
+ */
+async function audioFingerprint(filePath, range = null) {
+  const { start, end } = range || await audioRange(filePath);
+  const hash = crypto.createHash('sha1');
+  if (end < start) {
+    return hash.digest('hex');
+  }
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath, { start, end })
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Run an async function over items, a few at a time
+ * @private
+ */
+async function mapLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Fingerprint the audio of every track that could have a byte-identical copy
+ * Only files whose audio data is as long as another file's are hashed, so a library without
+ * copies costs one small read per file
+ * @param {Array<Object>} tracks - Library tracks
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Called with (track, error) for files that can't be read
+ * @returns {Promise<Map<string, string>>} filePath -> fingerprint
+ */
+async function computeFingerprints(tracks, { onError = () => {} } = {}) {
+  const bySize = new Map();
+  await mapLimit(tracks, FINGERPRINT_CONCURRENCY, async (track) => {
+    try {
+      const range = await audioRange(track.filePath);
+      const length = range.end - range.start + 1;
+      if (!bySize.has(length)) {
+        bySize.set(length, []);
+      }
+      bySize.get(length).push({ track, range });
+    } catch (error) {
+      onError(track, error);
+    }
+  });
+
+  const fingerprints = new Map();
+  const candidates = [...bySize.values()].filter(group => group.length > 1).flat();
+  await mapLimit(candidates, FINGERPRINT_CONCURRENCY, async ({ track, range }) => {
+    try {
+      fingerprints.set(track.filePath, await audioFingerprint(track.filePath, range));
+    } catch (error) {
+      onError(track, error);
+    }
+  });
+
+  return fingerprints;
+}
+
+/**
+ * Rank for the suggested copy to keep: lossless, then bitrate, then most crate references
+ * @private
+ */
+function copyRank(copy) {
+  const format = (copy.format || path.extname(copy.filePath).slice(1)).toLowerCase();
+  return [
+    LOSSLESS_FORMATS.includes(format) ? 1 : 0,
+    copy.bitrate || 0,
+    copy.crates.reduce((sum, crate) => sum + crate.count, 0),
+  ];
+}
+
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i];
+  }
+  return 0;
+}
+
+/**
+ * Group copies of the same song
+ * @param {Array<Object>} tracks - Library tracks
+ * @param {Array<Object>} crates - Regular crates, each with `filePaths` (its library tracks' files, in order)
+ * @param {Object} [options]
+ * @param {number} [options.durationTolerance=2] - Seconds two copies may differ in length
+ * @param {Map<string, string>} [options.fingerprints] - filePath -> fingerprint (see computeFingerprints)
+ * @returns {Array<Object>} Groups with the most copies first:
+ *   { artist, title, matchedBy: ['metadata'|'fingerprint'], suggestedKeep: filePath, copies: [{ id, filePath,
+ *   format, bitrate, fileSize, duration, crates: [{ id, name, count }] }] }
+ */
+function findDuplicates(tracks, crates, { durationTolerance = DEFAULT_DURATION_TOLERANCE, fingerprints = null } = {}) {
+  // Union-find over track indexes, remembering why two tracks were joined
+  const parent = tracks.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const reasons = new Map(); // index -> Set of reasons
+  const union = (a, b, reason) => {
+    for (const index of [a, b]) {
+      if (!reasons.has(index)) reasons.set(index, new Set());
+      reasons.get(index).add(reason);
+    }
+    parent[find(a)] = find(b);
+  };
+
+  const buckets = new Map();
+  tracks.forEach((track, index) => {
+    const key = duplicateKey(track);
+    if (!key) return;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  });
+
+  for (const indexes of buckets.values()) {
+    if (indexes.length < 2) continue;
+
+    // Chain copies whose lengths are close; tracks without a length join the shortest copy
+    const timed = indexes.filter(index => tracks[index].duration > 0)
+      .sort((a, b) => tracks[a].duration - tracks[b].duration);
+    for (let i = 1; i < timed.length; i++) {
+      if (tracks[timed[i]].duration - tracks[timed[i - 1]].duration <= durationTolerance) {
+        union(timed[i - 1], timed[i], 'metadata');
+      }
+    }
+    const anchor = timed.length > 0 ? timed[0] : indexes[0];
+    for (const index of indexes) {
+      if (index !== anchor && !(tracks[index].duration > 0)) {
+        union(anchor, index, 'metadata');
+      }
+    }
+  }
+
+  if (fingerprints) {
+    const byFingerprint = new Map();
+    tracks.forEach((track, index) => {
+      const fingerprint = fingerprints.get(track.filePath);
+      if (!fingerprint) return;
+      if (byFingerprint.has(fingerprint)) {
+        union(byFingerprint.get(fingerprint), index, 'fingerprint');
+      } else {
+        byFingerprint.set(fingerprint, index);
+      }
+    });
+  }
+
+  const references = new Map(); // filePath -> [{ id, name, count }]
+  for (const crate of crates) {
+    const counts = new Map();
+    for (const filePath of crate.filePaths || []) {
+      counts.set(filePath, (counts.get(filePath) || 0) + 1);
+    }
+    for (const [filePath, count] of counts) {
+      if (!references.has(filePath)) references.set(filePath, []);
+      references.get(filePath).push({ id: crate.id, name: crate.fullPath || crate.name, count });
+    }
+  }
+
+  const components = new Map();
+  tracks.forEach((track, index) => {
+    if (!reasons.has(index)) return;
+    const root = find(index);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(index);
+  });
+
+  const groups = [];
+  for (const indexes of components.values()) {
+    const copies = indexes.map((index) => {
+      const track = tracks[index];
+      return {
+        id: track.id,
+        filePath: track.filePath,
+        format: track.format || null,
+        bitrate: track.bitrate || null,
+        fileSize: track.fileSize || null,
+        duration: track.duration || null,
+        crates: references.get(track.filePath) || [],
+      };
+    });
+    const ranked = [...copies].sort((a, b) => compareRanks(copyRank(a), copyRank(b)));
+    const matchedBy = new Set(indexes.flatMap(index => [...reasons.get(index)]));
+
+    groups.push({
+      artist: tracks[indexes[0]].artist || '',
+      title: tracks[indexes[0]].title || '',
+      matchedBy: ['metadata', 'fingerprint'].filter(reason => matchedBy.has(reason)),
+      suggestedKeep: ranked[0].filePath,
+      copies,
+    });
+  }
+
+  return groups.sort((a, b) =>
+    b.copies.length - a.copies.length ||
+    a.artist.localeCompare(b.artist) ||
+    a.title.localeCompare(b.title));
+}
+
+module.exports = {
+  DEFAULT_DURATION_TOLERANCE,
+  normalizeArtist,
+  normalizeTitle,
+  duplicateKey,
+  audioRange,
+  audioFingerprint,
+  computeFingerprints,
+  findDuplicates,
+};
@@ -0,0 +1,185 @@
+/**
+ * Harmonic mixing: which library tracks mix well out of a given track
+ *
+ * Keys are read with the shared key model (@recrate/shared/keys) and compared on the Camelot
+ * wheel, so "Am", "A minor", "8A" and Open Key "1m" are the same key. Compatible moves, best first:
+ *
+ *   same         8A -> 8A
+ *   adjacent     8A -> 7A / 9A   (one step around the wheel)
+ *   relative     8A -> 8B        (relative major/minor)
+ *   energyBoost  8A -> 3A        (up a semitone, +7 on the wheel)
+ *   diagonal     8A -> 9B / 7B   (one step and switching major/minor)
+ *
+ * BPMs are compared directly and at half/double time (a 70 BPM track mixes into 140).
+ */
+
+const { toCamelot } = require('@recrate/shared/keys');
+
+const KEY_SCORES = {
+  same: 1,
+  adjacent: 0.9,
+  relative: 0.85,
+  energyBoost: 0.7,
+  diagonal: 0.6,
+};
+
+// How much each part counts towards a suggestion's score
+const WEIGHTS = {
+  key: 0.5,
+  bpm: 0.4,
+  genre: 0.1,
+};
+
+// Half/double time mixes are a little harder than straight ones
+const TEMPO_RATIOS = [
+  { ratio: 1, factor: 1 },
+  { ratio: 2, factor: 0.9 },
+  { ratio: 0.5, factor: 0.9 },
+];
+
+const DEFAULT_BPM_TOLERANCE = 6; // percent
+
+/**
+ * Camelot wheel position of a key in any notation
+ * @param {string} key
+ * @returns {{number: number, letter: string}|null} letter A = minor, B = major
+ */
+function parseKey(key) {
+  return toCamelot(key);
+}
+
+/**
+ * Camelot notation for a parsed key, e.g. "8A"
+ */
+function formatCamelot(parsed) {
+  return parsed ? `${parsed.number}${parsed.letter}` : null;
+}
+
+/**
+ * Steps from one wheel position to another, -5..6
+ */
+function wheelSteps(from, to) {
+  const steps = (to - from + 12) % 12;
+  return steps > 6 ? steps - 12 : steps;
+}
+
+/**
+ * How two keys mix
+ * @param {{number, letter}} from
+ * @param {{number, letter}} to
+ * @returns {string|null} A KEY_SCORES relation, or null when the keys clash
+ */
+function keyRelation(from, to) {
+  const steps = wheelSteps(from.number, to.number);
+
+  if (from.letter === to.letter) {
+    if (steps === 0) return 'same';
+    if (Math.abs(steps) === 1) return 'adjacent';
+    if (steps === -5) return 'energyBoost'; // +7
+    return null;
+  }
+
+  if (steps === 0) return 'relative';
+  if (Math.abs(steps) === 1) return 'diagonal';
+  return null;
+}
+
+/**
+ * Closest tempo match, trying half and double time
+ * @returns {{ratio: number, difference: number, score: number}|null} difference in percent;
+ *   null when no ratio is within the tolerance
+ */
+function bpmMatch(fromBpm, toBpm, tolerance) {
+  let best = null;
+
+  for (const { ratio, factor } of TEMPO_RATIOS) {
+    const difference = Math.abs(toBpm * ratio - fromBpm) / fromBpm * 100;
+    if (difference > tolerance) continue;
+
+    const score = (1 - difference / (tolerance * 2)) * factor;
+    if (!best || score > best.score) {
+      best = { ratio, difference: Math.round(difference * 10) / 10, score };
+    }
+  }
+
+  return best;
+}
+
+function toBpm(value) {
+  const bpm = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(bpm) && bpm > 0 ? bpm : null;
+}
+
+/**
+ * Rank library tracks by how well they mix out of a track
+ * Tracks need a compatible key (when the source track has one) and a BPM within the tolerance
+ * (when it has a BPM); a track with neither can't be matched and gets no suggestions.
+ * @param {Object} source - Track to mix out of
+ * @param {Array<Object>} tracks - Library tracks
+ * @param {Object} [options]
+ * @param {number} [options.bpmTolerance=6] - Maximum tempo difference in percent
+ * @param {boolean} [options.genre=true] - Favor tracks of the same genre
+ * @param {number} [options.limit=25]
+ * @returns {Array<{track, score, key, bpm, genreMatch}>} Best first; key/bpm are null when not compared
+ */
+function suggestNextTracks(source, tracks, { bpmTolerance = DEFAULT_BPM_TOLERANCE, genre = true, limit = 25 } = {}) {
+  const sourceKey = parseKey(source.key);
+  const sourceBpm = toBpm(source.bpm);
+  if (!sourceKey && !sourceBpm) {
+    return [];
+  }
+
+  const sourceGenre = (source.genre || '').trim().toLowerCase();
+  const useGenre = genre && !!sourceGenre;
+  const totalWeight = (sourceKey ? WEIGHTS.key : 0) + (sourceBpm ? WEIGHTS.bpm : 0) + (useGenre ? WEIGHTS.genre : 0);
+
+  const suggestions = [];
+  for (const track of tracks) {
+    if (track.id === source.id) continue;
+
+    let score = 0;
+    let key = null;
+    let bpm = null;
+
+    if (sourceKey) {
+      const parsed = parseKey(track.key);
+      const relation = parsed && keyRelation(sourceKey, parsed);
+      if (!relation) continue;
+      key = { camelot: formatCamelot(parsed), relation, score: KEY_SCORES[relation] };
+      score += WEIGHTS.key * key.score;
+    }
+
+    if (sourceBpm) {
+      const trackBpm = toBpm(track.bpm);
+      bpm = trackBpm && bpmMatch(sourceBpm, trackBpm, bpmTolerance);
+      if (!bpm) continue;
+      score += WEIGHTS.bpm * bpm.score;
+    }
+
+    const genreMatch = useGenre && (track.genre || '').trim().toLowerCase() === sourceGenre;
+    if (genreMatch) {
+      score += WEIGHTS.genre;
+    }
+
+    suggestions.push({
+      track,
+      score: Math.round((score / totalWeight) * 1000) / 1000,
+      key,
+      bpm: bpm && { ratio: bpm.ratio, difference: bpm.difference },
+      genreMatch,
+    });
+  }
+
+  return suggestions
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  KEY_SCORES,
+  parseKey,
+  formatCamelot,
+  keyRelation,
+  bpmMatch,
+  suggestNextTracks,
+};
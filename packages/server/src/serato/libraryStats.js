@@ -0,0 +1,126 @@
+const path = require('path');
+const { parseKey, formatKey } = require('@recrate/shared/keys');
+
+/**
+ * Library analytics for /api/stats
+ *
+ * Works on plain data so it can be computed from the cached library and parsed crates
+ * without touching the disk. Smart crates are listed with their sizes but don't count
+ * as crate membership - their contents follow the rules, not the DJ's filing.
+ */
+
+// Width of a BPM bucket ("120-129")
+const BPM_BUCKET_SIZE = 10;
+
+/**
+ * Increment a count in a plain object
+ */
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Audio format from the file extension ("mp3", "flac", ...)
+ */
+function trackFormat(track) {
+  const ext = path.extname(track.filePath || '').slice(1).toLowerCase();
+  return ext || 'unknown';
+}
+
+/**
+ * BPM bucket label, e.g. 124.6 -> "120-129"
+ */
+function bpmBucket(bpm) {
+  const value = typeof bpm === 'number' ? bpm : parseFloat(bpm);
+  if (!Number.isFinite(value) || value <= 0) {
+    return 'unknown';
+  }
+  const start = Math.floor(value / BPM_BUCKET_SIZE) * BPM_BUCKET_SIZE;
+  return `${start}-${start + BPM_BUCKET_SIZE - 1}`;
+}
+
+/**
+ * Key bucket label, the same for every notation of a key ("Am", "8A", "1m" -> "8A" in Camelot)
+ * With the 'original' notation buckets are labelled in Camelot, as tracks may differ in
+ * notation; keys that can't be parsed keep their own text
+ */
+function keyBucket(key, notation) {
+  const parsed = parseKey(key);
+  return parsed ? formatKey(parsed, notation) : String(key ?? '').trim() || 'unknown';
+}
+
+/**
+ * Compute library analytics
+ * @param {Array<Object>} tracks - Library tracks
+ * @param {Array<Object>} crates - Crates as listed by the parser, each with `trackIds` (library tracks
+ *   in the crate) and `missingCount` (entries whose file isn't in the library); smart crates need neither
+ * @param {Object} options
+ * @param {number} [options.tracksNotFound] - Serato database entries whose file wasn't found while indexing
+ * @param {string} [options.keyNotation='camelot'] - Notation of the byKey labels (see @recrate/shared/keys)
+ * @returns {Object}
+ */
+function computeLibraryStats(tracks, crates, { tracksNotFound = 0, keyNotation = 'camelot' } = {}) {
+  const byFormat = {};
+  const byGenre = {};
+  const byKey = {};
+  const byBpm = {};
+  let duration = 0;
+  let size = 0;
+
+  for (const track of tracks) {
+    increment(byFormat, trackFormat(track));
+    increment(byGenre, (track.genre || '').trim() || 'unknown');
+    increment(byKey, keyBucket(track.key, keyNotation));
+    increment(byBpm, bpmBucket(track.bpm));
+    duration += track.duration || 0;
+    size += track.fileSize || 0;
+  }
+
+  const filed = new Set();
+  let missingCrateEntries = 0;
+  for (const crate of crates) {
+    if (crate.smart) continue;
+    for (const trackId of crate.trackIds || []) {
+      filed.add(trackId);
+    }
+    missingCrateEntries += crate.missingCount || 0;
+  }
+
+  const orphans = tracks.filter(track => !filed.has(track.id));
+
+  return {
+    trackCount: tracks.length,
+    crateCount: crates.length,
+    totals: {
+      duration: Math.round(duration),
+      size,
+    },
+    byFormat,
+    byGenre,
+    byKey,
+    byBpm,
+    missing: {
+      databaseEntries: tracksNotFound,
+      crateEntries: missingCrateEntries,
+    },
+    crates: crates
+      .map(crate => ({
+        id: crate.id,
+        name: crate.name,
+        fullPath: crate.fullPath,
+        smart: !!crate.smart,
+        trackCount: crate.smart ? crate.trackCount : (crate.trackIds || []).length,
+        missingCount: crate.smart ? 0 : crate.missingCount || 0,
+      }))
+      .sort((a, b) => (b.trackCount || 0) - (a.trackCount || 0)),
+    orphanCount: orphans.length,
+    orphans,
+  };
+}
+
+module.exports = {
+  BPM_BUCKET_SIZE,
+  bpmBucket,
+  trackFormat,
+  computeLibraryStats,
+};
@@ -0,0 +1,279 @@
+/**
+ * Serato marker tag decoder
+ *
+ * Serato stores per-track analysis inside the audio file's own tags:
+ *
+ *   Serato Markers2  - hot cues, saved loops, track color, BPM lock
+ *   Serato BeatGrid  - beatgrid markers
+ *   Serato Autotags  - analysed BPM and gain
+ *
+ * MP3 and AIFF files carry them as ID3 GEOB frames (description = tag name, data = payload).
+ * FLAC (vorbis comments SERATO_*) and M4A ('----:com.serato.dj:*' atoms) wrap the same
+ * GEOB-style envelope (mime \0 filename \0 description \0 payload) in base64.
+ *
+ * Markers2 payloads are themselves base64: 0x01 0x01 + base64 text, which decodes to
+ * 0x01 0x01 + entries of (NUL-terminated type name, u32 BE length, data).
+ */
+
+/**
+ * Tag names as used in GEOB descriptions, with their FLAC and M4A equivalents
+ */
+const SERATO_TAGS = {
+  markers2: { description: 'Serato Markers2', vorbis: 'SERATO_MARKERS_V2', mp4: '----:com.serato.dj:markersv2' },
+  beatgrid: { description: 'Serato BeatGrid', vorbis: 'SERATO_BEATGRID', mp4: '----:com.serato.dj:beatgrid' },
+  autotags: { description: 'Serato Autotags', vorbis: 'SERATO_AUTOGAIN', mp4: '----:com.serato.dj:autgain' },
+};
+
+/**
+ * Malformed Serato marker payload
+ */
+class MarkersError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MarkersError';
+  }
+}
+
+/**
+ * Format 3 RGB bytes as '#RRGGBB'
+ */
+function toColor(data, offset) {
+  return '#' + data.subarray(offset, offset + 3).toString('hex').toUpperCase();
+}
+
+/**
+ * Read a NUL-terminated string starting at offset
+ * @returns {{value: string, end: number}} end is the offset after the terminator
+ */
+function readCString(data, offset, encoding = 'utf8') {
+  let end = data.indexOf(0, offset);
+  if (end === -1) {
+    end = data.length;
+  }
+  return { value: data.toString(encoding, offset, end), end: end + 1 };
+}
+
+/**
+ * Decode base64 that may contain line breaks, NUL padding or missing '=' padding
+ */
+function decodeBase64(text) {
+  const cleaned = text.replace(/[^A-Za-z0-9+/]/g, '');
+  // Serato sometimes writes a dangling character that can't form a byte - drop it
+  const usable = cleaned.length % 4 === 1 ? cleaned.slice(0, -1) : cleaned;
+  return Buffer.from(usable, 'base64');
+}
+
+/**
+ * Unwrap the base64 GEOB-style envelope used by FLAC and M4A tags
+ * @param {string|Buffer} value - Tag value
+ * @returns {{description: string, data: Buffer}}
+ */
+function unwrapEnvelope(value) {
+  const raw = decodeBase64(Buffer.isBuffer(value) ? value.toString('latin1') : String(value));
+
+  const mime = readCString(raw, 0, 'latin1');
+  const filename = readCString(raw, mime.end, 'latin1');
+  const description = readCString(raw, filename.end, 'latin1');
+
+  if (mime.value !== 'application/octet-stream' || description.end > raw.length) {
+    throw new MarkersError('Unrecognised Serato tag envelope');
+  }
+
+  return { description: description.value, data: raw.subarray(description.end) };
+}
+
+/**
+ * Decode a single Markers2 CUE entry
+ * 0x00, index u8, position u32 ms, 0x00, RGB, 0x00 0x00, NUL-terminated UTF-8 name
+ */
+function decodeCue(data) {
+  if (data.length < 12) {
+    throw new MarkersError(`CUE entry too short (${data.length} bytes)`);
+  }
+  return {
+    index: data.readUInt8(1),
+    position: data.readUInt32BE(2) / 1000,
+    color: toColor(data, 7),
+    name: readCString(data, 12).value,
+  };
+}
+
+/**
+ * Decode a single Markers2 LOOP entry
+ * 0x00, index u8, start u32 ms, end u32 ms, 0xFFFFFFFF, 0x00 + RGB, 0x00, locked u8, NUL-terminated UTF-8 name
+ */
+function decodeLoop(data) {
+  if (data.length < 20) {
+    throw new MarkersError(`LOOP entry too short (${data.length} bytes)`);
+  }
+  return {
+    index: data.readUInt8(1),
+    start: data.readUInt32BE(2) / 1000,
+    end: data.readUInt32BE(6) / 1000,
+    color: toColor(data, 15),
+    locked: data.readUInt8(19) === 1,
+    name: readCString(data, 20).value,
+  };
+}
+
+/**
+ * Decode a Serato Markers2 payload
+ * @param {Buffer} payload - GEOB data (0x01 0x01 + base64)
+ * @returns {{cues: Array, loops: Array, color: string|null, bpmLock: boolean}}
+ * @throws {MarkersError}
+ */
+function decodeMarkers2(payload) {
+  if (payload.length < 2 || payload[0] !== 0x01 || payload[1] !== 0x01) {
+    throw new MarkersError('Unsupported Markers2 version');
+  }
+
+  const data = decodeBase64(payload.toString('latin1', 2));
+  if (data.length < 2 || data[0] !== 0x01 || data[1] !== 0x01) {
+    throw new MarkersError('Unsupported Markers2 content version');
+  }
+
+  const result = { cues: [], loops: [], color: null, bpmLock: false };
+  let offset = 2;
+
+  while (offset < data.length && data[offset] !== 0) {
+    const type = readCString(data, offset, 'latin1');
+    if (type.end + 4 > data.length) {
+      throw new MarkersError(`Truncated '${type.value}' entry header`);
+    }
+
+    const length = data.readUInt32BE(type.end);
+    const start = type.end + 4;
+    if (start + length > data.length) {
+      throw new MarkersError(`'${type.value}' entry length ${length} exceeds payload`);
+    }
+    const entry = data.subarray(start, start + length);
+
+    switch (type.value) {
+      case 'CUE':
+        result.cues.push(decodeCue(entry));
+        break;
+      case 'LOOP':
+        result.loops.push(decodeLoop(entry));
+        break;
+      case 'COLOR':
+        if (entry.length >= 4) {
+          result.color = toColor(entry, 1);
+        }
+        break;
+      case 'BPMLOCK':
+        result.bpmLock = entry.length >= 1 && entry[0] === 1;
+        break;
+      default:
+        // FLIP and future entry types are not needed yet
+        break;
+    }
+
+    offset = start + length;
+  }
+
+  result.cues.sort((a, b) => a.index - b.index);
+  result.loops.sort((a, b) => a.index - b.index);
+  return result;
+}
+
+/**
+ * Decode a Serato BeatGrid payload
+ * 0x01 0x00, u32 marker count, then 8 bytes per marker:
+ * non-terminal markers are (position f32 s, beats until next marker u32),
+ * the terminal marker is (position f32 s, bpm f32)
+ * @param {Buffer} payload
+ * @returns {Array<{position: number, beatsUntilNextMarker?: number, bpm?: number}>}
+ * @throws {MarkersError}
+ */
+function decodeBeatGrid(payload) {
+  if (payload.length < 6 || payload[0] !== 0x01 || payload[1] !== 0x00) {
+    throw new MarkersError('Unsupported BeatGrid version');
+  }
+
+  const count = payload.readUInt32BE(2);
+  if (6 + count * 8 > payload.length) {
+    throw new MarkersError(`BeatGrid declares ${count} markers but payload is ${payload.length} bytes`);
+  }
+
+  const markers = [];
+  for (let i = 0; i < count; i++) {
+    const offset = 6 + i * 8;
+    const position = payload.readFloatBE(offset);
+
+    if (i === count - 1) {
+      markers.push({ position, bpm: Math.round(payload.readFloatBE(offset + 4) * 100) / 100 });
+    } else {
+      markers.push({ position, beatsUntilNextMarker: payload.readUInt32BE(offset + 4) });
+    }
+  }
+
+  return markers;
+}
+
+/**
+ * Decode a Serato Autotags payload
+ * 0x01 0x01, then NUL-terminated ASCII strings: bpm, auto gain, gain dB
+ * @param {Buffer} payload
+ * @returns {{bpm: number|null, autoGain: number|null, gainDb: number|null}}
+ * @throws {MarkersError}
+ */
+function decodeAutotags(payload) {
+  if (payload.length < 2 || payload[0] !== 0x01 || payload[1] !== 0x01) {
+    throw new MarkersError('Unsupported Autotags version');
+  }
+
+  const values = [];
+  let offset = 2;
+  for (let i = 0; i < 3 && offset < payload.length; i++) {
+    const str = readCString(payload, offset, 'latin1');
+    values.push(parseFloat(str.value));
+    offset = str.end;
+  }
+
+  const [bpm, autoGain, gainDb] = values.map(v => (Number.isFinite(v) ? v : null));
+  return { bpm: bpm ?? null, autoGain: autoGain ?? null, gainDb: gainDb ?? null };
+}
+
+/**
+ * Decode whichever raw Serato payloads were found in a file
+ * A payload that fails to decode is reported in `errors` instead of failing the others
+ * @param {Object} payloads - { markers2?: Buffer, beatgrid?: Buffer, autotags?: Buffer }
+ * @returns {{cues: Array, loops: Array, color: string|null, bpmLock: boolean, beatgrid: Array, autotags: Object|null, errors: Array<string>}}
+ */
+function decodeSeratoTags(payloads) {
+  const result = {
+    cues: [],
+    loops: [],
+    color: null,
+    bpmLock: false,
+    beatgrid: [],
+    autotags: null,
+    errors: [],
+  };
+
+  const attempt = (name, fn) => {
+    if (!payloads[name]) return;
+    try {
+      fn(payloads[name]);
+    } catch (error) {
+      if (!(error instanceof MarkersError) && !(error instanceof RangeError)) throw error;
+      result.errors.push(`${SERATO_TAGS[name].description}: ${error.message}`);
+    }
+  };
+
+  attempt('markers2', (payload) => Object.assign(result, decodeMarkers2(payload)));
+  attempt('beatgrid', (payload) => { result.beatgrid = decodeBeatGrid(payload); });
+  attempt('autotags', (payload) => { result.autotags = decodeAutotags(payload); });
+
+  return result;
+}
+
+module.exports = {
+  SERATO_TAGS,
+  MarkersError,
+  unwrapEnvelope,
+  decodeMarkers2,
+  decodeBeatGrid,
+  decodeAutotags,
+  decodeSeratoTags,
+};
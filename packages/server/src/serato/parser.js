@@ -7,6 +7,12 @@ const LRUCache = require('../utils/cache');
 const logger = require('../utils/logger');
 const MetadataExtractor = require('../audio/metadata');
 const pathResolver = require('../utils/pathResolver');
+const IndexStore = require('../utils/indexStore');
+const tlv = require('./tlv');
+const smartCrates = require('./smartCrates');
+const searchQuery = require('./searchQuery');
+const { SearchIndex } = require('./searchIndex');
+const { KEY_NOTATIONS, formatKey } = require('@recrate/shared/keys');
 
 /**
  * Custom error classes
@@ -32,20 +38,48 @@ class CrateNotFoundError extends Error {
   }
 }
 
+class SessionNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionNotFoundError';
+  }
+}
+
+class PathResolutionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PathResolutionError';
+  }
+}
+
 // Serato uses %% as delimiter for subcrate hierarchy in filenames
 // e.g., "ParentCrate%%ChildCrate%%GrandchildCrate.crate"
 const SUBCRATE_DELIMITER = '%%';
 
+// Smart crate IDs get a prefix slugify() can never produce, so they can't clash with crate IDs
+const SMART_CRATE_ID_PREFIX = 'smart--';
+
+// Serato's default (uncolored) track color in the ulbl field
+const SERATO_NO_COLOR = 0xFFFFFF;
+
 /**
  * Serato Parser - Reads Serato database and crate files
  * Uses a simplified approach: directory scanning + metadata extraction
  */
 class SeratoParser extends EventEmitter {
-  constructor(seratoPath, musicPaths, cacheConfig = {}) {
+  /**
+   * @param {string} seratoPath - Path to the _Serato_ folder
+   * @param {string|Array<string>} musicPaths - Music directories to scan
+   * @param {Object} cacheConfig - LRU cache settings ({maxSize, ttl})
+   * @param {string|null} indexPath - Optional file for persisting the library index across restarts
+   */
+  constructor(seratoPath, musicPaths, cacheConfig = {}, indexPath = null) {
     super();
     this.seratoPath = seratoPath;
     this.musicPaths = Array.isArray(musicPaths) ? musicPaths : [musicPaths].filter(Boolean);
     this.cratesDir = path.join(seratoPath, 'Subcrates');
+    this.smartCratesDir = path.join(seratoPath, 'SmartCrates');
+    this.historyDir = path.join(seratoPath, 'History', 'Sessions');
 
     // Concurrency limiter to prevent "too many open files" errors
     this.fileOpLimit = pLimit(100); // Max 100 concurrent file operations
@@ -59,6 +93,33 @@ class SeratoParser extends EventEmitter {
     // Track cache for O(1) lookups by ID (populated during indexing)
     this.trackCache = new Map(); // trackId → track object
 
+    // Full-text index over the library; searchIndexSource is the library array it was built from
+    this.searchIndex = new SearchIndex();
+    this.searchIndexSource = null;
+
+    // Notation track keys are shown in (track.keyDisplay); track.key keeps the tagged value
+    this.keyNotation = 'original';
+
+    // Persistent on-disk index (restored on startup, reconciled in background)
+    this.indexStore = indexPath ? new IndexStore(indexPath) : null;
+    this.restorePromise = null; // Pending loadPersistedIndex() during startup
+    this.isReconciling = false;
+    this.reconcilePromise = null; // Running reconcile
+    this.reconcileRerun = null; // Reconcile queued to run after it
+    this.persistTimer = null;
+
+    // Database V2 metadata keyed by resolved file path (from the last index run)
+    this.databaseEntries = new Map();
+
+    // Database V2 entries whose file couldn't be found in the last index run
+    this.missingDatabaseEntries = [];
+
+    // Parsed History sessions keyed by file name ({ mtimeMs, session }), re-read when a file changes
+    this.historySessions = new Map();
+
+    // Last getPlayStatistics() result with what it was computed from ({ library, sessions, day, statistics })
+    this.playStatistics = null;
+
     // Initialize metadata extractor
     this.metadataExtractor = new MetadataExtractor();
 
@@ -93,6 +154,34 @@ class SeratoParser extends EventEmitter {
     this.io = io;
   }
 
+  /**
+   * Choose the notation keys are shown in and update the indexed tracks
+   * @param {string} notation - One of KEY_NOTATIONS (camelot, openKey, musical or original)
+   */
+  setKeyNotation(notation) {
+    if (!KEY_NOTATIONS.includes(notation)) {
+      throw new Error(`Unknown key notation: ${notation}`);
+    }
+    if (notation === this.keyNotation) {
+      return;
+    }
+
+    this.keyNotation = notation;
+    this._applyKeyNotation(this.cache.get('library') || []);
+    this._invalidateCrateCaches();
+    logger.info(`Key notation set to ${notation}`);
+  }
+
+  /**
+   * Set each track's keyDisplay from its key in the current notation
+   * @private
+   */
+  _applyKeyNotation(tracks) {
+    for (const track of tracks) {
+      track.keyDisplay = formatKey(track.key, this.keyNotation);
+    }
+  }
+
   /**
    * Emit progress update via WebSocket
    */
@@ -137,6 +226,7 @@ class SeratoParser extends EventEmitter {
 
   /**
    * Start background indexing (non-blocking)
+   * If a saved index exists it is served immediately and reconciled against disk in the background
    */
   async startBackgroundIndexing() {
     if (this.indexingStatus.isIndexing) {
@@ -144,8 +234,17 @@ class SeratoParser extends EventEmitter {
       return;
     }
 
+    // Requests arriving while the saved index loads wait for it instead of starting a full parse
+    this.restorePromise = this.loadPersistedIndex().catch(error => {
+      logger.warn(`Could not restore library index: ${error.message}`);
+      return false;
+    });
+    const restored = await this.restorePromise;
+    this.restorePromise = null;
+
     // Start indexing in background (don't await)
-    this.parseLibrary().catch(error => {
+    const indexing = restored ? this.reconcileLibrary() : this.parseLibrary();
+    indexing.catch(error => {
       logger.error('Background indexing failed:', error);
       this.indexingStatus.isIndexing = false;
       this.indexingStatus.progress.phase = 'error';
@@ -154,11 +253,155 @@ class SeratoParser extends EventEmitter {
     });
   }
 
+  /**
+   * Load the saved library index from disk and serve it right away
+   * @returns {Promise<boolean>} True if a usable index was restored
+   */
+  async loadPersistedIndex() {
+    if (!this.indexStore) {
+      return false;
+    }
+
+    const saved = await this.indexStore.load(this.seratoPath);
+    if (!saved || saved.tracks.length === 0) {
+      return false;
+    }
+
+    this.trackCache.clear();
+    for (const track of saved.tracks) {
+      this.trackCache.set(track.id, track);
+    }
+    this._applyKeyNotation(saved.tracks);
+    this.cache.set('library', saved.tracks);
+    this._rebuildSearchIndex(saved.tracks);
+
+    // Seed path resolution so crates can resolve moved files before the rebuild finishes
+    pathResolver.loadEntries(saved.files);
+
+    const message = `Loaded ${saved.tracks.length} tracks from saved index`;
+    this.indexingStatus.isComplete = true;
+    this.indexingStatus.endTime = Date.now();
+    this.indexingStatus.progress.phase = 'complete';
+    this.indexingStatus.progress.tracksFound = saved.tracks.length;
+    this.indexingStatus.progress.filesIndexed = saved.files.length;
+    this.indexingStatus.progress.message = message;
+    this._emitProgress({ phase: 'complete', tracksFound: saved.tracks.length, message });
+
+    logger.success(`${message} (saved ${new Date(saved.savedAt).toISOString()})`);
+    return true;
+  }
+
+  /**
+   * Save the index now if watcher changes are still waiting on the debounce timer
+   * Called on shutdown, since the timer doesn't keep the process alive
+   */
+  async flushIndex() {
+    if (!this.persistTimer) {
+      return;
+    }
+
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    await this._persistIndex(this.cache.get('library') || []);
+  }
+
+  /**
+   * Reconcile the served library with the filesystem without blocking requests
+   * Unchanged files (same mtime and size) are reused from the current index; only
+   * new or modified files have their tags read again. Calls made while a reconcile is
+   * running share a single rerun after it, so changes it may have missed aren't lost.
+   * @returns {Promise<Array<Object>>} The reconciled library
+   */
+  async reconcileLibrary() {
+    if (this.indexingStatus.isIndexing) {
+      logger.warn('Indexing already in progress');
+      return this.cache.get('library') || [];
+    }
+
+    if (this.reconcilePromise) {
+      if (!this.reconcileRerun) {
+        this.reconcileRerun = this.reconcilePromise.then(() => {
+          this.reconcileRerun = null;
+          return this.reconcileLibrary();
+        });
+      }
+      return this.reconcileRerun;
+    }
+
+    this.isReconciling = true;
+    this.reconcilePromise = this._reconcile().finally(() => {
+      this.isReconciling = false;
+      this.reconcilePromise = null;
+    });
+    return this.reconcilePromise;
+  }
+
+  /**
+   * Run one reconcile (see reconcileLibrary)
+   * @private
+   */
+  async _reconcile() {
+    const startTime = Date.now();
+
+    const previousTracks = new Map();
+    for (const track of this.trackCache.values()) {
+      previousTracks.set(track.filePath, track);
+    }
+    const previousFiles = new Map();
+    for (const entry of pathResolver.exportEntries()) {
+      previousFiles.set(entry.path, entry);
+    }
+
+    this.indexingStatus.progress.phase = 'reconciling';
+    this.indexingStatus.progress.message = 'Checking library for changes...';
+    this._emitProgress({ phase: 'reconciling', message: 'Checking library for changes...' });
+    logger.info(`Reconciling saved index (${previousTracks.size} tracks) with disk...`);
+
+    try {
+      const trackCache = new Map();
+      const tracks = await this._indexLibrary(this._getPathsToScan(), trackCache, previousTracks, previousFiles);
+
+      // Swap in the reconciled library in one step so readers never see a partial index
+      this.trackCache.clear();
+      for (const [id, track] of trackCache) {
+        this.trackCache.set(id, track);
+      }
+      this.cache.set('library', tracks);
+      this._rebuildSearchIndex(tracks);
+      this._invalidateCrateCaches();
+
+      const message = `Library up to date: ${tracks.length} tracks`;
+      this.indexingStatus.isComplete = true;
+      this.indexingStatus.endTime = Date.now();
+      this.indexingStatus.progress.phase = 'complete';
+      this.indexingStatus.progress.tracksFound = tracks.length;
+      this.indexingStatus.progress.message = message;
+      this._emitProgress({ phase: 'complete', tracksFound: tracks.length, message });
+      logger.success(`${message} (reconciled in ${Date.now() - startTime}ms)`);
+
+      await this._persistIndex(tracks);
+      this.emit('indexing:complete', tracks);
+
+      return tracks;
+    } catch (error) {
+      // Keep serving the restored index - a full re-index happens on the next invalidation
+      logger.error('Error reconciling library:', error.message);
+      this.indexingStatus.progress.phase = 'complete';
+      this.indexingStatus.progress.message = `Serving saved index (reconcile failed: ${error.message})`;
+      this._emitProgress({ phase: 'complete', message: this.indexingStatus.progress.message });
+      return this.cache.get('library') || [];
+    }
+  }
+
   /**
    * Parse library - Extract tracks from Serato database or scan directory
    * Returns array of track objects
    */
   async parseLibrary(musicPath = null) {
+    if (this.restorePromise) {
+      await this.restorePromise;
+    }
+
     const cacheKey = 'library';
     const cached = this.cache.get(cacheKey);
     if (cached && this.indexingStatus.isComplete) {
@@ -190,206 +433,11 @@ class SeratoParser extends EventEmitter {
     logger.info('Parsing library...');
 
     try {
-      const tracksMap = new Map(); // Use Map to avoid duplicates (keyed by file path)
-
-      // Determine music paths to scan
-      const pathsToScan = this.musicPaths.length > 0
-        ? this.musicPaths
-        : (musicPath ? [musicPath] : [path.dirname(this.seratoPath)]);
-
-      // Build path resolver index across all music locations
-      logger.info('Building file index for intelligent path resolution...');
-      this.indexingStatus.progress.message = 'Building file index across music locations...';
-      this._emitProgress({ message: 'Building file index across music locations...' });
-
-      await pathResolver.buildIndex(pathsToScan);
-      const indexStats = pathResolver.getStats();
-      this.indexingStatus.progress.filesIndexed = indexStats.filenameIndexSize;
-      this._emitProgress({ filesIndexed: indexStats.filenameIndexSize });
-
-      // Try to parse database V2 first for accurate track list with metadata
-      this.indexingStatus.progress.phase = 'parsing_database';
-      this.indexingStatus.progress.message = 'Parsing Serato database...';
-      this._emitProgress({ phase: 'parsing_database', message: 'Parsing Serato database...' });
-
-      const trackMetadata = await this._parseDatabaseV2();
-
-      if (trackMetadata && trackMetadata.length > 0) {
-        // Database parsing succeeded - use track metadata
-        logger.info(`Found ${trackMetadata.length} tracks in Serato database`);
-        this.indexingStatus.progress.message = `Resolving paths for ${trackMetadata.length} tracks...`;
-        this._emitProgress({ message: `Resolving paths for ${trackMetadata.length} tracks...` });
-
-        let resolved = 0;
-        let notFound = 0;
-
-        // Create all promises upfront for true concurrent execution
-        // p-limit will queue and execute up to 100 concurrently
-        const promises = trackMetadata.map(metadata =>
-          this.fileOpLimit(async () => {
-            let trackPath = metadata.filePath;
-
-            try {
-              // First, verify if exact path exists
-              await fs.stat(trackPath);
-            } catch (error) {
-              // File doesn't exist at exact path - try intelligent resolution
-              logger.debug(`Resolving moved/missing file: ${trackPath}`);
-              const resolvedPath = await pathResolver.resolvePath(trackPath, metadata);
-
-              if (resolvedPath) {
-                trackPath = resolvedPath;
-                resolved++; // Note: Minor race condition acceptable for statistics
-                logger.debug(`Resolved: ${metadata.filePath} -> ${resolvedPath}`);
-              } else {
-                notFound++; // Note: Minor race condition acceptable for statistics
-                logger.debug(`Could not resolve: ${metadata.filePath}`);
-                return; // Skip tracks that can't be resolved
-              }
-            }
-
-            // Create track object
-            // Skip metadata extraction since we already have it from database
-            const track = await this._createTrackObject(trackPath, true);
-            if (track) {
-              // Merge database metadata with track object
-              // Use rawSeratoPath (without leading /) for crate writing - this is what Serato expects
-              track.seratoPath = metadata.rawSeratoPath || metadata.filePath;
-              logger.debug(`Setting seratoPath="${track.seratoPath}" filePath="${track.filePath}" for track: ${track.title}`);
-              // Merge title and artist from database (prefer database values as they're from Serato)
-              if (metadata.title) {
-                track.title = metadata.title;
-              }
-              if (metadata.artist) {
-                track.artist = metadata.artist;
-              }
-              track.bpm = metadata.bpm || track.bpm;
-              track.key = metadata.key || track.key;
-              track.duration = metadata.duration || track.duration;
-              // Merge hasBeenPlayed from database (boolean flag)
-              if (metadata.hasBeenPlayed !== undefined) {
-                track.hasBeenPlayed = metadata.hasBeenPlayed;
-              }
-              tracksMap.set(trackPath, track); // Map operations are safe in single-threaded JS
-              this.trackCache.set(track.id, track); // Add to track cache for instant lookups
-            }
-
-            // Emit progress every 100 completed tracks
-            if (tracksMap.size % 100 === 0) {
-              this.indexingStatus.progress.tracksFound = tracksMap.size;
-              this.indexingStatus.progress.tracksResolved = resolved;
-              this.indexingStatus.progress.tracksNotFound = notFound;
-              this.indexingStatus.progress.message = `Processed ${tracksMap.size}/${trackMetadata.length} tracks (${resolved} resolved)`;
-              this._emitProgress({
-                tracksFound: tracksMap.size,
-                tracksResolved: resolved,
-                tracksNotFound: notFound,
-                message: `Processed ${tracksMap.size}/${trackMetadata.length} tracks`
-              });
-            }
-          })
-        );
-
-        // Wait for all promises to complete
-        await Promise.all(promises);
-
-        this.indexingStatus.progress.tracksFound = tracksMap.size;
-        this.indexingStatus.progress.tracksResolved = resolved;
-        this.indexingStatus.progress.tracksNotFound = notFound;
-        logger.info(`Found ${tracksMap.size} tracks from database (${resolved} resolved via path matching, ${notFound} not found)`);
-      } else {
-        logger.info('Database V2 parsing failed or returned no tracks');
-      }
-
-      // Scan all music directories to catch any files not in the database
-      this.indexingStatus.progress.phase = 'scanning';
-      this.indexingStatus.progress.message = `Scanning ${pathsToScan.length} music location(s)...`;
-      this._emitProgress({ phase: 'scanning', message: `Scanning ${pathsToScan.length} music location(s)...` });
-      logger.info(`Scanning ${pathsToScan.length} music location(s) for additional tracks...`);
-      let addedFromScan = 0;
-
-      for (const scanPath of pathsToScan) {
-        this.indexingStatus.progress.currentPath = scanPath;
-        this.indexingStatus.progress.message = `Scanning: ${scanPath}`;
-        this._emitProgress({ currentPath: scanPath, message: `Scanning: ${scanPath}` });
-        logger.info(`Scanning: ${scanPath}`);
-
-        // Extract metadata for scanned tracks since they're not in the database
-        const scannedTracks = await this._scanDirectory(scanPath, true);
-
-        for (const track of scannedTracks) {
-          if (!tracksMap.has(track.filePath)) {
-            // For directory-scanned tracks, set seratoPath for crate writing
-            // Serato on Windows expects paths like "Users/djnew/Music/..." (no drive letter, forward slashes)
-            if (!track.seratoPath) {
-              let seratoPath = track.filePath;
-              // Convert Windows paths (C:\Users\...) to Serato format (Users/...)
-              // Serato strips the drive letter and uses forward slashes
-              const windowsDriveMatch = seratoPath.match(/^[A-Za-z]:[\\/](.*)$/);
-              if (windowsDriveMatch) {
-                // Remove drive letter and convert backslashes to forward slashes
-                seratoPath = windowsDriveMatch[1].replace(/\\/g, '/');
-              } else if (seratoPath.startsWith('/')) {
-                // Mac path - remove leading slash for Serato format
-                seratoPath = seratoPath.substring(1);
-              }
-              track.seratoPath = seratoPath;
-              logger.info(`[PATH DEBUG] Directory scanned track - setting seratoPath="${track.seratoPath}" from filePath="${track.filePath}"`);
-            }
-            tracksMap.set(track.filePath, track);
-            this.trackCache.set(track.id, track); // Add to track cache for instant lookups
-            addedFromScan++;
-          }
-        }
-      }
-
-      logger.info(`Found ${addedFromScan} additional tracks from directory scan`);
-
-      // Parse history sessions to get actual play counts
-      this.indexingStatus.progress.message = 'Calculating play counts from history...';
-      this._emitProgress({ message: 'Calculating play counts from history...' });
-
-      const playCounts = await this._parseHistoryForPlayCounts();
-
-      // Merge play counts into tracks
-      if (playCounts.size > 0) {
-        let matchedPlayCounts = 0;
-        for (const track of tracksMap.values()) {
-          // Try matching by seratoPath (without leading /) or filePath
-          const seratoPath = track.seratoPath || (track.filePath.startsWith('/') ? track.filePath.substring(1) : track.filePath);
-          const normalizedPath = seratoPath.replace(/\\/g, '/');
-
-          // Try direct match first
-          let playCount = playCounts.get(normalizedPath);
-
-          // If no direct match, try with leading /
-          if (playCount === undefined) {
-            playCount = playCounts.get('/' + normalizedPath);
-          }
-
-          // Try matching just the filename for relocated files
-          if (playCount === undefined) {
-            const filename = path.basename(normalizedPath);
-            for (const [historyPath, count] of playCounts) {
-              if (path.basename(historyPath) === filename) {
-                playCount = count;
-                break;
-              }
-            }
-          }
-
-          if (playCount !== undefined && playCount > 0) {
-            track.playCount = playCount;
-            matchedPlayCounts++;
-          }
-        }
-        logger.success(`Matched play counts for ${matchedPlayCounts} tracks`);
-      }
-
-      const tracks = Array.from(tracksMap.values());
-      logger.success(`Total library: ${tracks.length} tracks`);
+      const tracks = await this._indexLibrary(this._getPathsToScan(musicPath), this.trackCache);
 
       this.cache.set(cacheKey, tracks);
+      this._rebuildSearchIndex(tracks);
+      this._invalidateCrateCaches();
 
       // Mark indexing as complete
       this.indexingStatus.isIndexing = false;
@@ -407,6 +455,8 @@ class SeratoParser extends EventEmitter {
       // Emit event for waiting callers
       this.emit('indexing:complete', tracks);
 
+      await this._persistIndex(tracks);
+
       return tracks;
     } catch (error) {
       logger.error('Error parsing library:', error.message);
@@ -418,8 +468,259 @@ class SeratoParser extends EventEmitter {
     }
   }
 
+  /**
+   * Determine music paths to scan
+   * @private
+   */
+  _getPathsToScan(musicPath = null) {
+    return this.musicPaths.length > 0
+      ? this.musicPaths
+      : (musicPath ? [musicPath] : [path.dirname(this.seratoPath)]);
+  }
+
+  /**
+   * Build the track list from database V2, directory scans and history
+   * @param {Array<string>} pathsToScan - Music locations
+   * @param {Map} trackCache - Map to fill with trackId → track
+   * @param {Map|null} previousTracks - Tracks from the previous index (filePath → track) to reuse when unchanged
+   * @param {Map|null} previousFiles - Path resolver entries from the previous index (path → entry)
+   * @private
+   */
+  async _indexLibrary(pathsToScan, trackCache, previousTracks = null, previousFiles = null) {
+    const tracksMap = new Map(); // Use Map to avoid duplicates (keyed by file path)
+    const databaseEntries = new Map(); // Resolved file path → database V2 metadata
+    const missingEntries = []; // Database V2 metadata of files that weren't found
+
+    // Build path resolver index across all music locations
+    logger.info('Building file index for intelligent path resolution...');
+    this.indexingStatus.progress.message = 'Building file index across music locations...';
+    this._emitProgress({ message: 'Building file index across music locations...' });
+
+    await pathResolver.buildIndex(pathsToScan, previousFiles);
+    const indexStats = pathResolver.getStats();
+    this.indexingStatus.progress.filesIndexed = indexStats.filenameIndexSize;
+    this._emitProgress({ filesIndexed: indexStats.filenameIndexSize });
+
+    // Try to parse database V2 first for accurate track list with metadata
+    this.indexingStatus.progress.phase = 'parsing_database';
+    this.indexingStatus.progress.message = 'Parsing Serato database...';
+    this._emitProgress({ phase: 'parsing_database', message: 'Parsing Serato database...' });
+
+    const trackMetadata = await this._parseDatabaseV2();
+
+    if (trackMetadata && trackMetadata.length > 0) {
+      // Database parsing succeeded - use track metadata
+      logger.info(`Found ${trackMetadata.length} tracks in Serato database`);
+      this.indexingStatus.progress.message = `Resolving paths for ${trackMetadata.length} tracks...`;
+      this._emitProgress({ message: `Resolving paths for ${trackMetadata.length} tracks...` });
+
+      let resolved = 0;
+      let notFound = 0;
+
+      // Create all promises upfront for true concurrent execution
+      // p-limit will queue and execute up to 100 concurrently
+      const promises = trackMetadata.map(metadata =>
+        this.fileOpLimit(async () => {
+          let trackPath = metadata.filePath;
+
+          try {
+            // First, verify if exact path exists
+            await fs.stat(trackPath);
+          } catch (error) {
+            // File doesn't exist at exact path - try intelligent resolution
+            logger.debug(`Resolving moved/missing file: ${trackPath}`);
+            const resolvedPath = await pathResolver.resolvePath(trackPath, metadata);
+
+            if (resolvedPath) {
+              trackPath = resolvedPath;
+              resolved++; // Note: Minor race condition acceptable for statistics
+              logger.debug(`Resolved: ${metadata.filePath} -> ${resolvedPath}`);
+            } else {
+              notFound++; // Note: Minor race condition acceptable for statistics
+              missingEntries.push(metadata);
+              logger.debug(`Could not resolve: ${metadata.filePath}`);
+              return; // Skip tracks that can't be resolved
+            }
+          }
+
+          // Create track object (reusing the saved one if the file is unchanged)
+          // Skip metadata extraction since we already have it from database
+          const track = await this._getOrCreateTrackObject(trackPath, true, previousTracks);
+          databaseEntries.set(trackPath, metadata);
+          if (track) {
+            // Merge database metadata with track object
+            this._mergeDatabaseMetadata(track, metadata);
+            tracksMap.set(trackPath, track); // Map operations are safe in single-threaded JS
+            trackCache.set(track.id, track); // Add to track cache for instant lookups
+          }
+
+          // Emit progress every 100 completed tracks
+          if (tracksMap.size % 100 === 0) {
+            this.indexingStatus.progress.tracksFound = tracksMap.size;
+            this.indexingStatus.progress.tracksResolved = resolved;
+            this.indexingStatus.progress.tracksNotFound = notFound;
+            this.indexingStatus.progress.message = `Processed ${tracksMap.size}/${trackMetadata.length} tracks (${resolved} resolved)`;
+            this._emitProgress({
+              tracksFound: tracksMap.size,
+              tracksResolved: resolved,
+              tracksNotFound: notFound,
+              message: `Processed ${tracksMap.size}/${trackMetadata.length} tracks`
+            });
+          }
+        })
+      );
+
+      // Wait for all promises to complete
+      await Promise.all(promises);
+
+      this.indexingStatus.progress.tracksFound = tracksMap.size;
+      this.indexingStatus.progress.tracksResolved = resolved;
+      this.indexingStatus.progress.tracksNotFound = notFound;
+      logger.info(`Found ${tracksMap.size} tracks from database (${resolved} resolved via path matching, ${notFound} not found)`);
+    } else {
+      logger.info('Database V2 parsing failed or returned no tracks');
+    }
+
+    // Scan all music directories to catch any files not in the database
+    this.indexingStatus.progress.phase = previousTracks ? 'reconciling' : 'scanning';
+    this.indexingStatus.progress.message = `Scanning ${pathsToScan.length} music location(s)...`;
+    this._emitProgress({ phase: this.indexingStatus.progress.phase, message: `Scanning ${pathsToScan.length} music location(s)...` });
+    logger.info(`Scanning ${pathsToScan.length} music location(s) for additional tracks...`);
+    let addedFromScan = 0;
+
+    for (const scanPath of pathsToScan) {
+      this.indexingStatus.progress.currentPath = scanPath;
+      this.indexingStatus.progress.message = `Scanning: ${scanPath}`;
+      this._emitProgress({ currentPath: scanPath, message: `Scanning: ${scanPath}` });
+      logger.info(`Scanning: ${scanPath}`);
+
+      // Extract metadata for scanned tracks since they're not in the database
+      const scannedTracks = await this._scanDirectory(scanPath, true, [], new Set(), previousTracks);
+
+      for (const track of scannedTracks) {
+        if (!tracksMap.has(track.filePath)) {
+          // For directory-scanned tracks, set seratoPath for crate writing
+          // Serato on Windows expects paths like "Users/djnew/Music/..." (no drive letter, forward slashes)
+          if (!track.seratoPath) {
+            track.seratoPath = this._toSeratoPath(track.filePath);
+            logger.info(`[PATH DEBUG] Directory scanned track - setting seratoPath="${track.seratoPath}" from filePath="${track.filePath}"`);
+          }
+          tracksMap.set(track.filePath, track);
+          trackCache.set(track.id, track); // Add to track cache for instant lookups
+          addedFromScan++;
+        }
+      }
+    }
+
+    logger.info(`Found ${addedFromScan} additional tracks from directory scan`);
+
+    // Parse history sessions to get actual play counts
+    this.indexingStatus.progress.message = 'Calculating play counts from history...';
+    this._emitProgress({ message: 'Calculating play counts from history...' });
+
+    const findPlays = this._createPlayLookup(await this._collectPlayHistory());
+
+    // Merge play history into tracks
+    let matchedPlayCounts = 0;
+    for (const track of tracksMap.values()) {
+      const plays = findPlays(track);
+      if (plays) {
+        track.playCount = plays.count;
+        track.firstPlayedAt = plays.firstPlayedAt;
+        track.lastPlayedAt = plays.lastPlayedAt;
+        matchedPlayCounts++;
+      }
+    }
+    logger.success(`Matched play counts for ${matchedPlayCounts} tracks`);
+
+    const tracks = Array.from(tracksMap.values());
+    this._applyKeyNotation(tracks);
+    logger.success(`Total library: ${tracks.length} tracks`);
+
+    // Keep database metadata around so single-file updates merge the same way
+    this.databaseEntries = databaseEntries;
+    this.missingDatabaseEntries = missingEntries;
+
+    return tracks;
+  }
+
+  /**
+   * Merge Serato database V2 metadata into a track object
+   * Database values win over file tags since they reflect what the DJ sees in Serato
+   * @private
+   */
+  _mergeDatabaseMetadata(track, metadata) {
+    // Use rawSeratoPath (without leading /) for crate writing - this is what Serato expects
+    track.seratoPath = metadata.rawSeratoPath || metadata.filePath;
+    logger.debug(`Setting seratoPath="${track.seratoPath}" filePath="${track.filePath}" for track: ${track.title}`);
+    // Merge title and artist from database (prefer database values as they're from Serato)
+    if (metadata.title) {
+      track.title = metadata.title;
+    }
+    if (metadata.artist) {
+      track.artist = metadata.artist;
+    }
+    track.bpm = metadata.bpm || track.bpm;
+    track.key = metadata.key || track.key;
+    track.duration = metadata.duration || track.duration;
+    // Merge the remaining Serato columns (album, genre, comment, label, etc.)
+    for (const field of ['album', 'genre', 'comment', 'label', 'grouping', 'composer', 'year', 'bitrate', 'sampleRate', 'color', 'addedAt']) {
+      if (metadata[field] !== null && metadata[field] !== undefined && metadata[field] !== '') {
+        track[field] = metadata[field];
+      }
+    }
+    // Merge hasBeenPlayed from database (boolean flag)
+    if (metadata.hasBeenPlayed !== undefined) {
+      track.hasBeenPlayed = metadata.hasBeenPlayed;
+    }
+    return track;
+  }
+
+  /**
+   * Convert a filesystem path to the format Serato stores in crates
+   * Serato on Windows expects paths like "Users/djnew/Music/..." (no drive letter, forward slashes)
+   * @private
+   */
+  _toSeratoPath(filePath) {
+    let seratoPath = filePath;
+    // Convert Windows paths (C:\Users\...) to Serato format (Users/...)
+    // Serato strips the drive letter and uses forward slashes
+    const windowsDriveMatch = seratoPath.match(/^[A-Za-z]:[\\/](.*)$/);
+    if (windowsDriveMatch) {
+      // Remove drive letter and convert backslashes to forward slashes
+      seratoPath = windowsDriveMatch[1].replace(/\\/g, '/');
+    } else if (seratoPath.startsWith('/')) {
+      // Mac path - remove leading slash for Serato format
+      seratoPath = seratoPath.substring(1);
+    }
+    return seratoPath;
+  }
+
+  /**
+   * Save the current library and path index to disk (no-op without an index store)
+   * @private
+   */
+  async _persistIndex(tracks) {
+    if (!this.indexStore) {
+      return;
+    }
+
+    try {
+      await this.indexStore.save({
+        seratoPath: this.seratoPath,
+        musicPaths: this.musicPaths,
+        tracks,
+        files: pathResolver.exportEntries(),
+      });
+      logger.info(`Saved library index (${tracks.length} tracks)`);
+    } catch (error) {
+      logger.warn(`Could not save library index: ${error.message}`);
+    }
+  }
+
   /**
    * Get all crates (metadata only, no track details)
+   * Smart crates are included with `smart: true`; their trackCount is only known once the library is indexed
    */
   async getAllCrates() {
     const cacheKey = 'crates-list';
@@ -434,17 +735,15 @@ class SeratoParser extends EventEmitter {
       await this.verifySeratoPath();
 
       // Check if crates directory exists
+      let files = [];
       try {
-        await fs.stat(this.cratesDir);
+        files = await fs.readdir(this.cratesDir);
       } catch {
-        logger.warn('Subcrates directory not found, returning empty crates list');
-        return [];
+        logger.warn('Subcrates directory not found');
       }
-
-      const files = await fs.readdir(this.cratesDir);
       const crateFiles = files.filter(f => f.endsWith('.crate'));
 
-      const crates = await Promise.all(
+      const regularCrates = await Promise.all(
         crateFiles.map(async (file) => {
           const fullPath = path.basename(file, '.crate');
           const cratePath = path.join(this.cratesDir, file);
@@ -481,17 +780,20 @@ class SeratoParser extends EventEmitter {
             trackCount: trackCount,
             filePath: cratePath,
             lastModified: lastModified,
+            smart: false,
           };
         })
       );
 
+      const crates = [...regularCrates, ...await this._readSmartCrateList()];
+
       // Sort crates: root crates first, then by depth, then alphabetically
       crates.sort((a, b) => {
         if (a.depth !== b.depth) return a.depth - b.depth;
         return a.name.localeCompare(b.name);
       });
 
-      logger.success(`Found ${crates.length} crates (${crates.filter(c => c.depth === 0).length} root, ${crates.filter(c => c.depth > 0).length} subcrates)`);
+      logger.success(`Found ${crates.length} crates (${crates.filter(c => c.depth === 0).length} root, ${crates.filter(c => c.depth > 0).length} subcrates, ${crates.filter(c => c.smart).length} smart)`);
       this.cache.set(cacheKey, crates);
       return crates;
     } catch (error) {
@@ -520,16 +822,24 @@ class SeratoParser extends EventEmitter {
         throw new CrateNotFoundError(`Crate not found: ${crateId}`);
       }
 
+      if (crate.smart) {
+        const result = await this._parseSmartCrate(crate);
+        this.cache.set(cacheKey, result);
+        return result;
+      }
+
       // Read crate file
       const fileContent = await fs.readFile(crate.filePath);
-      const trackPaths = this._parseCrateFile(fileContent);
+      const entries = this._parseCrateEntries(fileContent);
 
       // Get all library tracks
       const library = await this.parseLibrary();
 
       // Match tracks by file path (with intelligent resolution for moved files)
       const tracks = [];
-      for (const trackPath of trackPaths) {
+      const missingTracks = [];
+      for (const [position, entry] of entries.entries()) {
+        const trackPath = entry.filePath;
         logger.info(`[CRATE PARSE] Looking for track with path: ${trackPath}`);
 
         // Try exact match on filePath first (fastest)
@@ -573,6 +883,8 @@ class SeratoParser extends EventEmitter {
         if (track) {
           tracks.push(track);
         } else {
+          // Keep unresolved entries so rewriting the crate doesn't drop them
+          missingTracks.push({ position, filePath: trackPath, seratoPath: entry.seratoPath });
           logger.warn(`[CRATE PARSE] Track NOT FOUND in library: ${trackPath}`);
         }
       }
@@ -586,6 +898,8 @@ class SeratoParser extends EventEmitter {
         depth: crate.depth,
         trackCount: tracks.length,
         tracks: tracks,
+        missingTracks: missingTracks, // [{ position, filePath, seratoPath }] position = index in the crate file
+        smart: false,
       };
 
       this.cache.set(cacheKey, result);
@@ -599,6 +913,86 @@ class SeratoParser extends EventEmitter {
     }
   }
 
+  /**
+   * List smart crates from SmartCrates/*.scrate (same shape as getAllCrates entries)
+   * Files that can't be decoded are listed with an empty rule set rather than dropped
+   * @private
+   */
+  async _readSmartCrateList() {
+    let files;
+    try {
+      files = await fs.readdir(this.smartCratesDir);
+    } catch {
+      return []; // No smart crates yet
+    }
+
+    const library = this.cache.get('library');
+
+    return Promise.all(
+      files.filter(f => f.endsWith('.scrate')).map(async (file) => {
+        const fullPath = path.basename(file, '.scrate');
+        const filePath = path.join(this.smartCratesDir, file);
+        const pathParts = fullPath.split(SUBCRATE_DELIMITER);
+        const parentPath = pathParts.length > 1 ? pathParts.slice(0, -1).join(SUBCRATE_DELIMITER) : null;
+
+        let rules = { matchAll: true, liveUpdate: true, rules: [] };
+        let lastModified = null;
+        try {
+          rules = smartCrates.decodeSmartCrate(await fs.readFile(filePath));
+          lastModified = (await fs.stat(filePath)).mtime.getTime();
+        } catch (error) {
+          logger.warn(`Error reading smart crate ${fullPath}: ${error.message}`);
+        }
+
+        return {
+          id: this.smartCrateId(fullPath),
+          name: pathParts[pathParts.length - 1],
+          fullPath,
+          parentId: parentPath ? this.smartCrateId(parentPath) : null,
+          parentPath,
+          depth: pathParts.length - 1,
+          // Counting needs the library; null until it is indexed (the list is rebuilt afterwards)
+          trackCount: library ? smartCrates.evaluateSmartCrate(rules, library).length : null,
+          filePath,
+          lastModified,
+          smart: true,
+          rules,
+        };
+      })
+    );
+  }
+
+  /**
+   * Resolve a smart crate's rules against the library
+   * @private
+   */
+  async _parseSmartCrate(crate) {
+    const rules = smartCrates.decodeSmartCrate(await fs.readFile(crate.filePath));
+    const library = await this.parseLibrary();
+    const tracks = smartCrates.evaluateSmartCrate(rules, library);
+
+    return {
+      id: crate.id,
+      name: crate.name,
+      fullPath: crate.fullPath,
+      parentId: crate.parentId,
+      parentPath: crate.parentPath,
+      depth: crate.depth,
+      trackCount: tracks.length,
+      tracks,
+      missingTracks: [],
+      smart: true,
+      rules,
+    };
+  }
+
+  /**
+   * ID of a smart crate from its full path
+   */
+  smartCrateId(fullPath) {
+    return `${SMART_CRATE_ID_PREFIX}${this.slugify(fullPath)}`;
+  }
+
   /**
    * Get a crate by ID (without tracks, just metadata)
    * Used for looking up parent crate when creating subcrates
@@ -634,56 +1028,553 @@ class SeratoParser extends EventEmitter {
   }
 
   /**
-   * Search tracks by query
+   * Files the Serato database or a crate refers to that aren't in the library
+   * Database entries come from the last index run (a restored index lists them once the
+   * background reconcile has finished); crate entries are read from the crates now. Entries
+   * relinked since the last index run are left out.
+   * @param {Object} options
+   * @param {number} [options.candidates=5] - Max candidate matches per entry
+   * @returns {Promise<Array<Object>>} Entries ordered by path:
+   *   { filePath, seratoPath, title, artist, album, duration, bpm, key, inDatabase, ambiguous,
+   *   crates: [{ id, name, position }], candidates: [{ path, confidence, matchedBy, trackId }] }
+   *   ambiguous is set when several files matched equally well and none was picked
    */
-  async searchTracks(query, field = 'all') {
+  async getMissingTracks({ candidates: candidateLimit = 5 } = {}) {
     const library = await this.parseLibrary();
-    const lowerQuery = query.toLowerCase();
-
-    return library.filter(track => {
-      if (field === 'all') {
-        return (
-          track.title?.toLowerCase().includes(lowerQuery) ||
-          track.artist?.toLowerCase().includes(lowerQuery) ||
-          track.album?.toLowerCase().includes(lowerQuery)
-        );
+    const libraryByPath = new Map(library.map(track => [track.filePath, track]));
+
+    const entries = new Map(); // filePath -> entry
+    const entryFor = (filePath, seratoPath, metadata = null) => {
+      if (!entries.has(filePath)) {
+        entries.set(filePath, {
+          filePath,
+          seratoPath,
+          title: metadata ? metadata.title : null,
+          artist: metadata ? metadata.artist : null,
+          album: metadata ? metadata.album : null,
+          duration: metadata ? metadata.duration : null,
+          bpm: metadata ? metadata.bpm : null,
+          key: metadata ? metadata.key : null,
+          inDatabase: !!metadata,
+          crates: [],
+          candidates: [],
+        });
       }
+      return entries.get(filePath);
+    };
 
-      if (field === 'title') {
-        return track.title?.toLowerCase().includes(lowerQuery);
+    for (const metadata of this.missingDatabaseEntries) {
+      if (!pathResolver.getResolution(metadata.filePath)) {
+        entryFor(metadata.filePath, metadata.rawSeratoPath || metadata.filePath, metadata);
       }
+    }
 
-      if (field === 'artist') {
-        return track.artist?.toLowerCase().includes(lowerQuery);
+    for (const crate of await this.getAllCrates()) {
+      if (crate.smart) continue;
+      try {
+        const parsed = await this.parseCrate(crate.id);
+        for (const missing of parsed.missingTracks) {
+          entryFor(missing.filePath, missing.seratoPath).crates.push({
+            id: crate.id,
+            name: crate.fullPath || crate.name,
+            position: missing.position,
+          });
+        }
+      } catch (error) {
+        logger.warn(`Skipping crate ${crate.id} in missing files: ${error.message}`);
       }
+    }
 
-      if (field === 'album') {
-        return track.album?.toLowerCase().includes(lowerQuery);
-      }
+    const ambiguous = new Set(pathResolver.listResolutions().ambiguous.map(resolution => resolution.originalPath));
+    const report = [...entries.values()].sort((a, b) => a.filePath.localeCompare(b.filePath));
+    for (const entry of report) {
+      entry.ambiguous = ambiguous.has(entry.filePath);
+      const metadata = entry.inDatabase ? entry : null;
+      entry.candidates = pathResolver.findCandidates(entry.filePath, metadata, { limit: candidateLimit })
+        .map(candidate => {
+          const track = libraryByPath.get(candidate.path);
+          return { ...candidate, trackId: track ? track.id : null };
+        });
+    }
 
-      return false;
-    });
+    return report;
   }
 
   /**
-   * Invalidate cache for specific item or all
+   * Stored path resolutions (automatic and confirmed) and paths that resolved ambiguously
+   * @returns {{resolutions: Array<Object>, ambiguous: Array<Object>}} See pathResolver.listResolutions()
    */
-  invalidateCache(item = null) {
-    if (item) {
-      this.cache.delete(item);
-      logger.debug(`Cache invalidated for: ${item}`);
-      // If invalidating library, also clear track cache
-      if (item === 'library') {
-        this.trackCache.clear();
-        logger.debug('Track cache cleared');
-      }
-    } else {
-      this.cache.clear();
-      this.trackCache.clear();
+  getPathResolutions() {
+    return pathResolver.listResolutions();
+  }
+
+  /**
+   * Map a path the database or a crate refers to onto a library file, overriding any match
+   * Only the crates and the database entry referring to the path are resolved again
+   * @param {string} originalPath - Path as stored by Serato
+   * @param {string} resolvedPath - File path of a library track
+   * @throws {PathResolutionError} When resolvedPath isn't in the library
+   */
+  async setPathResolution(originalPath, resolvedPath) {
+    const library = await this.parseLibrary();
+    if (!library.some(track => track.filePath === resolvedPath)) {
+      throw new PathResolutionError(`Not a library file: ${resolvedPath}`);
+    }
+
+    const previousPath = pathResolver.getResolution(originalPath);
+    pathResolver.setResolution(originalPath, resolvedPath);
+    await this._applyPathResolution(originalPath, previousPath);
+  }
+
+  /**
+   * Confirm the automatic match for a path so it's kept from now on
+   * The path keeps resolving to the same file, so nothing needs re-resolving
+   * @returns {boolean} False when the path has no match
+   */
+  confirmPathResolution(originalPath) {
+    return pathResolver.confirmResolution(originalPath);
+  }
+
+  /**
+   * Forget the match for a path so it's resolved again
+   * @returns {Promise<boolean>} False when the path has no match
+   */
+  async removePathResolution(originalPath) {
+    const previousPath = pathResolver.getResolution(originalPath);
+    const removed = pathResolver.removeResolution(originalPath);
+    if (removed) {
+      await this._applyPathResolution(originalPath, previousPath);
+    }
+    return removed;
+  }
+
+  /**
+   * Re-resolve what refers to a path after its mapping changed: cached crates listing it as
+   * missing or holding the file it used to resolve to, and its database V2 entry. A running
+   * reconcile may already have resolved the entry the old way, so it's patched after that.
+   * @param {string} originalPath - Path as stored by Serato
+   * @param {string|null} previousPath - File the path resolved to before
+   * @private
+   */
+  async _applyPathResolution(originalPath, previousPath) {
+    for (const key of this.cache.keys()) {
+      const crate = key.startsWith('crate-') ? this.cache.get(key) : null;
+      if (!crate || crate.smart) continue;
+      if (crate.missingTracks.some(missing => missing.filePath === originalPath) ||
+        (previousPath && crate.tracks.some(track => track.filePath === previousPath))) {
+        this.cache.delete(key);
+      }
+    }
+
+    const patchEntry = async () => {
+      if (!this._isLibraryReady()) {
+        return;
+      }
+      let entry = this.missingDatabaseEntries.find(metadata => metadata.filePath === originalPath);
+      let resolvedPath = null;
+      for (const [filePath, metadata] of this.databaseEntries) {
+        if (!entry && metadata.filePath === originalPath) {
+          entry = metadata;
+          resolvedPath = filePath;
+        }
+      }
+      if (entry) {
+        await this._patchDatabaseEntry(entry, resolvedPath);
+      }
+    };
+
+    if (this.reconcilePromise) {
+      this.reconcilePromise
+        .then(patchEntry)
+        .catch(error => logger.error('Applying path resolution after reconcile failed:', error));
+      return;
+    }
+    await patchEntry();
+  }
+
+  /**
+   * Search tracks with the query language in searchQuery.js
+   * e.g. `bpm:120-128 key:8A,9A genre:house artist:"daft punk" -crate:Played year:>2015 played:never`
+   * @param {string} query
+   * @param {string} [field='all'] - Fields free text is searched in: all, title, artist or album
+   * @returns {Promise<Array<Object>>} Matching tracks, best matches first
+   * @throws {QuerySyntaxError} When the query can't be evaluated
+   */
+  async searchTracks(query, field = 'all') {
+    const results = await this.searchTracksRanked(query, field);
+    return results.map(result => result.track);
+  }
+
+  /**
+   * Search tracks and rank them
+   * Free text goes through the full-text index (typo tolerant, over title, artist, album, genre,
+   * label and comment when field is 'all'); field filters and negated words narrow the results
+   * @param {string} query
+   * @param {string} [field='all'] - Fields free text is searched in: all, title, artist or album
+   * @returns {Promise<Array<{track: Object, score: number, highlights: Object}>>} Best matches
+   *   first, or in library order when the query has no free text
+   * @throws {QuerySyntaxError} When the query can't be evaluated
+   */
+  async searchTracksRanked(query, field = 'all') {
+    const parsed = searchQuery.parseSearchQuery(query);
+    const library = await this.parseLibrary();
+    const crates = await this._getQueryCrates(parsed);
+
+    const words = parsed.terms.filter(term => !term.negate).map(term => term.text);
+    const remaining = { ...parsed, terms: parsed.terms.filter(term => term.negate) };
+    const matches = track => searchQuery.matchesQuery(track, remaining, { crates, field });
+
+    if (words.length === 0) {
+      return library.filter(matches).map(track => ({ track, score: 0, highlights: {} }));
+    }
+
+    const fields = field === 'all' ? undefined : [field];
+    return this._getSearchIndex(library)
+      .search(words, { fields })
+      .filter(result => matches(result.track));
+  }
+
+  /**
+   * Full-text index for the current library, rebuilt if the library was replaced without it
+   * @private
+   */
+  _getSearchIndex(library) {
+    if (this.searchIndexSource !== library) {
+      this._rebuildSearchIndex(library);
+    }
+    return this.searchIndex;
+  }
+
+  /**
+   * Re-index a whole library
+   * @private
+   */
+  _rebuildSearchIndex(tracks) {
+    const startTime = Date.now();
+    this.searchIndex.build(tracks);
+    this.searchIndexSource = tracks;
+    logger.debug(`Search index built: ${tracks.length} tracks in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Apply a single track change to the index instead of rebuilding it
+   * An index that wasn't built from the previous library is left to be rebuilt on the next search
+   * @private
+   */
+  _updateSearchIndex(previousLibrary, library, { added = null, removedPath = null } = {}) {
+    if (this.searchIndexSource !== previousLibrary) {
+      return;
+    }
+    if (removedPath) {
+      this.searchIndex.remove(removedPath);
+    }
+    if (added) {
+      this.searchIndex.add(added);
+    }
+    this.searchIndexSource = library;
+  }
+
+  /**
+   * Track IDs of the crates a parsed query names, by lowercased name
+   * Names no crate has map to an empty set, so crate:Typo matches nothing
+   */
+  async _getQueryCrates(parsed) {
+    const names = new Set();
+    for (const filter of parsed.filters) {
+      if (filter.field === 'crate') {
+        filter.conditions.forEach(name => names.add(name));
+      }
+    }
+
+    const membership = new Map();
+    if (names.size === 0) {
+      return membership;
+    }
+    names.forEach(name => membership.set(name, new Set()));
+
+    for (const crate of await this.getAllCrates()) {
+      const matched = searchQuery.crateNames(crate).filter(name => names.has(name));
+      if (matched.length === 0) continue;
+
+      const { tracks } = await this.parseCrate(crate.id);
+      for (const name of matched) {
+        tracks.forEach(track => membership.get(name).add(track.id));
+      }
+    }
+
+    return membership;
+  }
+
+  /**
+   * Invalidate cache for specific item or all
+   */
+  invalidateCache(item = null) {
+    if (item) {
+      this.cache.delete(item);
+      logger.debug(`Cache invalidated for: ${item}`);
+      // If invalidating library, also clear track cache
+      if (item === 'library') {
+        this.trackCache.clear();
+        logger.debug('Track cache cleared');
+      }
+    } else {
+      this.cache.clear();
+      this.trackCache.clear();
       logger.debug('All caches cleared (library + track cache)');
     }
   }
 
+  /**
+   * Add or update a single audio file in the indexed library
+   * Used by the music folder watcher so changes don't require a full re-index
+   * @param {string} filePath - Absolute path of the added/changed file
+   * @returns {Promise<Object|null>} { type: 'added'|'updated', track, previousId } or null if ignored
+   */
+  async upsertTrackFile(filePath) {
+    if (!this._isLibraryReady() || !this.audioExtensions.includes(path.extname(filePath).toLowerCase())) {
+      return null;
+    }
+
+    // Database tracks skip tag extraction so their IDs match the ones from full indexing
+    const databaseMetadata = this.databaseEntries.get(filePath);
+    const track = await this._createTrackObject(filePath, !!databaseMetadata);
+    if (!track) {
+      return null;
+    }
+
+    const library = this.cache.get('library');
+    if (!library) {
+      return null;
+    }
+    const existing = library.find(t => t.filePath === filePath) || null;
+
+    if (databaseMetadata) {
+      this._mergeDatabaseMetadata(track, databaseMetadata);
+    } else {
+      track.seratoPath = existing?.seratoPath || this._toSeratoPath(filePath);
+      track.hasBeenPlayed = existing ? existing.hasBeenPlayed : track.hasBeenPlayed;
+    }
+    if (existing) {
+      track.playCount = existing.playCount;
+      track.firstPlayedAt = existing.firstPlayedAt;
+      track.lastPlayedAt = existing.lastPlayedAt;
+      this.trackCache.delete(existing.id);
+    }
+    this._applyKeyNotation([track]);
+
+    const updatedLibrary = existing
+      ? library.map(t => (t === existing ? track : t))
+      : [...library, track];
+    this.trackCache.set(track.id, track);
+    this.cache.set('library', updatedLibrary);
+    this._updateSearchIndex(library, updatedLibrary, { added: track, removedPath: existing?.filePath });
+
+    await pathResolver.updateFile(filePath);
+    this._invalidateCrateCaches();
+    this._schedulePersist();
+
+    logger.info(`[LIBRARY] Track ${existing ? 'updated' : 'added'}: ${filePath}`);
+    return {
+      type: existing ? 'updated' : 'added',
+      track,
+      previousId: existing ? existing.id : null,
+    };
+  }
+
+  /**
+   * Remove a single audio file from the indexed library
+   * @param {string} filePath - Absolute path of the deleted file
+   * @returns {Object|null} { type: 'removed', track } or null if the file wasn't indexed
+   */
+  removeTrackFile(filePath) {
+    if (!this._isLibraryReady()) {
+      return null;
+    }
+
+    const library = this.cache.get('library');
+    const existing = library.find(t => t.filePath === filePath);
+    if (!existing) {
+      return null;
+    }
+
+    const updatedLibrary = library.filter(t => t !== existing);
+    this.trackCache.delete(existing.id);
+    this.cache.set('library', updatedLibrary);
+    this._updateSearchIndex(library, updatedLibrary, { removedPath: existing.filePath });
+
+    pathResolver.removeFile(filePath);
+    this._invalidateCrateCaches();
+    this._schedulePersist();
+
+    logger.info(`[LIBRARY] Track removed: ${filePath}`);
+    return { type: 'removed', track: existing };
+  }
+
+  /**
+   * Re-read database V2 after Serato modified it and report which tracks changed
+   * Entries are compared with the last parse and only added, changed or removed ones are
+   * patched into the library (see upsertTrackFile/removeTrackFile)
+   * @returns {Promise<Array<Object>>} Changes as { type: 'added'|'updated'|'removed', track, previousId }
+   */
+  async refreshFromDatabase() {
+    // Let a running reconcile finish first - it replaces the entries compared against here
+    while (this.reconcilePromise) {
+      await this.reconcilePromise;
+    }
+    if (!this._isLibraryReady()) {
+      return [];
+    }
+
+    const entries = await this._parseDatabaseV2();
+    if (!entries) {
+      return [];
+    }
+
+    // Previous parse by database path: { metadata, resolvedPath } (resolvedPath null if missing)
+    const previous = new Map();
+    for (const [resolvedPath, metadata] of this.databaseEntries) {
+      previous.set(metadata.filePath, { metadata, resolvedPath });
+    }
+    for (const metadata of this.missingDatabaseEntries) {
+      previous.set(metadata.filePath, { metadata, resolvedPath: null });
+    }
+
+    const changes = [];
+    const record = change => {
+      if (change) changes.push(change);
+    };
+
+    for (const metadata of entries) {
+      const before = previous.get(metadata.filePath);
+      previous.delete(metadata.filePath);
+      if (before && JSON.stringify(before.metadata) === JSON.stringify(metadata)) {
+        continue;
+      }
+      changes.push(...await this._patchDatabaseEntry(metadata, before ? before.resolvedPath : null));
+    }
+
+    // Entries no longer in the database
+    for (const { metadata, resolvedPath } of previous.values()) {
+      if (resolvedPath) {
+        this.databaseEntries.delete(resolvedPath);
+        record(await this._refreshLibraryFile(resolvedPath));
+      } else {
+        this.missingDatabaseEntries = this.missingDatabaseEntries.filter(entry => entry !== metadata);
+      }
+    }
+
+    logger.info(`[LIBRARY] Database refresh: ${changes.length} track change(s)`);
+    return changes;
+  }
+
+  /**
+   * Resolve a new or changed database V2 entry again and patch its file into the library
+   * @param {Object} metadata - Entry from _parseDatabaseV2()
+   * @param {string|null} previousPath - File the entry resolved to before, null if it was missing
+   * @returns {Promise<Array<Object>>} Library changes, like refreshFromDatabase()
+   * @private
+   */
+  async _patchDatabaseEntry(metadata, previousPath) {
+    const changes = [];
+    const record = change => {
+      if (change) changes.push(change);
+    };
+
+    if (previousPath) {
+      this.databaseEntries.delete(previousPath);
+    }
+    this.missingDatabaseEntries = this.missingDatabaseEntries.filter(entry => entry.filePath !== metadata.filePath);
+
+    const resolvedPath = await this._resolveDatabaseEntry(metadata);
+    if (resolvedPath) {
+      this.databaseEntries.set(resolvedPath, metadata);
+      record(await this.upsertTrackFile(resolvedPath));
+    } else {
+      this.missingDatabaseEntries.push(metadata);
+    }
+    if (previousPath && previousPath !== resolvedPath) {
+      record(await this._refreshLibraryFile(previousPath));
+    }
+
+    return changes;
+  }
+
+  /**
+   * File path a database V2 entry points at: its own path if it exists, else a resolved one
+   * @returns {Promise<string|null>} Null when the file can't be found
+   * @private
+   */
+  async _resolveDatabaseEntry(metadata) {
+    try {
+      await fs.stat(metadata.filePath);
+      return metadata.filePath;
+    } catch (error) {
+      return pathResolver.resolvePath(metadata.filePath, metadata);
+    }
+  }
+
+  /**
+   * Re-index a library file after its database entry went away: it stays as a scanned track
+   * if it's still in a music location, otherwise it leaves the library
+   * @returns {Promise<Object|null>} The change, like upsertTrackFile/removeTrackFile
+   * @private
+   */
+  async _refreshLibraryFile(filePath) {
+    let exists = true;
+    try {
+      await fs.stat(filePath);
+    } catch (error) {
+      exists = false;
+    }
+
+    const inMusicPaths = this._getPathsToScan().some(dir => {
+      const relative = path.relative(dir, filePath);
+      return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+    return exists && inMusicPaths ? this.upsertTrackFile(filePath) : this.removeTrackFile(filePath);
+  }
+
+  /**
+   * Whether the library is indexed and can be patched incrementally
+   * @private
+   */
+  _isLibraryReady() {
+    return this.indexingStatus.isComplete &&
+      !this.indexingStatus.isIndexing &&
+      !!this.cache.get('library');
+  }
+
+  /**
+   * Drop cached crate contents so they re-resolve against the updated library
+   * @private
+   */
+  _invalidateCrateCaches() {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith('crate-')) {
+        this.cache.delete(key);
+      }
+    }
+    // Smart crate track counts in the list depend on the library too
+    this.cache.delete('crates-list');
+  }
+
+  /**
+   * Save the index shortly after incremental changes (batches bursts of watcher events)
+   * @private
+   */
+  _schedulePersist() {
+    if (!this.indexStore) {
+      return;
+    }
+
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this._persistIndex(this.cache.get('library') || []);
+    }, 5000);
+    this.persistTimer.unref?.();
+  }
+
   /**
    * Generate consistent track ID from metadata
    * Uses pathResolver to create stable IDs based on artist+title+duration
@@ -707,7 +1598,7 @@ class SeratoParser extends EventEmitter {
    * Scan directory recursively for audio files with circular symlink detection
    * @private
    */
-  async _scanDirectory(dirPath, extractMetadata = true, tracks = [], visited = new Set()) {
+  async _scanDirectory(dirPath, extractMetadata = true, tracks = [], visited = new Set(), previousTracks = null) {
     try {
       // Resolve to real path to detect circular symlinks
       let realPath;
@@ -738,11 +1629,11 @@ class SeratoParser extends EventEmitter {
         }
 
         if (entry.isDirectory()) {
-          await this._scanDirectory(fullPath, extractMetadata, tracks, visited);
+          await this._scanDirectory(fullPath, extractMetadata, tracks, visited, previousTracks);
         } else if (entry.isFile()) {
           const ext = path.extname(entry.name).toLowerCase();
           if (this.audioExtensions.includes(ext)) {
-            const track = await this._createTrackObject(fullPath, !extractMetadata);
+            const track = await this._getOrCreateTrackObject(fullPath, !extractMetadata, previousTracks);
             if (track) {
               tracks.push(track);
             }
@@ -757,6 +1648,33 @@ class SeratoParser extends EventEmitter {
     }
   }
 
+  /**
+   * Reuse a track from the previous index if its file is unchanged (same mtime and size),
+   * otherwise create a fresh track object
+   * @private
+   */
+  async _getOrCreateTrackObject(filePath, skipMetadataExtraction = false, previousTracks = null) {
+    const previous = previousTracks ? previousTracks.get(filePath) : null;
+
+    if (previous) {
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.mtimeMs === previous.fileModifiedAt && stats.size === previous.fileSize) {
+          return {
+            ...previous,
+            playCount: 0, // Recalculated from History sessions
+            verifiedPath: filePath,
+            pathVerifiedAt: Date.now(),
+          };
+        }
+      } catch (error) {
+        // Fall through - _createTrackObject reports missing files
+      }
+    }
+
+    return this._createTrackObject(filePath, skipMetadataExtraction);
+  }
+
   /**
    * Create track object from file path
    * @private
@@ -790,9 +1708,17 @@ class SeratoParser extends EventEmitter {
         bpm: metadata?.bpm || null,
         key: metadata?.key || null,
         trackNumber: metadata?.trackNumber || null,
+        comment: '',
+        label: '',
+        grouping: '',
+        composer: '',
+        color: null, // Serato track color (#RRGGBB), null when uncolored
+        bitrate: metadata?.bitrate || null,
+        sampleRate: metadata?.sampleRate || null,
         playCount: 0, // Actual play count calculated from History sessions
         hasBeenPlayed: false, // Boolean flag from bply marker
         fileSize: stats.size,
+        fileModifiedAt: stats.mtimeMs, // Used to detect changed files when reconciling the saved index
         format: metadata?.format || ext.substring(1).toUpperCase(),
         addedAt: stats.birthtime,
         // Path verification metadata (set during indexing)
@@ -815,187 +1741,388 @@ class SeratoParser extends EventEmitter {
    * @private
    */
   _decodeUTF16BE(buffer) {
-    let str = '';
-    for (let i = 0; i < buffer.length; i += 2) {
-      if (i + 1 < buffer.length) {
-        const charCode = (buffer[i] << 8) | buffer[i + 1];
-        if (charCode !== 0) {
-          str += String.fromCharCode(charCode);
+    return tlv.decodeUTF16BE(buffer).trim();
+  }
+
+  /**
+   * Walk the top-level tags of a Serato file, decoding only the ones named in `tags`
+   * Malformed entries are skipped; a corrupt top level stops the walk but keeps what was read
+   * @param {Buffer} buffer - File contents
+   * @param {Array<string>} tags - Top-level tag names to decode (e.g. ['otrk'])
+   * @param {Function} onEntry - Called with (tag, value) for each decoded entry
+   * @param {string} source - Name used in log messages
+   * @private
+   */
+  _walkTopLevel(buffer, tags, onEntry, source) {
+    try {
+      for (const entry of tlv.readTags(buffer)) {
+        if (!tags.includes(entry.tag)) {
+          continue;
+        }
+
+        let value;
+        try {
+          value = tlv.decodeValue(buffer, entry);
+        } catch (error) {
+          if (!(error instanceof tlv.TLVError)) throw error;
+          logger.warn(`Skipping malformed '${entry.tag}' entry in ${source}: ${error.message}`);
+          continue;
         }
+
+        onEntry(entry.tag, value);
       }
+    } catch (error) {
+      if (!(error instanceof tlv.TLVError)) throw error;
+      logger.warn(`${source} is truncated or corrupt, keeping entries read so far: ${error.message}`);
     }
-    return str.trim();
   }
 
   /**
-   * Extract field value from Serato database chunk
+   * Normalize a Serato path for filesystem operations
+   * On Mac: paths like "Users/Music/song.mp3" need leading /
+   * On Windows: paths like "C:/Music/song.mp3" should not get leading /
    * @private
    */
-  _extractField(buffer, marker, startOffset, endOffset) {
-    try {
-      const fieldIndex = buffer.indexOf(marker, startOffset);
-      if (fieldIndex === -1 || fieldIndex >= endOffset) return null;
+  _normalizeSeratoPath(filePath) {
+    const isWindowsPath = /^[A-Za-z]:[\\/]/.test(filePath);
+    if (!isWindowsPath && filePath && !filePath.startsWith('/')) {
+      return '/' + filePath;
+    }
+    return filePath;
+  }
 
-      const lengthOffset = fieldIndex + 4;
-      if (lengthOffset + 4 > buffer.length) return null;
+  /**
+   * Collect plays per file from the History sessions
+   * @param {Array<Object>|null} sessions - Sessions from _readHistorySessions(), read if not given
+   * @returns {Promise<Map<string, {count: number, firstPlayedAt: Date|null, lastPlayedAt: Date|null, times: number[]}>>}
+   *   Keyed by _pathKey() of the played file; times are play start times in ms
+   * @private
+   */
+  async _collectPlayHistory(sessions = null) {
+    const history = new Map();
+
+    for (const session of sessions || await this._readHistorySessions()) {
+      for (const entry of session.entries) {
+        const key = this._pathKey(entry.seratoPath);
+        let plays = history.get(key);
+        if (!plays) {
+          plays = { count: 0, firstPlayedAt: null, lastPlayedAt: null, times: [] };
+          history.set(key, plays);
+        }
 
-      const length = buffer.readUInt32BE(lengthOffset);
-      const dataStart = lengthOffset + 4;
+        plays.count++;
+        if (entry.startTime) {
+          plays.times.push(entry.startTime.getTime());
+          if (!plays.firstPlayedAt || entry.startTime < plays.firstPlayedAt) {
+            plays.firstPlayedAt = entry.startTime;
+          }
+          if (!plays.lastPlayedAt || entry.startTime > plays.lastPlayedAt) {
+            plays.lastPlayedAt = entry.startTime;
+          }
+        }
+      }
+    }
 
-      if (dataStart + length > buffer.length) return null;
+    logger.success(`Parsed play history for ${history.size} unique tracks`);
+    return history;
+  }
 
-      const data = buffer.slice(dataStart, dataStart + length);
-      return this._decodeUTF16BE(data);
-    } catch (error) {
-      return null;
+  /**
+   * Build a lookup from library track to its play history
+   * Falls back to the file name for relocated files (first history path with that name wins)
+   * @returns {Function} (track) => plays|null
+   * @private
+   */
+  _createPlayLookup(history) {
+    const byFilename = new Map();
+    for (const [key, plays] of history) {
+      const filename = path.basename(key);
+      if (!byFilename.has(filename)) {
+        byFilename.set(filename, plays);
+      }
+    }
+
+    return (track) => {
+      const key = this._pathKey(track.seratoPath || track.filePath);
+      return history.get(key) || byFilename.get(path.basename(key)) || null;
+    };
+  }
+
+  /**
+   * Play statistics for every library track, computed from the current History sessions
+   * The result is reused until the library, a session file or the day changes
+   * @param {number} now - Reference time in ms for the period counts
+   * @returns {Promise<Map<string, {playCount: number, firstPlayedAt: Date|null, lastPlayedAt: Date|null, playsLast30: number, playsLast90: number, playsLast365: number}>>}
+   *   Keyed by track ID
+   */
+  async getPlayStatistics(now = Date.now()) {
+    const library = await this.parseLibrary();
+    const sessions = await this._readHistorySessions(); // Unchanged files come back as the same objects
+    const day = Math.floor(now / (24 * 60 * 60 * 1000));
+
+    const cached = this.playStatistics;
+    if (cached && cached.library === library && cached.day === day &&
+      cached.sessions.length === sessions.length && cached.sessions.every((session, i) => session === sessions[i])) {
+      return cached.statistics;
+    }
+
+    const findPlays = this._createPlayLookup(await this._collectPlayHistory(sessions));
+    const since = (days) => now - days * 24 * 60 * 60 * 1000;
+    const periods = { playsLast30: since(30), playsLast90: since(90), playsLast365: since(365) };
+
+    const statistics = new Map();
+    for (const track of library) {
+      const plays = findPlays(track);
+      const stats = {
+        playCount: plays ? plays.count : 0,
+        firstPlayedAt: plays ? plays.firstPlayedAt : null,
+        lastPlayedAt: plays ? plays.lastPlayedAt : null,
+      };
+      for (const [name, start] of Object.entries(periods)) {
+        stats[name] = plays ? plays.times.filter(time => time >= start && time <= now).length : 0;
+      }
+      statistics.set(track.id, stats);
     }
+
+    this.playStatistics = { library, sessions, day, statistics };
+    return statistics;
   }
 
   /**
-   * Extract a boolean/byte field from buffer (for fields starting with 'b' like bply)
-   * These fields store a single byte value (0 or 1 for boolean, or integer value)
+   * Tracks with no play in History since they were added to the library, oldest additions first
+   * Tracks without an added date count as never played when they have no plays at all
+   * @returns {Promise<Array<Object>>}
+   */
+  async getNeverPlayedTracks() {
+    const library = await this.parseLibrary();
+    const statistics = await this.getPlayStatistics();
+    const addedTime = (track) => (track.addedAt ? new Date(track.addedAt).getTime() : Number.MAX_SAFE_INTEGER);
+
+    return library
+      .filter(track => {
+        const { lastPlayedAt } = statistics.get(track.id);
+        if (!lastPlayedAt) {
+          return true;
+        }
+        return !!track.addedAt && new Date(lastPlayedAt) < new Date(track.addedAt);
+      })
+      .sort((a, b) => addedTime(a) - addedTime(b));
+  }
+
+  /**
+   * Comparable form of a file path: trimmed, forward slashes, no leading slash
    * @private
    */
-  _extractBoolField(buffer, marker, startOffset, endOffset) {
-    try {
-      const fieldIndex = buffer.indexOf(marker, startOffset);
-      if (fieldIndex === -1 || fieldIndex >= endOffset) return null;
+  _pathKey(filePath) {
+    return filePath.trim().replace(/\\/g, '/').replace(/^\/+/, '');
+  }
 
-      const lengthOffset = fieldIndex + 4;
-      if (lengthOffset + 4 > buffer.length) return null;
+  /**
+   * List History sessions, newest first
+   * @returns {Promise<Array<{id: string, startTime: Date|null, endTime: Date|null, duration: number|null, trackCount: number}>>}
+   */
+  async getHistorySessions() {
+    const sessions = await this._readHistorySessions();
+    return sessions.map(({ entries, ...summary }) => summary);
+  }
 
-      const length = buffer.readUInt32BE(lengthOffset);
-      const dataStart = lengthOffset + 4;
+  /**
+   * Get one History session with its played tracks in order, resolved against the library
+   * @param {string} sessionId - Session file name without '.session'
+   * @throws {SessionNotFoundError}
+   */
+  async getHistorySession(sessionId) {
+    const sessions = await this._readHistorySessions();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) {
+      throw new SessionNotFoundError(`History session not found: ${sessionId}`);
+    }
 
-      if (dataStart + length > buffer.length) return null;
+    const { entries, ...summary } = session;
+    const findTrack = this._createTrackLookup(await this.parseLibrary());
 
-      // Boolean/byte fields typically have length 1
-      if (length === 1) {
-        return buffer.readUInt8(dataStart);
-      }
-      // Some integer fields may have length 4
-      if (length === 4) {
-        return buffer.readUInt32BE(dataStart);
+    const tracks = [];
+    for (const [position, entry] of entries.entries()) {
+      let track = findTrack(entry.filePath);
+
+      // The file may have moved since it was played
+      if (!track) {
+        const resolvedPath = await pathResolver.resolvePath(entry.filePath);
+        track = resolvedPath ? findTrack(resolvedPath) : null;
       }
-      return null;
-    } catch (error) {
-      return null;
+
+      tracks.push({
+        position,
+        title: entry.title,
+        artist: entry.artist,
+        filePath: entry.filePath,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        playTime: entry.playTime,
+        deck: entry.deck,
+        resolved: !!track,
+        trackId: track ? track.id : null,
+        track: track || null,
+      });
     }
+
+    return { ...summary, tracks };
   }
 
   /**
-   * Parse History session files to count actual play counts per track
-   * Returns a Map of normalized file path -> play count
+   * Build a lookup from file path to library track
+   * Matches filePath or seratoPath, ignoring leading slashes and backslash separators
+   * @returns {Function} (filePath) => track|null
    * @private
    */
-  async _parseHistoryForPlayCounts() {
-    const playCounts = new Map();
-    const historyDir = path.join(this.seratoPath, 'History', 'Sessions');
+  _createTrackLookup(library) {
+    const key = (filePath) => this._pathKey(filePath);
+    const byPath = new Map();
 
-    try {
-      const files = await fs.readdir(historyDir);
-      const sessionFiles = files.filter(f => f.endsWith('.session'));
+    for (const track of library) {
+      if (track.seratoPath && !byPath.has(key(track.seratoPath))) {
+        byPath.set(key(track.seratoPath), track);
+      }
+      if (track.filePath) {
+        byPath.set(key(track.filePath), track);
+      }
+    }
 
-      logger.info(`Parsing ${sessionFiles.length} history session files for play counts...`);
+    return (filePath) => (filePath ? byPath.get(key(filePath)) || null : null);
+  }
 
-      for (const sessionFile of sessionFiles) {
-        try {
-          const buffer = await fs.readFile(path.join(historyDir, sessionFile));
-
-          // Session files use 'oent' markers for entries, with 'adat' containing track data
-          // Inside adat, there's a field with numeric type 0x02 that contains the file path
-          const oentMarker = Buffer.from('oent');
-          let offset = 0;
-
-          while (offset < buffer.length - 8) {
-            const oentIndex = buffer.indexOf(oentMarker, offset);
-            if (oentIndex === -1) break;
-
-            // Read entry length
-            const lengthOffset = oentIndex + 4;
-            if (lengthOffset + 4 > buffer.length) break;
-
-            const entryLength = buffer.readUInt32BE(lengthOffset);
-            const entryStart = lengthOffset + 4;
-            const entryEnd = entryStart + entryLength;
-
-            if (entryEnd > buffer.length) break;
-
-            // Look for 'adat' marker within this entry
-            const adatMarker = Buffer.from('adat');
-            const adatIndex = buffer.indexOf(adatMarker, entryStart);
-
-            if (adatIndex !== -1 && adatIndex < entryEnd) {
-              const adatLengthOffset = adatIndex + 4;
-              if (adatLengthOffset + 4 <= buffer.length) {
-                const adatLength = buffer.readUInt32BE(adatLengthOffset);
-                const adatDataStart = adatLengthOffset + 4;
-                const adatDataEnd = Math.min(adatDataStart + adatLength, buffer.length);
-
-                // Parse the adat chunk - look for file path field (type 0x02)
-                // Format: type(4 bytes) + length(4 bytes) + data
-                let adatOffset = adatDataStart;
-                while (adatOffset < adatDataEnd - 8) {
-                  const fieldType = buffer.readUInt32BE(adatOffset);
-                  const fieldLength = buffer.readUInt32BE(adatOffset + 4);
-                  const fieldDataStart = adatOffset + 8;
-
-                  if (fieldType === 0x02 && fieldLength > 0) {
-                    // This is the file path field (UTF-16BE encoded)
-                    const pathData = buffer.subarray(fieldDataStart, fieldDataStart + fieldLength);
-                    const filePath = this._decodeUTF16BE(pathData);
-
-                    if (filePath) {
-                      // Normalize the path for consistent counting
-                      const normalizedPath = filePath.replace(/\\/g, '/');
-                      const currentCount = playCounts.get(normalizedPath) || 0;
-                      playCounts.set(normalizedPath, currentCount + 1);
-                    }
-                  }
-
-                  adatOffset = fieldDataStart + fieldLength;
-                  if (fieldLength === 0) break; // Prevent infinite loop
-                }
-              }
-            }
+  /**
+   * Read every History session, re-parsing only files that changed since the last call
+   * @returns {Promise<Array<Object>>} Sessions with their entries, newest first
+   * @private
+   */
+  async _readHistorySessions() {
+    let files;
+    try {
+      files = await fs.readdir(this.historyDir);
+    } catch (error) {
+      logger.warn(`Could not read history sessions: ${error.message}`);
+      return [];
+    }
 
-            offset = entryEnd;
-          }
-        } catch (sessionError) {
-          logger.debug(`Error parsing session file ${sessionFile}: ${sessionError.message}`);
+    const sessionFiles = files.filter(f => f.endsWith('.session'));
+    logger.debug(`Reading ${sessionFiles.length} history session files...`);
+
+    const sessions = [];
+    for (const file of sessionFiles) {
+      const filePath = path.join(this.historyDir, file);
+      try {
+        const { mtimeMs } = await fs.stat(filePath);
+        const cached = this.historySessions.get(file);
+        if (!cached || cached.mtimeMs !== mtimeMs) {
+          const session = this._parseHistorySession(await fs.readFile(filePath), file);
+          this.historySessions.set(file, { mtimeMs, session });
         }
+        sessions.push(this.historySessions.get(file).session);
+      } catch (error) {
+        logger.debug(`Error parsing session file ${file}: ${error.message}`);
       }
+    }
 
-      logger.success(`Parsed play counts for ${playCounts.size} unique tracks from history`);
-      return playCounts;
-    } catch (error) {
-      logger.warn(`Could not parse history for play counts: ${error.message}`);
-      return playCounts;
+    // Forget sessions whose files were deleted
+    for (const file of this.historySessions.keys()) {
+      if (!sessionFiles.includes(file)) {
+        this.historySessions.delete(file);
+      }
     }
+
+    return sessions.sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+  }
+
+  /**
+   * Parse one History .session file
+   * The 'oses' tag holds the session's own fields, each 'oent' one played track; both
+   * wrap their fields in an 'adat'. Entries marked as not played are left out.
+   * @private
+   */
+  _parseHistorySession(buffer, fileName) {
+    const toDate = (seconds) => (seconds > 0 ? new Date(seconds * 1000) : null);
+    let info = {};
+    const entries = [];
+
+    this._walkTopLevel(buffer, ['oses', 'oent'], (tag, children) => {
+      const adat = children.find(child => child.tag === 'adat');
+      if (!adat) return;
+
+      const fields = tlv.adatToObject(adat.value);
+      if (tag === 'oses') {
+        info = fields;
+        return;
+      }
+      if (typeof fields.filePath !== 'string' || !fields.filePath.trim() || fields.played === 0) {
+        return;
+      }
+
+      // Normalize the path for consistent counting
+      const seratoPath = fields.filePath.trim().replace(/\\/g, '/');
+      entries.push({
+        row: fields.row ?? entries.length,
+        seratoPath,
+        filePath: this._normalizeSeratoPath(seratoPath),
+        title: typeof fields.title === 'string' ? fields.title.trim() || null : null,
+        artist: typeof fields.artist === 'string' ? fields.artist.trim() || null : null,
+        startTime: toDate(fields.startTime),
+        endTime: toDate(fields.endTime),
+        playTime: typeof fields.playTime === 'number' ? fields.playTime : null,
+        deck: typeof fields.deck === 'number' ? fields.deck : null,
+      });
+    }, fileName);
+
+    // Play order; entries without a start time keep their row order
+    entries.sort((a, b) => ((a.startTime || 0) - (b.startTime || 0)) || (a.row - b.row));
+
+    const startTime = toDate(info.startTime) || entries.find(e => e.startTime)?.startTime || null;
+    const endTimes = entries.map(e => e.endTime || e.startTime).filter(Boolean);
+    const endTime = toDate(info.endTime) || (endTimes.length > 0 ? new Date(Math.max(...endTimes)) : null);
+
+    return {
+      id: path.basename(fileName, '.session'),
+      startTime,
+      endTime,
+      duration: startTime && endTime ? Math.round((endTime - startTime) / 1000) : null,
+      trackCount: entries.length,
+      entries,
+    };
   }
 
   /**
-   * Count tracks in crate file without full parsing
+   * Count tracks in crate file without resolving them
    * @private
    */
   _countTracksInCrate(buffer) {
-    const ptrkMarker = Buffer.from('ptrk');
-    let count = 0;
-    let offset = 0;
+    return this._readCrateTrackPaths(buffer).length;
+  }
 
-    while (offset < buffer.length) {
-      const markerIndex = buffer.indexOf(ptrkMarker, offset);
-      if (markerIndex === -1) break;
+  /**
+   * Read raw ptrk paths from a crate file, in order
+   * Tracks are normally wrapped in 'otrk'; bare top-level 'ptrk' tags are accepted too
+   * @private
+   */
+  _readCrateTrackPaths(buffer) {
+    const rawPaths = [];
 
-      count++;
-      offset = markerIndex + 4;
-    }
+    this._walkTopLevel(buffer, ['otrk', 'ptrk'], (tag, value) => {
+      if (tag === 'ptrk') {
+        rawPaths.push(value);
+        return;
+      }
+      const ptrk = value.find(child => child.tag === 'ptrk');
+      if (ptrk) {
+        rawPaths.push(ptrk.value);
+      }
+    }, 'crate file');
 
-    return count;
+    return rawPaths;
   }
 
   /**
-   * Parse Serato database V2 file to extract track metadata (path, BPM, key)
+   * Parse Serato database V2 file to extract track metadata
+   * (path, BPM, key, title, artist, album, genre, comment, label, year, bitrate, date added, color, ...)
    * @private
    */
   async _parseDatabaseV2() {
@@ -1004,115 +2131,17 @@ class SeratoParser extends EventEmitter {
 
     try {
       const buffer = await fs.readFile(databasePath);
-      const otrkMarker = Buffer.from('otrk');
-      const pfilMarker = Buffer.from('pfil');
-      const tbpmMarker = Buffer.from('tbpm');
-      const tkeyMarker = Buffer.from('tkey');
-      const tlenMarker = Buffer.from('tlen'); // Track length/duration
-      const tsngMarker = Buffer.from('tsng'); // Track title/song name
-      const tartMarker = Buffer.from('tart'); // Track artist
-      const bplyMarker = Buffer.from('bply'); // Has been played (boolean)
-
-      let offset = 0;
-
-      // Search for 'otrk' (track) chunks
-      while (offset < buffer.length - 8) {
-        const otrkIndex = buffer.indexOf(otrkMarker, offset);
-        if (otrkIndex === -1) break;
-
-        // Read track chunk length
-        const otrkLengthOffset = otrkIndex + 4;
-        if (otrkLengthOffset + 4 > buffer.length) break;
-
-        const otrkLength = buffer.readUInt32BE(otrkLengthOffset);
-        const otrkDataStart = otrkLengthOffset + 4;
-        const otrkDataEnd = otrkDataStart + otrkLength;
-
-        // Initialize track metadata object
-        const track = {
-          filePath: null,
-          bpm: null,
-          key: null,
-          duration: null,
-          title: null,
-          artist: null,
-          hasBeenPlayed: false, // bply is a boolean, not actual play count
-        };
-
-        // Extract file path
-        let filePath = this._extractField(buffer, pfilMarker, otrkDataStart, otrkDataEnd);
-        if (filePath) {
-          // Store the raw Serato path before normalization (for writing back to crate files)
-          track.rawSeratoPath = filePath;
-          logger.info(`[PATH DEBUG] Raw path from database V2: "${filePath}"`);
-
-          // Normalize path for filesystem operations
-          // On Mac: paths like "Users/Music/song.mp3" need leading /
-          // On Windows: paths like "C:/Music/song.mp3" should not get leading /
-          const isWindowsPath = /^[A-Za-z]:[\\/]/.test(filePath);
-          if (!isWindowsPath && !filePath.startsWith('/')) {
-            filePath = '/' + filePath;
-          }
-          logger.info(`[PATH DEBUG] Normalized filePath: "${filePath}" (isWindowsPath: ${isWindowsPath})`);
-          track.filePath = filePath;
-        }
-
-        // Extract BPM
-        const bpmStr = this._extractField(buffer, tbpmMarker, otrkDataStart, otrkDataEnd);
-        if (bpmStr) {
-          const bpm = parseFloat(bpmStr);
-          if (!isNaN(bpm)) {
-            track.bpm = bpm;
-          }
-        }
 
-        // Extract key
-        const key = this._extractField(buffer, tkeyMarker, otrkDataStart, otrkDataEnd);
-        if (key) {
-          track.key = key;
-        }
-
-        // Extract duration (tlen stores duration as "MM:SS.ms" format, e.g., "03:45.50")
-        const durationStr = this._extractField(buffer, tlenMarker, otrkDataStart, otrkDataEnd);
-        if (durationStr) {
-          logger.debug(`Raw tlen value for track: "${durationStr}"`);
-          // Parse MM:SS.ms format to seconds
-          const match = durationStr.match(/^(\d+):(\d+)\.?(\d*)$/);
-          if (match) {
-            const minutes = parseInt(match[1], 10);
-            const seconds = parseInt(match[2], 10);
-            const ms = match[3] ? parseInt(match[3], 10) / 100 : 0;
-            track.duration = minutes * 60 + seconds + ms;
-          }
-        }
-
-        // Extract title (song name)
-        const title = this._extractField(buffer, tsngMarker, otrkDataStart, otrkDataEnd);
-        if (title) {
-          track.title = title;
-        }
-
-        // Extract artist
-        const artist = this._extractField(buffer, tartMarker, otrkDataStart, otrkDataEnd);
-        if (artist) {
-          track.artist = artist;
-        }
-
-        // Extract has been played flag (bply is a boolean, not actual play count)
-        const hasPlayed = this._extractBoolField(buffer, bplyMarker, otrkDataStart, otrkDataEnd);
-        if (hasPlayed !== null) {
-          track.hasBeenPlayed = hasPlayed === 1;
-        }
+      // Each 'otrk' holds one track's columns
+      this._walkTopLevel(buffer, ['otrk'], (tag, children) => {
+        const track = this._parseDatabaseTrack(tlv.toObject(children));
 
         // Only add valid audio file paths
         if (track.filePath && /\.(mp3|flac|wav|aac|m4a|ogg|aiff)$/i.test(track.filePath)) {
           trackMetadata.push(track);
           logger.debug(`Found track: ${track.filePath} [BPM: ${track.bpm || 'N/A'}, Key: ${track.key || 'N/A'}, Duration: ${track.duration || 'N/A'}]`);
         }
-
-        // Move to next track chunk
-        offset = otrkDataEnd;
-      }
+      }, 'database V2');
 
       logger.success(`Extracted ${trackMetadata.length} tracks from database V2`);
       return trackMetadata;
@@ -1123,81 +2152,132 @@ class SeratoParser extends EventEmitter {
   }
 
   /**
-   * Parse .crate file to extract track paths
-   * Serato uses a binary chunk format with 'ptrk' markers
+   * Convert the decoded fields of one database V2 'otrk' into track metadata
+   * @param {Object} fields - { tag: value } from the TLV decoder
    * @private
    */
-  _parseCrateFile(buffer) {
-    const trackPaths = [];
-    const ptrkMarker = Buffer.from('ptrk');
+  _parseDatabaseTrack(fields) {
+    const text = (tag) => (typeof fields[tag] === 'string' ? fields[tag].trim() : null) || null;
+    const number = (tag) => (typeof fields[tag] === 'number' ? fields[tag] : null);
+
+    const track = {
+      filePath: null,
+      bpm: null,
+      key: null,
+      duration: null,
+      title: text('tsng'),
+      artist: text('tart'),
+      album: text('talb'),
+      genre: text('tgen'),
+      comment: text('tcom'),
+      label: text('tlbl'),
+      grouping: text('tgrp'),
+      composer: text('tcmp'),
+      year: null,
+      bitrate: null,
+      sampleRate: null,
+      color: null,
+      addedAt: null,
+      hasBeenPlayed: false, // bply is a boolean, not actual play count
+    };
 
-    let offset = 0;
+    // Extract file path
+    const filePath = text('pfil');
+    if (filePath) {
+      // Store the raw Serato path before normalization (for writing back to crate files)
+      track.rawSeratoPath = filePath;
+      track.filePath = this._normalizeSeratoPath(filePath);
+      logger.debug(`[PATH DEBUG] Raw path from database V2: "${filePath}" -> "${track.filePath}"`);
+    }
 
-    // Search for 'ptrk' chunks throughout the buffer
-    while (offset < buffer.length - 8) {
-      // Look for 'ptrk' marker
-      const markerIndex = buffer.indexOf(ptrkMarker, offset);
+    // Extract BPM
+    const bpm = parseFloat(text('tbpm'));
+    if (!isNaN(bpm)) {
+      track.bpm = bpm;
+    }
 
-      if (markerIndex === -1) {
-        break; // No more tracks found
-      }
+    // Extract key
+    track.key = text('tkey');
 
-      // Move to position after 'ptrk' marker
-      offset = markerIndex + 4;
+    // Extract duration (tlen stores duration as "MM:SS.ms" format, e.g., "03:45.50")
+    const durationMatch = (text('tlen') || '').match(/^(\d+):(\d+)\.?(\d*)$/);
+    if (durationMatch) {
+      const minutes = parseInt(durationMatch[1], 10);
+      const seconds = parseInt(durationMatch[2], 10);
+      const ms = durationMatch[3] ? parseInt(durationMatch[3], 10) / 100 : 0;
+      track.duration = minutes * 60 + seconds + ms;
+    }
 
-      // Read the length field (4 bytes, big-endian)
-      if (offset + 4 > buffer.length) {
-        break;
-      }
+    // Extract year (Serato allows free text, keep the 4-digit year)
+    const yearMatch = (text('ttyr') || '').match(/\d{4}/);
+    if (yearMatch) {
+      track.year = parseInt(yearMatch[0], 10);
+    }
 
-      const length = buffer.readUInt32BE(offset);
-      offset += 4;
+    // Extract bitrate ("320.0kbps") - stored in bits/sec to match music-metadata
+    const bitrate = parseFloat(text('tbit'));
+    if (!isNaN(bitrate) && bitrate > 0) {
+      track.bitrate = Math.round(bitrate * 1000);
+    }
 
-      // Extract the path data
-      if (offset + length > buffer.length) {
-        break;
-      }
+    // Extract sample rate ("44.1k") - stored in Hz
+    const sampleRateStr = text('tsmp');
+    const sampleRate = parseFloat(sampleRateStr);
+    if (!isNaN(sampleRate) && sampleRate > 0) {
+      track.sampleRate = /k/i.test(sampleRateStr) ? Math.round(sampleRate * 1000) : Math.round(sampleRate);
+    }
 
-      try {
-        // Decode from UTF-16BE (Serato uses big-endian encoding)
-        const pathData = buffer.slice(offset, offset + length);
-
-        // Manually decode UTF-16BE since Node.js doesn't have built-in support
-        let filePath = '';
-        for (let i = 0; i < pathData.length; i += 2) {
-          if (i + 1 < pathData.length) {
-            const charCode = (pathData[i] << 8) | pathData[i + 1];
-            if (charCode !== 0) {
-              filePath += String.fromCharCode(charCode);
-            }
-          }
-        }
+    // Extract date added (uadd is a u32 timestamp, older databases use tadd text)
+    const addedSeconds = number('uadd') || parseInt(text('tadd'), 10);
+    if (addedSeconds > 0) {
+      track.addedAt = new Date(addedSeconds * 1000);
+    }
 
-        filePath = filePath.trim();
+    // Extract track color (0xFFFFFF means no color assigned)
+    const color = number('ulbl');
+    if (color !== null && (color & 0xFFFFFF) !== SERATO_NO_COLOR) {
+      track.color = `#${(color & 0xFFFFFF).toString(16).padStart(6, '0').toUpperCase()}`;
+    }
 
-        // Normalize path for filesystem operations
-        // On Mac: paths like "Users/Music/song.mp3" need leading /
-        // On Windows: paths like "C:/Music/song.mp3" should not get leading /
-        const isWindowsPath = /^[A-Za-z]:[\\/]/.test(filePath);
-        if (!isWindowsPath && filePath && !filePath.startsWith('/')) {
-          filePath = '/' + filePath;
-        }
+    // Extract has been played flag (bply is a boolean, not actual play count)
+    const hasPlayed = number('bply');
+    if (hasPlayed !== null) {
+      track.hasBeenPlayed = hasPlayed === 1;
+    }
 
-        // Only add if it looks like a valid audio file path
-        if (filePath && /\.(mp3|flac|wav|aac|m4a|ogg|aiff)$/i.test(filePath)) {
-          trackPaths.push(filePath);
-          logger.debug(`Found track in crate: ${filePath}`);
-        }
-      } catch (error) {
-        logger.warn(`Error decoding track path at offset ${offset}:`, error.message);
-      }
+    return track;
+  }
 
-      // Move to next potential chunk
-      offset += length;
+  /**
+   * Parse .crate file to extract track paths
+   * Serato stores each track as an 'otrk' object with a 'ptrk' path
+   * @private
+   */
+  _parseCrateFile(buffer) {
+    return this._parseCrateEntries(buffer).map(entry => entry.filePath);
+  }
+
+  /**
+   * Parse .crate file into ordered entries, keeping the path exactly as Serato stored it
+   * @returns {Array<{filePath: string, seratoPath: string}>} filePath is normalized for the filesystem
+   * @private
+   */
+  _parseCrateEntries(buffer) {
+    const entries = [];
+
+    for (const rawPath of this._readCrateTrackPaths(buffer)) {
+      const seratoPath = rawPath.trim();
+      const filePath = this._normalizeSeratoPath(seratoPath);
+
+      // Only add if it looks like a valid audio file path
+      if (filePath && /\.(mp3|flac|wav|aac|m4a|ogg|aiff)$/i.test(filePath)) {
+        entries.push({ filePath, seratoPath });
+        logger.debug(`Found track in crate: ${filePath}`);
+      }
     }
 
-    logger.info(`Extracted ${trackPaths.length} track paths from crate`);
-    return trackPaths;
+    logger.info(`Extracted ${entries.length} track paths from crate`);
+    return entries;
   }
 }
 
@@ -1206,4 +2286,6 @@ module.exports = {
   SeratoNotFoundError,
   ParseError,
   CrateNotFoundError,
+  SessionNotFoundError,
+  PathResolutionError,
 };
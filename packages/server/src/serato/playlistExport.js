@@ -0,0 +1,217 @@
+/**
+ * Playlist export: turn a crate's tracks into a file other tools can open
+ *
+ *   m3u8  UTF-8 M3U with #EXTINF lines (duration and "Artist - Title")
+ *   pls   PLS v2 (File/Title/Length entries)
+ *   csv   one row per track with the main tags, for spreadsheets and set lists
+ *   json  tracks with their tags and paths
+ *
+ * Paths are absolute by default. Relative paths are written from a base folder (by default the
+ * deepest folder all tracks share) with forward slashes, so the playlist keeps working when
+ * it's saved next to the music on another machine.
+ */
+
+const path = require('path');
+
+const EXPORT_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  pls: { contentType: 'audio/x-scpls; charset=utf-8', extension: 'pls' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+const PATH_STYLES = ['absolute', 'relative'];
+
+const CSV_COLUMNS = ['position', 'artist', 'title', 'album', 'genre', 'year', 'bpm', 'key', 'duration', 'path'];
+
+/**
+ * Unknown format or path style, or a base folder for relative paths that isn't absolute
+ */
+class PlaylistExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlaylistExportError';
+  }
+}
+
+/**
+ * Use Windows paths as they are, with forward slashes
+ */
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Deepest folder all files are in ("/" when they only share the root)
+ * @param {Array<string>} filePaths
+ * @returns {string|null} null without files
+ */
+function commonDirectory(filePaths) {
+  if (filePaths.length === 0) {
+    return null;
+  }
+
+  let common = path.posix.dirname(toPosix(filePaths[0])).split('/');
+  for (const filePath of filePaths.slice(1)) {
+    const folders = path.posix.dirname(toPosix(filePath)).split('/');
+    let shared = 0;
+    while (shared < common.length && shared < folders.length && common[shared] === folders[shared]) {
+      shared++;
+    }
+    common = common.slice(0, shared);
+  }
+
+  return common.join('/') || '/';
+}
+
+/**
+ * Path to write for a track
+ * @param {string} filePath
+ * @param {string|null} basePath - Folder to write relative paths from, null for absolute paths
+ * @returns {string}
+ */
+function exportPath(filePath, basePath) {
+  if (!basePath) {
+    return filePath;
+  }
+  return path.posix.relative(toPosix(basePath), toPosix(filePath));
+}
+
+function trackLabel(track) {
+  return track.artist ? `${track.artist} - ${track.title}` : track.title;
+}
+
+// Whole seconds, -1 when unknown (what M3U and PLS use for streams)
+function trackLength(track) {
+  return track.duration > 0 ? Math.round(track.duration) : -1;
+}
+
+// Playlist formats are line based, so tags can't carry line breaks
+function singleLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatM3u8(name, entries, { extinf }) {
+  const lines = ['#EXTM3U'];
+  if (extinf) {
+    lines.push(`#PLAYLIST:${singleLine(name)}`);
+  }
+  for (const { track, filePath } of entries) {
+    if (extinf) {
+      lines.push(`#EXTINF:${trackLength(track)},${singleLine(trackLabel(track))}`);
+    }
+    lines.push(filePath);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function formatPls(name, entries) {
+  const lines = ['[playlist]'];
+  entries.forEach(({ track, filePath }, index) => {
+    const number = index + 1;
+    lines.push(`File${number}=${filePath}`);
+    lines.push(`Title${number}=${singleLine(trackLabel(track))}`);
+    lines.push(`Length${number}=${trackLength(track)}`);
+  });
+  lines.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+}
+
+function formatCsv(name, entries) {
+  const rows = [CSV_COLUMNS.join(',')];
+  entries.forEach(({ track, filePath }, index) => {
+    rows.push([
+      index + 1,
+      track.artist,
+      track.title,
+      track.album,
+      track.genre,
+      track.year,
+      track.bpm,
+      track.keyDisplay || track.key,
+      track.duration ? Math.round(track.duration) : null,
+      filePath,
+    ].map(csvField).join(','));
+  });
+  // CRLF as in RFC 4180 - spreadsheet apps expect it
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+function formatJson(name, entries, { basePath }) {
+  return JSON.stringify({
+    name,
+    exportedAt: new Date().toISOString(),
+    basePath,
+    tracks: entries.map(({ track, filePath }, index) => ({
+      position: index + 1,
+      id: track.id,
+      artist: track.artist,
+      title: track.title,
+      album: track.album,
+      genre: track.genre,
+      year: track.year,
+      bpm: track.bpm,
+      key: track.keyDisplay || track.key,
+      duration: track.duration,
+      path: filePath,
+    })),
+  }, null, 2);
+}
+
+const FORMATTERS = {
+  m3u8: formatM3u8,
+  pls: formatPls,
+  csv: formatCsv,
+  json: formatJson,
+};
+
+/**
+ * Export tracks as a playlist file
+ * @param {string} name - Playlist (crate) name
+ * @param {Array<Object>} tracks - Library tracks, in playlist order
+ * @param {Object} [options]
+ * @param {string} [options.format='m3u8'] - m3u8, pls, csv or json
+ * @param {string} [options.paths='absolute'] - absolute or relative
+ * @param {string} [options.basePath] - Folder relative paths start from (default: the deepest
+ *   folder all tracks share)
+ * @param {boolean} [options.extinf=true] - Write #EXTINF/#PLAYLIST lines (m3u8 only)
+ * @returns {{content: string, contentType: string, extension: string}}
+ * @throws {PlaylistExportError}
+ */
+function exportPlaylist(name, tracks, { format = 'm3u8', paths = 'absolute', basePath = null, extinf = true } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new PlaylistExportError(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!PATH_STYLES.includes(paths)) {
+    throw new PlaylistExportError(`paths must be one of ${PATH_STYLES.join(', ')}`);
+  }
+
+  let base = null;
+  if (paths === 'relative') {
+    if (basePath && !path.posix.isAbsolute(toPosix(basePath)) && !path.win32.isAbsolute(basePath)) {
+      throw new PlaylistExportError('basePath must be an absolute folder');
+    }
+    base = basePath || commonDirectory(tracks.map(track => track.filePath));
+  }
+
+  const entries = tracks.map(track => ({ track, filePath: exportPath(track.filePath, base) }));
+  const content = FORMATTERS[format](name, entries, { extinf, basePath: base });
+
+  return { content, ...EXPORT_FORMATS[format] };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  PATH_STYLES,
+  PlaylistExportError,
+  commonDirectory,
+  exportPlaylist,
+};
@@ -0,0 +1,418 @@
+/**
+ * Playlist import: read M3U/M3U8, PLS and CSV playlists and match their entries to library tracks
+ *
+ * Every entry is matched the first way that works:
+ *
+ *   path      the file path is a library track (relative paths are taken from basePath)
+ *   resolved  pathResolver found the file somewhere else (moved drive, renamed folder)
+ *   tags      a library track has the same artist and title, allowing for "feat." credits,
+ *             word order and small spelling differences (see fuzzyMatch)
+ *
+ * Path and resolved matches are reported as 'matched', tag matches as 'fuzzy' and everything
+ * else as 'missing', with the playlist line each entry came from.
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { normalizeArtist, normalizeTitle } = require('./duplicates');
+
+const IMPORT_FORMATS = ['m3u', 'm3u8', 'pls', 'csv'];
+
+// Lowest artist/title similarity accepted as a fuzzy match
+const MIN_FUZZY_SCORE = 0.8;
+
+// Durations further apart than this (seconds) rule a fuzzy match out
+const DURATION_TOLERANCE = 5;
+
+// CSV headers (lowercase) that can hold each field
+const CSV_HEADERS = {
+  path: ['path', 'filepath', 'file', 'location', 'filename'],
+  artist: ['artist', 'artists'],
+  title: ['title', 'name', 'track', 'song'],
+  duration: ['duration', 'length', 'time'],
+};
+
+/**
+ * A playlist that can't be read: unknown format, no entries or a CSV without usable columns
+ */
+class PlaylistImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlaylistImportError';
+  }
+}
+
+/**
+ * Guess the format from the content: PLS starts with [playlist], CSV has a header with a
+ * title or path column, anything else is read as M3U
+ * @param {string} content
+ * @returns {string} m3u, pls or csv
+ */
+function detectFormat(content) {
+  const firstLine = content.split(/\r?\n/).find(line => line.trim()) || '';
+  if (/^\[playlist\]$/i.test(firstLine.trim())) {
+    return 'pls';
+  }
+  if (!firstLine.startsWith('#')) {
+    const headers = parseCsvLine(firstLine).map(header => header.trim().toLowerCase());
+    if (headers.some(header => CSV_HEADERS.title.includes(header) || CSV_HEADERS.path.includes(header))) {
+      return 'csv';
+    }
+  }
+  return 'm3u';
+}
+
+/**
+ * File path of a playlist location: file:// URLs are decoded, other URLs are skipped
+ * @returns {string|null}
+ */
+function locationToPath(location) {
+  const trimmed = location.trim();
+  if (/^file:\/\//i.test(trimmed)) {
+    try {
+      return fileURLToPath(trimmed);
+    } catch (error) {
+      return decodeURIComponent(trimmed.replace(/^file:\/\/(localhost)?/i, ''));
+    }
+  }
+  if (/^[a-z][a-z0-9+.-]+:\/\//i.test(trimmed)) {
+    return null;
+  }
+  return trimmed || null;
+}
+
+/**
+ * Split "Artist - Title" (from #EXTINF, PLS titles or file names)
+ */
+function splitLabel(label) {
+  const separator = label.indexOf(' - ');
+  if (separator === -1) {
+    return { artist: null, title: label.trim() || null };
+  }
+  return { artist: label.slice(0, separator).trim() || null, title: label.slice(separator + 3).trim() || null };
+}
+
+function labelFromPath(filePath) {
+  const filename = path.basename(filePath.replace(/\\/g, '/'));
+  return splitLabel(filename.slice(0, filename.length - path.extname(filename).length));
+}
+
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  // m:ss or h:mm:ss
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+  const seconds = parseFloat(text);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+function parseM3u(lines) {
+  const entries = [];
+  let info = null;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) {
+      return;
+    }
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) {
+        info = { duration: parseDuration(extinf[1]), ...splitLabel(extinf[2]) };
+      }
+      return;
+    }
+
+    const filePath = locationToPath(line);
+    if (filePath) {
+      entries.push({ line: index + 1, path: filePath, ...(info || { ...labelFromPath(filePath), duration: null }) });
+    }
+    info = null;
+  });
+
+  return entries;
+}
+
+function parsePls(lines) {
+  const byNumber = new Map();
+  lines.forEach((raw, index) => {
+    const match = raw.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+    if (!match) {
+      return;
+    }
+    const number = parseInt(match[2], 10);
+    if (!byNumber.has(number)) {
+      byNumber.set(number, {});
+    }
+    const item = byNumber.get(number);
+    const field = match[1].toLowerCase();
+    item[field] = match[3];
+    if (field === 'file') {
+      item.line = index + 1;
+    }
+  });
+
+  const entries = [];
+  for (const number of [...byNumber.keys()].sort((a, b) => a - b)) {
+    const item = byNumber.get(number);
+    const filePath = item.file ? locationToPath(item.file) : null;
+    if (filePath) {
+      entries.push({
+        line: item.line,
+        path: filePath,
+        ...(item.title ? splitLabel(item.title) : labelFromPath(filePath)),
+        duration: parseDuration(item.length),
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Split one CSV line (RFC 4180 quoting; quoted line breaks aren't supported)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function parseCsv(lines) {
+  const headerIndex = lines.findIndex(line => line.trim());
+  const headers = parseCsvLine(lines[headerIndex] || '').map(header => header.trim().toLowerCase());
+  const column = (field) => headers.findIndex(header => CSV_HEADERS[field].includes(header));
+  const columns = { path: column('path'), artist: column('artist'), title: column('title'), duration: column('duration') };
+  if (columns.path === -1 && columns.title === -1) {
+    throw new PlaylistImportError('CSV needs a title or path column');
+  }
+
+  const entries = [];
+  lines.slice(headerIndex + 1).forEach((raw, index) => {
+    if (!raw.trim()) {
+      return;
+    }
+    const fields = parseCsvLine(raw);
+    const value = (field) => (columns[field] === -1 ? '' : (fields[columns[field]] || '').trim());
+    const filePath = value('path') ? locationToPath(value('path')) : null;
+    const label = filePath && !value('title') ? labelFromPath(filePath) : { artist: null, title: null };
+
+    const entry = {
+      line: headerIndex + index + 2,
+      path: filePath,
+      artist: value('artist') || label.artist,
+      title: value('title') || label.title,
+      duration: parseDuration(value('duration')),
+    };
+    if (entry.path || entry.title) {
+      entries.push(entry);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Read the entries of a playlist
+ * @param {string} content - Playlist file contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - m3u, m3u8, pls or csv (detected when left out)
+ * @returns {{format: string, name: string|null, entries: Array<Object>}} name comes from
+ *   #PLAYLIST; entries are { line, path, artist, title, duration } with path null for CSV
+ *   rows that only have tags
+ * @throws {PlaylistImportError}
+ */
+function parsePlaylist(content, { format } = {}) {
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    throw new PlaylistImportError(`format must be one of ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const detected = format || detectFormat(text);
+  const lines = text.split(/\r?\n/);
+
+  let entries;
+  if (detected === 'pls') {
+    entries = parsePls(lines);
+  } else if (detected === 'csv') {
+    entries = parseCsv(lines);
+  } else {
+    entries = parseM3u(lines);
+  }
+
+  if (entries.length === 0) {
+    throw new PlaylistImportError('Playlist has no entries');
+  }
+
+  const playlistLine = detected.startsWith('m3u') ? lines.find(line => /^#PLAYLIST:/i.test(line.trim())) : null;
+  return {
+    format: detected,
+    name: playlistLine ? playlistLine.trim().slice('#PLAYLIST:'.length).trim() || null : null,
+    entries,
+  };
+}
+
+/**
+ * Dice coefficient of two normalized strings' words (1 = same words)
+ */
+function wordSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const wordsA = a.split(' ').filter(Boolean);
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.length === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  const shared = new Set(wordsA.filter(word => wordsB.has(word))).size;
+  return (2 * shared) / (new Set(wordsA).size + wordsB.size);
+}
+
+/**
+ * Best library track for an entry's artist and title
+ * Titles count for 60% and artists for 40%; an entry without an artist is matched on the
+ * title alone, but only when exactly one track has that title
+ * @param {Object} entry - { artist, title, duration }
+ * @param {Object} lookup - From buildTagLookup()
+ * @returns {{track: Object, confidence: number}|null}
+ */
+function fuzzyMatch(entry, lookup) {
+  const title = normalizeTitle(entry.title);
+  if (!title) {
+    return null;
+  }
+  const artist = entry.artist ? normalizeArtist(entry.artist) : null;
+
+  // Same normalized title first, every track only when nothing has it
+  const candidates = lookup.byTitle.get(title) || lookup.tracks;
+  if (!artist && candidates === lookup.tracks) {
+    return null;
+  }
+
+  let best = null;
+  for (const candidate of candidates) {
+    if (entry.duration && candidate.track.duration &&
+      Math.abs(entry.duration - candidate.track.duration) > DURATION_TOLERANCE) {
+      continue;
+    }
+    const titleScore = wordSimilarity(title, candidate.title);
+    const confidence = artist ? 0.6 * titleScore + 0.4 * wordSimilarity(artist, candidate.artist) : titleScore;
+    if (confidence >= MIN_FUZZY_SCORE && (!best || confidence > best.confidence)) {
+      best = { track: candidate.track, confidence: Math.round(confidence * 100) / 100 };
+    }
+  }
+
+  if (best && !artist && candidates.length > 1) {
+    return null;
+  }
+  return best;
+}
+
+/**
+ * Normalized artists and titles of the library, for fuzzyMatch()
+ * @param {Array<Object>} library
+ */
+function buildTagLookup(library) {
+  const tracks = [];
+  const byTitle = new Map();
+  for (const track of library) {
+    const title = normalizeTitle(track.title);
+    if (!title) continue;
+    const item = { track, title, artist: normalizeArtist(track.artist) };
+    tracks.push(item);
+    if (!byTitle.has(title)) byTitle.set(title, []);
+    byTitle.get(title).push(item);
+  }
+  return { tracks, byTitle };
+}
+
+/**
+ * Match playlist entries to library tracks
+ * @param {Array<Object>} entries - From parsePlaylist()
+ * @param {Array<Object>} library - Library tracks
+ * @param {Object} [options]
+ * @param {Function} [options.resolvePath] - async (path, metadata) => path|null, e.g. pathResolver.resolvePath
+ * @param {string} [options.basePath] - Folder relative playlist paths start from
+ * @returns {Promise<Array<Object>>} One report item per entry: { line, path, artist, title,
+ *   status ('matched', 'fuzzy' or 'missing'), matchedBy ('path', 'resolved', 'tags' or null),
+ *   confidence, trackId }
+ */
+async function matchPlaylistEntries(entries, library, { resolvePath = null, basePath = null } = {}) {
+  const byPath = new Map(library.map(track => [track.filePath, track]));
+  let lookup = null;
+
+  const report = [];
+  for (const entry of entries) {
+    const item = {
+      line: entry.line,
+      path: entry.path,
+      artist: entry.artist,
+      title: entry.title,
+      status: 'missing',
+      matchedBy: null,
+      confidence: 0,
+      trackId: null,
+    };
+    report.push(item);
+
+    let filePath = entry.path;
+    if (filePath && basePath && !path.isAbsolute(filePath) && !path.win32.isAbsolute(filePath)) {
+      filePath = path.join(basePath, filePath);
+    }
+
+    let track = filePath ? byPath.get(filePath) : null;
+    if (track) {
+      Object.assign(item, { status: 'matched', matchedBy: 'path', confidence: 1, trackId: track.id });
+      continue;
+    }
+
+    if (filePath && resolvePath) {
+      const metadata = entry.title ? { artist: entry.artist, title: entry.title, duration: entry.duration } : null;
+      const resolvedPath = await resolvePath(filePath, metadata);
+      track = resolvedPath ? byPath.get(resolvedPath) : null;
+      if (track) {
+        Object.assign(item, { status: 'matched', matchedBy: 'resolved', confidence: 1, trackId: track.id });
+        continue;
+      }
+    }
+
+    lookup = lookup || buildTagLookup(library);
+    const fuzzy = fuzzyMatch(entry, lookup);
+    if (fuzzy) {
+      Object.assign(item, { status: 'fuzzy', matchedBy: 'tags', confidence: fuzzy.confidence, trackId: fuzzy.track.id });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  PlaylistImportError,
+  parsePlaylist,
+  matchPlaylistEntries,
+};
@@ -0,0 +1,299 @@
+/**
+ * Rekordbox XML export: crates (or the whole library) as a DJ_PLAYLISTS file Rekordbox can import
+ *
+ * COLLECTION holds every exported track with its tags, BPM, key and Serato markers:
+ *
+ *   hot cues     POSITION_MARK Type 0 with Num 0-7 and the cue color
+ *   saved loops  POSITION_MARK Type 4 with Num -1 (Rekordbox memory loops)
+ *   beatgrid     one TEMPO at the first grid marker
+ *
+ * PLAYLISTS mirrors the %% subcrate tree. Rekordbox folders can't hold tracks themselves, so a
+ * crate with subcrates becomes a folder whose first playlist has the crate's own tracks. Smart
+ * crates go in a "Smart Crates" folder.
+ */
+
+const pLimit = require('p-limit');
+const { formatKey } = require('@recrate/shared/keys');
+const logger = require('../utils/logger');
+const MetadataExtractor = require('../audio/metadata');
+
+const SUBCRATE_DELIMITER = '%%';
+
+const SMART_CRATES_FOLDER = 'Smart Crates';
+
+// Files read at once for Serato markers
+const MARKER_CONCURRENCY = 4;
+
+const NODE_FOLDER = 0;
+const NODE_PLAYLIST = 1;
+
+const MARK_CUE = 0;
+const MARK_LOOP = 4;
+
+/**
+ * Escape text for an XML attribute, dropping characters XML can't hold
+ */
+function xmlAttribute(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n|\r/g, '&#10;');
+}
+
+function element(name, attributes, children = null, indent = '') {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${xmlAttribute(value)}"`)
+    .join('');
+  if (!children || children.length === 0) {
+    return `${indent}<${name}${attrs}/>`;
+  }
+  return `${indent}<${name}${attrs}>\n${children.join('\n')}\n${indent}</${name}>`;
+}
+
+/**
+ * file://localhost URL Rekordbox uses for a track ("C:\Music\a b.mp3" -> file://localhost/C:/Music/a%20b.mp3)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function trackLocation(filePath) {
+  const segments = filePath.replace(/\\/g, '/').split('/').filter(Boolean);
+  const encoded = segments.map((segment, index) => (index === 0 && /^[a-z]:$/i.test(segment) ? segment : encodeURIComponent(segment)));
+  return `file://localhost/${encoded.join('/')}`;
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+function formatSeconds(seconds) {
+  return (Math.round(seconds * 1000) / 1000).toFixed(3);
+}
+
+// "#RRGGBB" -> { Red, Green, Blue }
+function rgb(color) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+  return match
+    ? { Red: parseInt(match[1], 16), Green: parseInt(match[2], 16), Blue: parseInt(match[3], 16) }
+    : {};
+}
+
+function trackElement(track, trackId, markers, indent) {
+  const children = [];
+  const bpm = track.bpm ? Number(track.bpm).toFixed(2) : null;
+
+  const gridStart = markers && markers.beatgrid && markers.beatgrid.length > 0 ? markers.beatgrid[0].position : null;
+  if (bpm && gridStart !== null && gridStart >= 0) {
+    children.push(element('TEMPO', { Inizio: formatSeconds(gridStart), Bpm: bpm, Metro: '4/4', Battito: 1 }, null, `${indent}  `));
+  }
+
+  for (const cue of (markers && markers.cues) || []) {
+    if (cue.index > 7) continue; // Rekordbox has 8 hot cues
+    children.push(element('POSITION_MARK', {
+      Name: cue.name || '',
+      Type: MARK_CUE,
+      Start: formatSeconds(cue.position),
+      Num: cue.index,
+      ...rgb(cue.color),
+    }, null, `${indent}  `));
+  }
+
+  for (const loop of (markers && markers.loops) || []) {
+    if (!(loop.end > loop.start)) continue;
+    children.push(element('POSITION_MARK', {
+      Name: loop.name || '',
+      Type: MARK_LOOP,
+      Start: formatSeconds(loop.start),
+      End: formatSeconds(loop.end),
+      Num: -1,
+    }, null, `${indent}  `));
+  }
+
+  return element('TRACK', {
+    TrackID: trackId,
+    Name: track.title || '',
+    Artist: track.artist || '',
+    Composer: track.composer || '',
+    Album: track.album || '',
+    Grouping: track.grouping || '',
+    Genre: track.genre || '',
+    Kind: track.format ? `${String(track.format).toUpperCase()} File` : null,
+    Size: track.fileSize || null,
+    TotalTime: track.duration ? Math.round(track.duration) : 0,
+    TrackNumber: track.trackNumber || null,
+    Year: track.year || null,
+    AverageBpm: bpm || '0.00',
+    DateAdded: formatDate(track.addedAt),
+    BitRate: track.bitrate ? Math.round(track.bitrate / 1000) : null,
+    SampleRate: track.sampleRate || null,
+    Comments: track.comment || '',
+    PlayCount: track.playCount || 0,
+    Location: trackLocation(track.filePath),
+    Tonality: track.key ? formatKey(track.key, 'musical') : '',
+    Label: track.label || '',
+    Colour: track.color ? `0x${track.color.replace('#', '').toUpperCase()}` : null,
+  }, children, indent);
+}
+
+/**
+ * Crate tree for the playlists, following the %% subcrate names
+ * Crates missing from the list (e.g. "House" when only "House%%Deep" exists) become folders
+ * @param {Array<Object>} crates - From parser.getAllCrates()
+ * @param {Array<string>|null} [crateIds] - Crates to export with their subcrates (null for all)
+ * @returns {Array<Object>} Nodes { name, crateId (null for folders), children }
+ */
+function buildCrateTree(crates, crateIds = null) {
+  const selected = crateIds ? crates.filter(crate => crateIds.includes(crate.id)) : crates;
+  const included = crates.filter(crate => selected.some(chosen => chosen.smart === crate.smart &&
+    (crate.fullPath === chosen.fullPath || crate.fullPath.startsWith(`${chosen.fullPath}${SUBCRATE_DELIMITER}`))));
+
+  const buildTree = (list) => {
+    const roots = [];
+    const nodes = new Map();
+    const nodeFor = (fullPath) => {
+      if (nodes.has(fullPath)) {
+        return nodes.get(fullPath);
+      }
+      const parts = fullPath.split(SUBCRATE_DELIMITER);
+      const node = { name: parts[parts.length - 1], crateId: null, children: [] };
+      nodes.set(fullPath, node);
+      (parts.length > 1 ? nodeFor(parts.slice(0, -1).join(SUBCRATE_DELIMITER)).children : roots).push(node);
+      return node;
+    };
+
+    for (const crate of [...list].sort((a, b) => a.fullPath.localeCompare(b.fullPath))) {
+      nodeFor(crate.fullPath).crateId = crate.id;
+    }
+    return roots;
+  };
+
+  const tree = buildTree(included.filter(crate => !crate.smart));
+  const smart = buildTree(included.filter(crate => crate.smart));
+  if (smart.length > 0) {
+    tree.push({ name: SMART_CRATES_FOLDER, crateId: null, children: smart });
+  }
+  return tree;
+}
+
+function playlistElement(name, trackIds, indent) {
+  return element('NODE', { Name: name, Type: NODE_PLAYLIST, KeyType: 0, Entries: trackIds.length },
+    trackIds.map(trackId => element('TRACK', { Key: trackId }, null, `${indent}  `)), indent);
+}
+
+function nodeElement(node, crateTracks, trackIds, indent) {
+  const ids = node.crateId ? (crateTracks.get(node.crateId) || []).map(track => trackIds.get(track.filePath)) : [];
+  if (node.children.length === 0) {
+    return playlistElement(node.name, ids, indent);
+  }
+
+  const children = [];
+  if (ids.length > 0) {
+    children.push(playlistElement(node.name, ids, `${indent}  `));
+  }
+  for (const child of node.children) {
+    children.push(nodeElement(child, crateTracks, trackIds, `${indent}  `));
+  }
+  return element('NODE', { Name: node.name, Type: NODE_FOLDER, Count: children.length }, children, indent);
+}
+
+/**
+ * Build the DJ_PLAYLISTS document
+ * @param {Object} data
+ * @param {Array<Object>} data.tracks - Collection tracks (library track objects)
+ * @param {Array<Object>} data.tree - From buildCrateTree()
+ * @param {Map<string, Array<Object>>} data.crateTracks - Crate ID -> tracks, in crate order
+ * @param {Map<string, Object>} [data.markers] - File path -> decoded Serato markers
+ * @param {string} [data.version] - Recrate version for the PRODUCT element
+ * @returns {string} XML
+ */
+function buildRekordboxXml({ tracks, tree, crateTracks, markers = new Map(), version = '1.0.0' }) {
+  const trackIds = new Map();
+  const collection = [];
+  for (const track of tracks) {
+    if (trackIds.has(track.filePath)) continue;
+    const trackId = trackIds.size + 1;
+    trackIds.set(track.filePath, trackId);
+    collection.push(trackElement(track, trackId, markers.get(track.filePath), '    '));
+  }
+
+  // Crate tracks outside the collection can't be referenced
+  const referenced = new Map([...crateTracks].map(([crateId, list]) => [crateId, list.filter(track => trackIds.has(track.filePath))]));
+  const playlists = tree.map(node => nodeElement(node, referenced, trackIds, '      '));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    element('DJ_PLAYLISTS', { Version: '1.0.0' }, [
+      element('PRODUCT', { Name: 'Recrate', Version: version, Company: 'Recrate' }, null, '  '),
+      element('COLLECTION', { Entries: collection.length }, collection, '  '),
+      element('PLAYLISTS', {}, [
+        element('NODE', { Type: NODE_FOLDER, Name: 'ROOT', Count: playlists.length }, playlists, '    '),
+      ], '  '),
+    ]),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Export crates, or the whole library, as Rekordbox XML
+ * With crateIds the collection holds the tracks of those crates and their subcrates; without,
+ * it holds the whole library and every crate is exported
+ * @param {SeratoParser} parser
+ * @param {Object} [options]
+ * @param {Array<string>|null} [options.crateIds] - Crates to export (null for the whole library)
+ * @param {boolean} [options.cues=true] - Read hot cues, loops and beatgrids from the files
+ * @param {MetadataExtractor} [options.metadataExtractor]
+ * @param {string} [options.version] - Recrate version for the PRODUCT element
+ * @returns {Promise<{xml: string, tracks: number, playlists: number}>}
+ * @throws {CrateNotFoundError} When a crate ID doesn't exist
+ */
+async function exportRekordboxXml(parser, { crateIds = null, cues = true, metadataExtractor = new MetadataExtractor(), version } = {}) {
+  const crates = await parser.getAllCrates();
+  for (const crateId of crateIds || []) {
+    if (!crates.some(crate => crate.id === crateId)) {
+      // parseCrate throws the CrateNotFoundError callers expect
+      await parser.parseCrate(crateId);
+    }
+  }
+
+  const tree = buildCrateTree(crates, crateIds);
+  const crateTracks = new Map();
+  const collect = async (nodes) => {
+    for (const node of nodes) {
+      if (node.crateId) {
+        crateTracks.set(node.crateId, (await parser.parseCrate(node.crateId)).tracks || []);
+      }
+      await collect(node.children);
+    }
+  };
+  await collect(tree);
+
+  const tracks = crateIds ? [...crateTracks.values()].flat() : await parser.parseLibrary();
+
+  const markers = new Map();
+  if (cues) {
+    const limit = pLimit(MARKER_CONCURRENCY);
+    const unique = [...new Set(tracks.map(track => track.filePath))];
+    await Promise.all(unique.map(filePath => limit(async () => {
+      const decoded = await metadataExtractor.extractSeratoMarkers(filePath);
+      if (decoded) {
+        markers.set(filePath, decoded);
+      }
+    })));
+  }
+
+  const xml = buildRekordboxXml({ tracks, tree, crateTracks, markers, version });
+  logger.info(`Rekordbox export: ${tracks.length} tracks, ${crateTracks.size} crates, ${markers.size} with Serato markers`);
+
+  return { xml, tracks: new Set(tracks.map(track => track.filePath)).size, playlists: crateTracks.size };
+}
+
+module.exports = {
+  buildCrateTree,
+  buildRekordboxXml,
+  exportRekordboxXml,
+  trackLocation,
+};
@@ -0,0 +1,374 @@
+/**
+ * In-memory full-text index over library tracks
+ *
+ * Text is split into words, lowercased and folded ("Beyoncé" -> "beyonce", "Røyksopp" ->
+ * "royksopp"). Each query word matches index words exactly or as a prefix ("daf" -> "daft");
+ * a word that matches nothing that way is looked up within a small edit distance ("aroudn" ->
+ * "around"). Every query word has to match for a track to be found. Scores add up the best
+ * match of each query word, weighted by the field it was found in and how close the match was.
+ *
+ * Tracks are indexed by file path - track IDs are tag hashes, so copies of a file share one.
+ */
+
+// Relevance of a match in each indexed field
+const FIELD_WEIGHTS = {
+  title: 10,
+  artist: 8,
+  album: 4,
+  genre: 3,
+  label: 2,
+  comment: 1,
+};
+
+// Match quality by edit distance (0 = exact)
+const FUZZY_QUALITY = [1, 0.5, 0.3];
+
+// Characters NFD normalization doesn't decompose
+const FOLDED_CHARS = {
+  'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i',
+};
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const APOSTROPHES = new Set(["'", '’']);
+
+/**
+ * Lowercase a character and strip its diacritics
+ */
+function foldChar(char) {
+  const lower = char.toLowerCase();
+  return FOLDED_CHARS[lower] || lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Split text into folded words with their position in the original text
+ * Apostrophes inside a word are dropped ("don't" -> "dont")
+ * @param {string} text
+ * @returns {Array<{term: string, start: number, end: number}>} end is exclusive
+ */
+function tokenize(text) {
+  const tokens = [];
+  const source = String(text ?? '');
+  let term = '';
+  let start = 0;
+  let index = 0;
+
+  for (const char of source) {
+    if (WORD_CHAR.test(char)) {
+      if (!term) start = index;
+      term += foldChar(char);
+    } else if (!(term && APOSTROPHES.has(char))) {
+      if (term) tokens.push({ term, start, end: index });
+      term = '';
+    }
+    index += char.length;
+  }
+  if (term) tokens.push({ term, start, end: index });
+
+  return tokens;
+}
+
+/**
+ * Edit distance counting a swap of two neighbouring letters as one edit (optimal string
+ * alignment), giving up once it exceeds max
+ * @returns {number} The distance, or max + 1 when it's larger than max
+ */
+function boundedDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Edit distance allowed for a query word, longer words tolerate more typos
+ */
+function allowedDistance(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+class SearchIndex {
+  /**
+   * @param {Object} [fieldWeights] - Indexed track fields and their relevance
+   */
+  constructor(fieldWeights = FIELD_WEIGHTS) {
+    this.fieldWeights = fieldWeights;
+    this.documents = new Map(); // filePath → { track, order, fields: { field: tokens } }
+    this.postings = new Map(); // term → Map(filePath → Set of fields)
+    this.sortedTerms = null; // All terms, sorted for prefix lookups (rebuilt when terms change)
+    this.nextOrder = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Replace the index contents with a library
+   * @param {Array<Object>} tracks
+   */
+  build(tracks) {
+    this.documents.clear();
+    this.postings.clear();
+    this.sortedTerms = null;
+    this.nextOrder = 0;
+
+    for (const track of tracks) {
+      this.add(track);
+    }
+  }
+
+  /**
+   * Index a track, replacing an earlier version of the same file
+   * @param {Object} track
+   */
+  add(track) {
+    const key = track.filePath;
+    const previous = this.documents.get(key);
+    if (previous) {
+      this.remove(key);
+    }
+
+    const fields = {};
+    for (const field of Object.keys(this.fieldWeights)) {
+      const tokens = tokenize(track[field]);
+      if (tokens.length === 0) continue;
+      fields[field] = tokens;
+
+      for (const { term } of tokens) {
+        let docs = this.postings.get(term);
+        if (!docs) {
+          docs = new Map();
+          this.postings.set(term, docs);
+          this.sortedTerms = null;
+        }
+        if (!docs.has(key)) {
+          docs.set(key, new Set());
+        }
+        docs.get(key).add(field);
+      }
+    }
+
+    this.documents.set(key, {
+      track,
+      order: previous ? previous.order : this.nextOrder++,
+      fields,
+    });
+  }
+
+  /**
+   * Remove a track from the index
+   * @param {string} filePath - File path of the track
+   * @returns {boolean} Whether the track was indexed
+   */
+  remove(filePath) {
+    const document = this.documents.get(filePath);
+    if (!document) {
+      return false;
+    }
+
+    for (const tokens of Object.values(document.fields)) {
+      for (const { term } of tokens) {
+        const docs = this.postings.get(term);
+        if (!docs) continue;
+        docs.delete(filePath);
+        if (docs.size === 0) {
+          this.postings.delete(term);
+          this.sortedTerms = null;
+        }
+      }
+    }
+
+    this.documents.delete(filePath);
+    return true;
+  }
+
+  /**
+   * Index terms a query word matches, with the match quality (1 = exact)
+   * @returns {Map<string, number>}
+   * @private
+   */
+  _expand(word) {
+    const matches = new Map();
+    if (this.postings.has(word)) {
+      matches.set(word, FUZZY_QUALITY[0]);
+    }
+
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+    const terms = this.sortedTerms;
+
+    // Prefix matches are a contiguous run in the sorted terms; shorter completions rank higher
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (terms[mid] < word) low = mid + 1;
+      else high = mid;
+    }
+    for (let i = low; i < terms.length && terms[i].startsWith(word); i++) {
+      if (terms[i] !== word) {
+        matches.set(terms[i], 0.5 + 0.4 * (word.length / terms[i].length));
+      }
+    }
+
+    // Typos are only considered when the word as typed finds nothing
+    const maxDistance = allowedDistance(word);
+    if (matches.size === 0 && maxDistance > 0) {
+      for (const term of terms) {
+        const distance = boundedDistance(word, term, maxDistance);
+        if (distance <= maxDistance) {
+          matches.set(term, FUZZY_QUALITY[distance]);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Best score of a phrase (consecutive words) in a document
+   * @private
+   */
+  _scorePhrase(document, expanded, fields) {
+    let best = 0;
+
+    for (const field of fields) {
+      const tokens = document.fields[field];
+      if (!tokens) continue;
+
+      for (let i = 0; i + expanded.length <= tokens.length; i++) {
+        let quality = 0;
+        for (let j = 0; j < expanded.length; j++) {
+          const match = expanded[j].get(tokens[i + j].term);
+          if (!match) {
+            quality = 0;
+            break;
+          }
+          quality += match;
+        }
+        if (quality > 0) {
+          best = Math.max(best, this.fieldWeights[field] * quality);
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Search the index
+   * @param {Array<string>} terms - Query terms; a term with several words is matched as a phrase
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] - Fields to search, defaults to all indexed fields
+   * @returns {Array<{track: Object, score: number, highlights: Object}>} Best matches first;
+   *   highlights maps field names to the [start, end) spans of matched words in the track's text
+   */
+  search(terms, { fields = Object.keys(this.fieldWeights) } = {}) {
+    const searchFields = fields.filter(field => this.fieldWeights[field]);
+    const groups = terms
+      .map(text => tokenize(text).map(token => token.term))
+      .filter(words => words.length > 0);
+
+    if (groups.length === 0 || searchFields.length === 0) {
+      return [];
+    }
+
+    const matchedTerms = new Set();
+    let scores = null; // filePath → score, narrowed down by each term
+
+    for (const words of groups) {
+      const expanded = words.map(word => this._expand(word));
+      expanded.forEach(matches => matches.forEach((_, term) => matchedTerms.add(term)));
+
+      const termScores = new Map();
+      for (const [term, quality] of expanded[0]) {
+        for (const [key, docFields] of this.postings.get(term)) {
+          if (scores && !scores.has(key)) continue;
+
+          if (words.length > 1) {
+            if (!termScores.has(key)) {
+              termScores.set(key, this._scorePhrase(this.documents.get(key), expanded, searchFields));
+            }
+            continue;
+          }
+
+          for (const field of docFields) {
+            if (!searchFields.includes(field)) continue;
+            const score = this.fieldWeights[field] * quality;
+            if (score > (termScores.get(key) || 0)) {
+              termScores.set(key, score);
+            }
+          }
+        }
+      }
+
+      const next = new Map();
+      for (const [key, score] of termScores) {
+        if (score > 0) {
+          next.set(key, (scores ? scores.get(key) : 0) + score);
+        }
+      }
+      scores = next;
+      if (scores.size === 0) {
+        return [];
+      }
+    }
+
+    return [...scores]
+      .map(([key, score]) => ({ document: this.documents.get(key), score }))
+      .sort((a, b) => b.score - a.score || a.document.order - b.document.order)
+      .map(({ document, score }) => ({
+        track: document.track,
+        score: Math.round(score * 100) / 100,
+        highlights: this._highlights(document, matchedTerms, searchFields),
+      }));
+  }
+
+  /**
+   * Spans of matched words per field
+   * @private
+   */
+  _highlights(document, matchedTerms, fields) {
+    const highlights = {};
+    for (const field of fields) {
+      const spans = (document.fields[field] || [])
+        .filter(token => matchedTerms.has(token.term))
+        .map(token => [token.start, token.end]);
+      if (spans.length > 0) {
+        highlights[field] = spans;
+      }
+    }
+    return highlights;
+  }
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  SearchIndex,
+  tokenize,
+  boundedDistance,
+};
@@ -0,0 +1,328 @@
+const path = require('path');
+const { keyId } = require('@recrate/shared/keys');
+const { trackFormat } = require('./libraryStats');
+
+/**
+ * Library search query language
+ *
+ * A query is a list of whitespace separated terms, all of which must match:
+ *
+ *   daft punk                   free text, each word in title, artist or album
+ *   "around the world"          quoted phrase
+ *   genre:house                 field contains text
+ *   artist:"daft punk"          quoted field value
+ *   key:8A,9A                   comma separated values, any of them may match; keys match in
+ *                               any notation (key:Am finds tracks tagged 8A or A minor)
+ *   bpm:120-128  year:>2015     numbers: exact, range or >, >=, <, <=
+ *   played:never  played:<30d   play history: never, last played within / more than N days ago
+ *   crate:Played                in a crate (name, or "Parent/Child" path)
+ *   -crate:Played  -remix       a leading '-' negates a term
+ *
+ * Prefixes that aren't a known field are searched as text, so titles like "Intro: Part 1"
+ * still work.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Query fields by name
+ * text fields match substrings, exact fields whole values (case-insensitive), key fields the
+ * same musical key
+ */
+const QUERY_FIELDS = {
+  title: { type: 'text', get: track => track.title },
+  artist: { type: 'text', get: track => track.artist },
+  album: { type: 'text', get: track => track.album },
+  genre: { type: 'text', get: track => track.genre },
+  comment: { type: 'text', get: track => track.comment },
+  grouping: { type: 'text', get: track => track.grouping },
+  label: { type: 'text', get: track => track.label },
+  composer: { type: 'text', get: track => track.composer },
+  filename: { type: 'text', get: track => (track.filePath ? path.basename(track.filePath) : '') },
+  key: { type: 'key', get: track => track.key },
+  format: { type: 'exact', get: track => trackFormat(track) },
+  bpm: { type: 'number', get: track => track.bpm },
+  year: { type: 'number', get: track => track.year },
+  plays: { type: 'number', get: track => track.playCount || 0 },
+  played: { type: 'played' },
+  crate: { type: 'crate' },
+};
+
+// Fields searched by free text, per `field` option of the search API
+const TEXT_FIELDS = {
+  all: ['title', 'artist', 'album'],
+  title: ['title'],
+  artist: ['artist'],
+  album: ['album'],
+};
+
+/**
+ * Query that can't be evaluated, e.g. "bpm:fast"
+ */
+class QuerySyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+  }
+}
+
+/**
+ * Split a query on whitespace outside double quotes (quotes are kept)
+ */
+function tokenize(query) {
+  const tokens = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of query) {
+    if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (/\s/.test(char) && !quoted) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) tokens.push(current);
+
+  return tokens;
+}
+
+/**
+ * Split a field value on commas outside double quotes and remove the quotes
+ */
+function splitValues(value) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of value) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+
+  return values.map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a number condition: "124", "120-128", ">2015", "<=5"
+ */
+function parseNumberCondition(field, value) {
+  const range = value.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+  if (range) {
+    const min = parseFloat(range[1]);
+    const max = parseFloat(range[2]);
+    return { op: 'range', min: Math.min(min, max), max: Math.max(min, max) };
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  if (!comparison) {
+    throw new QuerySyntaxError(`${field} needs a number, a range like 120-128 or a comparison like >120 (got "${value}")`);
+  }
+  return { op: comparison[1] || '=', value: parseFloat(comparison[2]) };
+}
+
+/**
+ * Parse a play history condition: "never", "<30d" (played within 30 days), ">365d" (last played before that)
+ */
+function parsePlayedCondition(value) {
+  const lower = value.toLowerCase();
+  if (lower === 'never') {
+    return { op: 'never' };
+  }
+
+  const match = lower.match(/^([<>])(\d+)d?$/);
+  if (!match) {
+    throw new QuerySyntaxError(`played needs "never", "<30d" or ">365d" (got "${value}")`);
+  }
+  return { op: match[1], days: parseInt(match[2], 10) };
+}
+
+/**
+ * Parse a query string
+ * @param {string} query
+ * @returns {{terms: Array<{text: string, negate: boolean}>, filters: Array<{field: string, negate: boolean, conditions: Array}>}}
+ *   Text terms and values are lowercased; filters hold parsed conditions, any of which may match
+ * @throws {QuerySyntaxError}
+ */
+function parseSearchQuery(query) {
+  const parsed = { terms: [], filters: [] };
+
+  for (let token of tokenize(String(query || ''))) {
+    let negate = false;
+    if (token.length > 1 && token.startsWith('-')) {
+      negate = true;
+      token = token.slice(1);
+    }
+
+    const match = token.match(/^([a-z]+):(.+)$/i);
+    const fieldName = match && match[1].toLowerCase();
+    const field = fieldName && QUERY_FIELDS[fieldName];
+
+    if (!field) {
+      const text = token.replace(/"/g, '').trim().toLowerCase();
+      if (text) {
+        parsed.terms.push({ text, negate });
+      }
+      continue;
+    }
+
+    const values = splitValues(match[2]);
+    if (values.length === 0) {
+      continue;
+    }
+
+    let conditions;
+    if (field.type === 'number') {
+      conditions = values.map(value => parseNumberCondition(fieldName, value));
+    } else if (field.type === 'played') {
+      conditions = values.map(parsePlayedCondition);
+    } else if (field.type === 'key') {
+      conditions = values.map(keyCondition);
+    } else {
+      conditions = values.map(value => value.toLowerCase());
+    }
+
+    parsed.filters.push({ field: fieldName, negate, conditions });
+  }
+
+  return parsed;
+}
+
+/**
+ * Comparable form of a key: the same for every notation of a key, lowercased text for keys
+ * that can't be parsed
+ */
+function keyCondition(value) {
+  return keyId(value) || String(value ?? '').toLowerCase();
+}
+
+/**
+ * Names a crate can be referred to by: its name and its path with '/' between levels
+ */
+function crateNames(crate) {
+  const names = [crate.name.toLowerCase()];
+  if (crate.fullPath) {
+    names.push(crate.fullPath.split('%%').join('/').toLowerCase());
+  }
+  return names;
+}
+
+/**
+ * Check a number against a parsed condition
+ * Exact values and ranges compare whole numbers, like Serato (a 128.6 BPM track is in 120-128)
+ */
+function matchesNumber(actual, condition) {
+  const number = typeof actual === 'number' ? actual : parseFloat(actual);
+  if (!Number.isFinite(number)) {
+    return false;
+  }
+
+  switch (condition.op) {
+    case 'range': return Math.floor(number) >= condition.min && Math.floor(number) <= condition.max;
+    case '=': return Math.floor(number) === condition.value;
+    case '>': return number > condition.value;
+    case '>=': return number >= condition.value;
+    case '<': return number < condition.value;
+    case '<=': return number <= condition.value;
+    default: return false;
+  }
+}
+
+/**
+ * Check a track's play history against a parsed condition
+ * "never" means not played since the track was added, like the never played stats
+ */
+function matchesPlayed(track, condition, now) {
+  const lastPlayed = track.lastPlayedAt ? new Date(track.lastPlayedAt).getTime() : null;
+
+  if (condition.op === 'never') {
+    return !lastPlayed || (!!track.addedAt && lastPlayed < new Date(track.addedAt).getTime());
+  }
+
+  const since = now - condition.days * DAY_MS;
+  if (condition.op === '<') {
+    return !!lastPlayed && lastPlayed >= since;
+  }
+  return !!lastPlayed && lastPlayed < since;
+}
+
+/**
+ * Check a track against one filter, ignoring negation
+ */
+function matchesFilter(track, filter, context) {
+  const field = QUERY_FIELDS[filter.field];
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(field.get(track) ?? '').toLowerCase();
+      return filter.conditions.some(value => text.includes(value));
+    }
+    case 'exact': {
+      const text = String(field.get(track) ?? '').toLowerCase();
+      return filter.conditions.includes(text);
+    }
+    case 'key':
+      return filter.conditions.includes(keyCondition(field.get(track)));
+    case 'number':
+      return filter.conditions.some(condition => matchesNumber(field.get(track), condition));
+    case 'played':
+      return filter.conditions.some(condition => matchesPlayed(track, condition, context.now));
+    case 'crate':
+      return filter.conditions.some(name => {
+        const trackIds = context.crates.get(name);
+        return !!trackIds && trackIds.has(track.id);
+      });
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a track against a parsed query
+ * @param {Object} track
+ * @param {Object} query - From parseSearchQuery()
+ * @param {Object} [context]
+ * @param {Map<string, Set<string>>} [context.crates] - Track IDs by crate name, for each crate the query names
+ * @param {string} [context.field] - Fields free text is searched in: all, title, artist or album
+ * @param {number} [context.now] - Reference time for played:<Nd
+ * @returns {boolean}
+ */
+function matchesQuery(track, query, { crates = new Map(), field = 'all', now = Date.now() } = {}) {
+  const textFields = TEXT_FIELDS[field] || TEXT_FIELDS.all;
+
+  for (const term of query.terms) {
+    const found = textFields.some(name => (
+      String(QUERY_FIELDS[name].get(track) ?? '').toLowerCase().includes(term.text)
+    ));
+    if (found === term.negate) {
+      return false;
+    }
+  }
+
+  for (const filter of query.filters) {
+    if (matchesFilter(track, filter, { crates, now }) === filter.negate) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  QuerySyntaxError,
+  tokenize,
+  parseSearchQuery,
+  crateNames,
+  matchesQuery,
+};
@@ -0,0 +1,266 @@
+/**
+ * Set builder: order a crate's tracks into a playable set
+ *
+ * The set follows a BPM curve from a start to an end tempo (a rising or falling energy journey)
+ * and every transition has to stay within the allowed BPM jump. With harmonic rules on, each
+ * next track has to be harmonically compatible with the previous one (see harmonicMixing.js):
+ *
+ *   strict   only compatible keys follow each other
+ *   relaxed  compatible keys are preferred, clashes are allowed
+ *   off      keys are ignored
+ *
+ * Tracks are picked greedily - the best scoring transition that keeps close to the curve - from
+ * a few different opening tracks, and the most complete set wins.
+ */
+
+const { KEY_SCORES, parseKey, formatCamelot, keyRelation } = require('./harmonicMixing');
+
+const HARMONIC_RULES = ['strict', 'relaxed', 'off'];
+
+const DEFAULT_MAX_BPM_JUMP = 6; // BPM
+
+// How much each part counts towards a transition score
+const WEIGHTS = {
+  key: 0.6,
+  bpm: 0.4,
+};
+
+// Picking the next track: the transition itself vs. staying on the BPM curve
+const PICK_WEIGHTS = {
+  transition: 0.7,
+  curve: 0.3,
+};
+
+// Opening tracks tried, closest to the start BPM first
+const START_CANDIDATES = 5;
+
+// Score of a transition where one of the keys is unknown
+const UNKNOWN_KEY_SCORE = 0.5;
+
+/**
+ * Constraints that can't be used, e.g. a negative BPM
+ */
+class SetBuilderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SetBuilderError';
+  }
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Validate constraints and fill in defaults
+ * @param {Object} [constraints]
+ * @param {number} [constraints.startBpm] - Tempo to open with (defaults to the slowest track)
+ * @param {number} [constraints.endBpm] - Tempo to finish on (defaults to the fastest track)
+ * @param {number} [constraints.maxBpmJump=6] - Largest BPM change between two tracks
+ * @param {string} [constraints.harmonic='strict'] - One of HARMONIC_RULES
+ * @param {number} [constraints.targetDuration] - Set length in seconds; all tracks when omitted
+ * @returns {Object} The same fields, numbers parsed, unset ones null
+ * @throws {SetBuilderError}
+ */
+function normalizeConstraints({ startBpm, endBpm, maxBpmJump, harmonic = 'strict', targetDuration } = {}) {
+  const normalized = { harmonic };
+
+  for (const [name, value] of Object.entries({ startBpm, endBpm, maxBpmJump, targetDuration })) {
+    if (value === undefined || value === null || value === '') {
+      normalized[name] = null;
+      continue;
+    }
+    normalized[name] = toNumber(value);
+    if (normalized[name] === null) {
+      throw new SetBuilderError(`${name} must be a positive number`);
+    }
+  }
+
+  if (!HARMONIC_RULES.includes(harmonic)) {
+    throw new SetBuilderError(`harmonic must be one of: ${HARMONIC_RULES.join(', ')}`);
+  }
+
+  normalized.maxBpmJump = normalized.maxBpmJump || DEFAULT_MAX_BPM_JUMP;
+  return normalized;
+}
+
+/**
+ * Track with its parsed BPM and key, so they're only parsed once
+ */
+function prepareTrack(track) {
+  return { track, bpm: toNumber(track.bpm), key: parseKey(track.key) };
+}
+
+/**
+ * Score the move from one track to the next
+ * @param {{bpm, key}} from - Track from prepareTrack
+ * @param {{bpm, key}} to - Track from prepareTrack
+ * @param {Object} constraints - Normalized constraints
+ * @returns {{allowed: boolean, score: number, bpmJump: number|null, key: Object|null}}
+ *   key is { from, to, relation } in Camelot, relation null for a clash; null when keys are ignored
+ */
+function scoreTransition(from, to, { maxBpmJump, harmonic }) {
+  let allowed = true;
+
+  const bpmJump = from.bpm && to.bpm ? Math.round(Math.abs(to.bpm - from.bpm) * 10) / 10 : null;
+  let bpmScore = 0.5;
+  if (bpmJump !== null) {
+    allowed = bpmJump <= maxBpmJump;
+    bpmScore = 1 - Math.min(bpmJump / maxBpmJump, 1) / 2;
+  }
+
+  if (harmonic === 'off') {
+    return { allowed, score: Math.round(bpmScore * 1000) / 1000, bpmJump, key: null };
+  }
+
+  let keyScore = UNKNOWN_KEY_SCORE;
+  let key = null;
+  if (from.key && to.key) {
+    const relation = keyRelation(from.key, to.key);
+    key = { from: formatCamelot(from.key), to: formatCamelot(to.key), relation };
+    keyScore = relation ? KEY_SCORES[relation] : 0;
+    if (!relation && harmonic === 'strict') {
+      allowed = false;
+    }
+  }
+
+  const score = WEIGHTS.key * keyScore + WEIGHTS.bpm * bpmScore;
+  return { allowed, score: Math.round(score * 1000) / 1000, bpmJump, key };
+}
+
+/**
+ * Greedily extend a set from an opening track
+ * @private
+ */
+function extendSet(opening, candidates, constraints, curve) {
+  const order = [opening];
+  const transitions = [];
+  const remaining = new Set(candidates.filter(item => item !== opening));
+  let duration = opening.track.duration || 0;
+
+  while (remaining.size > 0 && !(constraints.targetDuration && duration >= constraints.targetDuration)) {
+    const current = order[order.length - 1];
+    const targetBpm = curve(constraints.targetDuration
+      ? duration / constraints.targetDuration
+      : order.length / (candidates.length - 1));
+
+    let best = null;
+    for (const item of remaining) {
+      const transition = scoreTransition(current, item, constraints);
+      if (!transition.allowed) continue;
+
+      const curveFit = 1 / (1 + Math.abs(item.bpm - targetBpm) / constraints.maxBpmJump);
+      const pick = PICK_WEIGHTS.transition * transition.score + PICK_WEIGHTS.curve * curveFit;
+      if (!best || pick > best.pick) {
+        best = { item, transition, pick };
+      }
+    }
+
+    if (!best) break;
+
+    remaining.delete(best.item);
+    order.push(best.item);
+    duration += best.item.track.duration || 0;
+    transitions.push({
+      from: current.track.id,
+      to: best.item.track.id,
+      score: best.transition.score,
+      bpmJump: best.transition.bpmJump,
+      key: best.transition.key,
+    });
+  }
+
+  const score = transitions.length > 0
+    ? transitions.reduce((sum, transition) => sum + transition.score, 0) / transitions.length
+    : null;
+
+  return { order, transitions, duration, score };
+}
+
+/**
+ * Whether one candidate set is better than another: closer to the target duration (or longer
+ * when there's none), then smoother
+ * @private
+ */
+function isBetterSet(candidate, best, targetDuration) {
+  if (!best) return true;
+
+  const reach = (set) => (targetDuration ? Math.min(set.duration, targetDuration) : set.order.length);
+  if (reach(candidate) !== reach(best)) {
+    return reach(candidate) > reach(best);
+  }
+  return (candidate.score || 0) > (best.score || 0);
+}
+
+/**
+ * Build an ordered set from tracks
+ * @param {Array<Object>} tracks - Tracks to choose from, e.g. a crate's tracks
+ * @param {Object} [constraints] - See normalizeConstraints
+ * @returns {{tracks: Array<Object>, transitions: Array<Object>, score: number|null, duration: number,
+ *   constraints: Object, unused: Array<{id, title, artist, reason}>}} transitions[i] leads from
+ *   tracks[i] to tracks[i + 1]; score is the average transition score; unused reasons are
+ *   noBpm, noTransition (nothing compatible was left to move to) or duration (the set was full)
+ * @throws {SetBuilderError} When the constraints are invalid
+ */
+function buildSet(tracks, constraints = {}) {
+  const normalized = normalizeConstraints(constraints);
+
+  const seen = new Set();
+  const prepared = [];
+  const unused = [];
+  for (const track of tracks) {
+    if (seen.has(track.id)) continue;
+    seen.add(track.id);
+
+    const item = prepareTrack(track);
+    if (item.bpm) {
+      prepared.push(item);
+    } else {
+      unused.push({ id: track.id, title: track.title, artist: track.artist, reason: 'noBpm' });
+    }
+  }
+
+  const bpms = prepared.map(item => item.bpm);
+  const startBpm = normalized.startBpm || (bpms.length > 0 ? Math.min(...bpms) : null);
+  const endBpm = normalized.endBpm || (bpms.length > 0 ? Math.max(...bpms) : null);
+  const curve = (progress) => startBpm + (endBpm - startBpm) * Math.min(Math.max(progress, 0), 1);
+  const resolvedConstraints = { ...normalized, startBpm, endBpm };
+
+  let best = null;
+  const openings = [...prepared]
+    .sort((a, b) => Math.abs(a.bpm - startBpm) - Math.abs(b.bpm - startBpm))
+    .slice(0, START_CANDIDATES);
+  for (const opening of openings) {
+    const candidate = extendSet(opening, prepared, resolvedConstraints, curve);
+    if (isBetterSet(candidate, best, normalized.targetDuration)) {
+      best = candidate;
+    }
+  }
+
+  const order = best ? best.order : [];
+  const used = new Set(order);
+  const setFull = !!normalized.targetDuration && !!best && best.duration >= normalized.targetDuration;
+  for (const item of prepared) {
+    if (!used.has(item)) {
+      const { id, title, artist } = item.track;
+      unused.push({ id, title, artist, reason: setFull ? 'duration' : 'noTransition' });
+    }
+  }
+
+  return {
+    tracks: order.map(item => item.track),
+    transitions: best ? best.transitions : [],
+    score: best && best.score !== null ? Math.round(best.score * 1000) / 1000 : null,
+    duration: best ? Math.round(best.duration) : 0,
+    constraints: resolvedConstraints,
+    unused,
+  };
+}
+
+module.exports = {
+  HARMONIC_RULES,
+  SetBuilderError,
+  normalizeConstraints,
+  buildSet,
+};
@@ -0,0 +1,323 @@
+const path = require('path');
+const tlv = require('./tlv');
+
+/**
+ * Serato smart crate codec and rule evaluator
+ *
+ * Smart crates live in _Serato_/SmartCrates/*.scrate. The file starts like a regular crate
+ * (vrsn, osrt, ovct) and then holds the rule set instead of track entries:
+ *
+ *   rlut  live update (1 byte boolean)
+ *   rart  match all rules (1 = all, 0 = any)
+ *   rurt  one rule, an object containing:
+ *           trft  comparison, e.g. 'cond_con_str' (UTF-16BE)
+ *           urkt  field ID (u32, same numbering as History 'adat' fields)
+ *           trpt  text value (UTF-16BE)  or  urpt  numeric value (u32)
+ *
+ * The 'r' tags have no type prefix the TLV decoder knows, so they are decoded here.
+ * Date values are u32 UNIX timestamps in seconds.
+ */
+
+const SMART_CRATE_VERSION = '1.0/Serato ScratchLive Smart Crate';
+
+/**
+ * Rule fields by API name
+ * type decides which comparisons apply and how values are stored
+ * Remixer (20) is left out: tracks don't carry one, so its rules are kept as unknown rules
+ */
+const RULE_FIELDS = {
+  filename: { id: 4, type: 'text', get: track => (track.filePath ? path.basename(track.filePath) : '') },
+  title: { id: 6, type: 'text', get: track => track.title },
+  artist: { id: 7, type: 'text', get: track => track.artist },
+  album: { id: 8, type: 'text', get: track => track.album },
+  genre: { id: 9, type: 'text', get: track => track.genre },
+  bpm: { id: 15, type: 'number', get: track => track.bpm },
+  comment: { id: 17, type: 'text', get: track => track.comment },
+  grouping: { id: 19, type: 'text', get: track => track.grouping },
+  label: { id: 21, type: 'text', get: track => track.label },
+  composer: { id: 22, type: 'text', get: track => track.composer },
+  year: { id: 23, type: 'number', get: track => track.year },
+  added: { id: 25, type: 'date', get: track => track.addedAt },
+  key: { id: 51, type: 'text', get: track => track.key },
+  plays: { id: 79, type: 'number', get: track => track.playCount || 0 },
+};
+
+/**
+ * Serato comparison names and the operator each maps to
+ */
+const COMPARISONS = {
+  cond_con_str: { operator: 'contains', type: 'text' },
+  cond_dnc_str: { operator: 'notContains', type: 'text' },
+  cond_is_str: { operator: 'is', type: 'text' },
+  cond_isn_str: { operator: 'isNot', type: 'text' },
+  cond_bgn_str: { operator: 'startsWith', type: 'text' },
+  cond_end_str: { operator: 'endsWith', type: 'text' },
+  cond_is_int: { operator: 'is', type: 'number' },
+  cond_isn_int: { operator: 'isNot', type: 'number' },
+  cond_lt_int: { operator: 'lessThan', type: 'number' },
+  cond_gt_int: { operator: 'greaterThan', type: 'number' },
+  cond_bef_date: { operator: 'before', type: 'date' },
+  cond_aft_date: { operator: 'after', type: 'date' },
+};
+
+/**
+ * Invalid smart crate rules (from an API request) or an unusable .scrate file
+ */
+class SmartCrateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SmartCrateError';
+  }
+}
+
+/**
+ * Find the Serato comparison name for a field type + operator
+ */
+function findComparison(type, operator) {
+  return Object.keys(COMPARISONS).find(
+    name => COMPARISONS[name].type === type && COMPARISONS[name].operator === operator
+  ) || null;
+}
+
+/**
+ * Decode one 'rurt' object into { field, operator, value, fieldId, comparison }
+ * field/operator are null when Serato uses a field or comparison we don't know
+ */
+function decodeRule(buffer, entry) {
+  const fields = {};
+  for (const child of tlv.readTags(buffer, entry.dataOffset, entry.dataOffset + entry.length)) {
+    fields[child.tag] = tlv.decodeValue(buffer, child);
+  }
+
+  const fieldId = typeof fields.urkt === 'number' ? fields.urkt : null;
+  const comparison = typeof fields.trft === 'string' ? fields.trft : null;
+  const fieldName = Object.keys(RULE_FIELDS).find(name => RULE_FIELDS[name].id === fieldId) || null;
+  const known = COMPARISONS[comparison];
+
+  let value = null;
+  if (typeof fields.urpt === 'number') {
+    value = fields.urpt;
+  } else if (typeof fields.trpt === 'string') {
+    value = fields.trpt;
+  }
+
+  // Dates are exposed as ISO strings
+  if (known && known.type === 'date' && typeof value === 'number') {
+    value = new Date(value * 1000).toISOString();
+  }
+
+  return {
+    field: fieldName,
+    operator: known ? known.operator : null,
+    value,
+    fieldId,
+    comparison,
+  };
+}
+
+/**
+ * Decode the rule set of a .scrate file
+ * @param {Buffer} buffer - File contents
+ * @returns {{matchAll: boolean, liveUpdate: boolean, rules: Array<Object>}}
+ * @throws {TLVError} When the file structure is corrupt
+ */
+function decodeSmartCrate(buffer) {
+  const definition = { matchAll: true, liveUpdate: true, rules: [] };
+
+  for (const entry of tlv.readTags(buffer)) {
+    switch (entry.tag) {
+      case 'rart':
+        definition.matchAll = entry.length > 0 && entry.data[0] === 1;
+        break;
+      case 'rlut':
+        definition.liveUpdate = entry.length > 0 && entry.data[0] === 1;
+        break;
+      case 'rurt':
+        definition.rules.push(decodeRule(buffer, entry));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return definition;
+}
+
+/**
+ * Encode a number as u32 BE (clamped and rounded, Serato only stores whole numbers)
+ */
+function u32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(Math.max(0, Math.min(0xFFFFFFFF, Math.round(value))), 0);
+  return buf;
+}
+
+/**
+ * Encode a rule set as rlut, rart and rurt tags
+ * @param {{matchAll: boolean, liveUpdate: boolean, rules: Array<Object>}} definition - Normalized definition
+ * @returns {Buffer}
+ */
+function encodeSmartCrateRules(definition) {
+  const rules = definition.rules.map(rule => {
+    const field = RULE_FIELDS[rule.field];
+    const comparison = field ? findComparison(field.type, rule.operator) : rule.comparison;
+    const fieldId = field ? field.id : rule.fieldId;
+
+    const children = [
+      tlv.encodeTag('trft', tlv.encodeUTF16BE(comparison)),
+      tlv.encodeTag('urkt', u32(fieldId)),
+    ];
+
+    if (typeof rule.value === 'number') {
+      children.push(tlv.encodeTag('urpt', u32(rule.value)));
+    } else if (field && field.type === 'date') {
+      children.push(tlv.encodeTag('urpt', u32(Math.floor(Date.parse(rule.value) / 1000))));
+    } else {
+      children.push(tlv.encodeTag('trpt', tlv.encodeUTF16BE(String(rule.value ?? ''))));
+    }
+
+    return tlv.encodeTag('rurt', Buffer.concat(children));
+  });
+
+  return Buffer.concat([
+    tlv.encodeTag('rlut', Buffer.from([definition.liveUpdate ? 1 : 0])),
+    tlv.encodeTag('rart', Buffer.from([definition.matchAll ? 1 : 0])),
+    ...rules,
+  ]);
+}
+
+/**
+ * Validate a rule set from an API request
+ * Rules we couldn't decode can be sent back unchanged (fieldId + comparison) to keep them
+ * @param {Object} input - { matchAll?, liveUpdate?, rules? }
+ * @param {Object} current - Definition the missing properties are taken from
+ * @returns {{matchAll: boolean, liveUpdate: boolean, rules: Array<Object>}}
+ * @throws {SmartCrateError}
+ */
+function normalizeDefinition(input = {}, current = { matchAll: true, liveUpdate: true, rules: [] }) {
+  const { matchAll = current.matchAll, liveUpdate = current.liveUpdate, rules = current.rules } = input;
+
+  if (typeof matchAll !== 'boolean' || typeof liveUpdate !== 'boolean') {
+    throw new SmartCrateError('matchAll and liveUpdate must be booleans');
+  }
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new SmartCrateError('A smart crate needs at least one rule');
+  }
+
+  const normalized = rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new SmartCrateError(`Rule ${index + 1} must be an object`);
+    }
+
+    if (!rule.field && Number.isInteger(rule.fieldId) && typeof rule.comparison === 'string') {
+      return { field: null, operator: null, value: rule.value ?? null, fieldId: rule.fieldId, comparison: rule.comparison };
+    }
+
+    const field = RULE_FIELDS[rule.field];
+    if (!field) {
+      throw new SmartCrateError(`Rule ${index + 1}: unknown field "${rule.field}"`);
+    }
+    if (!findComparison(field.type, rule.operator)) {
+      throw new SmartCrateError(`Rule ${index + 1}: "${rule.operator}" can't be used with ${rule.field}`);
+    }
+
+    let value = rule.value;
+    if (field.type === 'number') {
+      value = value === null || value === undefined || value === '' ? NaN : Number(value);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new SmartCrateError(`Rule ${index + 1}: ${rule.field} needs a non-negative number`);
+      }
+    } else if (field.type === 'date') {
+      if (isNaN(Date.parse(value))) {
+        throw new SmartCrateError(`Rule ${index + 1}: ${rule.field} needs a date`);
+      }
+      value = new Date(value).toISOString();
+    } else if (typeof value !== 'string' || !value) {
+      throw new SmartCrateError(`Rule ${index + 1}: ${rule.field} needs a text value`);
+    }
+
+    return { field: rule.field, operator: rule.operator, value, fieldId: field.id, comparison: findComparison(field.type, rule.operator) };
+  });
+
+  return { matchAll, liveUpdate, rules: normalized };
+}
+
+/**
+ * Check a track against a single rule
+ * Rules with an unknown field or comparison never match
+ */
+function matchesRule(track, rule) {
+  const field = RULE_FIELDS[rule.field];
+  if (!field || !findComparison(field.type, rule.operator)) {
+    return false;
+  }
+
+  const actual = field.get(track);
+
+  if (field.type === 'text') {
+    const text = String(actual ?? '').toLowerCase();
+    const expected = String(rule.value ?? '').toLowerCase();
+    switch (rule.operator) {
+      case 'contains': return text.includes(expected);
+      case 'notContains': return !text.includes(expected);
+      case 'is': return text === expected;
+      case 'isNot': return text !== expected;
+      case 'startsWith': return text.startsWith(expected);
+      case 'endsWith': return text.endsWith(expected);
+      default: return false;
+    }
+  }
+
+  if (field.type === 'number') {
+    const number = typeof actual === 'number' ? actual : parseFloat(actual);
+    const expected = Number(rule.value);
+    if (!Number.isFinite(number)) {
+      return rule.operator === 'isNot';
+    }
+    switch (rule.operator) {
+      // Serato compares whole numbers (a 124.6 BPM track "is" 124)
+      case 'is': return Math.floor(number) === expected;
+      case 'isNot': return Math.floor(number) !== expected;
+      case 'lessThan': return number < expected;
+      case 'greaterThan': return number > expected;
+      default: return false;
+    }
+  }
+
+  const time = actual ? new Date(actual).getTime() : NaN;
+  const expected = Date.parse(rule.value);
+  if (isNaN(time) || isNaN(expected)) {
+    return false;
+  }
+  return rule.operator === 'before' ? time < expected : time > expected;
+}
+
+/**
+ * Filter tracks with a smart crate's rules
+ * @param {{matchAll: boolean, rules: Array<Object>}} definition
+ * @param {Array<Object>} tracks - Library tracks
+ * @returns {Array<Object>} Matching tracks, in library order
+ */
+function evaluateSmartCrate(definition, tracks) {
+  if (definition.rules.length === 0) {
+    return [];
+  }
+
+  return tracks.filter(track => (
+    definition.matchAll
+      ? definition.rules.every(rule => matchesRule(track, rule))
+      : definition.rules.some(rule => matchesRule(track, rule))
+  ));
+}
+
+module.exports = {
+  SMART_CRATE_VERSION,
+  RULE_FIELDS,
+  COMPARISONS,
+  SmartCrateError,
+  decodeSmartCrate,
+  encodeSmartCrateRules,
+  normalizeDefinition,
+  matchesRule,
+  evaluateSmartCrate,
+};
@@ -0,0 +1,339 @@
+/**
+ * Serato TLV (tag-length-value) codec
+ *
+ * Serato's database V2, .crate and History .session files are a flat sequence of
+ * tags: 4-byte ASCII name + 4-byte big-endian length + data. The first letter of
+ * the name determines the data type:
+ *
+ *   o  nested object (otrk, osrt, ovct, oent, oses) - data is more tags
+ *   t  UTF-16BE text (tsng, tart, tbpm, tvcn, ...)
+ *   p  UTF-16BE path (pfil, ptrk)
+ *   u  unsigned 32-bit integer (uadd, ulbl)
+ *   s  unsigned 16-bit integer
+ *   b  byte / boolean (bply, brev)
+ *
+ * History files wrap each entry's fields in an 'adat' tag whose children use
+ * numeric u32 field IDs instead of ASCII names (see ADAT_FIELDS).
+ */
+
+const TAG_HEADER_SIZE = 8;
+
+/**
+ * Known 'adat' field IDs in History session files
+ * type: text (UTF-16BE), u32, u8
+ */
+const ADAT_FIELDS = {
+  1: { name: 'row', type: 'u32' },
+  2: { name: 'filePath', type: 'text' },
+  3: { name: 'location', type: 'text' },
+  4: { name: 'filename', type: 'text' },
+  6: { name: 'title', type: 'text' },
+  7: { name: 'artist', type: 'text' },
+  8: { name: 'album', type: 'text' },
+  9: { name: 'genre', type: 'text' },
+  10: { name: 'length', type: 'text' },
+  11: { name: 'fileSize', type: 'text' },
+  13: { name: 'bitrate', type: 'text' },
+  14: { name: 'frequency', type: 'text' },
+  15: { name: 'bpm', type: 'text' },
+  17: { name: 'comment', type: 'text' },
+  18: { name: 'language', type: 'text' },
+  19: { name: 'grouping', type: 'text' },
+  20: { name: 'remixer', type: 'text' },
+  21: { name: 'label', type: 'text' },
+  22: { name: 'composer', type: 'text' },
+  23: { name: 'year', type: 'text' },
+  28: { name: 'startTime', type: 'u32' },
+  29: { name: 'endTime', type: 'u32' },
+  31: { name: 'deck', type: 'u32' },
+  45: { name: 'playTime', type: 'u32' },
+  48: { name: 'sessionId', type: 'u32' },
+  50: { name: 'played', type: 'u8' },
+  51: { name: 'key', type: 'text' },
+  52: { name: 'added', type: 'u8' },
+  53: { name: 'updatedAt', type: 'u32' },
+  63: { name: 'playerName', type: 'text' },
+  64: { name: 'commentName', type: 'text' },
+};
+
+/**
+ * Malformed Serato binary data
+ * offset is the absolute byte offset of the offending tag header
+ */
+class TLVError extends Error {
+  constructor(message, offset) {
+    super(`${message} at offset ${offset}`);
+    this.name = 'TLVError';
+    this.offset = offset;
+  }
+}
+
+/**
+ * Decode UTF-16BE bytes to a string (NUL characters are dropped)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeUTF16BE(buffer) {
+  let str = '';
+  for (let i = 0; i + 1 < buffer.length; i += 2) {
+    const charCode = (buffer[i] << 8) | buffer[i + 1];
+    if (charCode !== 0) {
+      str += String.fromCharCode(charCode);
+    }
+  }
+  return str;
+}
+
+/**
+ * Encode a string as UTF-16BE bytes
+ * @param {string} str
+ * @returns {Buffer}
+ */
+function encodeUTF16BE(str) {
+  const buf = Buffer.alloc(str.length * 2);
+  for (let i = 0; i < str.length; i++) {
+    buf.writeUInt16BE(str.charCodeAt(i), i * 2);
+  }
+  return buf;
+}
+
+/**
+ * Encode a single tag (name + length + data)
+ * @param {string} tag - 4-character ASCII tag name
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function encodeTag(tag, data) {
+  const header = Buffer.alloc(TAG_HEADER_SIZE);
+  header.write(tag, 0, 4, 'ascii');
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Walk tags in buffer[start, end) without decoding their data
+ * Yields { tag, offset, dataOffset, length, data } where offset is absolute
+ * @param {Buffer} buffer
+ * @param {number} start
+ * @param {number} end
+ * @throws {TLVError} On a truncated header or a length running past the end
+ */
+function* readTags(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+
+  while (offset < end) {
+    if (offset + TAG_HEADER_SIZE > end) {
+      throw new TLVError(`Truncated tag header (${end - offset} trailing bytes)`, offset);
+    }
+
+    const tag = buffer.toString('latin1', offset, offset + 4);
+    if (!/^[\x20-\x7e]{4}$/.test(tag)) {
+      throw new TLVError('Invalid tag name', offset);
+    }
+
+    const length = buffer.readUInt32BE(offset + 4);
+    const dataOffset = offset + TAG_HEADER_SIZE;
+    if (dataOffset + length > end) {
+      throw new TLVError(`Tag '${tag}' length ${length} exceeds available ${end - dataOffset} bytes`, offset);
+    }
+
+    yield {
+      tag,
+      offset,
+      dataOffset,
+      length,
+      data: buffer.subarray(dataOffset, dataOffset + length),
+    };
+
+    offset = dataOffset + length;
+  }
+}
+
+/**
+ * Walk 'adat' fields (u32 field ID + u32 length + data)
+ * @param {Buffer} buffer
+ * @param {number} start
+ * @param {number} end
+ * @throws {TLVError}
+ */
+function* readAdatFields(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+
+  while (offset < end) {
+    if (offset + TAG_HEADER_SIZE > end) {
+      throw new TLVError(`Truncated adat field header (${end - offset} trailing bytes)`, offset);
+    }
+
+    const id = buffer.readUInt32BE(offset);
+    const length = buffer.readUInt32BE(offset + 4);
+    const dataOffset = offset + TAG_HEADER_SIZE;
+    if (dataOffset + length > end) {
+      throw new TLVError(`Adat field ${id} length ${length} exceeds available ${end - dataOffset} bytes`, offset);
+    }
+
+    yield {
+      id,
+      offset,
+      length,
+      data: buffer.subarray(dataOffset, dataOffset + length),
+    };
+
+    offset = dataOffset + length;
+  }
+}
+
+/**
+ * Decode a fixed-width integer, or null when the width doesn't match
+ */
+function decodeInteger(data, width) {
+  if (data.length !== width) {
+    return null;
+  }
+  if (width === 1) return data.readUInt8(0);
+  if (width === 2) return data.readUInt16BE(0);
+  return data.readUInt32BE(0);
+}
+
+/**
+ * Decode 'adat' contents into [{ id, name, offset, value }]
+ * Unknown field IDs keep their raw Buffer as value
+ * @param {Buffer} buffer - Buffer containing the adat data
+ * @param {number} start - Absolute start offset of the adat data
+ * @param {number} end - Absolute end offset of the adat data
+ */
+function decodeAdat(buffer, start, end) {
+  const fields = [];
+
+  for (const field of readAdatFields(buffer, start, end)) {
+    const known = ADAT_FIELDS[field.id];
+    let value = field.data;
+
+    if (known && known.type === 'text') {
+      value = decodeUTF16BE(field.data);
+    } else if (known && known.type === 'u32') {
+      value = decodeInteger(field.data, 4);
+    } else if (known && known.type === 'u8') {
+      value = decodeInteger(field.data, 1);
+    }
+
+    fields.push({
+      id: field.id,
+      name: known ? known.name : null,
+      offset: field.offset,
+      value,
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * Decode the data of one tag based on its type prefix
+ * @param {Buffer} buffer - Source buffer
+ * @param {Object} entry - Entry yielded by readTags()
+ * @returns {*} string, number, Array of child nodes, or raw Buffer
+ */
+function decodeValue(buffer, entry) {
+  const { tag, data, dataOffset, length } = entry;
+
+  if (tag === 'adat') {
+    return decodeAdat(buffer, dataOffset, dataOffset + length);
+  }
+  if (tag === 'vrsn') {
+    return decodeUTF16BE(data);
+  }
+
+  switch (tag[0]) {
+    case 'o':
+      return decode(buffer, { start: dataOffset, end: dataOffset + length });
+    case 't':
+    case 'p':
+      return decodeUTF16BE(data);
+    case 'u': {
+      const value = decodeInteger(data, 4);
+      return value === null ? data : value;
+    }
+    case 's': {
+      const value = decodeInteger(data, 2);
+      return value === null ? data : value;
+    }
+    case 'b': {
+      const value = decodeInteger(data, 1);
+      return value === null ? data : value;
+    }
+    default:
+      return data;
+  }
+}
+
+/**
+ * Decode a buffer into a tree of nodes
+ * Each node: { tag, offset, length, value, data } where data is the raw (undecoded) bytes
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {number} options.start - Absolute start offset (default 0)
+ * @param {number} options.end - Absolute end offset (default buffer.length)
+ * @returns {Array<Object>}
+ * @throws {TLVError}
+ */
+function decode(buffer, { start = 0, end = buffer.length } = {}) {
+  const nodes = [];
+
+  for (const entry of readTags(buffer, start, end)) {
+    nodes.push({
+      tag: entry.tag,
+      offset: entry.offset,
+      length: entry.length,
+      value: decodeValue(buffer, entry),
+      data: entry.data,
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Collapse a list of nodes into { tag: value } (first occurrence of each tag wins)
+ * @param {Array<Object>} nodes - Nodes from decode() or decodeValue() of an 'o' tag
+ * @returns {Object}
+ */
+function toObject(nodes) {
+  const result = {};
+  for (const node of nodes) {
+    if (!(node.tag in result)) {
+      result[node.tag] = node.value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Collapse decoded 'adat' fields into { name: value } (unknown IDs keyed by number)
+ * @param {Array<Object>} fields - Fields from decodeAdat()
+ * @returns {Object}
+ */
+function adatToObject(fields) {
+  const result = {};
+  for (const field of fields) {
+    const key = field.name || field.id;
+    if (!(key in result)) {
+      result[key] = field.value;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  TLVError,
+  ADAT_FIELDS,
+  readTags,
+  readAdatFields,
+  decode,
+  decodeValue,
+  decodeAdat,
+  toObject,
+  adatToObject,
+  decodeUTF16BE,
+  encodeUTF16BE,
+  encodeTag,
+};
@@ -3,6 +3,9 @@ const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const tlv = require('./tlv');
+const smartCrates = require('./smartCrates');
+const { CrateNotFoundError } = require('./parser');
 
 /**
  * Custom error classes
@@ -35,9 +38,34 @@ class ParentCrateNotFoundError extends Error {
   }
 }
 
+class InvalidCrateMoveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCrateMoveError';
+  }
+}
+
+class InvalidTrackOrderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidTrackOrderError';
+  }
+}
+
 // Serato uses %% as delimiter for subcrate hierarchy in filenames
 const SUBCRATE_DELIMITER = '%%';
 
+// Crate entries the parser lists as tracks (see parser._parseCrateEntries) - other entries,
+// e.g. .aif or .mp4 files, are kept in place when a crate is rewritten
+const LISTED_TRACK_PATH = /\.(mp3|flac|wav|aac|m4a|ogg|aiff)$/i;
+
+// Smart crate sections that hold the rule set
+const SMART_RULE_TAGS = ['rlut', 'rart', 'rurt'];
+
+// Sidebar order file in the _Serato_ folder: UTF-16BE lines of "[crate]<fullPath>"
+const CRATE_ORDER_FILE = 'neworder.pref';
+const CRATE_ORDER_PREFIX = '[crate]';
+
 /**
  * Serato Writer - Write to Serato crate files
  * Implements full binary format for Serato ScratchLive/DJ Pro compatibility
@@ -46,6 +74,7 @@ class SeratoWriter {
   constructor(seratoPath, parser) {
     this.seratoPath = seratoPath;
     this.cratesDir = path.join(seratoPath, 'Subcrates');
+    this.smartCratesDir = path.join(seratoPath, 'SmartCrates');
     this.parser = parser;
     this.readOnly = false;
 
@@ -105,6 +134,13 @@ class SeratoWriter {
     return path.join(this.cratesDir, this.getCrateFilename(name));
   }
 
+  /**
+   * Get full path to smart crate file
+   */
+  getSmartCratePath(name) {
+    return path.join(this.smartCratesDir, `${name}.scrate`);
+  }
+
   /**
    * Create backup of crate file
    */
@@ -115,10 +151,17 @@ class SeratoWriter {
       return null; // No file to backup
     }
 
+    return this.backupFile(cratePath);
+  }
+
+  /**
+   * Copy a file next to itself with a timestamped .backup suffix
+   */
+  async backupFile(filePath) {
     const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
-    const backupPath = `${cratePath}.backup-${timestamp}`;
+    const backupPath = `${filePath}.backup-${timestamp}`;
 
-    await fs.copyFile(cratePath, backupPath);
+    await fs.copyFile(filePath, backupPath);
     logger.success(`Created backup: ${path.basename(backupPath)}`);
 
     return backupPath;
@@ -128,22 +171,14 @@ class SeratoWriter {
    * Write UTF-16 string to buffer
    */
   writeUTF16String(str) {
-    const buf = Buffer.alloc(str.length * 2);
-    for (let i = 0; i < str.length; i++) {
-      buf.writeUInt16BE(str.charCodeAt(i), i * 2);
-    }
-    return buf;
+    return tlv.encodeUTF16BE(str);
   }
 
   /**
    * Write tag with length and data
    */
   writeTag(tag, data) {
-    const tagBuf = Buffer.from(tag, 'ascii'); // 4 bytes
-    const lengthBuf = Buffer.alloc(4);
-    lengthBuf.writeUInt32BE(data.length, 0);
-
-    return Buffer.concat([tagBuf, lengthBuf, data]);
+    return tlv.encodeTag(tag, data);
   }
 
   /**
@@ -261,8 +296,22 @@ class SeratoWriter {
 
   /**
    * Build complete crate binary
+   * With `existing` (the current file contents) only the otrk entries change: vrsn, sort,
+   * columns and unknown tags are copied byte for byte, as are otrk entries for tracks that stay
+   * @param {string} crateName - Crate name
+   * @param {Array<Object>} tracks - Tracks in crate order
+   * @param {Buffer|null} existing - Current crate file, if any
    */
-  buildCrateBinary(crateName, tracks = []) {
+  buildCrateBinary(crateName, tracks = [], existing = null) {
+    if (existing) {
+      try {
+        return this._rebuildTracks(existing, tracks);
+      } catch (error) {
+        if (!(error instanceof tlv.TLVError)) throw error;
+        logger.warn(`Existing crate "${crateName}" is corrupt, rewriting it with default settings: ${error.message}`);
+      }
+    }
+
     const versionHeader = this.buildVersionHeader();
     const sortingSection = this.buildSortingSection();
     const columnsSection = this.buildColumnsSection();
@@ -276,6 +325,138 @@ class SeratoWriter {
     ]);
   }
 
+  /**
+   * Replace the otrk entries of an existing crate file, keeping everything else as-is
+   * Entries the parser doesn't list (LISTED_TRACK_PATH) keep their place among the tracks
+   * @private
+   */
+  _rebuildTracks(existing, tracks) {
+    const sections = []; // Raw top-level tags, with null where the tracks go
+    const originalEntries = new Map(); // Path key -> raw otrk buffers (several if listed twice)
+    const unlisted = []; // { position: listed entries before it, raw }
+    let listedCount = 0;
+    let tracksIndex = -1;
+
+    for (const entry of tlv.readTags(existing)) {
+      const raw = existing.subarray(entry.offset, entry.dataOffset + entry.length);
+
+      if (entry.tag !== 'otrk') {
+        sections.push(raw);
+        continue;
+      }
+
+      if (tracksIndex === -1) {
+        tracksIndex = sections.length;
+        sections.push(null);
+      }
+
+      let ptrk;
+      try {
+        ptrk = tlv.toObject(tlv.decodeValue(existing, entry)).ptrk;
+      } catch (error) {
+        if (!(error instanceof tlv.TLVError)) throw error;
+        logger.warn(`Dropping unreadable track entry: ${error.message}`);
+        continue;
+      }
+
+      if (typeof ptrk !== 'string' || !LISTED_TRACK_PATH.test(ptrk.trim())) {
+        unlisted.push({ position: listedCount, raw });
+        continue;
+      }
+
+      const key = this._trackPathKey(ptrk);
+      if (!originalEntries.has(key)) {
+        originalEntries.set(key, []);
+      }
+      originalEntries.get(key).push(raw);
+      listedCount++;
+    }
+
+    const trackBuffers = tracks.map(track => {
+      // Reuse the original entry so per-track tags Serato wrote survive
+      for (const candidate of [track.seratoPath, track.rawSeratoPath, track.filePath]) {
+        const matches = candidate && originalEntries.get(this._trackPathKey(candidate));
+        if (matches && matches.length > 0) {
+          return matches.shift();
+        }
+      }
+      return this.writeTag('otrk', this.buildTrackEntry(track));
+    });
+    unlisted.forEach(({ position, raw }, index) => {
+      trackBuffers.splice(Math.min(position + index, trackBuffers.length), 0, raw);
+    });
+
+    const tracksSection = Buffer.concat(trackBuffers);
+    if (tracksIndex === -1) {
+      sections.push(tracksSection);
+    } else {
+      sections[tracksIndex] = tracksSection;
+    }
+
+    return Buffer.concat(sections);
+  }
+
+  /**
+   * Comparable form of a track path (Serato omits the leading slash and may use backslashes)
+   * @private
+   */
+  _trackPathKey(filePath) {
+    return filePath.trim().replace(/\\/g, '/').replace(/^\/+/, '');
+  }
+
+  /**
+   * Build smart crate binary
+   * With `existing` only the rule sections are replaced, everything else is kept byte for byte
+   * @param {Object} definition - Normalized rule set ({ matchAll, liveUpdate, rules })
+   * @param {Buffer|null} existing - Current .scrate file, if any
+   */
+  buildSmartCrateBinary(definition, existing = null) {
+    const rulesSection = smartCrates.encodeSmartCrateRules(definition);
+
+    if (existing) {
+      try {
+        const sections = [];
+        let rulesIndex = -1;
+        for (const entry of tlv.readTags(existing)) {
+          if (!SMART_RULE_TAGS.includes(entry.tag)) {
+            sections.push(existing.subarray(entry.offset, entry.dataOffset + entry.length));
+          } else if (rulesIndex === -1) {
+            rulesIndex = sections.length;
+            sections.push(rulesSection);
+          }
+        }
+        if (rulesIndex === -1) {
+          sections.push(rulesSection);
+        }
+        return Buffer.concat(sections);
+      } catch (error) {
+        if (!(error instanceof tlv.TLVError)) throw error;
+        logger.warn(`Existing smart crate is corrupt, rewriting it with default settings: ${error.message}`);
+      }
+    }
+
+    return Buffer.concat([
+      this.writeTag('vrsn', this.writeUTF16String(smartCrates.SMART_CRATE_VERSION)),
+      this.buildSortingSection(),
+      this.buildColumnsSection(),
+      rulesSection,
+    ]);
+  }
+
+  /**
+   * Read the current contents of a crate file, or null if it doesn't exist
+   */
+  async readCrateFile(cratePath) {
+    try {
+      return await fs.readFile(cratePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Write file atomically (temp file + rename)
    */
@@ -319,7 +500,7 @@ class SeratoWriter {
     if (parentId) {
       // Look up parent crate to get its fullPath
       const parentCrate = await this.parser.getCrateById(parentId);
-      if (!parentCrate) {
+      if (!parentCrate || parentCrate.smart) {
         throw new ParentCrateNotFoundError(`Parent crate not found: ${parentId}`);
       }
       parentPath = parentCrate.fullPath;
@@ -343,13 +524,15 @@ class SeratoWriter {
     // Write atomically
     await this.writeAtomic(cratePath, crateData);
 
-    // Invalidate parser cache
-    this.parser.invalidateCache();
+    // A new crate only changes the crate list - the library and track caches stay warm
+    const id = this.parser.slugify(fullPath);
+    this.parser.invalidateCache('crates-list');
+    this.parser.invalidateCache(`crate-${id}`);
 
     logger.success(`Created crate: ${fullPath}`);
 
     return {
-      id: this.parser.slugify(fullPath),
+      id,
       name,
       fullPath,
       parentId: parentId,
@@ -360,6 +543,145 @@ class SeratoWriter {
     };
   }
 
+  /**
+   * Create a smart crate (optionally under another smart crate)
+   * @param {string} name - Crate name
+   * @param {Object} definition - { matchAll?, liveUpdate?, rules }
+   * @param {string|null} parentId - Parent smart crate ID
+   * @throws {SmartCrateError} When the rules are invalid
+   */
+  async createSmartCrate(name, definition, parentId = null) {
+    this.checkReadOnly();
+    this.validateCrateName(name);
+    const rules = smartCrates.normalizeDefinition(definition);
+
+    let fullPath = name;
+    let parentPath = null;
+    let depth = 0;
+
+    if (parentId) {
+      const parentCrate = await this.parser.getCrateById(parentId);
+      if (!parentCrate || !parentCrate.smart) {
+        throw new ParentCrateNotFoundError(`Parent smart crate not found: ${parentId}`);
+      }
+      parentPath = parentCrate.fullPath;
+      fullPath = `${parentCrate.fullPath}${SUBCRATE_DELIMITER}${name}`;
+      depth = parentCrate.depth + 1;
+    }
+
+    const cratePath = this.getSmartCratePath(fullPath);
+    if (fsSync.existsSync(cratePath)) {
+      throw new CrateExistsError(`Smart crate "${fullPath}" already exists`);
+    }
+
+    logger.info(`Creating smart crate: ${fullPath} (${rules.rules.length} rules)`);
+
+    await fs.mkdir(this.smartCratesDir, { recursive: true });
+    await this.writeAtomic(cratePath, this.buildSmartCrateBinary(rules));
+
+    this.parser.invalidateCache('crates-list');
+
+    logger.success(`Created smart crate: ${fullPath}`);
+
+    return {
+      id: this.parser.smartCrateId(fullPath),
+      name,
+      fullPath,
+      parentId,
+      parentPath,
+      depth,
+      smart: true,
+      rules,
+    };
+  }
+
+  /**
+   * Change a smart crate's rules and/or name (smart subcrates are renamed with it)
+   * @param {string} crateId - Smart crate ID
+   * @param {Object} changes - { name?, matchAll?, liveUpdate?, rules? }
+   * @returns {Promise<{crate: Object, renamed: Array<Object>, backups: Array<string>}>}
+   * @throws {SmartCrateError} When the rules are invalid or the crate isn't a smart crate
+   */
+  async updateSmartCrate(crateId, { name, matchAll, liveUpdate, rules } = {}) {
+    this.checkReadOnly();
+
+    const crate = await this.parser.getCrateById(crateId);
+    if (!crate) {
+      throw new CrateNotFoundError(`Crate not found: ${crateId}`);
+    }
+    if (!crate.smart) {
+      throw new smartCrates.SmartCrateError(`"${crate.name}" is not a smart crate`);
+    }
+
+    const backups = [];
+    let renamed = [];
+    let fullPath = crate.fullPath;
+
+    if (matchAll !== undefined || liveUpdate !== undefined || rules !== undefined) {
+      const cratePath = this.getSmartCratePath(fullPath);
+      const existing = await this.readCrateFile(cratePath);
+      const definition = smartCrates.normalizeDefinition({ matchAll, liveUpdate, rules }, crate.rules);
+
+      if (existing) {
+        backups.push(await this.backupFile(cratePath));
+      }
+      await this.writeAtomic(cratePath, this.buildSmartCrateBinary(definition, existing));
+      logger.success(`Updated rules of smart crate: ${fullPath}`);
+    }
+
+    if (name !== undefined && name !== crate.name) {
+      this.validateCrateName(name);
+      if (name.includes(SUBCRATE_DELIMITER)) {
+        throw new Error(`Crate name cannot contain "${SUBCRATE_DELIMITER}"`);
+      }
+
+      fullPath = crate.parentPath ? `${crate.parentPath}${SUBCRATE_DELIMITER}${name}` : name;
+      if (fsSync.existsSync(this.getSmartCratePath(fullPath))) {
+        throw new CrateExistsError(`Smart crate "${fullPath}" already exists`);
+      }
+
+      const allCrates = await this.parser.getAllCrates();
+      renamed = allCrates
+        .filter(c => c.smart && this._isInSubtree(c.fullPath, crate.fullPath))
+        .map(c => {
+          const newFullPath = fullPath + c.fullPath.slice(crate.fullPath.length);
+          return {
+            oldId: c.id,
+            newId: this.parser.smartCrateId(newFullPath),
+            oldFullPath: c.fullPath,
+            newFullPath,
+          };
+        });
+
+      for (const move of renamed) {
+        await fs.rename(this.getSmartCratePath(move.oldFullPath), this.getSmartCratePath(move.newFullPath));
+      }
+      logger.success(`Renamed smart crate "${crate.fullPath}" -> "${fullPath}"`);
+    }
+
+    this.parser.invalidateCache('crates-list');
+    this.parser.invalidateCache(`crate-${crateId}`);
+    for (const move of renamed) {
+      this.parser.invalidateCache(`crate-${move.oldId}`);
+    }
+
+    return {
+      crate: await this.parser.getCrateById(this.parser.smartCrateId(fullPath)),
+      renamed,
+      backups,
+    };
+  }
+
+  /**
+   * Reject track edits on smart crates (their tracks come from the rules)
+   * @private
+   */
+  _assertNotSmart(crate) {
+    if (crate.smart) {
+      throw new smartCrates.SmartCrateError(`Tracks in smart crate "${crate.name}" come from its rules and can't be edited`);
+    }
+  }
+
   /**
    * Add tracks to a crate
    */
@@ -370,6 +692,7 @@ class SeratoWriter {
 
     // Parse existing crate
     const crate = await this.parser.parseCrate(crateId);
+    this._assertNotSmart(crate);
     const crateFullPath = crate.fullPath || crate.name;
     const cratePath = this.getCratePath(crateFullPath);
 
@@ -402,11 +725,11 @@ class SeratoWriter {
       }
     }
 
-    // Combine existing and new tracks
-    const allTracks = [...crate.tracks, ...newTracks];
+    // Combine existing (including tracks missing from the library) and new tracks
+    const allTracks = [...this._withMissingTracks(crate.tracks, crate.missingTracks), ...newTracks];
 
     // Build updated crate
-    const crateData = this.buildCrateBinary(crate.name, allTracks);
+    const crateData = this.buildCrateBinary(crate.name, allTracks, await this.readCrateFile(cratePath));
 
     // Write atomically
     await this.writeAtomic(cratePath, crateData);
@@ -424,6 +747,130 @@ class SeratoWriter {
     };
   }
 
+  /**
+   * Create a crate holding the tracks of a History session, in played order
+   * Entries that don't resolve to a library track are reported instead of added,
+   * and a track played more than once is only added at its first play
+   * @param {string} sessionId - History session ID
+   * @param {Object} options
+   * @param {string} [options.name] - Crate name (defaults to "Set YYYY-MM-DD" from the session start,
+   *   or "Set <session ID>" without one, numbered " (2)", " (3)"... when that crate already exists)
+   * @param {string|null} [options.color] - Optional color
+   * @param {string|null} [options.parentId] - Optional parent crate ID, e.g. a "Gigs" crate
+   * @returns {Promise<{crate: Object, added: number, unresolved: Array<Object>, repeated: Array<Object>}>}
+   */
+  async createCrateFromHistorySession(sessionId, { name, color = null, parentId = null } = {}) {
+    this.checkReadOnly();
+
+    const session = await this.parser.getHistorySession(sessionId);
+
+    const trackIds = [];
+    const unresolved = [];
+    const repeated = [];
+    for (const entry of session.tracks) {
+      if (!entry.resolved) {
+        unresolved.push({ position: entry.position, title: entry.title, artist: entry.artist, filePath: entry.filePath });
+      } else if (trackIds.includes(entry.trackId)) {
+        repeated.push({ position: entry.position, trackId: entry.trackId });
+      } else {
+        trackIds.push(entry.trackId);
+      }
+    }
+
+    const crate = name
+      ? await this.createCrate(name, color, parentId)
+      : await this._createNumberedCrate(this._defaultSessionCrateName(session), color, parentId);
+    if (trackIds.length > 0) {
+      await this.addTracksToCrate(crate.id, trackIds);
+    }
+
+    logger.success(`Created crate "${crate.fullPath}" from session ${sessionId} (${trackIds.length} tracks, ${unresolved.length} unresolved)`);
+
+    return {
+      crate: { ...crate, trackCount: trackIds.length },
+      added: trackIds.length,
+      unresolved,
+      repeated,
+    };
+  }
+
+  /**
+   * Create a crate holding tracks in a given order, e.g. a set from the set builder
+   * Every track is checked before the crate is created, so a bad ID doesn't leave an empty crate
+   * @param {Array<string>} trackIds - Track IDs in set order (repeats are added once)
+   * @param {Object} options
+   * @param {string} options.name - Crate name
+   * @param {string|null} [options.color] - Optional color
+   * @param {string|null} [options.parentId] - Optional parent crate ID
+   * @returns {Promise<{crate: Object, added: number}>}
+   * @throws {TrackNotFoundError} When a track isn't in the library
+   */
+  async createCrateFromTracks(trackIds, { name, color = null, parentId = null } = {}) {
+    this.checkReadOnly();
+
+    const uniqueIds = [...new Set(trackIds)];
+    for (const trackId of uniqueIds) {
+      if (!(await this.parser.getTrackById(trackId))) {
+        throw new TrackNotFoundError(`Track not found: ${trackId}`);
+      }
+    }
+
+    const crate = await this.createCrate(name, color, parentId);
+    if (uniqueIds.length > 0) {
+      await this.addTracksToCrate(crate.id, uniqueIds);
+    }
+
+    logger.success(`Created crate "${crate.fullPath}" with ${uniqueIds.length} tracks`);
+
+    return {
+      crate: { ...crate, trackCount: uniqueIds.length },
+      added: uniqueIds.length,
+    };
+  }
+
+  /**
+   * Default crate name for a History session, from its start date or else its name or ID
+   * @private
+   */
+  _defaultSessionCrateName(session) {
+    const date = this._formatSessionDate(session.startTime);
+    if (date) {
+      return `Set ${date}`;
+    }
+    return session.name || `Set ${session.id}`;
+  }
+
+  /**
+   * Create a crate, numbering the name " (2)", " (3)"... until it doesn't clash with an existing crate
+   * @private
+   */
+  async _createNumberedCrate(name, color, parentId) {
+    for (let number = 1; ; number++) {
+      try {
+        return await this.createCrate(number === 1 ? name : `${name} (${number})`, color, parentId);
+      } catch (error) {
+        if (!(error instanceof CrateExistsError)) throw error;
+      }
+    }
+  }
+
+  /**
+   * Local YYYY-MM-DD of a session start, so a set that ran past midnight keeps its evening date
+   * @returns {string|null} Null when the session has no valid start time
+   * @private
+   */
+  _formatSessionDate(startTime) {
+    if (!startTime) {
+      return null;
+    }
+    const date = new Date(startTime);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
   /**
    * Remove track from crate
    */
@@ -434,22 +881,24 @@ class SeratoWriter {
 
     // Parse existing crate
     const crate = await this.parser.parseCrate(crateId);
+    this._assertNotSmart(crate);
     const crateFullPath = crate.fullPath || crate.name;
     const cratePath = this.getCratePath(crateFullPath);
 
     // Backup existing crate
     await this.backupCrate(crateFullPath);
 
-    // Remove track
-    const updatedTracks = crate.tracks.filter(t => t.id !== trackId);
+    // Remove track (tracks missing from the library have no ID and are kept)
+    const entries = this._withMissingTracks(crate.tracks, crate.missingTracks);
+    const updatedTracks = entries.filter(t => t.id !== trackId);
 
-    if (updatedTracks.length === crate.tracks.length) {
+    if (updatedTracks.length === entries.length) {
       logger.warn(`Track ${trackId} not found in crate`);
       return { removed: false };
     }
 
     // Build updated crate
-    const crateData = this.buildCrateBinary(crate.name, updatedTracks);
+    const crateData = this.buildCrateBinary(crate.name, updatedTracks, await this.readCrateFile(cratePath));
 
     // Write atomically
     await this.writeAtomic(cratePath, crateData);
@@ -466,6 +915,263 @@ class SeratoWriter {
     };
   }
 
+  /**
+   * Reorder the tracks of a crate
+   * Tracks that aren't in the library stay at their original positions in the file
+   * @param {string} crateId - Crate to reorder
+   * @param {Object} order
+   * @param {Array<string>} [order.trackIds] - Every track ID of the crate, in the new order
+   * @param {Array<{from: number, to: number}>} [order.moves] - Index moves applied one after another
+   * @returns {Promise<Object>} { trackIds } in the new order
+   */
+  async reorderCrate(crateId, { trackIds, moves } = {}) {
+    this.checkReadOnly();
+
+    const crate = await this.parser.parseCrate(crateId);
+    this._assertNotSmart(crate);
+    const crateFullPath = crate.fullPath || crate.name;
+    const cratePath = this.getCratePath(crateFullPath);
+
+    const orderedTracks = trackIds
+      ? this._orderByTrackIds(crate.tracks, trackIds)
+      : this._applyMoves(crate.tracks, moves);
+
+    logger.info(`Reordering ${orderedTracks.length} tracks in crate: ${crateFullPath}`);
+
+    // Backup existing crate
+    await this.backupCrate(crateFullPath);
+
+    // Build updated crate
+    const crateData = this.buildCrateBinary(
+      crate.name,
+      this._withMissingTracks(orderedTracks, crate.missingTracks),
+      await this.readCrateFile(cratePath)
+    );
+
+    // Write atomically
+    await this.writeAtomic(cratePath, crateData);
+
+    // Invalidate cache
+    this.parser.invalidateCache(`crate-${crateId}`);
+
+    logger.success(`Reordered crate: ${crateFullPath}`);
+
+    return {
+      trackIds: orderedTracks.map(t => t.id),
+    };
+  }
+
+  /**
+   * Arrange tracks to match a full list of track IDs (duplicates allowed, matched by count)
+   * @private
+   */
+  _orderByTrackIds(tracks, trackIds) {
+    if (!Array.isArray(trackIds) || trackIds.length !== tracks.length) {
+      throw new InvalidTrackOrderError(`Expected ${tracks.length} track IDs, got ${Array.isArray(trackIds) ? trackIds.length : 0}`);
+    }
+
+    const available = new Map();
+    for (const track of tracks) {
+      if (!available.has(track.id)) {
+        available.set(track.id, []);
+      }
+      available.get(track.id).push(track);
+    }
+
+    return trackIds.map((trackId) => {
+      const matches = available.get(trackId);
+      if (!matches || matches.length === 0) {
+        throw new InvalidTrackOrderError(`Track ${trackId} is not in the crate (or listed too many times)`);
+      }
+      return matches.shift();
+    });
+  }
+
+  /**
+   * Apply index moves ({ from, to }) to a copy of the track list
+   * @private
+   */
+  _applyMoves(tracks, moves) {
+    if (!Array.isArray(moves) || moves.length === 0) {
+      throw new InvalidTrackOrderError('trackIds or moves is required');
+    }
+
+    const ordered = [...tracks];
+    for (const { from, to } of moves) {
+      if (!Number.isInteger(from) || !Number.isInteger(to) ||
+          from < 0 || to < 0 || from >= ordered.length || to >= ordered.length) {
+        throw new InvalidTrackOrderError(`Invalid move from ${from} to ${to} (crate has ${ordered.length} tracks)`);
+      }
+      const [track] = ordered.splice(from, 1);
+      ordered.splice(to, 0, track);
+    }
+    return ordered;
+  }
+
+  /**
+   * Put tracks that couldn't be resolved back at their original positions
+   * @param {Array<Object>} tracks - Library tracks in crate order
+   * @param {Array<Object>} missingTracks - { position, seratoPath, filePath } from parseCrate
+   * @private
+   */
+  _withMissingTracks(tracks, missingTracks = []) {
+    const entries = [...tracks];
+    for (const missing of [...missingTracks].sort((a, b) => a.position - b.position)) {
+      entries.splice(Math.min(missing.position, entries.length), 0, {
+        seratoPath: missing.seratoPath,
+        filePath: missing.filePath,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Point every crate entry for some files at another copy of the track, e.g. to merge duplicates
+   * Entries keep their positions; where a crate already holds the kept copy, the replaced entries
+   * are dropped instead. Smart crates follow their rules and aren't touched.
+   * @param {string} keepPath - File path of the copy to keep
+   * @param {Array<string>} replacePaths - File paths of the copies whose references move to keepPath
+   * @returns {Promise<{crates: Array<{id, name, replaced: number, removed: number}>, replaced: number}>}
+   * @throws {TrackNotFoundError} When a file isn't in the library
+   */
+  async replaceTrackReferences(keepPath, replacePaths) {
+    this.checkReadOnly();
+
+    const library = await this.parser.parseLibrary();
+    const findTrack = (filePath) => {
+      const track = library.find(t => t.filePath === filePath);
+      if (!track) {
+        throw new TrackNotFoundError(`Track not found: ${filePath}`);
+      }
+      return track;
+    };
+
+    const keep = findTrack(keepPath);
+    const replaced = new Set(replacePaths.filter(filePath => filePath !== keepPath));
+    for (const filePath of replaced) {
+      findTrack(filePath);
+    }
+
+    logger.info(`Replacing references to ${replaced.size} copies with ${keepPath}`);
+
+    const updatedCrates = [];
+    for (const listed of await this.parser.getAllCrates()) {
+      if (listed.smart) continue;
+
+      const crate = await this.parser.parseCrate(listed.id);
+      if (!crate.tracks.some(t => replaced.has(t.filePath))) continue;
+
+      let hasKeep = crate.tracks.some(t => t.filePath === keepPath);
+      let replacedCount = 0;
+      let removedCount = 0;
+      const updatedTracks = [];
+      for (const track of crate.tracks) {
+        if (!replaced.has(track.filePath)) {
+          updatedTracks.push(track);
+        } else if (hasKeep) {
+          removedCount++;
+        } else {
+          updatedTracks.push(keep);
+          hasKeep = true;
+          replacedCount++;
+        }
+      }
+
+      const crateFullPath = crate.fullPath || crate.name;
+      const cratePath = this.getCratePath(crateFullPath);
+      await this.backupCrate(crateFullPath);
+
+      const crateData = this.buildCrateBinary(
+        crate.name,
+        this._withMissingTracks(updatedTracks, crate.missingTracks),
+        await this.readCrateFile(cratePath)
+      );
+      await this.writeAtomic(cratePath, crateData);
+
+      this.parser.invalidateCache(`crate-${crate.id}`);
+      updatedCrates.push({ id: crate.id, name: crateFullPath, replaced: replacedCount, removed: removedCount });
+    }
+
+    if (updatedCrates.length > 0) {
+      this.parser.invalidateCache('crates-list'); // Track counts change when entries are dropped
+    }
+
+    logger.success(`Replaced references in ${updatedCrates.length} crates`);
+
+    return {
+      crates: updatedCrates,
+      replaced: updatedCrates.reduce((sum, crate) => sum + crate.replaced + crate.removed, 0),
+    };
+  }
+
+  /**
+   * Point crate entries for a missing file at a file in the library
+   * The new path is also remembered as a path resolution (like PUT /api/library/resolutions), so
+   * the Serato database entry for the old path resolves to it right away. A crate that already holds the new file loses
+   * the missing entry instead of listing the file twice.
+   * @param {string} originalPath - Missing file path, as reported by parser.getMissingTracks()
+   * @param {string} newPath - File path of a library track
+   * @returns {Promise<{crates: Array<{id, name, relinked: number, removed: number}>, relinked: number}>}
+   * @throws {TrackNotFoundError} When newPath isn't in the library
+   */
+  async relinkTrack(originalPath, newPath) {
+    this.checkReadOnly();
+
+    const library = await this.parser.parseLibrary();
+    const track = library.find(t => t.filePath === newPath);
+    if (!track) {
+      throw new TrackNotFoundError(`Track not found: ${newPath}`);
+    }
+
+    logger.info(`Relinking ${originalPath} -> ${newPath}`);
+
+    const updatedCrates = [];
+    for (const listed of await this.parser.getAllCrates()) {
+      if (listed.smart) continue;
+
+      const crate = await this.parser.parseCrate(listed.id);
+      if (!crate.missingTracks.some(missing => missing.filePath === originalPath)) continue;
+
+      let hasTrack = crate.tracks.some(t => t.filePath === newPath);
+      let relinkedCount = 0;
+      let removedCount = 0;
+      const updatedTracks = [];
+      for (const entry of this._withMissingTracks(crate.tracks, crate.missingTracks)) {
+        if (entry.id || entry.filePath !== originalPath) {
+          updatedTracks.push(entry);
+        } else if (hasTrack) {
+          removedCount++;
+        } else {
+          updatedTracks.push(track);
+          hasTrack = true;
+          relinkedCount++;
+        }
+      }
+
+      const crateFullPath = crate.fullPath || crate.name;
+      const cratePath = this.getCratePath(crateFullPath);
+      await this.backupCrate(crateFullPath);
+
+      const crateData = this.buildCrateBinary(crate.name, updatedTracks, await this.readCrateFile(cratePath));
+      await this.writeAtomic(cratePath, crateData);
+
+      this.parser.invalidateCache(`crate-${crate.id}`);
+      updatedCrates.push({ id: crate.id, name: crateFullPath, relinked: relinkedCount, removed: removedCount });
+    }
+
+    await this.parser.setPathResolution(originalPath, newPath);
+    if (updatedCrates.length > 0) {
+      this.parser.invalidateCache('crates-list');
+    }
+
+    logger.success(`Relinked ${originalPath} in ${updatedCrates.length} crates`);
+
+    return {
+      crates: updatedCrates,
+      relinked: updatedCrates.reduce((sum, crate) => sum + crate.relinked, 0),
+    };
+  }
+
   /**
    * Delete a crate
    */
@@ -474,13 +1180,16 @@ class SeratoWriter {
 
     logger.info(`Deleting crate: ${crateId}`);
 
-    // Parse crate to get name
-    const crate = await this.parser.parseCrate(crateId);
+    // Look up the crate to get its file (smart crates live in SmartCrates/)
+    const crate = await this.parser.getCrateById(crateId);
+    if (!crate) {
+      throw new CrateNotFoundError(`Crate not found: ${crateId}`);
+    }
     const crateFullPath = crate.fullPath || crate.name;
-    const cratePath = this.getCratePath(crateFullPath);
+    const cratePath = crate.smart ? this.getSmartCratePath(crateFullPath) : this.getCratePath(crateFullPath);
 
     // Backup before deleting
-    const backupPath = await this.backupCrate(crateFullPath);
+    const backupPath = await this.backupFile(cratePath);
 
     // Delete crate file
     await fs.unlink(cratePath);
@@ -495,6 +1204,184 @@ class SeratoWriter {
       backup: backupPath,
     };
   }
+
+  /**
+   * Rename a crate and/or move it under a different parent
+   * The crate's whole %% subtree moves with it and neworder.pref is rewritten to match
+   * @param {string} crateId - Crate to rename
+   * @param {Object} changes
+   * @param {string} [changes.name] - New display name (defaults to the current name)
+   * @param {string|null} [changes.parentId] - New parent crate ID, null for root (omit to keep the current parent)
+   * @returns {Promise<Object>} { crate, renamed: [{ oldId, newId, oldFullPath, newFullPath }], backups }
+   */
+  async renameCrate(crateId, { name, parentId } = {}) {
+    this.checkReadOnly();
+
+    const crate = await this.parser.getCrateById(crateId);
+    if (!crate) {
+      throw new CrateNotFoundError(`Crate not found: ${crateId}`);
+    }
+
+    if (crate.smart) {
+      if (parentId !== undefined && parentId !== crate.parentId) {
+        throw new InvalidCrateMoveError('Smart crates cannot be moved');
+      }
+      return this.updateSmartCrate(crateId, { name });
+    }
+
+    const newName = name === undefined ? crate.name : name;
+    this.validateCrateName(newName);
+    if (newName.includes(SUBCRATE_DELIMITER)) {
+      throw new Error(`Crate name cannot contain "${SUBCRATE_DELIMITER}"`);
+    }
+
+    // Resolve the new parent (undefined keeps the current one)
+    let parentPath = crate.parentPath;
+    if (parentId !== undefined) {
+      parentPath = null;
+      if (parentId) {
+        const parentCrate = await this.parser.getCrateById(parentId);
+        if (!parentCrate || parentCrate.smart) {
+          throw new ParentCrateNotFoundError(`Parent crate not found: ${parentId}`);
+        }
+        parentPath = parentCrate.fullPath;
+      }
+    }
+
+    const oldFullPath = crate.fullPath;
+    const newFullPath = parentPath ? `${parentPath}${SUBCRATE_DELIMITER}${newName}` : newName;
+
+    if (parentPath && this._isInSubtree(parentPath, oldFullPath)) {
+      throw new InvalidCrateMoveError('Cannot move a crate into itself or one of its subcrates');
+    }
+
+    if (newFullPath === oldFullPath) {
+      return { crate, renamed: [], backups: [] };
+    }
+
+    // The crate and every descendant move together
+    const allCrates = await this.parser.getAllCrates();
+    const subtree = allCrates.filter(c => !c.smart && this._isInSubtree(c.fullPath, oldFullPath));
+    const moves = subtree.map(c => ({
+      oldFullPath: c.fullPath,
+      newFullPath: newFullPath + c.fullPath.slice(oldFullPath.length),
+      oldId: c.id,
+    }));
+
+    // Refuse to overwrite crates outside the subtree
+    const movingPaths = new Set(moves.map(m => m.oldFullPath.toLowerCase()));
+    for (const move of moves) {
+      if (!movingPaths.has(move.newFullPath.toLowerCase()) && fsSync.existsSync(this.getCratePath(move.newFullPath))) {
+        throw new CrateExistsError(`Crate "${move.newFullPath}" already exists`);
+      }
+    }
+
+    logger.info(`Renaming crate "${oldFullPath}" -> "${newFullPath}" (${moves.length} crate file${moves.length !== 1 ? 's' : ''})`);
+
+    // Backup everything that is about to change
+    const backups = [];
+    for (const move of moves) {
+      backups.push(await this.backupCrate(move.oldFullPath));
+    }
+    const orderPath = path.join(this.seratoPath, CRATE_ORDER_FILE);
+    const orderBackup = fsSync.existsSync(orderPath) ? await this.backupFile(orderPath) : null;
+    if (orderBackup) {
+      backups.push(orderBackup);
+    }
+
+    // Rename the files, rolling back on the first failure so the subtree never ends up split
+    const completed = [];
+    try {
+      for (const move of moves) {
+        await fs.rename(this.getCratePath(move.oldFullPath), this.getCratePath(move.newFullPath));
+        completed.push(move);
+      }
+      await this.updateCrateOrder(new Map(moves.map(m => [m.oldFullPath, m.newFullPath])));
+    } catch (error) {
+      logger.error(`Rename failed, restoring ${completed.length} crate file(s): ${error.message}`);
+      for (const move of completed.reverse()) {
+        try {
+          await fs.rename(this.getCratePath(move.newFullPath), this.getCratePath(move.oldFullPath));
+        } catch (restoreError) {
+          logger.error(`Could not restore ${move.oldFullPath}: ${restoreError.message}`);
+        }
+      }
+      if (orderBackup) {
+        await fs.copyFile(orderBackup, orderPath).catch(() => {});
+      }
+      throw error;
+    }
+
+    // Invalidate cache
+    this.parser.invalidateCache('crates-list');
+    for (const move of moves) {
+      this.parser.invalidateCache(`crate-${move.oldId}`);
+      this.parser.invalidateCache(`crate-${this.parser.slugify(move.newFullPath)}`);
+    }
+
+    const renamed = moves.map(move => ({
+      oldId: move.oldId,
+      newId: this.parser.slugify(move.newFullPath),
+      oldFullPath: move.oldFullPath,
+      newFullPath: move.newFullPath,
+    }));
+
+    logger.success(`Renamed crate "${oldFullPath}" -> "${newFullPath}"`);
+
+    return {
+      crate: await this.parser.getCrateById(this.parser.slugify(newFullPath)),
+      renamed,
+      backups,
+    };
+  }
+
+  /**
+   * Rewrite crate paths in neworder.pref (Serato's sidebar order)
+   * Entries for descendants of a renamed crate are rewritten too; the file is left alone if missing
+   * @param {Map<string, string>} renames - old fullPath -> new fullPath
+   */
+  async updateCrateOrder(renames) {
+    const orderPath = path.join(this.seratoPath, CRATE_ORDER_FILE);
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(orderPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    // Keep a byte order mark if Serato wrote one
+    const hasBom = buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF;
+    const text = tlv.decodeUTF16BE(hasBom ? buffer.subarray(2) : buffer);
+
+    let changed = false;
+    const updated = text.replace(/^\[crate\](.*?)(\r?)$/gm, (line, fullPath, cr) => {
+      if (!renames.has(fullPath)) {
+        return line;
+      }
+      changed = true;
+      return `${CRATE_ORDER_PREFIX}${renames.get(fullPath)}${cr}`;
+    });
+
+    if (!changed) {
+      return false;
+    }
+
+    const encoded = tlv.encodeUTF16BE(updated);
+    await this.writeAtomic(orderPath, hasBom ? Buffer.concat([Buffer.from([0xFE, 0xFF]), encoded]) : encoded);
+    return true;
+  }
+
+  /**
+   * Whether fullPath is root or one of its %% descendants
+   * @private
+   */
+  _isInSubtree(fullPath, root) {
+    return fullPath === root || fullPath.startsWith(`${root}${SUBCRATE_DELIMITER}`);
+  }
 }
 
 module.exports = {
@@ -503,4 +1390,6 @@ module.exports = {
   CrateExistsError,
   TrackNotFoundError,
   ParentCrateNotFoundError,
+  InvalidCrateMoveError,
+  InvalidTrackOrderError,
 };
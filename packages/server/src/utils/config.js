@@ -1,5 +1,6 @@
 const path = require("path");
 const os = require("os");
+const { KEY_NOTATIONS } = require("@recrate/shared/keys");
 
 // Runtime config can be set programmatically (e.g., from Electron main process)
 let runtimeConfig = null;
@@ -10,6 +11,8 @@ let runtimeConfig = null;
  * @param {string} cfg.seratoPath - Path to Serato library
  * @param {string[]} cfg.musicPaths - Array of music directories
  * @param {number} cfg.port - Server port
+ * @param {string} [cfg.dataPath] - Directory for persistent server data (library index)
+ * @param {string} [cfg.keyNotation] - Notation keys are shown in (camelot, openKey, musical or original)
  */
 function setRuntimeConfig(cfg) {
   runtimeConfig = cfg;
@@ -44,6 +47,23 @@ function detectSeratoPath() {
   }
 }
 
+/**
+ * Default directory for persistent server data based on OS
+ * Mirrors the per-platform locations used for log files
+ */
+function detectDataPath() {
+  const platform = os.platform();
+  const homeDir = os.homedir();
+
+  if (platform === "darwin") {
+    return path.join(homeDir, "Library", "Application Support", "Recrate");
+  } else if (platform === "win32") {
+    return path.join(process.env.APPDATA || homeDir, "Recrate");
+  } else {
+    return path.join(homeDir, ".recrate");
+  }
+}
+
 /**
  * Parse comma-separated paths into array
  * @param {string} pathString - Comma-separated paths
@@ -135,6 +155,23 @@ const config = {
     ttl: parseInt(process.env.CACHE_TTL, 10) || 3600000, // 1 hour in ms
   },
 
+  // Persistent storage (saved library index)
+  storage: {
+    get dataPath() {
+      return runtimeConfig?.dataPath || cmdArgs['data-path'] || process.env.DATA_PATH || detectDataPath();
+    },
+    libraryIndexFile: "library-index.json",
+    resolutionsFile: "path-resolutions.json",
+  },
+
+  // How library data is presented to clients
+  display: {
+    get keyNotation() {
+      const notation = runtimeConfig?.keyNotation || cmdArgs['key-notation'] || process.env.KEY_NOTATION;
+      return KEY_NOTATIONS.includes(notation) ? notation : "original";
+    },
+  },
+
   // Service discovery
   discovery: {
     enabled: process.env.MDNS_ENABLED !== "false",
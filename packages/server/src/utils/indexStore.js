@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// Bump when the saved format changes - older files are ignored and rebuilt
+const INDEX_FORMAT_VERSION = 1;
+
+/**
+ * IndexStore - Persists the library index to a JSON file on disk
+ *
+ * Saves the parser's track list (IDs, resolved paths, mtimes, sizes) together with
+ * the path resolver's file entries so a restart can serve the library immediately
+ * and only re-read files that changed since the last run.
+ */
+class IndexStore {
+  /**
+   * @param {string} filePath - Location of the index file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load a saved index
+   * @param {string} seratoPath - Serato path the index must belong to
+   * @returns {Promise<Object|null>} Saved index ({tracks, files, savedAt, ...}) or null if unusable
+   */
+  async load(seratoPath) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read library index ${this.filePath}: ${error.message}`);
+      }
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+
+      if (data.version !== INDEX_FORMAT_VERSION) {
+        logger.info(`Ignoring library index with format version ${data.version} (expected ${INDEX_FORMAT_VERSION})`);
+        return null;
+      }
+
+      if (data.seratoPath !== seratoPath) {
+        logger.info(`Ignoring library index for a different Serato path: ${data.seratoPath}`);
+        return null;
+      }
+
+      if (!Array.isArray(data.tracks)) {
+        return null;
+      }
+
+      return {
+        ...data,
+        files: Array.isArray(data.files) ? data.files : [],
+      };
+    } catch (error) {
+      logger.warn(`Library index is corrupt, ignoring: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save the index atomically (temp file + rename)
+   * @param {Object} index - Index contents
+   * @param {string} index.seratoPath - Serato path the index belongs to
+   * @param {Array<string>} index.musicPaths - Music paths that were scanned
+   * @param {Array<Object>} index.tracks - Track objects
+   * @param {Array<Object>} index.files - Path resolver entries
+   */
+  async save({ seratoPath, musicPaths, tracks, files }) {
+    const data = {
+      version: INDEX_FORMAT_VERSION,
+      savedAt: Date.now(),
+      seratoPath,
+      musicPaths,
+      tracks,
+      files,
+    };
+
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(data));
+      await fs.rename(tempPath, this.filePath);
+      logger.debug(`Saved library index (${tracks.length} tracks) to ${this.filePath}`);
+    } catch (error) {
+      // Clean up temp file on error
+      try {
+        await fs.unlink(tempPath);
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the saved index
+   */
+  async clear() {
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = IndexStore;
+module.exports.INDEX_FORMAT_VERSION = INDEX_FORMAT_VERSION;
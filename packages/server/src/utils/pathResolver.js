@@ -5,6 +5,20 @@ const crypto = require('crypto');
 const MetadataExtractor = require('../audio/metadata');
 const logger = require('./logger');
 
+// Filename matches below this confidence are reported as ambiguous instead of accepted
+const MIN_CONFIDENCE = 0.7;
+
+// How far the best filename match has to be ahead of the next one to be accepted
+const AMBIGUITY_MARGIN = 0.1;
+
+// Confidence added per matching parent folder ("Artist/Album/01 Track.mp3"), up to 3 folders
+const FOLDER_BONUS = 0.1;
+
+const MAX_AMBIGUOUS_CANDIDATES = 5;
+
+// Bump when the saved resolutions format changes - older files are ignored
+const RESOLUTIONS_FORMAT_VERSION = 1;
+
 /**
  * PathResolver - Intelligent path resolution for music files
  *
@@ -18,12 +32,23 @@ class PathResolver {
     // Index: filename -> array of {path, metadata}
     this.filenameIndex = new Map();
 
-    // Index: metadata hash -> path
+    // Index: metadata hash -> array of paths (files without usable tags aren't hashed)
     this.metadataHashIndex = new Map();
 
-    // Cache: old path -> resolved path
+    // Cache: old path -> { path, confidence, strategy, confirmed }
     this.resolutionCache = new Map();
 
+    // Paths resolve() found several equally likely files for: old path -> result with candidates
+    this.ambiguousResolutions = new Map();
+
+    // File the resolution cache is saved to (see loadResolutions)
+    this.storePath = null;
+    this.saveTimer = null;
+
+    // Lookups for candidate search (lowercase name without extension / title -> entries),
+    // built on first use and dropped whenever the index changes
+    this.candidateLookup = null;
+
     // Track if index is built
     this.isIndexed = false;
 
@@ -37,18 +62,21 @@ class PathResolver {
   /**
    * Build file index across all music locations
    * @param {Array<string>} musicPaths - Array of directory paths to scan
+   * @param {Map<string, Object>} previousEntries - Optional entries from a saved index (path -> entry),
+   *   reused without re-reading tags when the file's mtime and size are unchanged
    * @returns {Promise<Object>} Index statistics
    */
-  async buildIndex(musicPaths) {
+  async buildIndex(musicPaths, previousEntries = null) {
     const startTime = Date.now();
     logger.info(`Building file index across ${musicPaths.length} location(s)...`);
 
-    // Clear existing index
-    this.filenameIndex.clear();
-    this.metadataHashIndex.clear();
+    // Build into fresh maps and swap them in at the end, so resolution keeps working on the
+    // previous index during the scan
+    const index = { filenameIndex: new Map(), metadataHashIndex: new Map() };
 
     let totalFiles = 0;
     let indexedFiles = 0;
+    let reusedFiles = 0;
     let errors = 0;
 
     for (const musicPath of musicPaths) {
@@ -67,8 +95,11 @@ class PathResolver {
         // Index each file
         for (const filePath of files) {
           try {
-            await this._indexFile(filePath);
+            const reused = await this._indexFile(filePath, previousEntries, index);
             indexedFiles++;
+            if (reused) {
+              reusedFiles++;
+            }
 
             // Log progress every 100 files
             if (indexedFiles % 100 === 0) {
@@ -84,19 +115,25 @@ class PathResolver {
       }
     }
 
+    this.filenameIndex = index.filenameIndex;
+    this.metadataHashIndex = index.metadataHashIndex;
+    this.ambiguousResolutions.clear();
+    this.candidateLookup = null;
+
     const duration = Date.now() - startTime;
     this.isIndexed = true;
 
     const stats = {
       totalFiles,
       indexedFiles,
+      reusedFiles,
       errors,
       uniqueFilenames: this.filenameIndex.size,
       uniqueMetadataHashes: this.metadataHashIndex.size,
       durationMs: duration
     };
 
-    logger.info(`Index built: ${indexedFiles} files indexed in ${duration}ms (${errors} errors)`);
+    logger.info(`Index built: ${indexedFiles} files indexed in ${duration}ms (${reusedFiles} unchanged, ${errors} errors)`);
     logger.debug(`Unique filenames: ${stats.uniqueFilenames}, Unique metadata hashes: ${stats.uniqueMetadataHashes}`);
 
     return stats;
@@ -106,72 +143,208 @@ class PathResolver {
    * Resolve a track path using intelligent matching
    * @param {string} originalPath - Original path from database
    * @param {Object} trackMetadata - Optional metadata to assist matching
-   * @returns {string|null} Resolved path or null if not found
+   * @param {Object} [options] - See resolve()
+   * @returns {string|null} Resolved path, or null if not found or ambiguous (see resolve())
    */
-  async resolvePath(originalPath, trackMetadata = null) {
+  async resolvePath(originalPath, trackMetadata = null, options = {}) {
+    const resolution = await this.resolve(originalPath, trackMetadata, options);
+    return resolution.ambiguous ? null : resolution.path;
+  }
+
+  /**
+   * Resolve a track path and report how sure the match is
+   *
+   * Strategies, in order: a mapping the user confirmed, the original path if it still exists,
+   * files with the same name (scored on name, tags and parent folders) and files with the same
+   * artist/title/duration hash (only tried when no file has the same name). A match is only
+   * accepted with a confidence of at least MIN_CONFIDENCE and a clear lead over the next
+   * candidate - "Intro.mp3" in five folders without tags to tell them apart, or several files
+   * sharing a hash, come back ambiguous with their candidates instead.
+   *
+   * @param {string} originalPath - Original path from database
+   * @param {Object} trackMetadata - Optional metadata to assist matching
+   * @param {Object} [options]
+   * @param {boolean} [options.remember=true] - Cache and save the match (and list an ambiguous
+   *   one in listResolutions()). Pass false for paths that aren't in the library's database,
+   *   e.g. the entries of an imported playlist.
+   * @returns {Promise<Object>} { path, confidence (0-1), strategy ('confirmed', 'exact', 'filename',
+   *   'metadata' or null), ambiguous, candidates } - path is null when nothing was accepted;
+   *   candidates are only listed for ambiguous results
+   */
+  async resolve(originalPath, trackMetadata = null, { remember = true } = {}) {
+    const accept = (resolution) => (remember
+      ? this._accept(originalPath, resolution)
+      : { ...resolution, confirmed: false, ambiguous: false, candidates: [] });
+    const notFound = { path: null, confidence: 0, strategy: null, ambiguous: false, candidates: [] };
+
     if (!this.isIndexed) {
       logger.warn('Path resolver index not built - call buildIndex() first');
-      return null;
+      return notFound;
     }
 
-    // Check cache first
-    if (this.resolutionCache.has(originalPath)) {
-      return this.resolutionCache.get(originalPath);
+    // Check cache first (dropping matches whose file has left the index since)
+    const cached = this.resolutionCache.get(originalPath);
+    if (cached) {
+      if (cached.confirmed || cached.strategy === 'exact' || this._isIndexed(cached.path)) {
+        return { ...cached, ambiguous: false, candidates: [] };
+      }
+      this.resolutionCache.delete(originalPath);
     }
 
     // Strategy 1: Check if exact path still exists
     if (fsSync.existsSync(originalPath)) {
-      this.resolutionCache.set(originalPath, originalPath);
-      return originalPath;
+      return accept({ path: originalPath, confidence: 1, strategy: 'exact' });
     }
 
-    // Strategy 2: Match by filename + metadata validation
+    // Strategy 2: Match by filename, scored on name, metadata and folders
     const filename = path.basename(originalPath);
-    const candidates = this.filenameIndex.get(filename);
+    let candidates = (this.filenameIndex.get(filename) || [])
+      .map(entry => this._scoreResolutionCandidate(originalPath, trackMetadata, entry))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    let strategy = 'filename';
+    let best = this._pickCandidate(candidates);
+    if (best) {
+      logger.debug(`Resolved ${filename} via filename match: ${best.path} (confidence ${best.confidence})`);
+      return accept({ path: best.path, confidence: best.confidence, strategy });
+    }
 
-    if (candidates && candidates.length > 0) {
-      // If only one candidate, validate and return
-      if (candidates.length === 1) {
-        const candidate = candidates[0];
-        if (this._validateMetadataMatch(trackMetadata, candidate.metadata)) {
-          logger.debug(`Resolved ${filename} via filename match: ${candidate.path}`);
-          this.resolutionCache.set(originalPath, candidate.path);
-          return candidate.path;
-        }
+    // Strategy 3: Match by metadata hash only, for files that were renamed
+    if (candidates.length === 0) {
+      strategy = 'metadata';
+      candidates = this._hashEntries(trackMetadata)
+        .map(entry => this._scoreCandidate(originalPath, trackMetadata, entry))
+        .sort((a, b) => b.confidence - a.confidence);
+
+      best = candidates.length === 1 ? this._pickCandidate(candidates) : null;
+      if (best) {
+        logger.debug(`Resolved ${filename} via metadata hash: ${best.path} (confidence ${best.confidence})`);
+        return accept({ path: best.path, confidence: best.confidence, strategy });
       }
+    }
 
-      // Multiple candidates - find best match
-      if (trackMetadata) {
-        for (const candidate of candidates) {
-          if (this._validateMetadataMatch(trackMetadata, candidate.metadata, true)) {
-            logger.debug(`Resolved ${filename} via filename + metadata match: ${candidate.path}`);
-            this.resolutionCache.set(originalPath, candidate.path);
-            return candidate.path;
-          }
-        }
+    if (candidates.length > 0) {
+      logger.warn(`Ambiguous match for ${originalPath}: ${candidates.length} candidates, best confidence ${candidates[0].confidence}`);
+      const ambiguous = {
+        path: null,
+        confidence: candidates[0].confidence,
+        strategy,
+        ambiguous: true,
+        candidates: candidates.slice(0, MAX_AMBIGUOUS_CANDIDATES),
+      };
+      if (remember) {
+        this.ambiguousResolutions.set(originalPath, { originalPath, ...ambiguous });
       }
+      return ambiguous;
+    }
+
+    // No resolution found
+    logger.debug(`Could not resolve path: ${originalPath}`);
+    return notFound;
+  }
+
+  /**
+   * Remember where a file went, e.g. after the DJ relinked a missing track or picked a candidate
+   * for an ambiguous match. The mapping wins over every other strategy and is saved.
+   * @param {string} originalPath - Path the database or a crate still refers to
+   * @param {string} resolvedPath - Path of the file to use instead
+   */
+  setResolution(originalPath, resolvedPath) {
+    this.resolutionCache.set(originalPath, { path: resolvedPath, confidence: 1, strategy: 'confirmed', confirmed: true });
+    this.ambiguousResolutions.delete(originalPath);
+    this._scheduleSave();
+  }
 
-      // No metadata or no match - return first candidate with warning
-      logger.warn(`Multiple candidates for ${filename}, using first match (validation failed)`);
-      this.resolutionCache.set(originalPath, candidates[0].path);
-      return candidates[0].path;
+  /**
+   * Mark an automatic match as correct so it's kept even if better candidates show up
+   * @param {string} originalPath
+   * @returns {boolean} False when there's no match to confirm
+   */
+  confirmResolution(originalPath) {
+    const cached = this.resolutionCache.get(originalPath);
+    if (!cached) {
+      return false;
     }
+    this.setResolution(originalPath, cached.path);
+    return true;
+  }
 
-    // Strategy 3: Match by metadata hash only
-    if (trackMetadata) {
-      const metadataHash = this._generateMetadataHash(trackMetadata);
-      const matchedPath = this.metadataHashIndex.get(metadataHash);
+  /**
+   * Forget the match for a path (confirmed or not), so it's resolved again on next use
+   * @param {string} originalPath
+   * @returns {boolean} False when nothing was stored for the path
+   */
+  removeResolution(originalPath) {
+    const removed = this.resolutionCache.delete(originalPath);
+    if (removed) {
+      this._scheduleSave();
+    }
+    return removed;
+  }
 
-      if (matchedPath) {
-        logger.debug(`Resolved ${filename} via metadata hash: ${matchedPath}`);
-        this.resolutionCache.set(originalPath, matchedPath);
-        return matchedPath;
+  /**
+   * Stored matches and the ambiguous paths from resolve() since the index was last built
+   * @returns {{resolutions: Array<Object>, ambiguous: Array<Object>}} resolutions are
+   *   { originalPath, path, confidence, strategy, confirmed }, exact matches left out
+   */
+  listResolutions() {
+    const resolutions = [];
+    for (const [originalPath, resolution] of this.resolutionCache) {
+      if (resolution.strategy !== 'exact') {
+        resolutions.push({ originalPath, confirmed: false, ...resolution });
       }
     }
+    return { resolutions, ambiguous: [...this.ambiguousResolutions.values()] };
+  }
 
-    // No resolution found
-    logger.debug(`Could not resolve path: ${originalPath}`);
-    return null;
+  /**
+   * Path a file was resolved to before, or null
+   * @param {string} originalPath
+   * @returns {string|null}
+   */
+  getResolution(originalPath) {
+    const cached = this.resolutionCache.get(originalPath);
+    return cached ? cached.path : null;
+  }
+
+  /**
+   * Possible new locations of a missing file, best first
+   * Candidates come from the filename index (same name, in any case or with another extension)
+   * and the metadata index (same title, scored on artist, title and duration)
+   * @param {string} originalPath - Path that no longer exists
+   * @param {Object} trackMetadata - Optional metadata of the missing track (artist, title, duration)
+   * @param {Object} options
+   * @param {number} [options.limit=5] - Max candidates
+   * @param {number} [options.minConfidence=0.3] - Leave out weaker candidates
+   * @returns {Array<{path: string, confidence: number, matchedBy: Array<string>}>}
+   *   confidence is 0-1; matchedBy lists 'filename' and/or 'metadata'
+   */
+  findCandidates(originalPath, trackMetadata = null, { limit = 5, minConfidence = 0.3 } = {}) {
+    const lookup = this._getCandidateLookup();
+    const entries = new Set(lookup.stems.get(this._fileStem(originalPath)) || []);
+
+    const title = trackMetadata && trackMetadata.title ? trackMetadata.title.toLowerCase().trim() : null;
+    for (const entry of (title && lookup.titles.get(title)) || []) {
+      entries.add(entry);
+    }
+
+    // Tracks without artist and title are only found by their album hash
+    for (const entry of this._hashEntries(trackMetadata)) {
+      entries.add(entry);
+    }
+
+    const candidates = [];
+    for (const entry of entries) {
+      if (entry.path === originalPath) continue;
+      const candidate = this._scoreCandidate(originalPath, trackMetadata, entry);
+      if (candidate.confidence >= minConfidence) {
+        candidates.push(candidate);
+      }
+    }
+
+    return candidates
+      .sort((a, b) => b.confidence - a.confidence || a.path.localeCompare(b.path))
+      .slice(0, limit);
   }
 
   /**
@@ -184,14 +357,165 @@ class PathResolver {
     return hash.substring(0, 16);
   }
 
+  /**
+   * Export all indexed file entries (for persisting the index to disk)
+   * @returns {Array<Object>} Array of {path, metadata, mtimeMs, size}
+   */
+  exportEntries() {
+    const entries = [];
+    for (const candidates of this.filenameIndex.values()) {
+      entries.push(...candidates);
+    }
+    return entries;
+  }
+
+  /**
+   * Seed the index from previously exported entries without touching the disk
+   * Lets resolvePath() work immediately on startup while a rebuild runs in the background
+   * @param {Array<Object>} entries - Entries from exportEntries()
+   */
+  loadEntries(entries) {
+    this.filenameIndex.clear();
+    this.metadataHashIndex.clear();
+
+    for (const entry of entries || []) {
+      if (entry && entry.path && entry.metadata) {
+        this._addEntry(entry);
+      }
+    }
+
+    this.isIndexed = true;
+    logger.debug(`Loaded ${this.filenameIndex.size} filenames into path index from saved index`);
+  }
+
+  /**
+   * Index (or re-index) a single file after it was added or changed on disk
+   * @param {string} filePath - Path to audio file
+   */
+  async updateFile(filePath) {
+    this.removeFile(filePath);
+    try {
+      await this._indexFile(filePath);
+    } catch (error) {
+      logger.debug(`Failed to index ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a single file from the index (and any resolutions pointing at it)
+   * @param {string} filePath - Path to audio file
+   */
+  removeFile(filePath) {
+    this.candidateLookup = null;
+    const filename = path.basename(filePath);
+    const candidates = this.filenameIndex.get(filename);
+
+    if (candidates) {
+      const remaining = candidates.filter(candidate => candidate.path !== filePath);
+      if (remaining.length > 0) {
+        this.filenameIndex.set(filename, remaining);
+      } else {
+        this.filenameIndex.delete(filename);
+      }
+    }
+
+    for (const [hash, indexedPaths] of this.metadataHashIndex) {
+      const remaining = indexedPaths.filter(indexedPath => indexedPath !== filePath);
+      if (remaining.length === 0) {
+        this.metadataHashIndex.delete(hash);
+      } else if (remaining.length !== indexedPaths.length) {
+        this.metadataHashIndex.set(hash, remaining);
+      }
+    }
+
+    for (const [originalPath, resolution] of this.resolutionCache) {
+      if (resolution.path === filePath) {
+        this.resolutionCache.delete(originalPath);
+      }
+    }
+  }
+
   /**
    * Clear resolution cache (useful after rescanning)
    */
   clearCache() {
     this.resolutionCache.clear();
+    this.ambiguousResolutions.clear();
     logger.debug('Resolution cache cleared');
   }
 
+  /**
+   * Load saved resolutions and keep saving changes to the same file
+   * @param {string} filePath - JSON file for the resolution cache
+   * @returns {Promise<number>} Number of resolutions loaded
+   */
+  async loadResolutions(filePath) {
+    this.storePath = filePath;
+
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read path resolutions ${filePath}: ${error.message}`);
+      }
+      return 0;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      if (data.version !== RESOLUTIONS_FORMAT_VERSION || !Array.isArray(data.resolutions)) {
+        logger.info(`Ignoring path resolutions with format version ${data.version}`);
+        return 0;
+      }
+
+      let loaded = 0;
+      for (const { originalPath, path: resolvedPath, confidence, strategy, confirmed } of data.resolutions) {
+        if (typeof originalPath === 'string' && typeof resolvedPath === 'string') {
+          this.resolutionCache.set(originalPath, { path: resolvedPath, confidence, strategy, confirmed: !!confirmed });
+          loaded++;
+        }
+      }
+      logger.info(`Loaded ${loaded} path resolutions`);
+      return loaded;
+    } catch (error) {
+      logger.warn(`Path resolutions file is corrupt, ignoring: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Save the resolution cache now (no-op without a file from loadResolutions)
+   */
+  async saveResolutions() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.storePath) {
+      return;
+    }
+
+    const data = {
+      version: RESOLUTIONS_FORMAT_VERSION,
+      savedAt: Date.now(),
+      resolutions: this.listResolutions().resolutions,
+    };
+
+    const tempPath = `${this.storePath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(data));
+      await fs.rename(tempPath, this.storePath);
+      logger.debug(`Saved ${data.resolutions.length} path resolutions`);
+    } catch (error) {
+      logger.warn(`Could not save path resolutions: ${error.message}`);
+      try {
+        await fs.unlink(tempPath);
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  }
+
   /**
    * Get index statistics
    * @returns {Object} Current index stats
@@ -207,6 +531,95 @@ class PathResolver {
 
   // Private methods
 
+  /**
+   * Cache an accepted resolution and return it as a resolve() result
+   */
+  _accept(originalPath, resolution) {
+    this.resolutionCache.set(originalPath, { ...resolution, confirmed: false });
+    this.ambiguousResolutions.delete(originalPath);
+    if (resolution.strategy !== 'exact') {
+      this._scheduleSave();
+    }
+    return { ...resolution, confirmed: false, ambiguous: false, candidates: [] };
+  }
+
+  /**
+   * Best of a sorted candidate list if it reaches MIN_CONFIDENCE with a clear lead, else null
+   * @param {Array<Object>} candidates - Scored candidates, best first
+   * @returns {Object|null}
+   */
+  _pickCandidate(candidates) {
+    const [best, second] = candidates;
+    if (!best) {
+      return null;
+    }
+    // Compared in whole percent - confidences are rounded to two decimals
+    const lead = second ? Math.round((best.confidence - second.confidence) * 100) : Infinity;
+    return best.confidence >= MIN_CONFIDENCE && lead >= AMBIGUITY_MARGIN * 100 ? best : null;
+  }
+
+  /**
+   * Indexed entries sharing the metadata hash of a track
+   * @param {Object|null} trackMetadata
+   * @returns {Array<Object>} Index entries {path, metadata}
+   */
+  _hashEntries(trackMetadata) {
+    const metadataHash = this._indexableMetadataHash(trackMetadata);
+    const entries = [];
+    for (const matchedPath of (metadataHash && this.metadataHashIndex.get(metadataHash)) || []) {
+      const entry = (this.filenameIndex.get(path.basename(matchedPath)) || []).find(e => e.path === matchedPath);
+      if (entry) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Save the resolution cache shortly after changes (batches a whole index run)
+   */
+  _scheduleSave() {
+    if (!this.storePath) {
+      return;
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveResolutions(), 5000);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Whether a file is in the index
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  _isIndexed(filePath) {
+    return (this.filenameIndex.get(path.basename(filePath)) || []).some(entry => entry.path === filePath);
+  }
+
+  /**
+   * Score a file with the same name for resolve(): findCandidates() scoring plus FOLDER_BONUS
+   * for each parent folder the two paths share, counting up from the file
+   */
+  _scoreResolutionCandidate(originalPath, trackMetadata, entry) {
+    const candidate = this._scoreCandidate(originalPath, trackMetadata, entry);
+
+    const originalFolders = path.dirname(originalPath.replace(/\\/g, '/')).split('/').reverse();
+    const candidateFolders = path.dirname(entry.path.replace(/\\/g, '/')).split('/').reverse();
+    let folders = 0;
+    while (folders < 3 && originalFolders[folders] && candidateFolders[folders] &&
+      originalFolders[folders].toLowerCase() === candidateFolders[folders].toLowerCase()) {
+      folders++;
+    }
+
+    if (folders === 0) {
+      return candidate;
+    }
+    return {
+      path: candidate.path,
+      confidence: Math.round(Math.min(1, candidate.confidence + FOLDER_BONUS * folders) * 100) / 100,
+      matchedBy: [...candidate.matchedBy, 'folder'],
+    };
+  }
+
   /**
    * Recursively find all audio files in a directory
    * @param {string} dir - Directory to search
@@ -247,30 +660,144 @@ class PathResolver {
   /**
    * Index a single file
    * @param {string} filePath - Path to audio file
+   * @param {Map<string, Object>} previousEntries - Optional saved entries to reuse
+   * @param {Object} [index] - Maps to add to ({filenameIndex, metadataHashIndex}), the live index by default
+   * @returns {Promise<boolean>} True if a saved entry was reused
    */
-  async _indexFile(filePath) {
+  async _indexFile(filePath, previousEntries = null, index = this) {
+    const stats = await fs.stat(filePath);
+
+    // Reuse saved metadata if the file hasn't changed since it was indexed
+    const previous = previousEntries ? previousEntries.get(filePath) : null;
+    if (previous && previous.metadata && previous.mtimeMs === stats.mtimeMs && previous.size === stats.size) {
+      this._addEntry(previous, index);
+      return true;
+    }
+
     // Extract metadata
     const metadata = await this.metadataExtractor.extractMetadata(filePath);
 
     // Skip if metadata extraction failed
     if (!metadata) {
-      return;
+      return false;
     }
 
-    const filename = path.basename(filePath);
+    this._addEntry({
+      path: filePath,
+      metadata,
+      mtimeMs: stats.mtimeMs,
+      size: stats.size
+    }, index);
+    return false;
+  }
+
+  /**
+   * Add an entry to the filename and metadata hash indexes
+   * @param {Object} entry - {path, metadata, mtimeMs, size}
+   * @param {Object} [index] - Maps to add to ({filenameIndex, metadataHashIndex}), the live index by default
+   */
+  _addEntry(entry, { filenameIndex, metadataHashIndex } = this) {
+    const filename = path.basename(entry.path);
+    this.candidateLookup = null;
 
     // Add to filename index
-    if (!this.filenameIndex.has(filename)) {
-      this.filenameIndex.set(filename, []);
+    if (!filenameIndex.has(filename)) {
+      filenameIndex.set(filename, []);
     }
-    this.filenameIndex.get(filename).push({
-      path: filePath,
-      metadata
-    });
+    filenameIndex.get(filename).push(entry);
 
     // Add to metadata hash index
-    const metadataHash = this._generateMetadataHash(metadata);
-    this.metadataHashIndex.set(metadataHash, filePath);
+    const metadataHash = this._indexableMetadataHash(entry.metadata);
+    if (metadataHash) {
+      if (!metadataHashIndex.has(metadataHash)) {
+        metadataHashIndex.set(metadataHash, []);
+      }
+      metadataHashIndex.get(metadataHash).push(entry.path);
+    }
+  }
+
+  /**
+   * Lowercase file name without its extension ("Track.MP3" -> "track")
+   * @param {string} filePath
+   * @returns {string}
+   */
+  _fileStem(filePath) {
+    const filename = path.basename(filePath.replace(/\\/g, '/'));
+    return filename.slice(0, filename.length - path.extname(filename).length).toLowerCase();
+  }
+
+  /**
+   * Build (or reuse) the lookups findCandidates() searches
+   * @returns {{stems: Map<string, Array<Object>>, titles: Map<string, Array<Object>>}}
+   */
+  _getCandidateLookup() {
+    if (this.candidateLookup) {
+      return this.candidateLookup;
+    }
+
+    const stems = new Map();
+    const titles = new Map();
+    const add = (map, key, entry) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(entry);
+    };
+
+    for (const entry of this.exportEntries()) {
+      add(stems, this._fileStem(entry.path), entry);
+      const title = entry.metadata && entry.metadata.title ? entry.metadata.title.toLowerCase().trim() : null;
+      if (title) {
+        add(titles, title, entry);
+      }
+    }
+
+    this.candidateLookup = { stems, titles };
+    return this.candidateLookup;
+  }
+
+  /**
+   * Score how likely an indexed file is the missing one
+   * The file name counts for 40% and artist, title and duration for 60% (a tag match alone
+   * reaches at most 0.9); without metadata on both sides a name match alone reaches 0.7
+   * @param {string} originalPath - Missing path
+   * @param {Object|null} trackMetadata - Metadata of the missing track
+   * @param {Object} entry - Index entry {path, metadata}
+   * @returns {{path: string, confidence: number, matchedBy: Array<string>}}
+   */
+  _scoreCandidate(originalPath, trackMetadata, entry) {
+    const originalName = path.basename(originalPath.replace(/\\/g, '/'));
+    const candidateName = path.basename(entry.path);
+    let nameScore = 0;
+    if (candidateName === originalName) {
+      nameScore = 1;
+    } else if (candidateName.toLowerCase() === originalName.toLowerCase()) {
+      nameScore = 0.8;
+    } else if (this._fileStem(candidateName) === this._fileStem(originalName)) {
+      nameScore = 0.6; // Same name, another format
+    }
+
+    // Fields missing on either side don't count against a match, but a single field only counts half
+    let metadataScore = null;
+    if (trackMetadata && entry.metadata) {
+      const comparisons = [
+        [trackMetadata.artist, entry.metadata.artist, this._compareString],
+        [trackMetadata.title, entry.metadata.title, this._compareString],
+        [trackMetadata.duration, entry.metadata.duration, this._compareDuration],
+      ].filter(([a, b]) => a && b);
+      if (comparisons.length > 0) {
+        const matches = comparisons.filter(([a, b, compare]) => compare.call(this, a, b)).length;
+        metadataScore = matches / Math.max(comparisons.length, 2);
+      }
+    }
+
+    const confidence = metadataScore === null
+      ? nameScore * 0.7
+      : Math.max(0.4 * nameScore + 0.6 * metadataScore, 0.9 * metadataScore);
+
+    const matchedBy = [];
+    if (nameScore > 0) matchedBy.push('filename');
+    if (metadataScore !== null && metadataScore >= 0.5) matchedBy.push('metadata');
+
+    return { path: entry.path, confidence: Math.round(confidence * 100) / 100, matchedBy };
   }
 
   /**
@@ -306,30 +833,19 @@ class PathResolver {
   }
 
   /**
-   * Validate if two metadata objects match
-   * @param {Object} meta1 - First metadata object
-   * @param {Object} meta2 - Second metadata object
-   * @param {boolean} strict - Use strict matching
-   * @returns {boolean} True if metadata matches
+   * Metadata hash for the hash index, or null when the tags are too sparse to tell files apart
+   * (untagged files would all share the "||0" hash)
+   * @param {Object|null} metadata - Track metadata
+   * @returns {string|null}
    */
-  _validateMetadataMatch(meta1, meta2, strict = false) {
-    if (!meta1 || !meta2) {
-      return false;
-    }
-
-    // Compare key fields
-    const artistMatch = this._compareString(meta1.artist, meta2.artist);
-    const titleMatch = this._compareString(meta1.title, meta2.title);
-    const durationMatch = this._compareDuration(meta1.duration, meta2.duration);
-
-    if (strict) {
-      // Strict: all three must match
-      return artistMatch && titleMatch && durationMatch;
-    } else {
-      // Lenient: at least 2 of 3 must match, or duration + (artist or title)
-      const matches = [artistMatch, titleMatch, durationMatch].filter(Boolean).length;
-      return matches >= 2 || (durationMatch && (artistMatch || titleMatch));
+  _indexableMetadataHash(metadata) {
+    if (!metadata) {
+      return null;
     }
+    const hasTag = value => typeof value === 'string' ? value.trim() !== '' : !!value;
+    const tagged = hasTag(metadata.artist) && hasTag(metadata.title);
+    const albumTrack = !hasTag(metadata.artist) && !hasTag(metadata.title) && hasTag(metadata.album) && hasTag(metadata.trackNumber);
+    return tagged || albumTrack ? this._generateMetadataHash(metadata) : null;
   }
 
   /**
@@ -0,0 +1,162 @@
+/**
+ * Musical key model shared by the server and the apps
+ *
+ * Keys show up in several notations: Serato and file tags write "Am" or "A minor", Mixed In Key
+ * writes Camelot ("8A") and Traktor writes Open Key ("1m"). They are all parsed into the same
+ * canonical key - the pitch class of the tonic (0 = C ... 11 = B) plus the mode - so comparing,
+ * filtering and sorting work regardless of how a key was tagged.
+ */
+
+const KEY_NOTATIONS = ['original', 'camelot', 'openKey', 'musical'];
+
+const NOTE_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Spelling used when writing musical notation, matching the key filter chips
+const PITCH_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const mod12 = (value) => ((value % 12) + 12) % 12;
+
+/**
+ * Key for a Camelot wheel position
+ * @param {number} number - 1..12
+ * @param {string} letter - A (minor) or B (major)
+ * @returns {{pitchClass: number, mode: string}}
+ */
+function fromCamelot(number, letter) {
+  // The wheel goes round in fifths from C major at 8B; 7 is its own inverse mod 12
+  const majorPitch = mod12((number - 8) * 7);
+  const minor = letter.toUpperCase() === 'A';
+  return {
+    pitchClass: minor ? mod12(majorPitch - 3) : majorPitch,
+    mode: minor ? 'minor' : 'major',
+  };
+}
+
+/**
+ * Parse a key in Camelot ("8A"), Open Key ("1m") or musical notation ("Am", "F#", "Bb minor")
+ * @param {string|{pitchClass: number, mode: string}} key - Key text, or an already parsed key
+ * @returns {{pitchClass: number, mode: 'major'|'minor'}|null} null when the key isn't recognized
+ */
+function parseKey(key) {
+  if (key && typeof key === 'object') {
+    return Number.isInteger(key.pitchClass) && (key.mode === 'major' || key.mode === 'minor')
+      ? { pitchClass: mod12(key.pitchClass), mode: key.mode }
+      : null;
+  }
+
+  const text = String(key ?? '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const camelot = text.match(/^(\d{1,2})\s*([AB])$/i);
+  if (camelot) {
+    const number = parseInt(camelot[1], 10);
+    return number >= 1 && number <= 12 ? fromCamelot(number, camelot[2]) : null;
+  }
+
+  // Open Key 1d = C major = 8B, 1m = A minor = 8A
+  const openKey = text.match(/^(\d{1,2})\s*([dm])$/i);
+  if (openKey) {
+    const number = parseInt(openKey[1], 10);
+    if (number < 1 || number > 12) return null;
+    return fromCamelot(mod12(number + 6) + 1, openKey[2].toLowerCase() === 'm' ? 'A' : 'B');
+  }
+
+  const musical = text.match(/^([A-G])\s*(#|♯|b|♭)?\s*(m|min|minor|maj|major)?$/i);
+  if (musical) {
+    let pitch = NOTE_PITCHES[musical[1].toUpperCase()];
+    if (musical[2] === '#' || musical[2] === '♯') pitch += 1;
+    if (musical[2] === 'b' || musical[2] === '♭') pitch -= 1;
+
+    const minor = !!musical[3] && !/^maj/i.test(musical[3]);
+    return { pitchClass: mod12(pitch), mode: minor ? 'minor' : 'major' };
+  }
+
+  return null;
+}
+
+/**
+ * Camelot wheel position of a key
+ * @param {string|Object} key - Key in any notation, or a parsed key
+ * @returns {{number: number, letter: string}|null} letter A = minor, B = major
+ */
+function toCamelot(key) {
+  const parsed = parseKey(key);
+  if (!parsed) {
+    return null;
+  }
+
+  // A minor key sits with its relative major (3 semitones up)
+  const majorPitch = mod12(parsed.pitchClass + (parsed.mode === 'minor' ? 3 : 0));
+  return { number: mod12(majorPitch * 7 + 7) + 1, letter: parsed.mode === 'minor' ? 'A' : 'B' };
+}
+
+/**
+ * Write a key in a notation
+ * @param {string|Object} key - Key in any notation, or a parsed key
+ * @param {string} [notation='camelot'] - One of KEY_NOTATIONS; 'original' leaves key text as it is
+ * @returns {string|null} The key text unchanged when it can't be parsed; null for no key
+ */
+function formatKey(key, notation = 'camelot') {
+  const original = key && typeof key === 'object' ? null : (String(key ?? '').trim() || null);
+  if (notation === 'original' && original) {
+    return original;
+  }
+
+  const parsed = parseKey(key);
+  if (!parsed) {
+    return original;
+  }
+
+  const camelot = toCamelot(parsed);
+  switch (notation) {
+    case 'openKey':
+      return `${mod12(camelot.number - 8) + 1}${camelot.letter === 'A' ? 'm' : 'd'}`;
+    case 'musical':
+      return `${PITCH_NAMES[parsed.pitchClass]}${parsed.mode === 'minor' ? 'm' : ''}`;
+    default:
+      return `${camelot.number}${camelot.letter}`;
+  }
+}
+
+/**
+ * Comparable identifier of a key, the same for every notation of it ("Am", "8A" -> "9:minor")
+ * @param {string|Object} key
+ * @returns {string|null}
+ */
+function keyId(key) {
+  const parsed = parseKey(key);
+  return parsed ? `${parsed.pitchClass}:${parsed.mode}` : null;
+}
+
+/**
+ * Whether two keys are the same key, in whatever notation
+ */
+function keysEqual(a, b) {
+  const id = keyId(a);
+  return id !== null && id === keyId(b);
+}
+
+/**
+ * Sort comparator in Camelot wheel order (1A, 1B, 2A, ...); unknown keys go last
+ */
+function compareKeys(a, b) {
+  const first = toCamelot(a);
+  const second = toCamelot(b);
+  if (!first || !second) {
+    return (first ? 0 : 1) - (second ? 0 : 1);
+  }
+  return first.number - second.number || first.letter.localeCompare(second.letter);
+}
+
+module.exports = {
+  KEY_NOTATIONS,
+  parseKey,
+  fromCamelot,
+  toCamelot,
+  formatKey,
+  keyId,
+  keysEqual,
+  compareKeys,
+};
@@ -5,13 +5,26 @@
  * @property {string} artist - Artist name
  * @property {string} album - Album name
  * @property {number} bpm - Beats per minute
- * @property {string} key - Musical key
+ * @property {string} key - Musical key as tagged (any notation, see keys.js)
+ * @property {string|null} [keyDisplay] - Key in the notation chosen in the server config
  * @property {number} duration - Duration in seconds
  * @property {string} filePath - Absolute path to audio file
  * @property {number} [bitrate] - Audio bitrate
  * @property {number} [sampleRate] - Sample rate in Hz
  * @property {string} [genre] - Music genre
  * @property {number} [year] - Release year
+ * @property {string} [comment] - Comment (from Serato database)
+ * @property {string} [label] - Record label
+ * @property {string} [grouping] - Grouping
+ * @property {string} [composer] - Composer
+ * @property {string|null} [color] - Serato track color as #RRGGBB (null when uncolored)
+ * @property {Date} [addedAt] - When the track was added to Serato (file birthtime as fallback)
+ * @property {number} [playCount] - Plays recorded in Serato History
+ * @property {Date|null} [firstPlayedAt] - First play in Serato History
+ * @property {Date|null} [lastPlayedAt] - Most recent play in Serato History
+ * @property {number} [playsLast30] - Plays in the last 30 days (/api/library only)
+ * @property {number} [playsLast90] - Plays in the last 90 days (/api/library only)
+ * @property {number} [playsLast365] - Plays in the last 365 days (/api/library only)
  */
 
 /**
@@ -23,6 +36,95 @@
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  * @property {Track[]} [tracks] - Array of tracks (when expanded)
+ * @property {boolean} [smart] - Smart crate (tracks come from rules)
+ * @property {SmartCrateRules} [rules] - Rule set of a smart crate
+ */
+
+/**
+ * @typedef {Object} SmartCrateRule
+ * @property {string|null} field - Track field (e.g. 'bpm', 'genre'); null if Serato uses a field we don't know
+ * @property {string|null} operator - e.g. 'contains', 'greaterThan', 'before'
+ * @property {string|number|null} value - Text, number, or ISO date string
+ * @property {number} fieldId - Serato field ID
+ * @property {string} comparison - Serato comparison name (e.g. 'cond_con_str')
+ */
+
+/**
+ * @typedef {Object} SmartCrateRules
+ * @property {boolean} matchAll - Tracks must match every rule (false: any rule)
+ * @property {boolean} liveUpdate - Serato keeps the crate updated as the library changes
+ * @property {SmartCrateRule[]} rules
+ */
+
+/**
+ * @typedef {Object} CuePoint
+ * @property {number} index - Hot cue slot (0-7)
+ * @property {number} position - Position in seconds
+ * @property {string} color - Hex color code
+ * @property {string} name - Cue label (may be empty)
+ */
+
+/**
+ * @typedef {Object} SavedLoop
+ * @property {number} index - Loop slot (0-7)
+ * @property {number} start - Loop start in seconds
+ * @property {number} end - Loop end in seconds
+ * @property {string} color - Hex color code
+ * @property {boolean} locked - Whether the loop is locked in Serato
+ * @property {string} name - Loop label (may be empty)
+ */
+
+/**
+ * @typedef {Object} HistorySession
+ * @property {string} id - Session ID (History/Sessions file name without extension)
+ * @property {string} startTime - ISO 8601 start time
+ * @property {string} endTime - ISO 8601 end time
+ * @property {number} duration - Length in seconds
+ * @property {number} trackCount - Number of tracks played
+ * @property {Array<HistoryEntry>} [tracks] - Played tracks in order (session detail only)
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} position - Zero-based position in the session
+ * @property {string} title - Title as recorded by Serato
+ * @property {string} artist - Artist as recorded by Serato
+ * @property {string} filePath - File path as recorded by Serato
+ * @property {string} startTime - ISO 8601 time the track was loaded
+ * @property {string|null} endTime - ISO 8601 time the track was unloaded
+ * @property {number|null} playTime - Seconds played
+ * @property {number|null} deck - Deck number
+ * @property {boolean} resolved - Whether the entry matches a library track
+ * @property {string|null} trackId - Library track ID when resolved
+ * @property {Track|null} track - Library track when resolved
+ */
+
+/**
+ * @typedef {Object} MixSuggestion
+ * @property {Track} track - Suggested library track
+ * @property {number} score - Compatibility from 0 to 1
+ * @property {{camelot: string, relation: ('same'|'adjacent'|'relative'|'energyBoost'|'diagonal'), score: number}|null} key - Key match, null when the source track has no key
+ * @property {{ratio: (1|2|0.5), difference: number}|null} bpm - Tempo match (difference in percent), null when the source track has no BPM
+ * @property {boolean} genreMatch - Same genre as the source track
+ */
+
+/**
+ * @typedef {Object} SetTransition
+ * @property {string} from - Track ID the transition leaves
+ * @property {string} to - Track ID the transition goes into
+ * @property {number} score - Compatibility from 0 to 1
+ * @property {number|null} bpmJump - BPM change, null when a track has no BPM
+ * @property {{from: string, to: string, relation: string|null}|null} key - Camelot keys and their relation (null for a clash); null when keys are ignored or unknown
+ */
+
+/**
+ * @typedef {Object} SetProposal
+ * @property {Array<Track>} tracks - Tracks in set order
+ * @property {Array<SetTransition>} transitions - transitions[i] leads from tracks[i] to tracks[i + 1]
+ * @property {number|null} score - Average transition score
+ * @property {number} duration - Set length in seconds
+ * @property {Object} constraints - Constraints used (startBpm, endBpm, maxBpmJump, harmonic, targetDuration)
+ * @property {Array<{id: string, title: string, artist: string, reason: ('noBpm'|'noTransition'|'duration')}>} unused - Crate tracks left out
  */
 
 /**